@@ -0,0 +1,54 @@
+/* global Netlify */
+/**
+ * Fills in Open Graph / Twitter tags for /u/:username so shared profile links
+ * preview with the user's name and stats. Crawlers don't run the SPA, so the
+ * tags have to be in the served index.html.
+ *
+ * The profile is fetched anonymously, so the backend applies the same privacy
+ * rules a logged-out visitor gets.
+ */
+import { buildProfileMeta, applyMetaToHtml } from '../../src/utils/profileMeta.js';
+
+const API_URL = Netlify.env.get('VITE_API_URL') || 'http://localhost:8000';
+const FETCH_TIMEOUT_MS = 2000;
+
+const getUsername = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/')[2] || '');
+  } catch {
+    // Malformed escape such as /u/%E0 - serve the SPA untouched
+    return null;
+  }
+};
+
+export default async (request, context) => {
+  const username = getUsername(request.url);
+  if (!username) {
+    return context.next();
+  }
+
+  const response = await context.next();
+
+  if (!response.headers.get('content-type')?.includes('text/html')) {
+    return response;
+  }
+
+  let profile = null;
+  try {
+    const profileResponse = await fetch(`${API_URL}/users/${encodeURIComponent(username)}/public`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (profileResponse.ok) {
+      profile = await profileResponse.json();
+    }
+  } catch (error) {
+    // Fall back to username-only tags rather than delaying the page
+    console.error('Failed to load public profile for meta tags:', error);
+  }
+
+  const html = applyMetaToHtml(await response.text(), buildProfileMeta(profile, username));
+  const headers = new Headers(response.headers);
+  headers.delete('content-length');
+
+  return new Response(html, { status: response.status, headers });
+};
@@ -11,6 +11,12 @@ import DashboardPage from './pages/Dashboard/DashboardPage';
 import CodingPracticePage from './pages/Coding/CodingPracticePage';
 import ProfilePage from './pages/Profile/ProfilePage';
 import RoadmapPage from './pages/Roadmap/RoadmapPage';
+import SessionReplayPage from './pages/Replay/SessionReplayPage';
+import AnalyticsPage from './pages/Analytics/AnalyticsPage';
+import ProblemsPage from './pages/Problems/ProblemsPage';
+import LeaderboardPage from './pages/Leaderboard/LeaderboardPage';
+import PublicProfilePage from './pages/Profile/PublicProfilePage';
+import ReassessmentPage from './pages/Assessment/ReassessmentPage';
 import NotFoundPage from './pages/NotFoundPage';
 import DemoUsageDrawer from './components/ui/DemoUsageDrawer';
 
@@ -75,6 +81,30 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/problems"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <ProblemsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/problems/:problemId"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <CodingPracticePage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/leaderboard"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <LeaderboardPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/profile"
           element={
@@ -83,6 +113,16 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/reassessment"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <ReassessmentPage />
+            </ProtectedRoute>
+          }
+        />
+        {/* Public profiles are viewable without an account */}
+        <Route path="/u/:username" element={<PublicProfilePage />} />
         <Route
           path="/roadmap/:course"
           element={
@@ -91,6 +131,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/sessions/:sessionId/replay"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <SessionReplayPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/analytics"
+          element={
+            <ProtectedRoute requireAuth={true}>
+              <AnalyticsPage />
+            </ProtectedRoute>
+          }
+        />
         <Route path="*" element={<NotFoundPage />} />
       </Routes>
     </AuthStateManager>
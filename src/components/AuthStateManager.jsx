@@ -1,7 +1,14 @@
 import React, { useEffect, useState } from 'react';
-import { useDispatch } from 'react-redux';
-import { setCurrentUser, clearAuthData, setAuthToken } from '../store/userSlice';
-import api from '../utils/axios';
+import { useDispatch, useSelector } from 'react-redux';
+import { 
+  setCurrentUser, 
+  clearAuthData, 
+  setAuthToken, 
+  updatePreferences, 
+  selectCurrentUser,
+  selectAccessToken
+} from '../store/userSlice';
+import api, { scheduleTokenRefresh } from '../utils/axios';
 import FullPageLoading from './ui/FullPageLoading';
 
 /**
@@ -12,6 +19,9 @@ import FullPageLoading from './ui/FullPageLoading';
 const AuthStateManager = ({ children }) => {
   const dispatch = useDispatch();
   const [isInitialized, setIsInitialized] = useState(false);
+  const currentUser = useSelector(selectCurrentUser);
+  const accessToken = useSelector(selectAccessToken);
+  const currentUserKey = currentUser?.key || currentUser?._key || currentUser?.id;
 
   useEffect(() => {
     const initializeAuth = async () => {
@@ -50,17 +60,47 @@ const AuthStateManager = ({ children }) => {
     initializeAuth();
   }, [dispatch]);
 
-  // Listen for logout events from axios interceptor
+  // Load saved preferences whenever a user signs in (editor settings, default language, etc.)
+  useEffect(() => {
+    if (!currentUserKey) return;
+
+    const loadPreferences = async () => {
+      try {
+        const response = await api.get('/users/preferences');
+        if (response.data) {
+          dispatch(updatePreferences(response.data));
+        }
+      } catch (error) {
+        // Non-fatal - persisted/default preferences stay in effect
+        console.warn('⚠️ AuthStateManager - Failed to load preferences:', error);
+      }
+    };
+
+    loadPreferences();
+  }, [currentUserKey, dispatch]);
+
+  // Keep the proactive refresh timer in step with the current token (login, refresh, logout)
+  useEffect(() => {
+    scheduleTokenRefresh(accessToken);
+  }, [accessToken]);
+
+  // Listen for logout and token refresh events from axios interceptor
   useEffect(() => {
     const handleLogout = () => {
       console.log('🚪 AuthStateManager - Logout event received');
       dispatch(clearAuthData());
     };
 
+    const handleTokenRefreshed = (event) => {
+      dispatch(setAuthToken(event.detail.accessToken));
+    };
+
     window.addEventListener('auth:logout', handleLogout);
+    window.addEventListener('auth:token-refreshed', handleTokenRefreshed);
     
     return () => {
       window.removeEventListener('auth:logout', handleLogout);
+      window.removeEventListener('auth:token-refreshed', handleTokenRefreshed);
     };
   }, [dispatch]);
 
@@ -25,7 +25,21 @@ const Navigation = ({ className = '' }) => {
         {/* Right side - Authentication dependent */}
         <div className="flex items-center space-x-6">
           {isAuthenticated ? (
-            <ProfileDropdown />
+            <>
+              <Link 
+                to="/problems" 
+                className="text-zinc-400 hover:text-zinc-100 text-sm transition-colors duration-200 font-light"
+              >
+                Problems
+              </Link>
+              <Link 
+                to="/leaderboard" 
+                className="text-zinc-400 hover:text-zinc-100 text-sm transition-colors duration-200 font-light"
+              >
+                Leaderboard
+              </Link>
+              <ProfileDropdown />
+            </>
           ) : (
             <div className="flex items-center space-x-4">
               <Link 
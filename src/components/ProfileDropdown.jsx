@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectCurrentUser } from '../store/userSlice';
 import useAuth from '../hooks/useAuth';
+import { getProfileUsername } from '../utils/publicProfile';
 
 /**
  * ProfileDropdown component for authenticated user navigation
@@ -55,6 +56,16 @@ const ProfileDropdown = () => {
       to: '/profile',
       action: null
     },
+    {
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+        </svg>
+      ),
+      label: 'Public Profile',
+      to: `/u/${encodeURIComponent(getProfileUsername(currentUser) || '')}`,
+      action: null
+    },
     {
       icon: (
         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -65,6 +76,16 @@ const ProfileDropdown = () => {
       to: '/dashboard',
       action: null
     },
+    {
+      icon: (
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+        </svg>
+      ),
+      label: 'Analytics',
+      to: '/analytics',
+      action: null
+    },
     {
       icon: (
         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1,10 +1,17 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import AIAssistantOrb from '../ui/AIAssistantOrb';
+import MarkdownContent from './MarkdownContent';
+import ConversationThreads from './ConversationThreads';
+import PinButton from './PinButton';
+import { HINT_POLICIES, HINT_PENALTY_POINTS } from '../../constants/mockInterview';
 
 /**
  * AIAssistantChat - Minimalistic AI assistant interface
  * Clean design matching the app's aesthetic
+ * Replies stream in token by token; `onStopGeneration` aborts the current one.
+ * Earlier conversations for the question can be browsed and searched, and hints pinned.
+ * In `interviewMode` the chat is the mock interviewer: no history, and hints follow `hintPolicy`.
  */
 const AIAssistantChat = ({ 
   messages = [], 
@@ -12,13 +19,33 @@ const AIAssistantChat = ({
   onRequestHint,
   isLoadingHint = false,
   isLoadingChat = false,
+  onStopGeneration,
   currentCode = '',
-  questionId = null
+  questionId = null,
+  sessionId = null,
+  onTogglePin,
+  isPinned,
+  interviewMode = false,
+  hintPolicy = null
 }) => {
   const [inputMessage, setInputMessage] = useState('');
+  const [showThreads, setShowThreads] = useState(false);
   const [selectedHintLevel, setSelectedHintLevel] = useState(3);
   const messagesEndRef = useRef(null);
 
+  // Streaming placeholders stay hidden until their first token arrives
+  const visibleMessages = messages.filter(msg => !(msg.streaming && !msg.content));
+  const isGenerating = isLoadingHint || isLoadingChat;
+  const isAwaitingFirstToken = isGenerating && !messages.some(msg => msg.streaming && msg.content);
+  const hintsDisabled = interviewMode && hintPolicy !== HINT_POLICIES.PENALIZED;
+  const hintCount = messages.filter(m => m.hintLevel).length;
+
+  const getHintButtonTitle = () => {
+    if (hintsDisabled) return 'Hints are disabled in this interview';
+    if (hintCount >= 5) return 'Maximum hints reached';
+    return interviewMode ? `Request next hint (−${HINT_PENALTY_POINTS} points)` : 'Request next hint';
+  };
+
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
@@ -45,32 +72,27 @@ const AIAssistantChat = ({
     5: 'Targeted'
   };
 
-  const renderMessage = (content) => {
-    if (!content) return '';
-    const parts = content.split(/(```[\s\S]*?```|`[^`]+`)/g);
-    
-    return parts.map((part, i) => {
-      if (part.startsWith('```') && part.endsWith('```')) {
-        const code = part.slice(3, -3).trim();
-        return (
-          <pre key={i} className="bg-zinc-900/50 rounded p-3 my-2 overflow-x-auto border border-zinc-700/50">
-            <code className="text-xs text-zinc-300 font-mono">{code}</code>
-          </pre>
-        );
-      }
-      if (part.startsWith('`') && part.endsWith('`')) {
-        return (
-          <code key={i} className="bg-zinc-700/50 text-blue-300 px-1.5 py-0.5 rounded text-xs font-mono">
-            {part.slice(1, -1)}
-          </code>
-        );
-      }
-      return part.split(/(\*\*.*?\*\*)/g).map((seg, j) => (
-        seg.startsWith('**') && seg.endsWith('**') 
-          ? <strong key={j} className="text-zinc-100">{seg.slice(2, -2)}</strong>
-          : seg
-      ));
-    });
+  // Code blocks in replies can be dropped straight into the editor
+  const handleInsertCode = (code) => {
+    window.dispatchEvent(new CustomEvent('editor:insert-code', { detail: { code } }));
+  };
+
+  // Finished assistant replies (not errors) can be pinned to the Problem tab
+  const canPin = (msg) =>
+    Boolean(onTogglePin) && msg.role === 'assistant' && !msg.streaming && msg.content && !msg.content.startsWith('❌');
+
+  // Blinking cursor while a reply streams in, a note once it was stopped or cut off
+  const renderStreamState = (msg) => {
+    if (msg.streaming) {
+      return <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-zinc-400 animate-pulse" />;
+    }
+    if (msg.interrupted) {
+      return <span className="block mt-2 text-xs text-amber-400/80 italic">Connection lost - reply incomplete</span>;
+    }
+    if (msg.stopped) {
+      return <span className="block mt-2 text-xs text-zinc-500 italic">Generation stopped</span>;
+    }
+    return null;
   };
 
   const getHintLevelStyle = (level) => {
@@ -129,11 +151,41 @@ const AIAssistantChat = ({
     return styles[level] || styles[3];
   };
 
+  if (showThreads) {
+    return (
+      <div className="h-full bg-zinc-900">
+        <ConversationThreads
+          questionId={questionId}
+          sessionId={sessionId}
+          onClose={() => setShowThreads(false)}
+          onTogglePin={onTogglePin}
+          isPinned={isPinned}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="h-full flex flex-col bg-zinc-900">
+      {/* Conversation history toggle */}
+      {questionId && !interviewMode && (
+        <div className="flex items-center justify-end px-6 py-2 border-b border-zinc-800/50">
+          <button
+            onClick={() => setShowThreads(true)}
+            className="flex items-center gap-1.5 text-xs text-zinc-400 hover:text-zinc-200 transition-colors"
+            title="Earlier conversations and search"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            History
+          </button>
+        </div>
+      )}
+
       {/* Messages */}
       <div className="flex-1 overflow-y-auto p-6 space-y-4">
-        {messages.length === 0 && !isLoadingHint && !isLoadingChat ? (
+        {visibleMessages.length === 0 && !isGenerating ? (
           <div className="flex flex-col items-center justify-center h-full">
             <div className="text-center max-w-sm">
               <div className="w-12 h-12 rounded-full bg-zinc-800 border border-zinc-700 flex items-center justify-center mx-auto mb-3">
@@ -141,20 +193,26 @@ const AIAssistantChat = ({
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
                 </svg>
               </div>
-              <h4 className="text-sm font-medium text-zinc-300 mb-2">AI Teaching Assistant</h4>
+              <h4 className="text-sm font-medium text-zinc-300 mb-2">
+                {interviewMode ? 'Interviewer' : 'AI Teaching Assistant'}
+              </h4>
               <p className="text-xs text-zinc-500 mb-4">
-                Request hints or ask questions about the problem
+                {interviewMode
+                  ? 'Think out loud - ask clarifying questions and explain your approach'
+                  : 'Request hints or ask questions about the problem'}
               </p>
-              <button
-                onClick={() => onRequestHint(selectedHintLevel)}
-                disabled={isLoadingHint || !questionId}
-                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-zinc-700 disabled:cursor-not-allowed text-white text-sm rounded-lg transition-colors"
-              >
-                Request Hint
-              </button>
+              {!interviewMode && (
+                <button
+                  onClick={() => onRequestHint(selectedHintLevel)}
+                  disabled={isLoadingHint || !questionId}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-zinc-700 disabled:cursor-not-allowed text-white text-sm rounded-lg transition-colors"
+                >
+                  Request Hint
+                </button>
+              )}
             </div>
           </div>
-        ) : messages.length === 0 && (isLoadingHint || isLoadingChat) ? (
+        ) : visibleMessages.length === 0 && isGenerating ? (
           <div className="flex flex-col items-center justify-center h-full">
             <motion.div
               initial={{ opacity: 0, scale: 0.95 }}
@@ -181,7 +239,7 @@ const AIAssistantChat = ({
           </div>
         ) : (
           <>
-            {messages.map((msg, idx) => (
+            {visibleMessages.map((msg, idx) => (
               <motion.div
                 key={msg.id || idx}
                 initial={{ opacity: 0, y: 10 }}
@@ -260,17 +318,29 @@ const AIAssistantChat = ({
                       <div className={`h-px mb-4 bg-gradient-to-r from-transparent via-zinc-700 to-transparent`} />
                       
                       {/* Hint Content */}
-                      <div className="text-sm text-zinc-200 leading-relaxed whitespace-pre-wrap mb-3">
-                        {renderMessage(msg.content)}
+                      <div className="mb-3">
+                        <MarkdownContent content={msg.content} onInsertCode={handleInsertCode} />
+                        {renderStreamState(msg)}
                       </div>
                       
                       {/* Footer */}
-                      {msg.timestamp && (
+                      {(msg.timestamp || canPin(msg)) && (
                         <div className="flex items-center gap-2 text-xs text-zinc-600 pt-2 border-t border-zinc-800/50">
-                          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                          </svg>
-                          {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          {msg.timestamp && (
+                            <>
+                              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                              </svg>
+                              {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </>
+                          )}
+                          {canPin(msg) && (
+                            <PinButton
+                              className="ml-auto"
+                              pinned={isPinned?.(msg.content)}
+                              onClick={() => onTogglePin({ content: msg.content, hintLevel: msg.hintLevel })}
+                            />
+                          )}
                         </div>
                       )}
                     </div>
@@ -296,12 +366,25 @@ const AIAssistantChat = ({
                       : 'bg-zinc-800/50 border border-zinc-700/50 mr-12'
                     }
                   `}>
-                    <div className="text-xs text-zinc-500 mb-1">
-                      {msg.role === 'user' ? 'You' : 'AI Assistant'}
-                    </div>
-                    <div className="text-sm text-zinc-200 leading-relaxed whitespace-pre-wrap">
-                      {renderMessage(msg.content)}
+                    <div className="flex items-center justify-between text-xs text-zinc-500 mb-1">
+                      <span>{msg.role === 'user' ? 'You' : msg.interviewer ? 'Interviewer' : 'AI Assistant'}</span>
+                      {canPin(msg) && (
+                        <PinButton
+                          pinned={isPinned?.(msg.content)}
+                          onClick={() => onTogglePin({ content: msg.content })}
+                        />
+                      )}
                     </div>
+                    {msg.role === 'user' ? (
+                      <div className="text-sm text-zinc-200 leading-relaxed whitespace-pre-wrap">
+                        {msg.content}
+                      </div>
+                    ) : (
+                      <div>
+                        <MarkdownContent content={msg.content} onInsertCode={handleInsertCode} />
+                        {renderStreamState(msg)}
+                      </div>
+                    )}
                     {msg.timestamp && (
                       <div className="text-xs text-zinc-500 mt-2">
                         {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -311,7 +394,7 @@ const AIAssistantChat = ({
                 )}
               </motion.div>
             ))}
-            {(isLoadingHint || isLoadingChat) && (
+            {isAwaitingFirstToken && (
               <motion.div
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
@@ -379,15 +462,15 @@ const AIAssistantChat = ({
             {/* Hint Button - Game-like design */}
             <button
               onClick={() => onRequestHint(1)}
-              disabled={isLoadingHint || isLoadingChat || !questionId || messages.filter(m => m.hintLevel).length >= 5}
+              disabled={hintsDisabled || isLoadingHint || isLoadingChat || !questionId || hintCount >= 5}
               className="group relative px-5 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-500 hover:to-blue-600 disabled:from-zinc-700 disabled:to-zinc-800 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-all duration-200 shadow-lg hover:shadow-blue-500/25 disabled:shadow-none"
-              title={messages.filter(m => m.hintLevel).length >= 5 ? "Maximum hints reached" : "Request next hint"}
+              title={getHintButtonTitle()}
             >
               <div className="flex items-center gap-2">
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
                 </svg>
-                <span>Hint</span>
+                <span>{interviewMode && !hintsDisabled ? `Hint −${HINT_PENALTY_POINTS}` : 'Hint'}</span>
               </div>
               {/* Subtle shine effect */}
               <div className="absolute inset-0 rounded-lg bg-gradient-to-r from-transparent via-white/10 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-200" />
@@ -400,7 +483,7 @@ const AIAssistantChat = ({
                 value={inputMessage}
                 onChange={(e) => setInputMessage(e.target.value)}
                 onKeyPress={handleKeyPress}
-                placeholder="Ask me anything about this problem..."
+                placeholder={interviewMode ? 'Reply to the interviewer...' : 'Ask me anything about this problem...'}
                 disabled={isLoadingChat}
                 className="w-full px-4 py-2.5 bg-zinc-800/50 text-zinc-100 text-sm rounded-lg border border-zinc-700/50 focus:outline-none focus:border-blue-500/50 focus:ring-2 focus:ring-blue-500/20 disabled:opacity-50 placeholder:text-zinc-500 transition-all duration-200"
               />
@@ -408,17 +491,30 @@ const AIAssistantChat = ({
               <div className="absolute inset-0 rounded-lg bg-gradient-to-r from-blue-500/0 via-blue-500/5 to-blue-500/0 opacity-0 focus-within:opacity-100 transition-opacity duration-200 pointer-events-none" />
             </div>
             
-            {/* Send Button - Minimal icon design */}
-            <button
-              onClick={handleSend}
-              disabled={!inputMessage.trim() || isLoadingChat}
-              className="group px-4 py-2.5 bg-zinc-800/50 hover:bg-zinc-700/50 disabled:bg-zinc-800/30 disabled:cursor-not-allowed text-zinc-300 hover:text-white disabled:text-zinc-600 rounded-lg border border-zinc-700/50 hover:border-zinc-600 transition-all duration-200"
-              title="Send message"
-            >
-              <svg className="w-5 h-5 transition-transform duration-200 group-hover:translate-x-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-              </svg>
-            </button>
+            {/* Stop Button - replaces Send while a reply is generating */}
+            {isGenerating && onStopGeneration ? (
+              <button
+                onClick={onStopGeneration}
+                className="px-4 py-2.5 bg-zinc-800/50 hover:bg-red-600/20 text-zinc-300 hover:text-red-300 rounded-lg border border-zinc-700/50 hover:border-red-500/40 transition-all duration-200"
+                title="Stop generating"
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                  <rect x="6" y="6" width="12" height="12" rx="2" />
+                </svg>
+              </button>
+            ) : (
+              /* Send Button - Minimal icon design */
+              <button
+                onClick={handleSend}
+                disabled={!inputMessage.trim() || isLoadingChat}
+                className="group px-4 py-2.5 bg-zinc-800/50 hover:bg-zinc-700/50 disabled:bg-zinc-800/30 disabled:cursor-not-allowed text-zinc-300 hover:text-white disabled:text-zinc-600 rounded-lg border border-zinc-700/50 hover:border-zinc-600 transition-all duration-200"
+                title="Send message"
+              >
+                <svg className="w-5 h-5 transition-transform duration-200 group-hover:translate-x-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                </svg>
+              </button>
+            )}
           </div>
         </div>
       </div>
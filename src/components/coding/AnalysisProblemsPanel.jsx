@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { SUGGESTION_TYPES, SUGGESTION_TYPE_LABELS } from '../../utils/codeAnalysis';
+
+const TYPE_STYLES = {
+  TIME: 'text-blue-400 bg-blue-500/10 border-blue-500/30',
+  SPACE: 'text-purple-400 bg-purple-500/10 border-purple-500/30',
+  READABILITY: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/30',
+  EDGE_CASE: 'text-amber-400 bg-amber-500/10 border-amber-500/30'
+};
+
+/**
+ * AnalysisProblemsPanel - Code analysis suggestions listed by type under the editor
+ * Clicking a suggestion moves the editor to its line.
+ */
+const AnalysisProblemsPanel = ({ suggestions = [], onNavigateToLine }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [typeFilter, setTypeFilter] = useState(null);
+
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  const counts = SUGGESTION_TYPES.reduce((acc, type) => {
+    acc[type] = suggestions.filter(suggestion => suggestion.type === type).length;
+    return acc;
+  }, {});
+
+  const visible = suggestions
+    .filter(suggestion => !typeFilter || suggestion.type === typeFilter)
+    .sort((a, b) => (a.lines?.startLine ?? Infinity) - (b.lines?.startLine ?? Infinity));
+
+  return (
+    <div className="border-t border-zinc-700 bg-zinc-900">
+      <div className="flex items-center justify-between px-4 py-2">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex items-center gap-1.5 text-xs font-medium text-zinc-300 uppercase tracking-wide hover:text-zinc-100"
+        >
+          {isOpen ? <ChevronDownIcon className="w-3.5 h-3.5" /> : <ChevronRightIcon className="w-3.5 h-3.5" />}
+          Problems
+          <span className="ml-1 px-1.5 py-0.5 rounded-full bg-zinc-800 text-zinc-400 normal-case">{suggestions.length}</span>
+        </button>
+
+        {isOpen && (
+          <div className="flex items-center gap-1">
+            {SUGGESTION_TYPES.filter(type => counts[type] > 0).map(type => (
+              <button
+                key={type}
+                onClick={() => setTypeFilter(current => (current === type ? null : type))}
+                className={`px-2 py-0.5 text-xs rounded border transition-colors ${typeFilter === type
+                  ? TYPE_STYLES[type]
+                  : 'text-zinc-400 border-zinc-700 hover:text-zinc-200'}`}
+              >
+                {SUGGESTION_TYPE_LABELS[type]} {counts[type]}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {isOpen && (
+        <ul className="max-h-40 overflow-y-auto pb-2">
+          {visible.map((suggestion, index) => (
+            <li key={`${suggestion.type}-${index}`}>
+              <button
+                onClick={() => suggestion.lines && onNavigateToLine?.(suggestion.lines.startLine)}
+                disabled={!suggestion.lines}
+                className="w-full flex items-center gap-3 px-4 py-1.5 text-left hover:bg-zinc-800/60 disabled:cursor-default disabled:hover:bg-transparent transition-colors"
+                title={suggestion.explanation}
+              >
+                <span className={`flex-shrink-0 w-24 text-center px-1.5 py-0.5 text-[11px] rounded border ${TYPE_STYLES[suggestion.type]}`}>
+                  {SUGGESTION_TYPE_LABELS[suggestion.type]}
+                </span>
+                <span className="flex-1 min-w-0 text-sm text-zinc-300 truncate">{suggestion.title}</span>
+                <span className="flex-shrink-0 text-xs text-zinc-500 font-mono">
+                  {suggestion.lines ? `Ln ${suggestion.lines.startLine}` : suggestion.line}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisProblemsPanel;
@@ -1,15 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import AIAssistantOrb from '../ui/AIAssistantOrb';
+import { INTERVIEW_DURATION_MINUTES, HINT_POLICIES, HINT_PENALTY_POINTS } from '../../constants/mockInterview';
 
 /**
  * ChallengeStartModal - Professional modal for starting coding challenges
  * Clean, modern design with automatic fullscreen activation
+ * Starts either a practice session or a timed mock interview (sessionType 'MOCK_INTERVIEW')
  */
 const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle = "Daily Challenge" }) => {
   const [isFullscreenSupported, setIsFullscreenSupported] = useState(false);
   const [agreedToTerms, setAgreedToTerms] = useState(false);
   const [selectedTimeCommitment, setSelectedTimeCommitment] = useState('30min');
+  const [mode, setMode] = useState('practice');
+  const [hintPolicy, setHintPolicy] = useState(HINT_POLICIES.DISABLED);
+  const isInterview = mode === 'interview';
 
   useEffect(() => {
     // Check if fullscreen API is supported
@@ -21,6 +26,18 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
     );
   }, []);
 
+  const buildSessionConfig = (fullscreenActivated) => ({
+    startTime: new Date().toISOString(),
+    sessionType: isInterview ? 'MOCK_INTERVIEW' : 'DAILY_CHALLENGE',
+    fullscreenActivated,
+    timeCommitment: isInterview ? `${INTERVIEW_DURATION_MINUTES}min` : selectedTimeCommitment,
+    ...(isInterview && { interview: { hintPolicy } }),
+    userAgreements: {
+      noCheating: true,
+      privacyConsent: true,
+    },
+  });
+
   const handleStartChallenge = async () => {
     if (!agreedToTerms) {
       return;
@@ -42,31 +59,13 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
       }
 
       // Start the challenge with tracking metadata
-      onStartChallenge({
-        startTime: new Date().toISOString(),
-        sessionType: 'DAILY_CHALLENGE',
-        fullscreenActivated: isFullscreenSupported,
-        timeCommitment: selectedTimeCommitment,
-        userAgreements: {
-          noCheating: true,
-          privacyConsent: true,
-        },
-      });
+      onStartChallenge(buildSessionConfig(isFullscreenSupported));
 
       onClose();
     } catch (error) {
       console.warn('Could not enter fullscreen mode:', error);
       // Still start the challenge even if fullscreen fails
-      onStartChallenge({
-        startTime: new Date().toISOString(),
-        sessionType: 'DAILY_CHALLENGE',
-        fullscreenActivated: false,
-        timeCommitment: selectedTimeCommitment,
-        userAgreements: {
-          noCheating: true,
-          privacyConsent: true,
-        },
-      });
+      onStartChallenge(buildSessionConfig(false));
       onClose();
     }
   };
@@ -78,6 +77,25 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
     { value: '60min', label: '1 hour', desc: 'Deep focus' },
   ];
 
+  const modeOptions = [
+    { value: 'practice', label: 'Practice', desc: 'Hints and AI help available' },
+    { value: 'interview', label: 'Mock interview', desc: `${INTERVIEW_DURATION_MINUTES} min with an AI interviewer` },
+  ];
+
+  const hintPolicyOptions = [
+    { value: HINT_POLICIES.DISABLED, label: 'No hints', desc: 'Like a real interview' },
+    { value: HINT_POLICIES.PENALIZED, label: 'Penalized hints', desc: `−${HINT_PENALTY_POINTS} points per hint` },
+  ];
+
+  // Shared look of the option cards
+  const optionClassName = (selected) => `
+    p-3 rounded-lg border transition-all duration-200 text-left
+    ${selected
+      ? 'border-orange-500 bg-orange-500/10 shadow-lg'
+      : 'border-zinc-700 bg-zinc-800/50 hover:border-zinc-600 hover:bg-zinc-800'
+    }
+  `;
+
   if (!isOpen) return null;
 
   return (
@@ -115,21 +133,15 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
 
           {/* Content */}
           <div className="px-8 pb-8 space-y-6">
-            {/* Time Selection */}
+            {/* Mode Selection */}
             <div className="space-y-3">
-              <h3 className="text-sm font-medium text-zinc-300">Session Duration</h3>
+              <h3 className="text-sm font-medium text-zinc-300">Session Type</h3>
               <div className="grid grid-cols-2 gap-2">
-                {timeOptions.map((option) => (
+                {modeOptions.map((option) => (
                   <button
                     key={option.value}
-                    onClick={() => setSelectedTimeCommitment(option.value)}
-                    className={`
-                      p-3 rounded-lg border transition-all duration-200 text-left
-                      ${selectedTimeCommitment === option.value
-                        ? 'border-orange-500 bg-orange-500/10 shadow-lg'
-                        : 'border-zinc-700 bg-zinc-800/50 hover:border-zinc-600 hover:bg-zinc-800'
-                      }
-                    `}
+                    onClick={() => setMode(option.value)}
+                    className={optionClassName(mode === option.value)}
                   >
                     <div className="text-sm font-medium text-white">{option.label}</div>
                     <div className="text-xs text-zinc-400">{option.desc}</div>
@@ -138,6 +150,46 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
               </div>
             </div>
 
+            {isInterview ? (
+              /* Interview Hint Policy - the duration is fixed */
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-zinc-300">Hints</h3>
+                <div className="grid grid-cols-2 gap-2">
+                  {hintPolicyOptions.map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setHintPolicy(option.value)}
+                      className={optionClassName(hintPolicy === option.value)}
+                    >
+                      <div className="text-sm font-medium text-white">{option.label}</div>
+                      <div className="text-xs text-zinc-400">{option.desc}</div>
+                    </button>
+                  ))}
+                </div>
+                <p className="text-xs text-zinc-500">
+                  The problem is revealed in stages. The interviewer will ask clarifying and follow-up questions,
+                  and you get a scorecard when the {INTERVIEW_DURATION_MINUTES} minutes are up.
+                </p>
+              </div>
+            ) : (
+              /* Time Selection */
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-zinc-300">Session Duration</h3>
+                <div className="grid grid-cols-2 gap-2">
+                  {timeOptions.map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setSelectedTimeCommitment(option.value)}
+                      className={optionClassName(selectedTimeCommitment === option.value)}
+                    >
+                      <div className="text-sm font-medium text-white">{option.label}</div>
+                      <div className="text-xs text-zinc-400">{option.desc}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Agreement */}
             <div className="space-y-3">
               <label className="flex items-start space-x-3 cursor-pointer group p-4 rounded-lg border border-zinc-700 bg-zinc-800/30 hover:bg-zinc-800/50 transition-colors">
@@ -191,7 +243,7 @@ const ChallengeStartModal = ({ isOpen, onClose, onStartChallenge, challengeTitle
                   }
                 `}
               >
-                Begin Session
+                {isInterview ? 'Begin Interview' : 'Begin Session'}
               </button>
             </div>
           </div>
@@ -1,20 +1,60 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { useSelector } from 'react-redux';
 import Editor from '@monaco-editor/react';
 import { useSubmitSolution, useRunCode } from '../../services/api';
 import useBehaviorTracking from '../../hooks/useBehaviorTracking';
+import { behaviorTracker } from '../../services/behaviorTracking';
 import useSession from '../../hooks/useSession';
+import useCodeDraft from '../../hooks/useCodeDraft';
+import useEditorAIActions from '../../hooks/useEditorAIActions';
+import useSuggestionMarkers from '../../hooks/useSuggestionMarkers';
+import useCustomTestCases from '../../hooks/useCustomTestCases';
+import useStressTest from '../../hooks/useStressTest';
 import BehaviorFeedback from './BehaviorFeedback';
 import BehaviorPrivacyControls from './BehaviorPrivacyControls';
 import SubmissionResult from './SubmissionResult';
 import SubmissionHistory from './SubmissionHistory';
 import SubmissionSuccessModal from './SubmissionSuccessModal';
+import DraftConflictModal from './DraftConflictModal';
+import CodeHistoryPanel from './CodeHistoryPanel';
+import InlineAIAnswer from './InlineAIAnswer';
+import AnalysisProblemsPanel from './AnalysisProblemsPanel';
+import StressTestPanel from './StressTestPanel';
 import { LoadingButton } from '../ui/InlineLoading';
 import LoadingSpinner from '../ui/LoadingSpinner';
 import { useNavigate } from 'react-router-dom';
 import axiosInstance from '../../utils/axios';
+import sessionAPI from '../../services/sessionAPI';
+import reviewAPI from '../../services/reviewAPI';
+import { parseUTCTimestamp } from '../../utils/dateUtils';
+import { selectEditorPreferences } from '../../store/userSlice';
+import { getLanguageTemplate } from '../../utils/codeTemplates';
+import { setupLanguageFeatures } from '../../utils/monacoLanguages';
+import { parseAnalysis } from '../../utils/codeAnalysis';
+import {
+  MAX_CUSTOM_TESTS,
+  parseTestCaseImport,
+  buildTestCaseExport,
+  buildRunBatch,
+  labelTestResults
+} from '../../utils/customTests';
+
+// Autosave indicator shown next to the Reset button
+const DRAFT_STATUS = {
+  saving: { label: 'Saving...', className: 'text-zinc-500' },
+  saved: { label: 'Saved locally', className: 'text-zinc-400' },
+  syncing: { label: 'Syncing...', className: 'text-zinc-500' },
+  synced: { label: 'All changes saved', className: 'text-green-400' },
+  offline: { label: 'Offline - saved locally', className: 'text-amber-400' },
+  conflict: { label: 'Sync conflict', className: 'text-red-400' },
+  error: { label: 'Sync failed - saved locally', className: 'text-amber-400' }
+};
 
 /**
  * CodeEditor - Right panel with code editor and execution controls
+ * `onExecutionResult(kind, result)` reports every run ('run') and submission ('submit').
+ * `interviewMode` turns off AI help in the editor and the success modal for mock interviews.
  */
 const CodeEditor = ({ 
   question, 
@@ -22,7 +62,11 @@ const CodeEditor = ({
   onLanguageChange,
   location,
   onCodeChange,
-  latestHint = null  // New prop: latest hint for code highlighting
+  latestHint = null,  // New prop: latest hint for code highlighting
+  hintsUsed = 0,      // Hints requested for this question, used to grade reviews
+  roadmapId = null,   // Roadmap the question was opened from, when question.course is missing
+  interviewMode = false,
+  onExecutionResult = null
 }) => {
   const [code, setCode] = useState('');
   const [output, setOutput] = useState('');
@@ -34,15 +78,33 @@ const CodeEditor = ({
   const [showBehaviorFeedback, setShowBehaviorFeedback] = useState(process.env.NODE_ENV === 'development');
   const [showPrivacyControls, setShowPrivacyControls] = useState(false);
   const [codeInitialized, setCodeInitialized] = useState(false);
-  const [customTestCases, setCustomTestCases] = useState([]);
+  const [testImportError, setTestImportError] = useState(null);
   const [runningTestIndex, setRunningTestIndex] = useState(null);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [successModalData, setSuccessModalData] = useState(null);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [editorInstance, setEditorInstance] = useState(null); // { editor, monaco } once Monaco has mounted
+  const [codeAnalysis, setCodeAnalysis] = useState(null);     // Code Analysis Agent result for the last accepted submission
+  const [pendingRevealLine, setPendingRevealLine] = useState(null);
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
   const decorationsRef = useRef([]);  // Track Monaco decorations for highlights
+  const testImportInputRef = useRef(null);
+  const failedRunsRef = useRef(0);  // Failed runs/submissions for this question, used to grade reviews
+  const questionOpenedAtRef = useRef(Date.now());
+  const pendingRestoreRef = useRef(null);  // Snapshot waiting for its language to be selected
   const navigate = useNavigate();
   
+  // Editor preferences from AccountSettings
+  const editorPreferences = useSelector(selectEditorPreferences);
+  const preferenceOptions = useMemo(() => ({
+    fontSize: editorPreferences.fontSize,
+    tabSize: editorPreferences.tabSize,
+    wordWrap: editorPreferences.wordWrap ? 'on' : 'off',
+    minimap: { enabled: editorPreferences.minimap },
+    lineNumbers: editorPreferences.lineNumbers ? 'on' : 'off'
+  }), [editorPreferences]);
+  
   // API hooks
   const submitSolutionHook = useSubmitSolution();
   const runCodeHook = useRunCode();
@@ -56,6 +118,64 @@ const CodeEditor = ({
     endSession
   } = useSession();
   
+  // Offline-first local drafts (IndexedDB) synced to the session
+  const {
+    syncStatus,
+    conflict: draftConflict,
+    recordEdit,
+    markSynced,
+    reconcileDraft,
+    resolveConflict
+  } = useCodeDraft({
+    sessionId: currentSession?.sessionId,
+    questionId: question?.id,
+    language
+  });
+
+  // Custom test cases saved per user and question
+  const {
+    testCases: customTestCases,
+    addTestCase: handleAddCustomTestCase,
+    updateTestCase: handleUpdateCustomTestCase,
+    removeTestCase: handleRemoveCustomTestCase,
+    importTestCases: importCustomTestCases
+  } = useCustomTestCases(question?.id);
+
+  // Random inputs from the constraints, compared against a brute-force reference
+  const stressTest = useStressTest({
+    question,
+    language,
+    code,
+    sessionId: currentSession?.sessionId
+  });
+
+  // Context menu / code lens AI actions answered inline in the editor
+  const {
+    answer: inlineAnswer,
+    zoneNode: inlineAnswerNode,
+    dismiss: dismissInlineAnswer
+  } = useEditorAIActions({
+    enabled: !interviewMode,
+    editor: editorInstance?.editor,
+    monaco: editorInstance?.monaco,
+    question,
+    language,
+    sessionId: currentSession?.sessionId,
+    testResults: submissionResult?.test_results
+  });
+
+  // Code analysis suggestions shown as markers and in the problems panel
+  const analysisSuggestions = useMemo(
+    () => (codeAnalysis?.analysis_text ? parseAnalysis(codeAnalysis.analysis_text).suggestions : []),
+    [codeAnalysis]
+  );
+
+  useSuggestionMarkers({
+    editor: editorInstance?.editor,
+    monaco: editorInstance?.monaco,
+    suggestions: analysisSuggestions
+  });
+  
   // Behavior tracking
   const behaviorTracking = useBehaviorTracking({
     autoStart: true,
@@ -72,26 +192,6 @@ const CodeEditor = ({
   // Combined loading state
   const isApiLoading = submitSolutionHook.loading || runCodeHook.loading;
 
-  // Language templates - Use templates from database or fallback
-  const getLanguageTemplate = (lang, question) => {
-    // First try to use code_templates from database
-    if (question?.code_templates && question.code_templates[lang]) {
-      return question.code_templates[lang];
-    }
-    
-    // Fallback to default_code if available
-    if (question?.default_code) {
-      return question.default_code;
-    }
-    
-    // Last resort: generic templates
-    const templates = {
-      python: question?.pythonTemplate || `def solution(${question?.functionSignature?.python || 'nums'}):\n    # Write your code here\n    pass\n\n# Test your solution\nif __name__ == "__main__":\n    # Add test cases here\n    pass`,
-      java: question?.javaTemplate || `class Solution {\n    public ${question?.functionSignature?.java || 'int[] solution(int[] nums)'} {\n        // Write your code here\n        \n    }\n\n    public static void main(String[] args) {\n        Solution sol = new Solution();\n        // Add test cases here\n    }\n}`
-    };
-    return templates[lang] || '';
-  };
-
   // Extract code snippets from hint text (backticks and triple backticks)
   const extractCodeSnippets = (hintText) => {
     if (!hintText) return [];
@@ -99,7 +199,7 @@ const CodeEditor = ({
     const snippets = [];
     
     // Extract triple backtick code blocks - split into individual lines
-    const blockRegex = /```(?:python|java|javascript|cpp|c)?\s*\n([\s\S]*?)```/g;
+    const blockRegex = /```(?:python|java|javascript|js|cpp|c\+\+|c|go)?\s*\n([\s\S]*?)```/g;
     let match;
     while ((match = blockRegex.exec(hintText)) !== null) {
       if (match[1]?.trim()) {
@@ -243,6 +343,9 @@ const CodeEditor = ({
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
+    setEditorInstance({ editor, monaco });
+    // The Code tab unmounts the editor; forget the disposed instance
+    editor.onDidDispose(() => setEditorInstance(null));
     
     // Define custom theme
     monaco.editor.defineTheme('intellit-dark', {
@@ -285,13 +388,10 @@ const CodeEditor = ({
     
     // Configure editor options
     editor.updateOptions({
-      fontSize: 14,
+      ...preferenceOptions,
       fontFamily: 'JetBrains Mono, Monaco, Menlo, "Ubuntu Mono", monospace',
       lineHeight: 20,
-      minimap: { enabled: true },
       scrollBeyondLastLine: false,
-      wordWrap: 'on',
-      lineNumbers: 'on',
       renderWhitespace: 'boundary',
       automaticLayout: true,
       suggestOnTriggerCharacters: true,
@@ -310,6 +410,7 @@ const CodeEditor = ({
       foldingStrategy: 'indentation',
       showFoldingControls: 'mouseover',
     });
+    editor.getModel()?.updateOptions({ tabSize: editorPreferences.tabSize });
 
     // Add custom key bindings
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
@@ -405,6 +506,9 @@ const CodeEditor = ({
           contentLength: editor.getValue().length,
           lineCount: editor.getModel()?.getLineCount() || 0
         });
+
+        // Keep the raw deltas so the session can be replayed later
+        behaviorTracker.recordContentChange(e.changes, editor.getValue(), e.isFlush);
       } catch (error) {
         console.warn('Error recording content change:', error);
       }
@@ -422,175 +526,11 @@ const CodeEditor = ({
     console.log('Behavior tracking setup complete for Monaco Editor');
   };
 
-  // Setup language-specific linting and IntelliSense
-  const setupLanguageFeatures = (monaco, lang) => {
-    if (lang === 'python') {
-      // Python-specific configuration
-      monaco.languages.setLanguageConfiguration('python', {
-        comments: {
-          lineComment: '#',
-          blockComment: ['"""', '"""']
-        },
-        brackets: [
-          ['{', '}'],
-          ['[', ']'],
-          ['(', ')']
-        ],
-        autoClosingPairs: [
-          { open: '{', close: '}' },
-          { open: '[', close: ']' },
-          { open: '(', close: ')' },
-          { open: '"', close: '"', notIn: ['string'] },
-          { open: "'", close: "'", notIn: ['string', 'comment'] }
-        ],
-        surroundingPairs: [
-          { open: '{', close: '}' },
-          { open: '[', close: ']' },
-          { open: '(', close: ')' },
-          { open: '"', close: '"' },
-          { open: "'", close: "'" }
-        ],
-        indentationRules: {
-          increaseIndentPattern: /^.*:\s*$/,
-          decreaseIndentPattern: /^(return|break|continue|pass|raise)\b.*$/
-        }
-      });
-
-      // Add Python snippets
-      monaco.languages.registerCompletionItemProvider('python', {
-        provideCompletionItems: (model, position) => {
-          const suggestions = [
-            {
-              label: 'def',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'def ${1:function_name}(${2:parameters}):\n    ${3:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Function definition'
-            },
-            {
-              label: 'class',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'class ${1:ClassName}:\n    def __init__(self${2:, parameters}):\n        ${3:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Class definition'
-            },
-            {
-              label: 'if',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'if ${1:condition}:\n    ${2:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'If statement'
-            },
-            {
-              label: 'for',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'for ${1:item} in ${2:iterable}:\n    ${3:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'For loop'
-            },
-            {
-              label: 'while',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'while ${1:condition}:\n    ${2:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'While loop'
-            },
-            {
-              label: 'try',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'try:\n    ${1:pass}\nexcept ${2:Exception} as ${3:e}:\n    ${4:pass}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Try-except block'
-            }
-          ];
-          return { suggestions };
-        }
-      });
-    } else if (lang === 'java') {
-      // Java-specific configuration
-      monaco.languages.setLanguageConfiguration('java', {
-        comments: {
-          lineComment: '//',
-          blockComment: ['/*', '*/']
-        },
-        brackets: [
-          ['{', '}'],
-          ['[', ']'],
-          ['(', ')']
-        ],
-        autoClosingPairs: [
-          { open: '{', close: '}' },
-          { open: '[', close: ']' },
-          { open: '(', close: ')' },
-          { open: '"', close: '"', notIn: ['string'] },
-          { open: "'", close: "'", notIn: ['string', 'comment'] }
-        ],
-        surroundingPairs: [
-          { open: '{', close: '}' },
-          { open: '[', close: ']' },
-          { open: '(', close: ')' },
-          { open: '"', close: '"' },
-          { open: "'", close: "'" }
-        ]
-      });
-
-      // Add Java snippets
-      monaco.languages.registerCompletionItemProvider('java', {
-        provideCompletionItems: (model, position) => {
-          const suggestions = [
-            {
-              label: 'public method',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'public ${1:void} ${2:methodName}(${3:parameters}) {\n    ${4:// TODO}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Public method'
-            },
-            {
-              label: 'private method',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'private ${1:void} ${2:methodName}(${3:parameters}) {\n    ${4:// TODO}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Private method'
-            },
-            {
-              label: 'for loop',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'for (${1:int i = 0}; ${2:i < length}; ${3:i++}) {\n    ${4:// TODO}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'For loop'
-            },
-            {
-              label: 'enhanced for',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'for (${1:Type} ${2:item} : ${3:collection}) {\n    ${4:// TODO}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Enhanced for loop'
-            },
-            {
-              label: 'if statement',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'if (${1:condition}) {\n    ${2:// TODO}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'If statement'
-            },
-            {
-              label: 'try-catch',
-              kind: monaco.languages.CompletionItemKind.Snippet,
-              insertText: 'try {\n    ${1:// TODO}\n} catch (${2:Exception} ${3:e}) {\n    ${4:// Handle exception}\n}',
-              insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-              documentation: 'Try-catch block'
-            }
-          ];
-          return { suggestions };
-        }
-      });
-    }
-  };
-
   // Handle code change from Monaco Editor
   const handleEditorChange = (value) => {
     const newCode = value || '';
     setCode(newCode);
+    recordEdit(newCode);
     
     // Notify parent component of code change
     if (onCodeChange) {
@@ -611,6 +551,12 @@ const CodeEditor = ({
       let codeToSet = '';
       let shouldRestoreFromSession = false;
 
+      // A restored snapshot in another language is applied once the language switch lands
+      if (pendingRestoreRef.current?.language === language) {
+        codeToSet = pendingRestoreRef.current.code;
+        pendingRestoreRef.current = null;
+      }
+
       // Priority 1: Check for code snapshots in current session
       if (currentSession?.code_snapshots && currentSession.code_snapshots.length > 0 && !codeInitialized) {
         // Get the most recent snapshot
@@ -658,6 +604,15 @@ const CodeEditor = ({
         });
       }
         
+      // Unsynced local draft wins over the session copy unless the server diverged
+      if (!codeInitialized) {
+        const draftCode = await reconcileDraft(codeToSet || null);
+        if (draftCode !== null) {
+          codeToSet = draftCode;
+          shouldRestoreFromSession = true;
+        }
+      }
+        
       // Priority 4: Use default template
       if (!codeToSet) {
         codeToSet = getLanguageTemplate(language, question);
@@ -698,7 +653,26 @@ const CodeEditor = ({
     };
 
     initializeCode();
-  }, [language, question?.id, needsRecovery, recoveryData, currentSession?.id, currentSession?.code_snapshots]);
+  }, [language, question?.id, needsRecovery, recoveryData, currentSession?.id, currentSession?.code_snapshots, reconcileDraft]);
+
+  // Start review grading afresh for each question
+  useEffect(() => {
+    failedRunsRef.current = 0;
+    questionOpenedAtRef.current = Date.now();
+  }, [question?.id]);
+
+  // Tie replay edits to the coding session
+  useEffect(() => {
+    behaviorTracker.setCodingSessionId(currentSession?.sessionId);
+  }, [currentSession?.sessionId]);
+
+  // Apply editor preferences live when they change in AccountSettings
+  useEffect(() => {
+    if (!editorRef.current) return;
+    
+    editorRef.current.updateOptions(preferenceOptions);
+    editorRef.current.getModel()?.updateOptions({ tabSize: preferenceOptions.tabSize });
+  }, [preferenceOptions]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -714,6 +688,50 @@ const CodeEditor = ({
     };
   }, [showSettingsDropdown]);
 
+  // Insert code from assistant replies at the cursor (replaces the selection)
+  useEffect(() => {
+    const handleInsertCode = (event) => {
+      const editor = editorRef.current;
+      const text = event.detail?.code;
+      if (!editor || !text) return;
+
+      editor.executeEdits('assistant', [{
+        range: editor.getSelection(),
+        text,
+        forceMoveMarkers: true
+      }]);
+      editor.focus();
+    };
+
+    window.addEventListener('editor:insert-code', handleInsertCode);
+    return () => window.removeEventListener('editor:insert-code', handleInsertCode);
+  }, []);
+
+  // Jump to a line from an analysis card or the problems panel
+  const navigateToLine = (lineNumber) => {
+    setActiveTab('code');
+    setPendingRevealLine(lineNumber);
+  };
+
+  // Reveal once the editor is mounted (it remounts when coming back to the Code tab)
+  useEffect(() => {
+    const editor = editorInstance?.editor;
+    if (!editor || pendingRevealLine === null) return;
+
+    const model = editor.getModel();
+    const lineNumber = Math.min(pendingRevealLine, model.getLineCount());
+    editor.revealLineInCenter(lineNumber);
+    editor.setPosition({ lineNumber, column: model.getLineFirstNonWhitespaceColumn(lineNumber) || 1 });
+    editor.focus();
+    setPendingRevealLine(null);
+  }, [editorInstance, pendingRevealLine]);
+
+  // Suggestions refer to the analysed submission of this question only
+  useEffect(() => {
+    setCodeAnalysis(null);
+    setTestImportError(null);
+  }, [question?.id]);
+
   // Highlight code when new hint arrives
   useEffect(() => {
     if (!latestHint || !code || !editorRef.current) return;
@@ -741,11 +759,56 @@ const CodeEditor = ({
     }
   }, [code, codeInitialized]);
 
-  // Code snapshots are now only saved on Run or Submit actions (removed auto-save)
-  // This reduces unnecessary database operations and API calls
+  // Code snapshots are only saved on Run or Submit actions (and on restore from history).
+  // Every edit is autosaved to a local draft by useCodeDraft and synced via updateCurrentCode.
+  // Reschedule this question in the spaced-repetition review queue after an accepted submission
+  const recordReviewAttempt = async () => {
+    const startedAt = parseUTCTimestamp(currentSession?.startTime) || questionOpenedAtRef.current;
+    
+    try {
+      const item = await reviewAPI.recordAttempt({
+        question_key: String(question.id),
+        question_title: question.title,
+        course: question.course || roadmapId || null,
+        difficulty: question.difficulty || question.leetcode_difficulty || 'medium'
+      }, {
+        solveTimeSeconds: Math.max(0, Math.round((Date.now() - startedAt) / 1000)),
+        hintsUsed,
+        failedRuns: failedRunsRef.current
+      });
+      console.log('🔁 Next review scheduled for', item?.due_at);
+    } catch (error) {
+      console.warn('Failed to schedule review:', error);
+    }
+  };
+
+  const saveCodeSnapshot = async (snapshotCode, metadata) => {
+    if (!currentSession?.sessionId) return;
+    
+    try {
+      await sessionAPI.addCodeSnapshot(currentSession.sessionId, snapshotCode, language, true, {
+        question_id: question?.id != null ? String(question.id) : null,
+        ...metadata
+      });
+      setHistoryRefreshKey(key => key + 1);
+    } catch (error) {
+      console.warn('Failed to save code snapshot:', error);
+    }
+  };
+
+  // Keep the run/submit outcome with its snapshot for the History tab
+  const summarizeResult = (result) => ({
+    status: result?.status,
+    passed_count: result?.passed_count,
+    total_count: result?.total_count,
+    runtime_ms: result?.runtime_ms
+  });
 
   const handleRunCode = async () => {
-    if (!question?.sample_test_cases || question.sample_test_cases.length === 0) {
+    // Samples run together with the user's saved custom tests
+    const testCases = buildRunBatch(question?.sample_test_cases || [], customTestCases);
+
+    if (testCases.length === 0) {
       setSubmissionResult({
         success: false,
         status: 'Error',
@@ -774,34 +837,39 @@ const CodeEditor = ({
     setActiveTab('result');
     
     try {
-      // Use only sample test cases for running (not full submission)
-      const testCases = question.sample_test_cases.map(tc => ({
-        input: tc.input,
-        expected_output: tc.expected_output || tc.output
-      }));
-
       const runData = {
         code: code,
         language: language,
-        test_cases: testCases,
+        test_cases: testCases.map(({ input, expected_output }) => ({ input, expected_output })),
         question_id: question.id,
         question_title: question.title,
         problem_statement: question.description || question.problem_statement_text || question.problem_statement || ''
       };
 
-      const result = await runCodeHook.execute(runData);
+      const result = labelTestResults(await runCodeHook.execute(runData), testCases);
       
       // Set the result for the new component
       setSubmissionResult(result);
+      onExecutionResult?.('run', result);
+      if (!(result?.total_count > 0 && result.passed_count === result.total_count)) {
+        failedRunsRef.current += 1;
+      }
+      behaviorTracker.recordReplayMarker('run', {
+        status: result?.status,
+        passed: result?.passed_count,
+        total: result?.total_count
+      });
       
       // Save code snapshot on Run action
       if (currentSession && trackCodeChange) {
         try {
           await trackCodeChange(code, language);
+          markSynced(code);
         } catch (error) {
           console.warn('Failed to save code snapshot:', error);
         }
       }
+      await saveCodeSnapshot(code, { trigger: 'run', result: summarizeResult(result) });
       
       // Save last run state to session
       if (currentSession?.sessionId) {
@@ -842,7 +910,7 @@ const CodeEditor = ({
         success: false,
         status: 'Execution Failed',
         passed_count: 0,
-        total_count: question.sample_test_cases.length,
+        total_count: testCases.length,
         error_message: error.response?.data?.detail || error.message || 'Unknown error occurred. Please check your code and try again.'
       });
     } finally {
@@ -877,6 +945,7 @@ const CodeEditor = ({
 
     setIsRunning(true);
     setSubmissionResult(null);
+    setCodeAnalysis(null);
     setActiveTab('result');
     
     try {
@@ -902,15 +971,28 @@ const CodeEditor = ({
       
       // Set the result for the new component
       setSubmissionResult(result);
+      onExecutionResult?.('submit', result);
+      if (result?.success) {
+        recordReviewAttempt();
+      } else {
+        failedRunsRef.current += 1;
+      }
+      behaviorTracker.recordReplayMarker('submit', {
+        status: result?.status,
+        passed: result?.passed_count,
+        total: result?.total_count
+      });
       
       // Save code snapshot on Submit action
       if (currentSession && trackCodeChange) {
         try {
           await trackCodeChange(code, language);
+          markSynced(code);
         } catch (error) {
           console.warn('Failed to save code snapshot:', error);
         }
       }
+      await saveCodeSnapshot(code, { trigger: 'submit', result: summarizeResult(result) });
       
       // Track submission event
       if (currentSession) {
@@ -924,8 +1006,8 @@ const CodeEditor = ({
         }
       }
 
-      // Show success modal if submission is accepted
-      if (result.success) {
+      // Show success modal if submission is accepted - interviews continue with follow-up questions
+      if (result.success && !interviewMode) {
         setSuccessModalData({
           questionTitle: question.title,
           runtime: result.runtime_ms,
@@ -956,11 +1038,46 @@ const CodeEditor = ({
   };
 
   const handleReset = () => {
-    setCode(getLanguageTemplate(language, question));
+    const template = getLanguageTemplate(language, question);
+    setCode(template);
+    recordEdit(template);
     setOutput('');
     setSubmissionResult(null);
   };
 
+  // Restore an older snapshot into the editor and record it as a new snapshot
+  const handleRestoreSnapshot = async (snapshot) => {
+    if (!snapshot?.code) return;
+
+    const snapshotLanguage = snapshot.language || language;
+    if (snapshotLanguage !== language && onLanguageChange) {
+      // Switching language re-initializes the editor, which then picks up the snapshot
+      pendingRestoreRef.current = { code: snapshot.code, language: snapshotLanguage };
+      onLanguageChange(snapshotLanguage);
+    } else {
+      setCode(snapshot.code);
+    }
+    recordEdit(snapshot.code, snapshotLanguage);
+    if (onCodeChange) {
+      onCodeChange(snapshot.code);
+    }
+    await saveCodeSnapshot(snapshot.code, {
+      trigger: 'restore',
+      restored_from: snapshot.timestamp,
+      language: snapshotLanguage
+    });
+    setActiveTab('code');
+    console.log('⏪ Restored code snapshot from', snapshot.timestamp);
+  };
+
+  const handleResolveDraftConflict = async (resolvedCode) => {
+    setCode(resolvedCode);
+    if (onCodeChange) {
+      onCodeChange(resolvedCode);
+    }
+    await resolveConflict(resolvedCode);
+  };
+
   const handleContinueCoding = () => {
     setShowSuccessModal(false);
     setSuccessModalData(null);
@@ -984,15 +1101,15 @@ const CodeEditor = ({
     }
     
     // Navigate back to appropriate page
-    const roadmapId = question?.course || location.pathname.match(/\/challenge\/([^\/]+)\//)?.[1];
-    if (roadmapId) {
-      navigate(`/roadmap/${roadmapId}`);
+    const backRoadmapId = question?.course || roadmapId || location.pathname.match(/\/challenge\/([^\/]+)\//)?.[1];
+    if (backRoadmapId) {
+      navigate(`/roadmap/${backRoadmapId}`);
     } else {
       navigate('/dashboard');
     }
   };
 
-  const handleRunSingleTest = async (testCase, index) => {
+  const handleRunSingleTest = async (testCase, index, label) => {
     if (!code.trim()) {
       setSubmissionResult({
         success: false,
@@ -1021,7 +1138,8 @@ const CodeEditor = ({
       };
 
       const result = await runCodeHook.execute(runData);
-      setSubmissionResult(result);
+      setSubmissionResult(labelTestResults(result, [{ label, custom: Boolean(testCase.custom) }]));
+      onExecutionResult?.('run', result);
     } catch (error) {
       console.error('Test execution failed:', error);
       setSubmissionResult({
@@ -1036,29 +1154,41 @@ const CodeEditor = ({
     }
   };
 
-  const handleAddCustomTestCase = () => {
-    setCustomTestCases([
-      ...customTestCases,
-      { input: '', expected_output: '', custom: true }
-    ]);
+  const handleExportCustomTests = () => {
+    const blob = new Blob([buildTestCaseExport(question, customTestCases)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${question?.id || 'question'}-custom-tests.json`;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
-  const handleUpdateCustomTestCase = (index, field, value) => {
-    const updated = [...customTestCases];
-    updated[index][field] = value;
-    setCustomTestCases(updated);
-  };
+  const handleImportCustomTests = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
 
-  const handleRemoveCustomTestCase = (index) => {
-    setCustomTestCases(customTestCases.filter((_, i) => i !== index));
+    try {
+      const imported = parseTestCaseImport(await file.text());
+      const skipped = importCustomTestCases(imported);
+      setTestImportError(skipped > 0
+        ? `Imported ${imported.length - skipped} of ${imported.length} test cases - the limit is ${MAX_CUSTOM_TESTS} per question.`
+        : null);
+      console.log('📥 Imported custom test cases:', imported.length - skipped);
+    } catch (error) {
+      setTestImportError(`Import failed: ${error.message}`);
+    }
   };
 
   const tabs = [
     { id: 'code', label: 'Code' },
     { id: 'testcases', label: 'Test Cases' },
+    { id: 'stress', label: 'Stress Test' },
     { id: 'result', label: 'Result' },
-    { id: 'submissions', label: 'Submissions' }
-  ];
+    { id: 'submissions', label: 'Submissions' },
+    { id: 'history', label: 'History' }
+  ].filter(tab => !(interviewMode && tab.id === 'stress')); // the reference can be drafted by the assistant
 
   // Toggle minimap
   const toggleMinimap = () => {
@@ -1212,6 +1342,11 @@ const CodeEditor = ({
             >
               Reset
             </button>
+            {DRAFT_STATUS[syncStatus] && (
+              <span className={`text-xs ${DRAFT_STATUS[syncStatus].className}`}>
+                {DRAFT_STATUS[syncStatus].label}
+              </span>
+            )}
           </div>
 
           <div className="flex items-center space-x-2">
@@ -1241,13 +1376,13 @@ const CodeEditor = ({
 
       {/* Tab Navigation */}
       <div className="border-b border-zinc-700">
-        <div className="flex">
+        <div className="flex overflow-x-auto">
           {tabs.map(tab => (
             <button
               key={tab.id}
               onClick={() => setActiveTab(tab.id)}
               className={`
-                px-4 py-3 text-sm font-medium transition-colors duration-200
+                px-4 py-3 text-sm font-medium whitespace-nowrap transition-colors duration-200
                 border-b-2 focus:outline-none
                 ${activeTab === tab.id
                   ? 'text-blue-400 border-blue-400 bg-zinc-800/50'
@@ -1275,13 +1410,10 @@ const CodeEditor = ({
                 onChange={handleEditorChange}
                 onMount={handleEditorDidMount}
                 options={{
-                  minimap: { enabled: true },
-                  fontSize: 14,
+                  ...preferenceOptions,
                   fontFamily: 'JetBrains Mono, Monaco, Menlo, "Ubuntu Mono", monospace',
                   lineHeight: 20,
                   scrollBeyondLastLine: false,
-                  wordWrap: 'on',
-                  lineNumbers: 'on',
                   renderWhitespace: 'boundary',
                   automaticLayout: true,
                   suggestOnTriggerCharacters: true,
@@ -1321,8 +1453,18 @@ const CodeEditor = ({
                   </div>
                 }
               />
+              {inlineAnswerNode && createPortal(
+                <InlineAIAnswer answer={inlineAnswer} onDismiss={dismissInlineAnswer} />,
+                inlineAnswerNode
+              )}
             </div>
 
+            {/* Code analysis suggestions */}
+            <AnalysisProblemsPanel
+              suggestions={analysisSuggestions}
+              onNavigateToLine={navigateToLine}
+            />
+
             {/* Output Area */}
             {output && (
               <div className="border-t border-zinc-700 p-4 bg-zinc-800/50">
@@ -1337,7 +1479,42 @@ const CodeEditor = ({
 
         {activeTab === 'testcases' && (
           <div className="flex-1 p-4 overflow-y-auto">
-            <h4 className="text-zinc-100 font-medium mb-4">Test Cases</h4>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="text-zinc-100 font-medium">Test Cases</h4>
+              <div className="flex items-center space-x-2">
+                <input
+                  ref={testImportInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportCustomTests}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => testImportInputRef.current?.click()}
+                  className="text-xs text-zinc-400 hover:text-zinc-200 px-2 py-1 rounded border border-zinc-700 hover:border-zinc-600 transition-colors duration-200"
+                >
+                  Import JSON
+                </button>
+                <button
+                  onClick={handleExportCustomTests}
+                  disabled={customTestCases.length === 0}
+                  className="text-xs text-zinc-400 hover:text-zinc-200 px-2 py-1 rounded border border-zinc-700 hover:border-zinc-600 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Export JSON
+                </button>
+              </div>
+            </div>
+            {testImportError && (
+              <div className="mb-4 flex items-start justify-between text-xs text-red-300 bg-red-900/20 border border-red-700/50 rounded p-2">
+                <span>{testImportError}</span>
+                <button onClick={() => setTestImportError(null)} className="ml-2 text-red-400 hover:text-red-200">
+                  Dismiss
+                </button>
+              </div>
+            )}
+            <p className="text-xs text-zinc-500 mb-4">
+              Run executes the sample tests together with custom tests that have an expected output. Custom tests are saved for this question.
+            </p>
             <div className="space-y-4">
               {/* Sample Test Cases */}
               {(question?.sample_test_cases || question?.examples || []).map((example, index) => (
@@ -1348,7 +1525,7 @@ const CodeEditor = ({
                       {example.example_number && <span className="text-xs text-zinc-400 ml-2">(Example {example.example_number})</span>}
                     </h5>
                     <LoadingButton
-                      onClick={() => handleRunSingleTest(example, index)}
+                      onClick={() => handleRunSingleTest(example, index, `Test Case ${index + 1}`)}
                       isLoading={runningTestIndex === index}
                       loadingText="Running..."
                       variant="ghost"
@@ -1386,14 +1563,14 @@ const CodeEditor = ({
               
               {/* Custom Test Cases */}
               {customTestCases.map((testCase, index) => (
-                <div key={`custom-${index}`} className="bg-zinc-800/50 rounded-lg p-4 border border-blue-700/50">
+                <div key={testCase.id} className="bg-zinc-800/50 rounded-lg p-4 border border-blue-700/50">
                   <div className="flex items-center justify-between mb-3">
                     <h5 className="text-zinc-100 font-medium">
                       Custom Test Case {index + 1}
                     </h5>
                     <div className="flex items-center space-x-2">
                       <LoadingButton
-                        onClick={() => handleRunSingleTest(testCase, (question?.sample_test_cases?.length || 0) + index)}
+                        onClick={() => handleRunSingleTest(testCase, (question?.sample_test_cases?.length || 0) + index, `Custom Test Case ${index + 1}`)}
                         isLoading={runningTestIndex === ((question?.sample_test_cases?.length || 0) + index)}
                         loadingText="Running..."
                         variant="ghost"
@@ -1454,12 +1631,24 @@ const CodeEditor = ({
         )}
 
 
+        {activeTab === 'stress' && (
+          <StressTestPanel
+            stress={stressTest}
+            language={language}
+            editorTheme={editorTheme}
+            hasCode={Boolean(code.trim())}
+            onSaveAsTest={(testCase) => importCustomTestCases([testCase])}
+          />
+        )}
+
         {activeTab === 'result' && (
           <div className="flex-1 overflow-hidden">
             <SubmissionResult 
               result={submissionResult} 
               isRunning={isRunning || runningTestIndex !== null}
               questionId={question?.id}
+              onAnalysisReady={setCodeAnalysis}
+              onNavigateToLine={navigateToLine}
             />
               </div>
             )}
@@ -1469,6 +1658,19 @@ const CodeEditor = ({
             <SubmissionHistory questionKey={question?.id} />
           </div>
         )}
+
+        {activeTab === 'history' && (
+          <div className="flex-1 overflow-hidden">
+            <CodeHistoryPanel
+              sessionId={currentSession?.sessionId}
+              questionId={question?.id != null ? String(question.id) : null}
+              language={language}
+              currentCode={code}
+              refreshKey={historyRefreshKey}
+              onRestore={handleRestoreSnapshot}
+            />
+          </div>
+        )}
       </div>
 
       {/* Behavior Feedback Component - Development Only */}
@@ -1503,6 +1705,12 @@ const CodeEditor = ({
         memoryKb={successModalData?.memoryKb}
         memoryPercentile={successModalData?.memoryPercentile}
       />
+
+      {/* Local draft vs server copy merge */}
+      <DraftConflictModal
+        conflict={draftConflict}
+        onResolve={handleResolveDraftConflict}
+      />
     </div>
   );
 };
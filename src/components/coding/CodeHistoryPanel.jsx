@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import sessionAPI from '../../services/sessionAPI';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const CURRENT = 'current';
+
+const TRIGGER_LABELS = {
+  run: 'Run',
+  submit: 'Submit',
+  restore: 'Restore'
+};
+
+const getResultColor = (result) => {
+  if (!result?.status) return 'text-zinc-400 bg-zinc-500/10 border-zinc-500/30';
+  if (result.status === 'Accepted' || (result.total_count > 0 && result.passed_count === result.total_count)) {
+    return 'text-green-400 bg-green-500/10 border-green-500/30';
+  }
+  if (result.status === 'Wrong Answer') return 'text-amber-400 bg-amber-500/10 border-amber-500/30';
+  return 'text-red-400 bg-red-500/10 border-red-500/30';
+};
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return 'Unknown time';
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+};
+
+/**
+ * CodeHistoryPanel - Timeline of session code snapshots with a diff view and restore
+ * Any two snapshots (or a snapshot and the current editor contents) can be compared.
+ * Only the current question's snapshots are listed; restoring one switches to its language.
+ */
+const CodeHistoryPanel = ({
+  sessionId,
+  questionId = null,
+  language,
+  currentCode,
+  refreshKey = 0,
+  onRestore
+}) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [baseSelection, setBaseSelection] = useState(0);
+  const [compareSelection, setCompareSelection] = useState(CURRENT);
+  const [restoringIndex, setRestoringIndex] = useState(null);
+
+  useEffect(() => {
+    const loadSnapshots = async () => {
+      if (!sessionId) return;
+
+      setIsLoading(true);
+      setError(null);
+      try {
+        const result = await sessionAPI.getCodeSnapshots(sessionId, questionId);
+        setSnapshots(result);
+        setBaseSelection(0);
+        setCompareSelection(CURRENT);
+      } catch (err) {
+        setError(err.message || 'Failed to load code history');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSnapshots();
+  }, [sessionId, questionId, refreshKey]);
+
+  const getCode = (selection) =>
+    selection === CURRENT ? currentCode : snapshots[selection]?.code || '';
+
+  const getSelectionLabel = (selection) => {
+    if (selection === CURRENT) return 'Current editor';
+    const snapshot = snapshots[selection];
+    const trigger = TRIGGER_LABELS[snapshot?.trigger];
+    return `#${snapshots.length - selection} ${trigger ? `${trigger} · ` : ''}${formatTimestamp(snapshot?.timestamp)}`;
+  };
+
+  const handleRestore = async (index) => {
+    setRestoringIndex(index);
+    try {
+      await onRestore(snapshots[index]);
+    } finally {
+      setRestoringIndex(null);
+    }
+  };
+
+  if (!sessionId) {
+    return (
+      <div className="h-full flex items-center justify-center bg-zinc-900 p-6">
+        <p className="text-zinc-500 text-sm">Code history is available during a coding session</p>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="h-full flex items-center justify-center bg-zinc-900">
+        <LoadingSpinner size="md" variant="accent" text="Loading history..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="h-full flex items-center justify-center bg-zinc-900 p-6">
+        <p className="text-red-400 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (snapshots.length === 0) {
+    return (
+      <div className="h-full flex items-center justify-center bg-zinc-900 p-6">
+        <div className="text-center max-w-sm">
+          <h3 className="text-zinc-400 font-medium mb-1">No Snapshots Yet</h3>
+          <p className="text-zinc-500 text-sm">A snapshot is saved every time you run or submit your code</p>
+        </div>
+      </div>
+    );
+  }
+
+  const selectionOptions = [CURRENT, ...snapshots.map((_, index) => index)];
+
+  return (
+    <div className="h-full flex bg-zinc-900">
+      {/* Timeline */}
+      <div className="w-72 border-r border-zinc-700 overflow-y-auto p-3 space-y-2">
+        <div className="px-1 pb-2">
+          <h3 className="text-sm font-semibold text-zinc-300">Code History</h3>
+          <p className="text-xs text-zinc-500 mt-1">{snapshots.length} snapshot{snapshots.length !== 1 ? 's' : ''}</p>
+        </div>
+
+        {snapshots.map((snapshot, index) => (
+          <div
+            key={`${snapshot.timestamp}-${index}`}
+            onClick={() => setBaseSelection(index)}
+            className={`
+              rounded-lg border p-3 cursor-pointer transition-colors
+              ${baseSelection === index
+                ? 'bg-zinc-800 border-blue-500/60'
+                : 'bg-zinc-800/50 border-zinc-700 hover:border-zinc-600'
+              }
+            `}
+          >
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs font-medium text-zinc-300">
+                #{snapshots.length - index} {TRIGGER_LABELS[snapshot.trigger] || 'Snapshot'}
+              </span>
+              <span className="text-xs text-zinc-500">{formatTimestamp(snapshot.timestamp)}</span>
+            </div>
+
+            {snapshot.result && (
+              <span className={`inline-block text-xs px-2 py-0.5 rounded border font-medium ${getResultColor(snapshot.result)}`}>
+                {snapshot.result.status}
+                {snapshot.result.total_count > 0 && ` · ${snapshot.result.passed_count}/${snapshot.result.total_count}`}
+              </span>
+            )}
+
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-xs text-zinc-500 font-mono">
+                {snapshot.code?.split('\n').length || 0} lines
+                {snapshot.language && snapshot.language !== language && (
+                  <span className="ml-2 text-amber-400" title="Restoring switches the editor to this language">
+                    {snapshot.language}
+                  </span>
+                )}
+              </span>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRestore(index);
+                }}
+                disabled={restoringIndex !== null}
+                className="text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50"
+              >
+                {restoringIndex === index ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Diff View */}
+      <div className="flex-1 flex flex-col min-w-0">
+        <div className="flex items-center gap-2 p-3 border-b border-zinc-700 text-xs text-zinc-400">
+          <select
+            value={baseSelection}
+            onChange={(e) => setBaseSelection(e.target.value === CURRENT ? CURRENT : Number(e.target.value))}
+            className="bg-zinc-800 border border-zinc-600 rounded px-2 py-1 text-zinc-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {selectionOptions.map(option => (
+              <option key={option} value={option}>{getSelectionLabel(option)}</option>
+            ))}
+          </select>
+          <span>→</span>
+          <select
+            value={compareSelection}
+            onChange={(e) => setCompareSelection(e.target.value === CURRENT ? CURRENT : Number(e.target.value))}
+            className="bg-zinc-800 border border-zinc-600 rounded px-2 py-1 text-zinc-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {selectionOptions.map(option => (
+              <option key={option} value={option}>{getSelectionLabel(option)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-h-0">
+          <DiffEditor
+            height="100%"
+            language={language}
+            original={getCode(baseSelection)}
+            modified={getCode(compareSelection)}
+            theme="intellit-dark"
+            options={{
+              readOnly: true,
+              renderSideBySide: true,
+              minimap: { enabled: false },
+              fontSize: 13,
+              fontFamily: 'JetBrains Mono, Monaco, Menlo, "Ubuntu Mono", monospace',
+              scrollBeyondLastLine: false,
+              automaticLayout: true
+            }}
+            loading={
+              <div className="flex items-center justify-center h-full bg-zinc-800">
+                <LoadingSpinner size="lg" variant="accent" text="Loading diff..." />
+              </div>
+            }
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeHistoryPanel;
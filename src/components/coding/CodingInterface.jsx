@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import screenfull from 'screenfull';
 import QuestionPanel from './QuestionPanel';
 import CodeEditor from './CodeEditor';
@@ -9,11 +9,28 @@ import AIAssistantOrb from '../ui/AIAssistantOrb';
 import FullscreenExitModal from './FullscreenExitModal';
 import SessionNavbarCounter from '../session/SessionNavbarCounter';
 import SessionRecoveryModal from '../session/SessionRecoveryModal';
+import MockInterviewBar from './MockInterviewBar';
+import MockInterviewScorecard from './MockInterviewScorecard';
+import NotificationContainer from '../NotificationContainer';
 import { sampleQuestions } from '../../data/codingQuestions';
 import useSession from '../../hooks/useSession';
+import useMockInterview from '../../hooks/useMockInterview';
+import useAchievements from '../../hooks/useAchievements';
+import useNotification from '../../hooks/useNotification';
 import { SESSION_TYPES } from '../../constants/sessionConstants';
+import { INTERVIEW_DURATION_MINUTES, HINT_POLICIES } from '../../constants/mockInterview';
 import sessionAPI from '../../services/sessionAPI';
-import { requestOrchestratedHint, sendChatMessage, getChatHistory } from '../../services/aiAssistantAPI';
+import achievementsAPI from '../../services/achievementsAPI';
+import { getUnlockMessage } from '../../utils/achievementEngine';
+import { streamOrchestratedHint, streamChatMessage, getChatHistory } from '../../services/aiAssistantAPI';
+import { behaviorTracker } from '../../services/behaviorTracking';
+import { selectDefaultProgrammingLanguage } from '../../store/userSlice';
+import {
+  PROGRAMMING_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getLanguageLabel
+} from '../../constants/languages';
 
 /**
  * CodingInterface - LeetCode-like coding interface
@@ -22,7 +39,8 @@ import { requestOrchestratedHint, sendChatMessage, getChatHistory } from '../../
 const CodingInterface = ({ 
   questionId: initialQuestionId = null, 
   roadmapQuestion = null, 
-  roadmapId = null 
+  roadmapId = null,
+  libraryProblem = null // Problem opened from the /problems library
 }) => {
   const location = useLocation();
   const navigate = useNavigate();
@@ -34,13 +52,18 @@ const CodingInterface = ({
   // Determine initial question ID based on route state or prop
   const getInitialQuestionId = () => {
     if (roadmapQuestion) return roadmapQuestion.key || roadmapQuestion._key;
+    if (libraryProblem) return libraryProblem.id ?? libraryProblem.key;
     if (specificProblemId) return specificProblemId;
     if (initialQuestionId) return initialQuestionId;
     return sampleQuestions.length > 0 ? sampleQuestions[0].id : null;
   };
   
+  const defaultLanguage = useSelector(selectDefaultProgrammingLanguage);
+  
   const [selectedQuestionId, setSelectedQuestionId] = useState(getInitialQuestionId());
-  const [language, setLanguage] = useState('python');
+  const [language, setLanguage] = useState(
+    isSupportedLanguage(defaultLanguage) ? defaultLanguage : DEFAULT_LANGUAGE
+  );
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [showExitModal, setShowExitModal] = useState(false);
   const [showSessionMenu, setShowSessionMenu] = useState(false);
@@ -56,6 +79,7 @@ const CodingInterface = ({
   const [showRecoveryModal, setShowRecoveryModal] = useState(false);
   const [recoverySessionData, setRecoverySessionData] = useState(null);
   const [isRecovering, setIsRecovering] = useState(false);
+  const [showScorecard, setShowScorecard] = useState(false);
   
   // AI Assistant state
   const [chatMessages, setChatMessages] = useState([]);
@@ -63,6 +87,7 @@ const CodingInterface = ({
   const [isLoadingHint, setIsLoadingHint] = useState(false);
   const [isLoadingChat, setIsLoadingChat] = useState(false);
   const questionPanelRef = useRef(null);
+  const streamControllerRef = useRef(null);
   
   // Session management
   const {
@@ -75,6 +100,9 @@ const CodingInterface = ({
     addEvent,
     setSession,
   } = useSession();
+
+  // Recovered sessions arrive without route state - their type still says interview
+  const isMockInterview = challengeType === 'mock_interview' || currentSession?.sessionType === SESSION_TYPES.MOCK_INTERVIEW;
   
   // Refs for cleanup and timing
   const retryTimeoutRef = useRef(null);
@@ -135,10 +163,54 @@ const CodingInterface = ({
     };
   };
 
-  const selectedQuestion = roadmapQuestion 
-    ? convertRoadmapQuestion(roadmapQuestion)
+  const selectedQuestion = roadmapQuestion || libraryProblem
+    ? convertRoadmapQuestion(roadmapQuestion || libraryProblem)
     : sampleQuestions.find(q => q.id === selectedQuestionId);
 
+  // Mock interview: timer, staged problem, interviewer turns in the chat and the scorecard
+  const interview = useMockInterview({
+    enabled: isMockInterview,
+    session: currentSession,
+    question: selectedQuestion,
+    language,
+    code: currentCode,
+    hintPolicy: sessionConfig?.interview?.hintPolicy,
+    messages: chatMessages,
+    setMessages: setChatMessages
+  });
+
+  useEffect(() => {
+    if (interview.scorecard) setShowScorecard(true);
+  }, [interview.scorecard]);
+
+  // Hints requested for this question - the latest hint carries the backend's running count
+  const hintMessages = chatMessages.filter(m => m.hintLevel && !m.streaming);
+  const hintsUsed = hintMessages.slice(-1)[0]?.hintsUsed || 0;
+
+  // Badge unlocks after accepted submissions
+  const { notifications, removeNotification, showSuccess } = useNotification();
+  const { checkAchievements } = useAchievements({
+    onUnlock: (achievement) => showSuccess(getUnlockMessage(achievement))
+  });
+
+  const { recordExecution } = interview;
+  const handleExecutionResult = useCallback(async (kind, result) => {
+    if (isMockInterview) {
+      recordExecution(kind, result);
+    }
+    if (kind !== 'submit' || !result?.success) return;
+
+    await checkAchievements({
+      submission: {
+        accepted: true,
+        hintsUsed: Math.max(hintsUsed, hintMessages.length),
+        runtimePercentile: result.runtime_percentile
+      }
+    });
+    // Solved count, streak and roadmap progress reflect this solve once the backend has recorded it
+    checkAchievements(await achievementsAPI.getProgressContext(roadmapId));
+  }, [isMockInterview, recordExecution, checkAchievements, hintsUsed, hintMessages.length, roadmapId]);
+
   // Helper to check if fullscreen is enabled for the session
   const isFullscreenEnabled = useCallback(() => {
     // Show fullscreen exit modal for any active session, not just explicitly configured ones
@@ -271,7 +343,9 @@ const CodingInterface = ({
       console.log('🚀 Creating NEW session for:', selectedQuestion.title, 'ID:', selectedQuestion.id);
       
       try {
-        const sessionType = roadmapQuestion ? SESSION_TYPES.ROADMAP_CHALLENGE :
+        const sessionType = challengeType === 'review' ? SESSION_TYPES.REVIEW :
+          isMockInterview ? SESSION_TYPES.MOCK_INTERVIEW :
+          roadmapQuestion ? SESSION_TYPES.ROADMAP_CHALLENGE :
           challengeType === 'daily' ? SESSION_TYPES.DAILY_CHALLENGE : SESSION_TYPES.PRACTICE;
 
         const sessionPayload = {
@@ -283,7 +357,7 @@ const CodingInterface = ({
           language: String(language),
           enableBehaviorTracking: false,
           enableFullscreen: Boolean(sessionConfig?.fullscreenActivated),
-          timeCommitment: sessionConfig?.timeCommitment || '30min',
+          timeCommitment: isMockInterview ? `${INTERVIEW_DURATION_MINUTES}min` : (sessionConfig?.timeCommitment || '30min'),
           userAgreements: sessionConfig?.userAgreements || {},
         };
         
@@ -395,11 +469,31 @@ const CodingInterface = ({
   };
 
   // AI Assistant Handlers
+  // Patch a single chat message in place (used while a reply streams in)
+  const updateChatMessage = (messageId, changes) => {
+    setChatMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, ...changes } : msg)));
+  };
+
+  const removeChatMessage = (messageId) => {
+    setChatMessages(prev => prev.filter(msg => msg.id !== messageId));
+  };
+
+  // Abort the reply that is currently streaming, keeping the text received so far
+  const handleStopGeneration = () => {
+    streamControllerRef.current?.abort();
+    interview.stopInterviewer();
+  };
+
   const handleRequestHint = async (hintLevel) => {
     if (!selectedQuestion) {
       console.warn('⚠️ No selected question for hint request');
       return;
     }
+
+    // Interviews allow hints only when they are penalized, and only while the interview runs
+    if (isMockInterview && (interview.hintPolicy !== HINT_POLICIES.PENALIZED || !interview.isActive)) {
+      return;
+    }
     
     console.log('🔍 DEBUG - handleRequestHint called:', {
       questionId: selectedQuestion.id,
@@ -410,59 +504,74 @@ const CodingInterface = ({
     });
     
     setIsLoadingHint(true);
+    behaviorTracker.recordReplayMarker('hint', { hintLevel });
+    
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    const messageId = Date.now();
+    
+    // Placeholder filled in as tokens arrive
+    setChatMessages(prev => [...prev, {
+      id: messageId,
+      role: 'assistant',
+      content: '',
+      streaming: true,
+      timestamp: new Date().toISOString()
+    }]);
     
     try {
-      const result = await requestOrchestratedHint(
+      const result = await streamOrchestratedHint(
         selectedQuestion.id,
         currentCode,
         hintLevel, // Level doesn't matter - backend auto-increments
-        currentSession?.sessionId
+        currentSession?.sessionId,
+        {
+          signal: controller.signal,
+          onToken: (chunk, text) => updateChatMessage(messageId, { content: text }),
+          onMeta: (meta) => updateChatMessage(messageId, { hintLevel: meta.hint_level })
+        }
       );
       
       console.log('🔍 DEBUG - Hint result received:', {
         success: result.success,
+        aborted: result.aborted,
         hintLength: result.hint?.length || 0,
         hintLevel: result.hint_level,
         hintsUsed: result.hints_used,
         hintsRemaining: result.hints_remaining
       });
       
-      if (result.success) {
-        const newMessage = {
-          id: Date.now(),
-          role: 'assistant',
+      if (result.success && result.hint) {
+        // A stopped stream has no final counts - keep the hintLevel onMeta already set
+        updateChatMessage(messageId, {
           content: result.hint,
-          hintLevel: result.hint_level,
-          hintsUsed: result.hints_used,
-          timestamp: new Date().toISOString()
-        };
-        
-        console.log('🔍 DEBUG - Adding message to chat:', newMessage);
-        
-        setChatMessages(prev => [...prev, newMessage]);
+          ...(result.hint_level !== undefined && { hintLevel: result.hint_level }),
+          ...(result.hints_used !== undefined && { hintsUsed: result.hints_used }),
+          streaming: false,
+          stopped: Boolean(result.aborted),
+          interrupted: Boolean(result.interrupted)
+        });
+      } else if (result.aborted || result.success) {
+        // Stopped before anything arrived
+        removeChatMessage(messageId);
       } else {
         // Show error message
-        const errorMessage = {
-          id: Date.now(),
-          role: 'assistant',
+        updateChatMessage(messageId, {
           content: `❌ ${result.error}`,
-          timestamp: new Date().toISOString()
-        };
-        
-        setChatMessages(prev => [...prev, errorMessage]);
+          hintLevel: undefined,
+          streaming: false
+        });
       }
     } catch (error) {
       console.error('Failed to request hint:', error);
       
-      const errorMessage = {
-        id: Date.now(),
-        role: 'assistant',
+      updateChatMessage(messageId, {
         content: '❌ An unexpected error occurred. Please try again.',
-        timestamp: new Date().toISOString()
-      };
-      
-      setChatMessages(prev => [...prev, errorMessage]);
+        hintLevel: undefined,
+        streaming: false
+      });
     } finally {
+      streamControllerRef.current = null;
       setIsLoadingHint(false);
     }
   };
@@ -477,50 +586,58 @@ const CodingInterface = ({
       content: message,
       timestamp: new Date().toISOString()
     };
+    const replyId = userMessage.id + 1;
     
-    setChatMessages(prev => [...prev, userMessage]);
+    setChatMessages(prev => [...prev, userMessage, {
+      id: replyId,
+      role: 'assistant',
+      content: '',
+      streaming: true,
+      timestamp: new Date().toISOString()
+    }]);
     setIsLoadingChat(true);
     
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    
     try {
-      const result = await sendChatMessage(
+      const result = await streamChatMessage(
         message,
         selectedQuestion?.id,
         currentCode,
         currentSession?.sessionId,
-        chatMessages
+        chatMessages,
+        {
+          signal: controller.signal,
+          onToken: (chunk, text) => updateChatMessage(replyId, { content: text })
+        }
       );
       
-      if (result.success) {
-        const assistantMessage = {
-          id: Date.now() + 1,
-          role: 'assistant',
+      if (result.success && result.message) {
+        updateChatMessage(replyId, {
           content: result.message,
-          timestamp: result.timestamp || new Date().toISOString()
-        };
-        
-        setChatMessages(prev => [...prev, assistantMessage]);
+          timestamp: result.timestamp || new Date().toISOString(),
+          streaming: false,
+          stopped: Boolean(result.aborted),
+          interrupted: Boolean(result.interrupted)
+        });
+      } else if (result.aborted || result.success) {
+        removeChatMessage(replyId);
       } else {
-        const errorMessage = {
-          id: Date.now() + 1,
-          role: 'assistant',
+        updateChatMessage(replyId, {
           content: `❌ ${result.error}`,
-          timestamp: new Date().toISOString()
-        };
-        
-        setChatMessages(prev => [...prev, errorMessage]);
+          streaming: false
+        });
       }
     } catch (error) {
       console.error('Failed to send chat message:', error);
       
-      const errorMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
+      updateChatMessage(replyId, {
         content: '❌ Failed to send message. Please try again.',
-        timestamp: new Date().toISOString()
-      };
-      
-      setChatMessages(prev => [...prev, errorMessage]);
+        streaming: false
+      });
     } finally {
+      streamControllerRef.current = null;
       setIsLoadingChat(false);
     }
   };
@@ -530,8 +647,10 @@ const CodingInterface = ({
     if (questionPanelRef.current?.switchToAssistantTab) {
       questionPanelRef.current.switchToAssistantTab();
     }
-    // Then request a hint
-    handleRequestHint(3);
+    // Then request a hint - in an interview the orb only opens the interviewer chat
+    if (!isMockInterview) {
+      handleRequestHint(3);
+    }
   };
 
   // Calculate next hint level and orb color
@@ -581,6 +700,7 @@ const CodingInterface = ({
               timestamp: msg.timestamp,
               hintLevel: msg.metadata?.hint_level,
               hintsUsed: msg.metadata?.hints_used,
+              interviewer: Boolean(msg.metadata?.interviewer),
               metadata: msg.metadata
             }));
             
@@ -1068,11 +1188,34 @@ const CodingInterface = ({
     // Navigate back to appropriate page
     if (roadmapId) {
       navigate(`/roadmap/${roadmapId}`);
+    } else if (libraryProblem) {
+      navigate('/problems');
     } else {
       navigate('/dashboard');
     }
-  }, [endSession, exitFullscreen, navigate, getCurrentFullscreenState, stopFullscreenEnforcement, roadmapId, sessionStartTime]);
+  }, [endSession, exitFullscreen, navigate, getCurrentFullscreenState, stopFullscreenEnforcement, roadmapId, libraryProblem, sessionStartTime]);
+
+  // Leave a finished mock interview from its scorecard
+  const handleFinishInterview = useCallback(async () => {
+    setShowScorecard(false);
+    setUserTriedToExit(true);
+    stopFullscreenEnforcement();
+
+    if (getCurrentFullscreenState()) {
+      await exitFullscreen();
+    }
+
+    try {
+      await endSession({
+        reason: 'mock_interview_complete',
+        analytics: { interview_score: interview.scorecard?.overall }
+      });
+    } catch (error) {
+      console.error('Failed to end interview session:', error);
+    }
 
+    navigate('/dashboard');
+  }, [endSession, exitFullscreen, navigate, getCurrentFullscreenState, stopFullscreenEnforcement, interview.scorecard]);
 
   // Setup keyboard shortcuts
   useEffect(() => {
@@ -1108,9 +1251,9 @@ const CodingInterface = ({
   const sessionInfo = useMemo(() => ({
     problemTitle: selectedQuestion?.title || 'Coding Challenge',
     timeElapsed: showExitModal ? getFormattedElapsedTime() : '00:00',
-    language: language.charAt(0).toUpperCase() + language.slice(1),
-    challengeType: roadmapQuestion ? 'Roadmap Challenge' : (challengeType || 'Practice')
-  }), [selectedQuestion?.title, showExitModal, getFormattedElapsedTime, language, challengeType, roadmapQuestion]);
+    language: getLanguageLabel(language),
+    challengeType: roadmapQuestion ? 'Roadmap Challenge' : isMockInterview ? 'Mock Interview' : (challengeType || 'Practice')
+  }), [selectedQuestion?.title, showExitModal, getFormattedElapsedTime, language, challengeType, roadmapQuestion, isMockInterview]);
 
 
   // Show loading screen while initializing session or waiting for roadmap question
@@ -1200,8 +1343,10 @@ const CodingInterface = ({
               {/* Tooltip Arrow */}
               <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-b-4 border-transparent border-b-zinc-700"></div>
               <div className="text-center">
-                <div className="font-medium text-blue-400">AI Assistant</div>
-                <div className="text-zinc-300 mt-0.5">Click for hint level {nextHintInfo.level} • View in AI tab</div>
+                <div className="font-medium text-blue-400">{isMockInterview ? 'Interviewer' : 'AI Assistant'}</div>
+                <div className="text-zinc-300 mt-0.5">
+                  {isMockInterview ? 'Click to open the interview chat' : `Click for hint level ${nextHintInfo.level} • View in AI tab`}
+                </div>
               </div>
             </div>
           </div>
@@ -1220,8 +1365,9 @@ const CodingInterface = ({
                 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
               "
             >
-              <option value="python">Python</option>
-              <option value="java">Java</option>
+              {PROGRAMMING_LANGUAGES.map(lang => (
+                <option key={lang.id} value={lang.id}>{lang.label}</option>
+              ))}
             </select>
           </div>
 
@@ -1253,6 +1399,10 @@ const CodingInterface = ({
         </div>
       </div>
 
+      {isMockInterview && (
+        <MockInterviewBar interview={interview} onShowScorecard={() => setShowScorecard(true)} />
+      )}
+
       {/* Main Content */}
       <div className="flex-1 flex overflow-hidden">
         {/* Question Panel - Left Side */}
@@ -1260,17 +1410,20 @@ const CodingInterface = ({
           <QuestionPanel 
             ref={questionPanelRef}
             question={selectedQuestion}
-            onQuestionChange={roadmapQuestion ? null : handleQuestionChange} // Disable question switching for roadmap challenges
-            availableQuestions={roadmapQuestion ? [] : sampleQuestions} // No question list for roadmap challenges
+            onQuestionChange={roadmapQuestion || libraryProblem || isMockInterview ? null : handleQuestionChange} // Disable question switching for roadmap, library problems and interviews
+            availableQuestions={roadmapQuestion || libraryProblem || isMockInterview ? [] : sampleQuestions} // No question list for roadmap, library problems and interviews
             isRoadmapChallenge={!!roadmapQuestion}
             roadmapId={roadmapId}
             // AI Assistant props
             chatMessages={chatMessages}
-            onSendMessage={handleSendChatMessage}
+            onSendMessage={isMockInterview ? interview.sendCandidateMessage : handleSendChatMessage}
             onRequestHint={handleRequestHint}
             isLoadingHint={isLoadingHint}
-            isLoadingChat={isLoadingChat}
+            isLoadingChat={isMockInterview ? interview.isInterviewerTyping : isLoadingChat}
+            onStopGeneration={handleStopGeneration}
             currentCode={currentCode}
+            sessionId={currentSession?.sessionId}
+            interview={isMockInterview ? interview : null}
           />
         </div>
 
@@ -1282,7 +1435,11 @@ const CodingInterface = ({
             onLanguageChange={handleLanguageChange}
             location={location}
             onCodeChange={setCurrentCode}
-            latestHint={chatMessages.filter(m => m.hintLevel).slice(-1)[0]?.content}
+            latestHint={hintMessages.slice(-1)[0]?.content}
+            hintsUsed={hintsUsed}
+            roadmapId={roadmapId}
+            interviewMode={isMockInterview}
+            onExecutionResult={handleExecutionResult}
           />
         </div>
       </div>
@@ -1295,6 +1452,19 @@ const CodingInterface = ({
         sessionInfo={sessionInfo}
       />
 
+      {/* Mock Interview Scorecard */}
+      {isMockInterview && (
+        <MockInterviewScorecard
+          isVisible={showScorecard}
+          scorecard={interview.scorecard}
+          feedback={interview.feedback}
+          feedbackError={interview.feedbackError}
+          isFeedbackLoading={interview.isFeedbackLoading}
+          onClose={() => setShowScorecard(false)}
+          onFinish={handleFinishInterview}
+        />
+      )}
+
       {/* Session Recovery Modal */}
       <SessionRecoveryModal
         isOpen={showRecoveryModal}
@@ -1304,6 +1474,9 @@ const CodingInterface = ({
         isRecovering={isRecovering}
       />
 
+      {/* Badge unlock toasts */}
+      <NotificationContainer notifications={notifications} onRemoveNotification={removeNotification} />
+
       {/* Debug info - remove in production */}
       {/* {process.env.NODE_ENV === 'development' && (
         <div className="fixed bottom-4 left-4 bg-black/90 text-white text-xs p-3 rounded-lg z-50 max-w-md border border-zinc-600">
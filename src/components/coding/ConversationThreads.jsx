@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  ArrowLeftIcon,
+  MagnifyingGlassIcon,
+  ChatBubbleLeftRightIcon
+} from '@heroicons/react/24/outline';
+import MarkdownContent from './MarkdownContent';
+import PinButton from './PinButton';
+import {
+  getQuestionThreads,
+  getThreadMessages,
+  searchConversations
+} from '../../services/aiAssistantAPI';
+
+const SEARCH_DELAY_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+const formatThreadDate = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Wrap occurrences of the query in <mark>
+const highlightMatches = (text = '', query = '') => {
+  const trimmed = query.trim();
+  if (!trimmed) return text;
+
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.split(new RegExp(`(${escaped})`, 'gi')).map((part, index) => (
+    part.toLowerCase() === trimmed.toLowerCase()
+      ? <mark key={index} className="bg-amber-500/30 text-amber-100 rounded px-0.5">{part}</mark>
+      : part
+  ));
+};
+
+/**
+ * ConversationThreads - Earlier AI conversations for a question, with full-text search
+ * Threads are read-only; `onTogglePin` pins a hint to the Problem tab (current question's threads only).
+ */
+const ConversationThreads = ({
+  questionId,
+  sessionId = null,
+  onClose,
+  onTogglePin,
+  isPinned
+}) => {
+  const [threads, setThreads] = useState([]);
+  const [loadingThreads, setLoadingThreads] = useState(true);
+  const [query, setQuery] = useState('');
+  const [searchAll, setSearchAll] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [openThread, setOpenThread] = useState(null);
+  const openThreadIdRef = useRef(null);  // Late responses for other threads are ignored
+
+  useEffect(() => {
+    if (!questionId) return;
+
+    let cancelled = false;
+    setLoadingThreads(true);
+    getQuestionThreads(questionId).then(result => {
+      if (cancelled) return;
+      setThreads(result.threads);
+      setLoadingThreads(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [questionId]);
+
+  // Debounced full-text search
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      const result = await searchConversations(trimmed, searchAll ? null : questionId);
+      if (!cancelled) {
+        setResults(result.results);
+        setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, searchAll, questionId]);
+
+  const handleOpenThread = async (threadId, fallbackTitle, threadQuestionId = questionId) => {
+    openThreadIdRef.current = threadId;
+    setOpenThread({ threadId, title: fallbackTitle, questionId: threadQuestionId, messages: [], loading: true });
+
+    const result = await getThreadMessages(threadId);
+    if (openThreadIdRef.current !== threadId) return;
+    setOpenThread({
+      threadId,
+      title: result.thread?.title || fallbackTitle,
+      questionTitle: result.thread?.question_title,
+      questionId: result.thread?.question_id ?? threadQuestionId,
+      messages: result.messages,
+      error: result.success ? null : result.error,
+      loading: false
+    });
+  };
+
+  const handleCloseThread = () => {
+    openThreadIdRef.current = null;
+    setOpenThread(null);
+  };
+
+  if (openThread) {
+    // Pins belong to the current question - other questions' threads can't be pinned here
+    const canPin = Boolean(onTogglePin) && String(openThread.questionId ?? questionId) === String(questionId);
+
+    return (
+      <div className="h-full flex flex-col">
+        <div className="flex items-center gap-2 px-6 py-3 border-b border-zinc-800/50">
+          <button
+            onClick={handleCloseThread}
+            className="p-1 text-zinc-400 hover:text-zinc-200 rounded transition-colors"
+            title="Back to conversations"
+          >
+            <ArrowLeftIcon className="w-4 h-4" />
+          </button>
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-zinc-200 truncate">{openThread.title || 'Conversation'}</div>
+            {openThread.questionTitle && (
+              <div className="text-xs text-zinc-500 truncate">{openThread.questionTitle}</div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {openThread.loading && <p className="text-xs text-zinc-500">Loading conversation...</p>}
+          {openThread.error && <p className="text-xs text-red-400">{openThread.error}</p>}
+          {openThread.messages.map((msg, index) => {
+            const hintLevel = msg.metadata?.hint_level;
+            return (
+              <div
+                key={msg.id || index}
+                className={`p-3 rounded-lg border ${msg.role === 'user'
+                  ? 'bg-blue-600/10 border-blue-600/20 ml-12'
+                  : 'bg-zinc-800/50 border-zinc-700/50 mr-12'}`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-xs text-zinc-500">
+                    {msg.role === 'user' ? 'You' : hintLevel ? `Hint #${hintLevel}` : 'AI Assistant'}
+                  </span>
+                  {msg.role === 'assistant' && canPin && (
+                    <PinButton
+                      pinned={isPinned?.(msg.content)}
+                      onClick={() => onTogglePin({ content: msg.content, hintLevel, threadId: openThread.threadId })}
+                    />
+                  )}
+                </div>
+                {msg.role === 'user' ? (
+                  <div className="text-sm text-zinc-200 leading-relaxed whitespace-pre-wrap">{msg.content}</div>
+                ) : (
+                  <MarkdownContent content={msg.content} />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const isSearching = query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="px-6 py-3 border-b border-zinc-800/50 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-medium text-zinc-400 uppercase tracking-wide">Conversations</span>
+          <button
+            onClick={onClose}
+            className="text-xs text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            Back to current chat
+          </button>
+        </div>
+        <div className="relative">
+          <MagnifyingGlassIcon className="w-4 h-4 text-zinc-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search past hints and answers..."
+            className="w-full pl-9 pr-3 py-2 bg-zinc-800/50 text-zinc-100 text-sm rounded-lg border border-zinc-700/50 focus:outline-none focus:border-blue-500/50 placeholder:text-zinc-500"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-xs text-zinc-500 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={searchAll}
+            onChange={(e) => setSearchAll(e.target.checked)}
+            className="rounded border-zinc-600 bg-zinc-800"
+          />
+          Search all questions
+        </label>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-2">
+        {isSearching ? (
+          searching ? (
+            <p className="text-xs text-zinc-500 px-2">Searching...</p>
+          ) : results.length === 0 ? (
+            <p className="text-xs text-zinc-500 px-2">No matches for "{query.trim()}"</p>
+          ) : (
+            results.map((result, index) => (
+              <button
+                key={`${result.thread_id}-${index}`}
+                onClick={() => handleOpenThread(result.thread_id, result.question_title, result.question_id)}
+                className="w-full text-left p-3 rounded-lg bg-zinc-800/40 hover:bg-zinc-800/70 border border-zinc-700/50 transition-colors"
+              >
+                <div className="flex items-center justify-between text-xs text-zinc-500 mb-1">
+                  <span className="truncate">
+                    {searchAll && result.question_title ? `${result.question_title} · ` : ''}
+                    {result.hint_level ? `Hint #${result.hint_level}` : result.role === 'user' ? 'You' : 'AI Assistant'}
+                  </span>
+                  <span className="flex-shrink-0 ml-2">{formatThreadDate(result.timestamp)}</span>
+                </div>
+                <p className="text-sm text-zinc-300 line-clamp-3">{highlightMatches(result.snippet, query)}</p>
+              </button>
+            ))
+          )
+        ) : loadingThreads ? (
+          <p className="text-xs text-zinc-500 px-2">Loading conversations...</p>
+        ) : threads.length === 0 ? (
+          <div className="text-center py-8">
+            <ChatBubbleLeftRightIcon className="w-8 h-8 text-zinc-600 mx-auto mb-2" />
+            <p className="text-xs text-zinc-500">No earlier conversations for this question yet.</p>
+          </div>
+        ) : (
+          threads.map(thread => {
+            const isCurrent = sessionId && thread.session_id === sessionId;
+            return (
+              <button
+                key={thread.thread_id}
+                onClick={() => (isCurrent ? onClose() : handleOpenThread(thread.thread_id, thread.title))}
+                className="w-full text-left p-3 rounded-lg bg-zinc-800/40 hover:bg-zinc-800/70 border border-zinc-700/50 transition-colors"
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-sm font-medium text-zinc-200 truncate">
+                    {thread.title || formatThreadDate(thread.updated_at)}
+                  </span>
+                  {isCurrent ? (
+                    <span className="ml-2 flex-shrink-0 text-[10px] uppercase tracking-wide text-blue-300 bg-blue-500/10 border border-blue-500/30 rounded px-1.5 py-0.5">
+                      Current
+                    </span>
+                  ) : (
+                    <span className="ml-2 flex-shrink-0 text-xs text-zinc-500">{formatThreadDate(thread.updated_at)}</span>
+                  )}
+                </div>
+                {thread.preview && (
+                  <p className="text-xs text-zinc-400 line-clamp-2">{thread.preview}</p>
+                )}
+                <div className="text-xs text-zinc-500 mt-1">
+                  {thread.message_count || 0} messages
+                  {thread.hint_count > 0 && ` · ${thread.hint_count} hint${thread.hint_count !== 1 ? 's' : ''}`}
+                </div>
+              </button>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationThreads;
@@ -0,0 +1,112 @@
+import React, { useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { DiffEditor } from '@monaco-editor/react';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+/**
+ * DraftConflictModal - Side-by-side merge when the local draft and the server copy diverged
+ * Left: server copy (read-only). Right: local draft, editable to hand-merge.
+ */
+const DraftConflictModal = ({
+  conflict,
+  onResolve
+}) => {
+  const diffEditorRef = useRef(null);
+
+  if (!conflict) return null;
+
+  const handleMount = (editor) => {
+    diffEditorRef.current = editor;
+  };
+
+  const handleSaveMerged = () => {
+    const merged = diffEditorRef.current?.getModifiedEditor().getValue();
+    onResolve(merged ?? conflict.localCode);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="fixed inset-0 z-[100] flex items-center justify-center"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        transition={{ duration: 0.2 }}
+      >
+        {/* Backdrop */}
+        <div className="absolute inset-0 bg-black/80 backdrop-blur-sm" />
+
+        {/* Modal Content */}
+        <motion.div
+          className="relative bg-zinc-900 border border-zinc-700 rounded-2xl shadow-2xl w-full max-w-6xl mx-4 flex flex-col overflow-hidden"
+          style={{ height: '80vh' }}
+          initial={{ scale: 0.95, opacity: 0, y: 20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          transition={{ duration: 0.2, ease: 'easeOut' }}
+        >
+          <div className="px-6 py-4 border-b border-zinc-700">
+            <h2 className="text-lg font-semibold text-zinc-100">Your code changed somewhere else</h2>
+            <p className="text-sm text-zinc-400 mt-1">
+              The saved session code was updated (for example in another tab) while you had unsynced edits here.
+              Pick a version, or edit the right side to merge both and save the result.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 px-6 py-2 text-xs font-medium uppercase tracking-wide text-zinc-400 border-b border-zinc-800">
+            <span>Server copy</span>
+            <span>Your local draft (editable)</span>
+          </div>
+
+          <div className="flex-1 min-h-0">
+            <DiffEditor
+              height="100%"
+              language={conflict.language}
+              original={conflict.serverCode}
+              modified={conflict.localCode}
+              theme="intellit-dark"
+              onMount={handleMount}
+              options={{
+                renderSideBySide: true,
+                originalEditable: false,
+                readOnly: false,
+                minimap: { enabled: false },
+                fontSize: 13,
+                fontFamily: 'JetBrains Mono, Monaco, Menlo, "Ubuntu Mono", monospace',
+                scrollBeyondLastLine: false,
+                automaticLayout: true
+              }}
+              loading={
+                <div className="flex items-center justify-center h-full bg-zinc-800">
+                  <LoadingSpinner size="lg" variant="accent" text="Loading diff..." />
+                </div>
+              }
+            />
+          </div>
+
+          <div className="px-6 py-4 border-t border-zinc-700 flex items-center justify-end space-x-3">
+            <button
+              onClick={() => onResolve(conflict.serverCode)}
+              className="px-4 py-2 text-sm text-zinc-300 hover:text-zinc-100 border border-zinc-600 hover:border-zinc-500 rounded-lg transition-colors duration-200"
+            >
+              Use server copy
+            </button>
+            <button
+              onClick={() => onResolve(conflict.localCode)}
+              className="px-4 py-2 text-sm text-zinc-300 hover:text-zinc-100 border border-zinc-600 hover:border-zinc-500 rounded-lg transition-colors duration-200"
+            >
+              Keep my draft
+            </button>
+            <button
+              onClick={handleSaveMerged}
+              className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors duration-200"
+            >
+              Save merged result
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default DraftConflictModal;
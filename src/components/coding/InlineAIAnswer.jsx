@@ -0,0 +1,53 @@
+import React from 'react';
+import { SparklesIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import MarkdownContent from './MarkdownContent';
+
+/**
+ * InlineAIAnswer - Answer to an editor AI action, rendered inside a Monaco view zone
+ */
+const InlineAIAnswer = ({ answer, onDismiss }) => {
+  if (!answer) return null;
+
+  const handleInsertCode = (code) => {
+    window.dispatchEvent(new CustomEvent('editor:insert-code', { detail: { code } }));
+  };
+
+  return (
+    <div className="h-full py-1 pr-6 font-sans">
+      <div className="h-full flex flex-col rounded-lg border border-violet-500/30 bg-zinc-900/95 shadow-lg overflow-hidden">
+        <div className="flex items-center justify-between px-3 py-1.5 border-b border-zinc-800 bg-violet-500/10">
+          <div className="flex items-center gap-1.5 text-xs font-medium text-violet-300">
+            <SparklesIcon className="w-3.5 h-3.5" />
+            <span>{answer.title}</span>
+          </div>
+          <button
+            onClick={onDismiss}
+            className="p-0.5 text-zinc-500 hover:text-zinc-200 rounded transition-colors"
+            title="Close"
+          >
+            <XMarkIcon className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-3 py-2">
+          {answer.status === 'loading' && (
+            <div className="flex items-center gap-2 text-xs text-zinc-400">
+              <div className="w-1.5 h-1.5 bg-violet-400 rounded-full animate-pulse" />
+              <div className="w-1.5 h-1.5 bg-violet-400 rounded-full animate-pulse" style={{ animationDelay: '0.2s' }} />
+              <div className="w-1.5 h-1.5 bg-violet-400 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }} />
+              <span className="ml-1">Thinking...</span>
+            </div>
+          )}
+          {answer.status === 'error' && (
+            <p className="text-xs text-red-400">{answer.content}</p>
+          )}
+          {answer.status === 'done' && (
+            <MarkdownContent content={answer.content} onInsertCode={handleInsertCode} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InlineAIAnswer;
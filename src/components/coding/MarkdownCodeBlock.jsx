@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { loader } from '@monaco-editor/react';
+import { ClipboardDocumentIcon, CheckIcon, ArrowDownOnSquareIcon } from '@heroicons/react/24/outline';
+import { getLanguageLabel } from '../../constants/languages';
+
+const COPY_FEEDBACK_MS = 1500;
+
+/**
+ * MarkdownCodeBlock - Fenced code block colorized by Monaco for its fence language
+ * Offers copy-to-clipboard and, when `onInsert` is given, insert-into-editor.
+ */
+const MarkdownCodeBlock = ({ code, language = 'plaintext', onInsert }) => {
+  const [colorizedHtml, setColorizedHtml] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const monacoPromise = loader.init();
+
+    monacoPromise
+      .then(monaco => monaco.editor.colorize(code, language, { tabSize: 4 }))
+      .then(html => {
+        if (!cancelled) setColorizedHtml(html);
+      })
+      .catch(error => {
+        if (error?.type !== 'cancelation') {
+          console.warn('Failed to colorize code block:', error);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, language]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeoutId = setTimeout(() => setCopied(false), COPY_FEEDBACK_MS);
+    return () => clearTimeout(timeoutId);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.warn('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="my-3 rounded-lg border border-zinc-700/50 bg-zinc-900/70 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1.5 border-b border-zinc-700/50 bg-zinc-800/50">
+        <span className="text-xs text-zinc-400 font-mono">
+          {language === 'plaintext' ? 'text' : getLanguageLabel(language)}
+        </span>
+        <div className="flex items-center gap-1">
+          {onInsert && (
+            <button
+              onClick={() => onInsert(code)}
+              className="flex items-center gap-1 px-2 py-0.5 text-xs text-zinc-400 hover:text-zinc-100 hover:bg-zinc-700/50 rounded transition-colors"
+              title="Insert at the cursor in the editor"
+            >
+              <ArrowDownOnSquareIcon className="w-3.5 h-3.5" />
+              Insert
+            </button>
+          )}
+          <button
+            onClick={handleCopy}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs text-zinc-400 hover:text-zinc-100 hover:bg-zinc-700/50 rounded transition-colors"
+            title="Copy to clipboard"
+          >
+            {copied ? <CheckIcon className="w-3.5 h-3.5 text-green-400" /> : <ClipboardDocumentIcon className="w-3.5 h-3.5" />}
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+
+      <pre className="p-3 overflow-x-auto text-xs leading-relaxed font-mono">
+        {colorizedHtml ? (
+          // Monaco's colorizer escapes the source and only emits its own token spans
+          <code dangerouslySetInnerHTML={{ __html: colorizedHtml }} />
+        ) : (
+          <code className="text-zinc-300">{code}</code>
+        )}
+      </pre>
+    </div>
+  );
+};
+
+export default MarkdownCodeBlock;
@@ -0,0 +1,167 @@
+import React, { useMemo } from 'react';
+import MarkdownCodeBlock from './MarkdownCodeBlock';
+import { parseMarkdown } from '../../utils/markdown';
+
+const HEADING_STYLES = {
+  1: 'text-lg font-semibold text-zinc-100 mt-4 mb-2',
+  2: 'text-base font-semibold text-zinc-100 mt-4 mb-2',
+  3: 'text-sm font-semibold text-zinc-100 mt-3 mb-1',
+  4: 'text-sm font-medium text-zinc-200 mt-3 mb-1',
+  5: 'text-xs font-medium text-zinc-300 uppercase tracking-wide mt-2 mb-1',
+  6: 'text-xs font-medium text-zinc-400 uppercase tracking-wide mt-2 mb-1'
+};
+
+const ALIGN_CLASSES = {
+  left: 'text-left',
+  center: 'text-center',
+  right: 'text-right'
+};
+
+const renderMathSegments = (segments) =>
+  segments.map((segment, index) => {
+    if (segment.script === 'sup') return <sup key={index}>{segment.text}</sup>;
+    if (segment.script === 'sub') return <sub key={index}>{segment.text}</sub>;
+    return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+  });
+
+const renderInline = (nodes = []) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'code':
+        return (
+          <code key={index} className="bg-zinc-700/50 text-blue-300 px-1.5 py-0.5 rounded text-xs font-mono">
+            {node.text}
+          </code>
+        );
+      case 'strong':
+        return <strong key={index} className="font-semibold text-zinc-100">{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'del':
+        return <del key={index} className="text-zinc-500">{renderInline(node.children)}</del>;
+      case 'link':
+        return (
+          <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300 underline">
+            {renderInline(node.children)}
+          </a>
+        );
+      case 'image':
+        return (
+          <img
+            key={index}
+            src={node.src}
+            alt={node.alt}
+            loading="lazy"
+            className="inline-block max-w-full h-auto my-2 rounded border border-zinc-700/50"
+          />
+        );
+      case 'math':
+        return (
+          <span key={index} className="font-serif italic text-zinc-100 whitespace-nowrap">
+            {renderMathSegments(node.segments)}
+          </span>
+        );
+      case 'complexity':
+        return (
+          <span key={index} className="font-serif text-emerald-300 whitespace-nowrap">
+            <span className="italic">{node.symbol}</span>({renderMathSegments(node.segments)})
+          </span>
+        );
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+
+const renderBlocks = (blocks, onInsertCode) =>
+  blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${block.level}`;
+        return <Tag key={index} className={HEADING_STYLES[block.level]}>{renderInline(block.children)}</Tag>;
+      }
+      case 'code':
+        return (
+          <MarkdownCodeBlock
+            key={index}
+            code={block.code}
+            language={block.language}
+            onInsert={onInsertCode}
+          />
+        );
+      case 'list': {
+        const ListTag = block.ordered ? 'ol' : 'ul';
+        return (
+          <ListTag
+            key={index}
+            start={block.ordered ? block.start : undefined}
+            className={`my-2 pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'} marker:text-zinc-500`}
+          >
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>
+                {renderInline(item.children)}
+                {item.blocks.length > 0 && renderBlocks(item.blocks, onInsertCode)}
+              </li>
+            ))}
+          </ListTag>
+        );
+      }
+      case 'blockquote':
+        return (
+          <blockquote key={index} className="my-2 pl-3 border-l-2 border-zinc-600 text-zinc-400">
+            {renderBlocks(block.children, onInsertCode)}
+          </blockquote>
+        );
+      case 'table':
+        return (
+          <div key={index} className="my-3 overflow-x-auto">
+            <table className="min-w-full text-xs border border-zinc-700/50">
+              <thead className="bg-zinc-800/60">
+                <tr>
+                  {block.header.map((cell, cellIndex) => (
+                    <th key={cellIndex} className={`px-3 py-1.5 font-semibold text-zinc-200 border-b border-zinc-700/50 ${ALIGN_CLASSES[block.align[cellIndex]] || 'text-left'}`}>
+                      {renderInline(cell)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className="border-b border-zinc-800/60 last:border-0">
+                    {row.map((cell, cellIndex) => (
+                      <td key={cellIndex} className={`px-3 py-1.5 text-zinc-300 ${ALIGN_CLASSES[block.align[cellIndex]] || 'text-left'}`}>
+                        {renderInline(cell)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'hr':
+        return <hr key={index} className="my-3 border-zinc-700/50" />;
+      case 'paragraph':
+      default:
+        return (
+          <p key={index} className="my-2 first:mt-0 last:mb-0 whitespace-pre-line">
+            {renderInline(block.children)}
+          </p>
+        );
+    }
+  });
+
+/**
+ * MarkdownContent - Renders Markdown (assistant replies, Markdown-authored questions) as React elements (no raw HTML)
+ * Code fences are colorized by Monaco; `onInsertCode` enables "Insert" on code blocks.
+ */
+const MarkdownContent = ({ content = '', onInsertCode, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+
+  return (
+    <div className={`text-sm text-zinc-200 leading-relaxed ${className}`}>
+      {renderBlocks(blocks, onInsertCode)}
+    </div>
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { ClockIcon, CheckCircleIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { HINT_POLICIES, HINT_PENALTY_POINTS } from '../../constants/mockInterview';
+import { formatDuration } from '../../utils/dateUtils';
+
+const getClockColor = (remainingSeconds) => {
+  if (remainingSeconds <= 5 * 60) return 'text-red-400';
+  if (remainingSeconds <= 15 * 60) return 'text-amber-400';
+  return 'text-zinc-100';
+};
+
+/**
+ * MockInterviewBar - Countdown, problem stages and controls of a mock interview
+ * (state lives in useMockInterview)
+ */
+const MockInterviewBar = ({ interview, onShowScorecard }) => {
+  const [confirmingEnd, setConfirmingEnd] = useState(false);
+  const isOver = Boolean(interview.scorecard);
+
+  return (
+    <div className="bg-zinc-900 border-b border-zinc-700 px-6 py-2 flex items-center gap-6 text-sm">
+      {/* Countdown */}
+      <div className="flex items-center gap-2">
+        <ClockIcon className="w-4 h-4 text-zinc-400" />
+        <span className={`font-mono font-semibold ${isOver ? 'text-zinc-500' : getClockColor(interview.remainingSeconds)}`}>
+          {formatDuration(interview.remainingSeconds)}
+        </span>
+        <span className="text-xs text-zinc-500">left</span>
+      </div>
+
+      {/* Problem stages */}
+      <div className="flex items-center gap-2">
+        {interview.stages.map(stage => (
+          <span
+            key={stage.id}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${
+              stage.revealed
+                ? 'text-green-300 bg-green-500/10 border-green-500/30'
+                : 'text-zinc-500 bg-zinc-800 border-zinc-700'
+            }`}
+          >
+            {stage.revealed ? <CheckCircleIcon className="w-3.5 h-3.5" /> : <LockClosedIcon className="w-3.5 h-3.5" />}
+            {stage.label}
+          </span>
+        ))}
+        {interview.nextStage && (
+          <button
+            onClick={interview.revealNextStage}
+            className="text-xs text-blue-400 hover:text-blue-300"
+          >
+            {interview.nextStage.askLabel}
+          </button>
+        )}
+      </div>
+
+      <span className="text-xs text-zinc-500">
+        {interview.hintPolicy === HINT_POLICIES.PENALIZED
+          ? `Hints cost ${HINT_PENALTY_POINTS} points each`
+          : 'Hints disabled'}
+      </span>
+
+      {/* Controls */}
+      <div className="ml-auto flex items-center gap-2">
+        {isOver ? (
+          <button
+            onClick={onShowScorecard}
+            className="px-3 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors duration-200"
+          >
+            View scorecard
+          </button>
+        ) : confirmingEnd ? (
+          <>
+            <span className="text-xs text-zinc-400">End the interview now?</span>
+            <button
+              onClick={() => {
+                setConfirmingEnd(false);
+                interview.endInterview('ended');
+              }}
+              className="px-3 py-1 text-xs font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors duration-200"
+            >
+              End
+            </button>
+            <button
+              onClick={() => setConfirmingEnd(false)}
+              className="px-3 py-1 text-xs text-zinc-300 hover:text-zinc-100"
+            >
+              Keep going
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setConfirmingEnd(true)}
+            disabled={interview.isEnding || !interview.isActive}
+            className="px-3 py-1 text-xs font-medium text-zinc-200 bg-zinc-700 hover:bg-zinc-600 rounded-lg transition-colors duration-200 disabled:opacity-50"
+          >
+            {interview.isEnding ? 'Scoring...' : 'End interview'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MockInterviewBar;
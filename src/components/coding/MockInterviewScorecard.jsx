@@ -0,0 +1,149 @@
+import React, { useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { LoadingButton } from '../ui/InlineLoading';
+import { formatDuration } from '../../utils/dateUtils';
+
+const getScoreColor = (score) => {
+  if (score >= 80) return { text: 'text-green-400', bar: 'bg-green-500' };
+  if (score >= 60) return { text: 'text-amber-400', bar: 'bg-amber-500' };
+  return { text: 'text-red-400', bar: 'bg-red-500' };
+};
+
+/**
+ * MockInterviewScorecard - End-of-interview scorecard with per-category scores
+ * and the interviewer's written feedback
+ */
+const MockInterviewScorecard = ({
+  isVisible,
+  scorecard,
+  feedback,
+  feedbackError,
+  isFeedbackLoading,
+  onClose,
+  onFinish
+}) => {
+  useEffect(() => {
+    const handleEsc = (e) => {
+      if (e.key === 'Escape' && isVisible) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEsc);
+    return () => window.removeEventListener('keydown', handleEsc);
+  }, [isVisible, onClose]);
+
+  if (!isVisible || !scorecard) return null;
+
+  const overallColor = getScoreColor(scorecard.overall);
+  const { stats } = scorecard;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="fixed inset-0 z-[100] flex items-center justify-center"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div className="absolute inset-0 bg-black/80 backdrop-blur-sm" onClick={onClose} />
+
+        <motion.div
+          className="relative bg-zinc-900 border border-zinc-700 rounded-2xl shadow-2xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+          initial={{ scale: 0.9, opacity: 0, y: 20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.9, opacity: 0, y: 20 }}
+          transition={{ duration: 0.3, ease: 'easeOut' }}
+        >
+          {/* Header */}
+          <div className="p-6 border-b border-zinc-700/50 flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-medium text-zinc-100">Interview Scorecard</h2>
+              <p className="text-sm text-zinc-400 mt-1">
+                {stats.endReason === 'time_up' ? 'Time ran out' : 'Interview ended'} after {formatDuration(stats.elapsedSeconds)}
+                {' · '}{stats.submissions} submission{stats.submissions === 1 ? '' : 's'}
+                {' · '}{stats.runs} run{stats.runs === 1 ? '' : 's'}
+              </p>
+            </div>
+            <div className="text-right">
+              <div className={`text-4xl font-bold ${overallColor.text}`}>{scorecard.overall}</div>
+              <div className="text-xs text-zinc-400 uppercase tracking-wide mt-1">{scorecard.verdict}</div>
+            </div>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* Categories */}
+            <div className="space-y-4">
+              {scorecard.categories.map(category => {
+                const color = getScoreColor(category.score);
+                return (
+                  <div key={category.id}>
+                    <div className="flex items-center justify-between text-sm mb-1">
+                      <span className="text-zinc-200">
+                        {category.label}
+                        <span className="ml-2 text-xs text-zinc-500">{Math.round(category.weight * 100)}%</span>
+                      </span>
+                      <span className={`font-mono ${color.text}`}>{category.score}</span>
+                    </div>
+                    <div className="h-1.5 bg-zinc-800 rounded-full overflow-hidden">
+                      <div className={`h-full ${color.bar}`} style={{ width: `${category.score}%` }} />
+                    </div>
+                    <p className="text-xs text-zinc-500 mt-1">{category.notes.join(' · ')}</p>
+                  </div>
+                );
+              })}
+            </div>
+
+            {scorecard.hintPenalty > 0 && (
+              <p className="text-xs text-amber-400 bg-amber-500/10 border border-amber-500/30 rounded p-2">
+                {stats.hintsUsed} hint{stats.hintsUsed === 1 ? '' : 's'} used: −{scorecard.hintPenalty} points from the overall score
+              </p>
+            )}
+
+            {/* Interviewer feedback */}
+            <div className="bg-zinc-800/50 rounded-lg border border-zinc-700/50 p-4">
+              <h3 className="text-xs font-semibold text-zinc-400 uppercase tracking-wide mb-2">Interviewer feedback</h3>
+              {isFeedbackLoading ? (
+                <p className="text-sm text-zinc-500 animate-pulse">Writing feedback...</p>
+              ) : feedback ? (
+                <div className="space-y-3 text-sm">
+                  {feedback.summary && <p className="text-zinc-300 leading-relaxed">{feedback.summary}</p>}
+                  {feedback.strengths.length > 0 && (
+                    <div>
+                      <div className="text-xs text-green-400 font-medium mb-1">Strengths</div>
+                      <ul className="list-disc list-inside space-y-0.5 text-zinc-300">
+                        {feedback.strengths.map(item => <li key={item}>{item}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                  {feedback.improvements.length > 0 && (
+                    <div>
+                      <div className="text-xs text-amber-400 font-medium mb-1">To work on</div>
+                      <ul className="list-disc list-inside space-y-0.5 text-zinc-300">
+                        {feedback.improvements.map(item => <li key={item}>{item}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <p className="text-sm text-zinc-500">{feedbackError || 'No written feedback.'}</p>
+              )}
+            </div>
+
+            <div className="flex space-x-3">
+              <LoadingButton onClick={onClose} variant="secondary" size="md" className="flex-1">
+                Review my code
+              </LoadingButton>
+              <LoadingButton onClick={onFinish} variant="primary" size="md" className="flex-1">
+                Finish interview
+              </LoadingButton>
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default MockInterviewScorecard;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { parseAnalysis } from '../../utils/codeAnalysis';
 
 /**
  * OptimizationTips - Displays code quality suggestions from the Code Analysis Agent
@@ -11,100 +12,6 @@ import { motion } from 'framer-motion';
  * - Edge case considerations
  */
 
-/**
- * Parse structured analysis text from backend.
- * 
- * Expected format from backend:
- *   SUCCESS_MESSAGE: Message here
- *   
- *   SUGGESTION|TYPE|Line X|Title|Explanation
- *   SUGGESTION|TYPE|Line Y|Title|Explanation
- *   
- *   OVERALL: Assessment here
- * 
- * Or for optimal code:
- *   SUCCESS_MESSAGE: Message here
- *   
- *   NO_SUGGESTIONS: Reason why code is already optimal
- *   
- *   OVERALL: Assessment here
- * 
- * Handles edge cases gracefully:
- * - Missing components (provides defaults)
- * - Malformed suggestions (skips them)
- * - NO_SUGGESTIONS case (code is already optimal)
- * - Empty responses (returns minimal valid structure)
- */
-const parseAnalysis = (text) => {
-  if (!text || typeof text !== 'string') {
-    return {
-      successMessage: 'Your code passed all tests!',
-      suggestions: [],
-      noSuggestionsReason: null,
-      overall: 'Great work on completing this problem!'
-    };
-  }
-
-  const lines = text.split('\n').filter(line => line.trim());
-  
-  const parsed = {
-    successMessage: '',
-    suggestions: [],
-    noSuggestionsReason: null,  // New field for optimal code
-    overall: ''
-  };
-  
-  lines.forEach(line => {
-    // Parse SUCCESS_MESSAGE
-    if (line.startsWith('SUCCESS_MESSAGE:')) {
-      parsed.successMessage = line.replace('SUCCESS_MESSAGE:', '').trim();
-    }
-    // Parse NO_SUGGESTIONS (code is already optimal)
-    else if (line.startsWith('NO_SUGGESTIONS:')) {
-      parsed.noSuggestionsReason = line.replace('NO_SUGGESTIONS:', '').trim();
-    }
-    // Parse SUGGESTION (pipe-delimited)
-    else if (line.startsWith('SUGGESTION|')) {
-      const parts = line.replace('SUGGESTION|', '').split('|');
-      
-      // Ensure we have all required fields
-      if (parts.length >= 4) {
-        const type = parts[0].trim();
-        const lineRef = parts[1].trim();
-        const title = parts[2].trim();
-        // Join remaining parts in case explanation contains pipes
-        const explanation = parts.slice(3).join('|').trim();
-        
-        // Validate suggestion type
-        const validTypes = ['TIME', 'SPACE', 'READABILITY', 'EDGE_CASE'];
-        if (validTypes.includes(type) && title && explanation) {
-          parsed.suggestions.push({
-            type,
-            line: lineRef,
-            title,
-            explanation
-          });
-        }
-      }
-    } 
-    // Parse OVERALL
-    else if (line.startsWith('OVERALL:')) {
-      parsed.overall = line.replace('OVERALL:', '').trim();
-    }
-  });
-  
-  // Provide defaults if components are missing
-  if (!parsed.successMessage) {
-    parsed.successMessage = 'Your code passed all tests!';
-  }
-  
-  if (!parsed.overall) {
-    parsed.overall = 'Great work on completing this problem!';
-  }
-  
-  return parsed;
-};
-
 // Get icon and color for suggestion type
 const getSuggestionStyle = (type) => {
   const styles = {
@@ -161,7 +68,7 @@ const getSuggestionStyle = (type) => {
   return styles[type] || styles.READABILITY;
 };
 
-const OptimizationTips = ({ analysisData }) => {
+const OptimizationTips = ({ analysisData, onNavigateToLine }) => {
   // Handle missing or invalid data gracefully
   if (!analysisData || !analysisData.analysis_text) {
     return null;
@@ -353,9 +260,19 @@ const OptimizationTips = ({ analysisData }) => {
                           <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${style.textColor} ${style.bgColor} border ${style.borderColor} uppercase tracking-wider`}>
                             {style.label}
                           </span>
-                          <span className="text-xs text-zinc-500 font-mono bg-zinc-900/60 px-2 py-0.5 rounded border border-zinc-700/50">
-                            {suggestion.line}
-                          </span>
+                          {suggestion.lines && onNavigateToLine ? (
+                            <button
+                              onClick={() => onNavigateToLine(suggestion.lines.startLine)}
+                              className="text-xs text-zinc-400 hover:text-blue-300 font-mono bg-zinc-900/60 hover:bg-blue-500/10 px-2 py-0.5 rounded border border-zinc-700/50 hover:border-blue-500/30 transition-colors"
+                              title="Show in editor"
+                            >
+                              {suggestion.line} →
+                            </button>
+                          ) : (
+                            <span className="text-xs text-zinc-500 font-mono bg-zinc-900/60 px-2 py-0.5 rounded border border-zinc-700/50">
+                              {suggestion.line}
+                            </span>
+                          )}
                         </div>
                         
                         {/* Suggestion Title */}
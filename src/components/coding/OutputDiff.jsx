@@ -0,0 +1,65 @@
+import React, { useMemo } from 'react';
+import { diffLines } from '../../utils/textDiff';
+
+const SEGMENT_STYLES = {
+  removed: 'bg-green-500/25 text-green-200 rounded-sm',
+  added: 'bg-red-500/30 text-red-200 rounded-sm'
+};
+
+// Line background for each side
+const LINE_STYLES = {
+  removed: 'bg-green-500/10',
+  added: 'bg-red-500/10',
+  changed: 'bg-zinc-800/80'
+};
+
+/**
+ * Render one side of a changed line: equal characters plus this side's edits
+ */
+const renderChars = (chars, side) => chars
+  .filter(segment => segment.type === 'equal' || segment.type === side)
+  .map((segment, index) => (
+    <span key={index} className={SEGMENT_STYLES[segment.type] || ''}>{segment.text}</span>
+  ));
+
+const DiffLine = ({ line, side }) => {
+  const text = side === 'removed' ? line.expected : line.actual;
+
+  if (text === undefined) {
+    // Line only exists on the other side
+    return <div className="h-4 bg-zinc-800/40" />;
+  }
+
+  return (
+    <div className={`min-h-4 whitespace-pre ${LINE_STYLES[line.type] || ''}`}>
+      {line.type === 'changed' ? renderChars(line.chars, side) : (text || ' ')}
+    </div>
+  );
+};
+
+/**
+ * OutputDiff - Expected vs actual output with line and character differences highlighted
+ * Expected-only text is green, unexpected output is red.
+ */
+const OutputDiff = ({ expected = '', actual = '', expectedLabel = 'Expected:', actualLabel = 'Got:' }) => {
+  const lines = useMemo(() => diffLines(String(expected), String(actual)), [expected, actual]);
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <div>
+        <span className="text-zinc-500 font-medium">{expectedLabel}</span>
+        <div className="mt-1 p-2 bg-zinc-900 rounded border border-zinc-700 text-zinc-300 overflow-x-auto font-mono">
+          {lines.map((line, index) => <DiffLine key={index} line={line} side="removed" />)}
+        </div>
+      </div>
+      <div>
+        <span className="font-medium text-red-400">{actualLabel}</span>
+        <div className="mt-1 p-2 bg-zinc-900 rounded border border-red-500/30 text-zinc-300 overflow-x-auto font-mono">
+          {lines.map((line, index) => <DiffLine key={index} line={line} side="added" />)}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutputDiff;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { BookmarkIcon } from '@heroicons/react/24/outline';
+import { BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid';
+
+/**
+ * PinButton - Small toggle for pinning a hint to the top of the Problem tab
+ */
+const PinButton = ({ pinned = false, onClick, className = '' }) => {
+  const Icon = pinned ? BookmarkSolidIcon : BookmarkIcon;
+
+  return (
+    <button
+      onClick={onClick}
+      className={`p-1 rounded transition-colors ${pinned ? 'text-amber-400 hover:text-amber-300' : 'text-zinc-500 hover:text-zinc-300'} ${className}`}
+      title={pinned ? 'Unpin from Problem tab' : 'Pin to Problem tab'}
+    >
+      <Icon className="w-3.5 h-3.5" />
+    </button>
+  );
+};
+
+export default PinButton;
@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import MarkdownContent from './MarkdownContent';
+import { sanitizeHtml, isHtmlContent } from '../../utils/sanitizeHtml';
+
+const EMPTY_DESCRIPTION = 'Problem description not available.';
+
+// Markdown questions: everything from the first "Example"/"Constraints" heading on
+const MARKDOWN_EXAMPLES_START = /^\s{0,3}(#{1,6}\s*|\*\*)(Examples?|Constraints)\b/im;
+
+// Shared styles for sanitized HTML problem statements
+const PROSE_STYLES = `
+  .prose-content p {
+    margin-bottom: 1rem;
+    color: rgb(212 212 216);
+    line-height: 1.625;
+  }
+  .prose-content strong {
+    color: rgb(244 244 245);
+    font-weight: 600;
+  }
+  .prose-content code {
+    background-color: rgba(39, 39, 42, 0.8);
+    color: rgb(168, 162, 158);
+    padding: 0.125rem 0.25rem;
+    border-radius: 0.25rem;
+    font-family: ui-monospace, SFMono-Regular, monospace;
+    font-size: 0.875rem;
+  }
+  .prose-content pre {
+    background-color: rgba(24, 24, 27, 0.7);
+    border: 1px solid rgba(63, 63, 70, 0.5);
+    border-radius: 0.5rem;
+    padding: 0.75rem;
+    margin-bottom: 1rem;
+    overflow-x: auto;
+  }
+  .prose-content pre code {
+    background-color: transparent;
+    color: rgb(212 212 216);
+    padding: 0;
+    font-size: 0.75rem;
+  }
+  .prose-content sup {
+    font-size: 0.75rem;
+    vertical-align: super;
+  }
+  .prose-content ul, .prose-content ol {
+    margin-bottom: 1rem;
+    padding-left: 1.5rem;
+  }
+  .prose-content ul { list-style: disc; }
+  .prose-content ol { list-style: decimal; }
+  .prose-content li {
+    color: rgb(212 212 216);
+    margin-bottom: 0.5rem;
+  }
+  .prose-content a {
+    color: rgb(96 165 250);
+    text-decoration: underline;
+  }
+  .prose-content img {
+    max-width: 100%;
+    height: auto;
+    border-radius: 0.25rem;
+    margin: 0.5rem 0;
+  }
+  .prose-content table {
+    font-size: 0.75rem;
+    border: 1px solid rgba(63, 63, 70, 0.5);
+    margin-bottom: 1rem;
+    display: block;
+    overflow-x: auto;
+  }
+  .prose-content th, .prose-content td {
+    padding: 0.375rem 0.75rem;
+    border-bottom: 1px solid rgba(63, 63, 70, 0.5);
+    text-align: left;
+  }
+  .prose-content th {
+    background-color: rgba(39, 39, 42, 0.6);
+    color: rgb(228 228 231);
+    font-weight: 600;
+  }
+`;
+
+// Strip examples and constraints from a raw HTML statement (they are shown in their own sections)
+// Runs before sanitizing, while the backend's example classes are still there, on an inert
+// DOMParser document so nothing in the raw markup loads or runs
+const removeExampleElements = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // Remove example sections
+  doc.body.querySelectorAll('p[class*="example"], .example').forEach(el => el.remove());
+
+  // Remove constraint sections
+  doc.body.querySelectorAll('p:last-child, ul:last-child').forEach(el => {
+    if (el.textContent.toLowerCase().includes('constraint')) {
+      el.remove();
+    }
+  });
+
+  // Remove any pre elements (usually examples)
+  doc.body.querySelectorAll('pre').forEach(el => el.remove());
+
+  return doc.body.innerHTML;
+};
+
+// Remove common example/constraint patterns from sanitized HTML (its tags carry no stray attributes)
+const removeExampleText = (html) => html
+  .replace(/<p><strong[^>]*>Example[^<]*<\/strong><\/p>[\s\S]*?(?=<p><strong[^>]*>Constraints|$)/gi, '')
+  .replace(/<p><strong[^>]*>Constraints[^<]*<\/strong><\/p>[\s\S]*$/gi, '')
+  .replace(/<p>&nbsp;<\/p>/gi, '');
+
+/**
+ * ProblemContent - Renders a problem statement authored in HTML or Markdown
+ * HTML is sanitized against an allowlist first; Markdown goes through MarkdownContent.
+ * Used by the Problem tab and the assessment screens so both render content the same way.
+ */
+const ProblemContent = ({ content, format, descriptionOnly = false, className = '' }) => {
+  const isMarkdown = format ? format === 'markdown' : !isHtmlContent(content);
+
+  const html = useMemo(() => {
+    if (isMarkdown || !content) return '';
+    return descriptionOnly
+      ? removeExampleText(sanitizeHtml(removeExampleElements(content)))
+      : sanitizeHtml(content);
+  }, [content, isMarkdown, descriptionOnly]);
+
+  const markdown = useMemo(() => {
+    if (!isMarkdown || !content) return '';
+    const match = descriptionOnly ? content.match(MARKDOWN_EXAMPLES_START) : null;
+    return match ? content.slice(0, match.index).trim() : content;
+  }, [content, isMarkdown, descriptionOnly]);
+
+  if (isMarkdown) {
+    return (
+      <MarkdownContent
+        content={markdown || EMPTY_DESCRIPTION}
+        className={className}
+      />
+    );
+  }
+
+  return (
+    <>
+      <style dangerouslySetInnerHTML={{ __html: PROSE_STYLES }} />
+      <div
+        className={`prose-content ${className}`}
+        dangerouslySetInnerHTML={{ __html: html || EMPTY_DESCRIPTION }}
+      />
+    </>
+  );
+};
+
+export default ProblemContent;
@@ -2,9 +2,15 @@ import React, { useState, useEffect, useImperativeHandle, forwardRef } from 'rea
 import SkeletonLoader from '../ui/SkeletonLoader';
 import LoadingSpinner from '../ui/LoadingSpinner';
 import AIAssistantChat from './AIAssistantChat';
+import ProblemContent from './ProblemContent';
+import MarkdownContent from './MarkdownContent';
+import PinButton from './PinButton';
+import usePinnedHints from '../../hooks/usePinnedHints';
 
 /**
  * QuestionPanel - Left panel displaying coding question details and AI Assistant
+ * In a mock interview (`interview` from useMockInterview) examples and constraints stay
+ * hidden until their stage is revealed, and the assistant tab becomes the interviewer.
  */
 const QuestionPanel = forwardRef(({ 
   question, 
@@ -19,9 +25,26 @@ const QuestionPanel = forwardRef(({
   onRequestHint,
   isLoadingHint = false,
   isLoadingChat = false,
-  currentCode = ''
+  onStopGeneration,
+  currentCode = '',
+  sessionId = null,
+  interview = null
 }, ref) => {
   const [activeTab, setActiveTab] = useState('problem');
+  const [seenInterviewerMessages, setSeenInterviewerMessages] = useState(0);
+  const { pins, isPinned, togglePin, removePin } = usePinnedHints(question?.id);
+
+  const isStageRevealed = (stageId) => !interview || Boolean(interview.stages.find(stage => stage.id === stageId)?.revealed);
+
+  // Interviewer turns arrive while the candidate reads the problem - count the unread ones
+  const interviewerMessageCount = chatMessages.filter(msg => msg.interviewer && !msg.streaming).length;
+  const unreadInterviewerMessages = activeTab === 'assistant' ? 0 : interviewerMessageCount - seenInterviewerMessages;
+
+  useEffect(() => {
+    if (activeTab === 'assistant') {
+      setSeenInterviewerMessages(interviewerMessageCount);
+    }
+  }, [activeTab, interviewerMessageCount]);
 
   // Expose methods to parent component
   useImperativeHandle(ref, () => ({
@@ -51,41 +74,6 @@ const QuestionPanel = forwardRef(({
     }
   };
 
-  // Extract just the problem description from HTML, removing examples and constraints
-  const extractProblemDescription = (htmlContent) => {
-    if (!htmlContent) return 'Problem description not available.';
-    
-    // Create a temporary div to parse HTML
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = htmlContent;
-    
-    // Remove example sections
-    const exampleElements = tempDiv.querySelectorAll('p[class*="example"], .example');
-    exampleElements.forEach(el => el.remove());
-    
-    // Remove constraint sections  
-    const constraintElements = tempDiv.querySelectorAll('p:last-child, ul:last-child');
-    constraintElements.forEach(el => {
-      if (el.textContent.toLowerCase().includes('constraint')) {
-        el.remove();
-      }
-    });
-    
-    // Remove any pre elements (usually examples)
-    const preElements = tempDiv.querySelectorAll('pre');
-    preElements.forEach(el => el.remove());
-    
-    // Get the cleaned HTML
-    let cleanHtml = tempDiv.innerHTML;
-    
-    // Remove common example/constraint patterns
-    cleanHtml = cleanHtml.replace(/<p><strong[^>]*>Example[^<]*<\/strong><\/p>[\s\S]*?(?=<p><strong[^>]*>Constraints|$)/gi, '');
-    cleanHtml = cleanHtml.replace(/<p><strong[^>]*>Constraints[^<]*<\/strong><\/p>[\s\S]*$/gi, '');
-    cleanHtml = cleanHtml.replace(/<p>&nbsp;<\/p>/gi, '');
-    
-    return cleanHtml || 'Problem description not available.';
-  };
-
   // Format constraint text to fix mathematical notation
   const formatConstraint = (constraint) => {
     if (!constraint) return constraint;
@@ -104,7 +92,7 @@ const QuestionPanel = forwardRef(({
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
       </svg>
     )},
-    { id: 'assistant', label: 'AI Assistant', icon: (
+    { id: 'assistant', label: interview ? 'Interviewer' : 'AI Assistant', icon: (
       <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
       </svg>
@@ -177,41 +165,6 @@ const QuestionPanel = forwardRef(({
 
   return (
     <div className="h-full bg-zinc-900 flex flex-col">
-      {/* Global styles for HTML content */}
-      <style dangerouslySetInnerHTML={{
-        __html: `
-          .prose-content p {
-            margin-bottom: 1rem;
-            color: rgb(212 212 216);
-            line-height: 1.625;
-          }
-          .prose-content strong {
-            color: rgb(244 244 245);
-            font-weight: 600;
-          }
-          .prose-content code {
-            background-color: rgba(39, 39, 42, 0.8);
-            color: rgb(168, 162, 158);
-            padding: 0.125rem 0.25rem;
-            border-radius: 0.25rem;
-            font-family: ui-monospace, SFMono-Regular, monospace;
-            font-size: 0.875rem;
-          }
-          .prose-content sup {
-            font-size: 0.75rem;
-            vertical-align: super;
-          }
-          .prose-content ul, .prose-content ol {
-            margin-bottom: 1rem;
-            padding-left: 1.5rem;
-          }
-          .prose-content li {
-            color: rgb(212 212 216);
-            margin-bottom: 0.5rem;
-          }
-        `
-      }} />
-      
       {/* Tab Navigation - Right below header */}
       <div className="border-b border-zinc-700 bg-zinc-800/50">
         <div className="flex">
@@ -230,6 +183,11 @@ const QuestionPanel = forwardRef(({
             >
               {tab.icon}
               <span>{tab.label}</span>
+              {tab.id === 'assistant' && unreadInterviewerMessages > 0 && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs leading-none rounded-full bg-blue-500 text-white">
+                  {unreadInterviewerMessages}
+                </span>
+              )}
             </button>
           ))}
         </div>
@@ -263,7 +221,8 @@ const QuestionPanel = forwardRef(({
         </div>
         
         {/* Show topics for roadmap challenges, tags for regular challenges */}
-        {isRoadmapChallenge && question.topics && question.topics.length > 0 && (
+        {/* Topics would give the approach away in an interview */}
+        {!interview && isRoadmapChallenge && question.topics && question.topics.length > 0 && (
           <div className="flex flex-wrap gap-2">
             {question.topics.map((topic, index) => (
               <span
@@ -276,7 +235,7 @@ const QuestionPanel = forwardRef(({
           </div>
         )}
         
-        {!isRoadmapChallenge && question.tags && question.tags.length > 0 && (
+        {!interview && !isRoadmapChallenge && question.tags && question.tags.length > 0 && (
           <div className="flex flex-wrap gap-2">
             {question.tags.map((tag, index) => (
               <span
@@ -290,7 +249,7 @@ const QuestionPanel = forwardRef(({
         )}
 
             {/* Additional roadmap info */}
-            {isRoadmapChallenge && (
+            {isRoadmapChallenge && !interview && (
               <div className="mt-4 grid grid-cols-2 gap-4 text-xs">
                 {question.category && (
                   <div>
@@ -311,30 +270,37 @@ const QuestionPanel = forwardRef(({
           {/* Problem Content */}
           <div className="flex-1 overflow-y-auto p-6">
             <div className="space-y-8">
+            {/* Pinned Hints - saved from earlier AI conversations */}
+            {pins.length > 0 && !interview && (
+              <div className="space-y-2">
+                <h4 className="text-xs font-medium text-amber-400 uppercase tracking-wide">Pinned hints</h4>
+                {pins.map(pin => (
+                  <div key={pin.pin_id} className="p-3 rounded-lg bg-amber-500/5 border border-amber-500/20">
+                    <div className="flex items-center justify-between text-xs text-zinc-500 mb-1">
+                      <span>{pin.hint_level ? `Hint #${pin.hint_level}` : 'AI Assistant'}</span>
+                      <PinButton pinned onClick={() => removePin(pin.pin_id)} />
+                    </div>
+                    <MarkdownContent content={pin.content} />
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Description Section */}
             <div className="prose prose-invert max-w-none">
               <div className="text-zinc-300 leading-relaxed space-y-4">
-                {isRoadmapChallenge ? (
-                  // For roadmap challenges, extract and clean the problem description
-                  <div 
-                    className="problem-content prose-content"
-                    dangerouslySetInnerHTML={{ 
-                      __html: extractProblemDescription(question.description) 
-                    }}
-                  />
-                ) : (
-                  // For regular challenges, use the full description
-                  <div 
-                    className="prose-content"
-                    dangerouslySetInnerHTML={{ __html: question.description }}
-                  />
-                )}
+                {/* Roadmap problems and interviews show examples and constraints in their own sections below */}
+                <ProblemContent
+                  content={question.description}
+                  format={question.description_format}
+                  descriptionOnly={isRoadmapChallenge || Boolean(interview)}
+                />
               </div>
               
             </div>
 
             {/* Examples Section */}
-            {question.examples && question.examples.length > 0 && (
+            {question.examples && question.examples.length > 0 && isStageRevealed('examples') && (
               <div className="border-t border-zinc-700 pt-6">
                 <h4 className="text-zinc-100 font-medium mb-4 text-lg">Examples</h4>
                 <div className="space-y-6">
@@ -373,7 +339,7 @@ const QuestionPanel = forwardRef(({
             )}
 
             {/* Constraints Section */}
-            {question.constraints && question.constraints.length > 0 && (
+            {question.constraints && question.constraints.length > 0 && isStageRevealed('constraints') && (
               <div className="border-t border-zinc-700 pt-6">
                 <h4 className="text-zinc-100 font-medium mb-4 text-lg">Constraints</h4>
                 <div className="space-y-2">
@@ -388,6 +354,21 @@ const QuestionPanel = forwardRef(({
                 </div>
                 </div>
               )}
+
+            {/* Interview stages still to come */}
+            {interview?.nextStage && (
+              <div className="border-t border-zinc-700 pt-6 flex items-center justify-between">
+                <p className="text-sm text-zinc-500">
+                  {interview.stages.filter(stage => !stage.revealed).map(stage => stage.label).join(' and ')} will be shared as the interview goes on.
+                </p>
+                <button
+                  onClick={interview.revealNextStage}
+                  className="text-sm text-blue-400 hover:text-blue-300 whitespace-nowrap ml-4"
+                >
+                  {interview.nextStage.askLabel}
+                </button>
+              </div>
+            )}
             </div>
           </div>
 
@@ -446,8 +427,14 @@ const QuestionPanel = forwardRef(({
             onRequestHint={onRequestHint}
             isLoadingHint={isLoadingHint}
             isLoadingChat={isLoadingChat}
+            onStopGeneration={onStopGeneration}
             currentCode={currentCode}
             questionId={question?.id}
+            sessionId={sessionId}
+            onTogglePin={interview ? undefined : togglePin}
+            isPinned={isPinned}
+            interviewMode={Boolean(interview)}
+            hintPolicy={interview?.hintPolicy}
           />
         </div>
       ) : null}
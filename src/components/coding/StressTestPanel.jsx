@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import Editor from '@monaco-editor/react';
+import { SparklesIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { LoadingButton } from '../ui/InlineLoading';
+import OutputDiff from './OutputDiff';
+import { evaluateBound, describeType } from '../../utils/constraints';
+
+const STATUS_TEXT = {
+  running: 'Running random inputs...',
+  shrinking: 'Found a difference - shrinking the input...',
+  passed: 'No differences found',
+  failed: 'Outputs differ',
+  stopped: 'Stopped',
+  error: 'Stress test failed'
+};
+
+const formatBound = (expression, aliases) => {
+  const value = evaluateBound(expression, {}, aliases);
+  return value === null ? expression : value.toLocaleString();
+};
+
+const formatRange = (range, aliases) =>
+  `${formatBound(range.min, aliases)}..${formatBound(range.max, aliases)}`;
+
+// "nums: int[] · length 2..10,000 · values -10^9..10^9"
+const describeParam = (param, aliases) => {
+  const details = [];
+  param.levels.forEach((level, depth) => {
+    const prefix = depth === 0 ? '' : `${'[i]'.repeat(depth)} `;
+    if (level.length) details.push(`${prefix}length ${formatRange(level.length, aliases)}`);
+    if (level.values) details.push(`${prefix}values ${formatRange(level.values, aliases)}`);
+    if (level.choices) details.push(`${prefix}one of ${level.choices.map(choice => JSON.stringify(choice)).join(', ')}`);
+    if (level.charset) details.push(`${prefix}chars "${level.charset.length > 12 ? `${level.charset.slice(0, 12)}…` : level.charset}"`);
+    if (level.sorted) details.push(`sorted ${level.sorted}`);
+    if (level.unique) details.push('unique');
+  });
+  return details;
+};
+
+const NumberOption = ({ label, value, min, max, onChange, disabled }) => (
+  <label className="flex flex-col text-xs text-zinc-400">
+    {label}
+    <input
+      type="number"
+      value={value}
+      min={min}
+      max={max}
+      disabled={disabled}
+      onChange={(e) => onChange(Math.min(max, Math.max(min, Number(e.target.value) || min)))}
+      className="mt-1 w-full bg-zinc-900 text-zinc-200 px-2 py-1 rounded border border-zinc-600 focus:border-blue-500 focus:outline-none disabled:opacity-50"
+    />
+  </label>
+);
+
+/**
+ * StressTestPanel - Compare the solution with a brute-force reference on random inputs
+ * generated from the question's constraints (state lives in useStressTest)
+ */
+const StressTestPanel = ({ stress, language, editorTheme, hasCode, onSaveAsTest }) => {
+  const [savedInput, setSavedInput] = useState(null);
+  const { spec, options, setOption, run, isRunning } = stress;
+  const counterexample = run.counterexample;
+  const canRun = hasCode && stress.referenceCode.trim() && spec.params.length > 0;
+
+  const handleSave = () => {
+    onSaveAsTest({ input: counterexample.input, expected_output: counterexample.expected });
+    setSavedInput(counterexample.input);
+  };
+
+  return (
+    <div className="flex-1 p-4 overflow-y-auto space-y-4">
+      <div>
+        <h4 className="text-zinc-100 font-medium">Stress Test</h4>
+        <p className="text-xs text-zinc-500 mt-1">
+          Random inputs within the problem constraints are run through your solution and a brute-force
+          reference. The first input where the outputs differ is reduced to a small counterexample.
+        </p>
+      </div>
+
+      {/* Parameters read from the sample input and constraints */}
+      <div className="bg-zinc-800 rounded-lg p-3 border border-zinc-700">
+        <h5 className="text-xs font-semibold text-zinc-400 uppercase tracking-wide mb-2">Generated inputs</h5>
+        {spec.params.length === 0 ? (
+          <p className="text-xs text-amber-400">
+            The parameters couldn't be read from the sample input, so stress testing isn't available for this question.
+          </p>
+        ) : (
+          <ul className="space-y-1">
+            {spec.params.map(param => (
+              <li key={param.name} className="text-xs text-zinc-300">
+                <span className="font-mono text-zinc-100">{param.name}</span>
+                <span className="text-zinc-500">: {describeType(param.type)}</span>
+                {describeParam(param, spec.aliases).map(detail => (
+                  <span key={detail} className="text-zinc-400"> · {detail}</span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+        {spec.unparsed.length > 0 && (
+          <p className="text-xs text-zinc-500 mt-2">
+            Not enforced: {spec.unparsed.join('; ')}. Inputs may break these guarantees - check a counterexample against them before trusting it.
+          </p>
+        )}
+      </div>
+
+      {/* Reference solution */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h5 className="text-sm text-zinc-300 font-medium">Reference solution</h5>
+          <LoadingButton
+            onClick={stress.draftReference}
+            isLoading={stress.drafting}
+            loadingText="Drafting..."
+            variant="ghost"
+            size="sm"
+            disabled={isRunning}
+            className="text-xs text-blue-400 hover:text-blue-300 px-3 py-1"
+          >
+            <SparklesIcon className="w-4 h-4 mr-1" />
+            Draft with AI
+          </LoadingButton>
+        </div>
+        <div className="rounded border border-zinc-700 overflow-hidden">
+          <Editor
+            height="200px"
+            language={language}
+            theme={editorTheme}
+            value={stress.referenceCode}
+            onChange={(value) => stress.setReferenceCode(value ?? '')}
+            options={{
+              minimap: { enabled: false },
+              fontSize: 13,
+              lineHeight: 20,
+              scrollBeyondLastLine: false,
+              automaticLayout: true,
+              readOnly: isRunning
+            }}
+          />
+        </div>
+        <p className="text-xs text-zinc-500 mt-1">
+          Use the same function signature as your solution. Keep it simple and obviously correct - speed doesn't matter on small inputs.
+        </p>
+        {stress.draftError && (
+          <p className="text-xs text-red-400 mt-1">{stress.draftError}</p>
+        )}
+      </div>
+
+      {/* Options */}
+      <div className="grid grid-cols-4 gap-3">
+        <NumberOption label="Inputs" value={options.count} min={1} max={500} disabled={isRunning}
+          onChange={(value) => setOption('count', value)} />
+        <NumberOption label="Max length" value={options.maxLength} min={1} max={1000} disabled={isRunning}
+          onChange={(value) => setOption('maxLength', value)} />
+        <NumberOption label="Value limit" value={options.valueLimit} min={1} max={1000000000} disabled={isRunning}
+          onChange={(value) => setOption('valueLimit', value)} />
+        <div className="flex flex-col text-xs text-zinc-400">
+          Seed
+          <div className="mt-1 flex items-center gap-1">
+            <input
+              type="number"
+              value={options.seed}
+              disabled={isRunning}
+              onChange={(e) => setOption('seed', Number(e.target.value) || 0)}
+              className="w-full bg-zinc-900 text-zinc-200 px-2 py-1 rounded border border-zinc-600 focus:border-blue-500 focus:outline-none disabled:opacity-50"
+            />
+            <button
+              onClick={stress.newSeed}
+              disabled={isRunning}
+              title="New random seed"
+              className="p-1 text-zinc-400 hover:text-zinc-200 disabled:opacity-50"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-xs text-zinc-400">
+          <input
+            type="checkbox"
+            checked={options.unorderedOutput}
+            disabled={isRunning}
+            onChange={(e) => setOption('unorderedOutput', e.target.checked)}
+            className="rounded border-zinc-600 bg-zinc-900"
+          />
+          Output order doesn't matter
+        </label>
+        {isRunning ? (
+          <button
+            onClick={stress.stop}
+            className="px-4 py-1.5 text-sm font-medium text-zinc-200 bg-zinc-700 hover:bg-zinc-600 rounded-lg transition-colors duration-200"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={stress.start}
+            disabled={!canRun}
+            className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Run stress test
+          </button>
+        )}
+      </div>
+
+      {/* Progress and result */}
+      {run.status !== 'idle' && (
+        <div className="space-y-3">
+          <div>
+            <div className="flex items-center justify-between text-xs mb-1">
+              <span className={run.status === 'passed' ? 'text-green-400' : run.status === 'failed' || run.status === 'error' ? 'text-red-400' : 'text-zinc-400'}>
+                {STATUS_TEXT[run.status]}
+              </span>
+              <span className="text-zinc-500">{run.ran} / {run.total} inputs · seed {options.seed}</span>
+            </div>
+            <div className="h-1.5 bg-zinc-800 rounded-full overflow-hidden">
+              <div
+                className={`h-full transition-all duration-300 ${run.counterexample ? 'bg-red-500' : 'bg-blue-500'}`}
+                style={{ width: `${run.total ? (run.ran / run.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+
+          {run.status === 'error' && run.message && (
+            <pre className="text-xs text-red-300 bg-red-900/20 border border-red-700/50 rounded p-2 whitespace-pre-wrap">
+              {run.message}
+            </pre>
+          )}
+
+          {run.status === 'passed' && (
+            <p className="text-xs text-green-300 bg-green-900/20 border border-green-700/50 rounded p-2">
+              Your solution matched the reference on all {run.total} random inputs.
+            </p>
+          )}
+
+          {counterexample && (
+            <div className="rounded-lg border border-red-500/30 bg-red-500/5 p-4 space-y-2 text-xs">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-zinc-200">
+                  Counterexample
+                  {counterexample.shrinkSteps > 0 && (
+                    <span className="ml-2 text-xs text-zinc-500">(shrunk {counterexample.shrinkSteps}×)</span>
+                  )}
+                </span>
+                {run.status === 'failed' && (
+                  <button
+                    onClick={handleSave}
+                    disabled={savedInput === counterexample.input}
+                    className="text-xs text-blue-400 hover:text-blue-300 disabled:text-zinc-500"
+                  >
+                    {savedInput === counterexample.input ? 'Saved as custom test' : 'Save as custom test'}
+                  </button>
+                )}
+              </div>
+              <div>
+                <span className="text-zinc-500 font-medium">Input:</span>
+                <pre className="mt-1 p-2 bg-zinc-900 rounded border border-zinc-700 text-zinc-300 overflow-x-auto font-mono">
+                  {counterexample.input}
+                </pre>
+              </div>
+              <OutputDiff
+                expected={counterexample.expected}
+                actual={counterexample.actual}
+                expectedLabel="Reference:"
+                actualLabel="Yours:"
+              />
+              {counterexample.error && (
+                <pre className="p-2 bg-red-500/10 border border-red-500/30 rounded text-red-300 whitespace-pre-wrap font-mono">
+                  {counterexample.error}
+                </pre>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StressTestPanel;
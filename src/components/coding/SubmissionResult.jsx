@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import OptimizationTips from './OptimizationTips';
+import OutputDiff from './OutputDiff';
 import axiosInstance from '../../utils/axios';
 
 /**
@@ -8,7 +9,7 @@ import axiosInstance from '../../utils/axios';
  * Shows test results, performance metrics, and status in a clean, modern UI
  * Now includes code quality suggestions from Code Analysis Agent (fetched asynchronously)
  */
-const SubmissionResult = ({ result, isRunning, questionId }) => {
+const SubmissionResult = ({ result, isRunning, questionId, onAnalysisReady, onNavigateToLine }) => {
   const [codeAnalysis, setCodeAnalysis] = useState(null);
   const [analysisLoading, setAnalysisLoading] = useState(false);
   const [analysisFailed, setAnalysisFailed] = useState(false);
@@ -58,6 +59,13 @@ const SubmissionResult = ({ result, isRunning, questionId }) => {
     }
   }, [result?.analysis_pending, result?.success, questionId]);
 
+  // Let the editor mark up the analysed lines
+  useEffect(() => {
+    if (codeAnalysis) {
+      onAnalysisReady?.(codeAnalysis);
+    }
+  }, [codeAnalysis, onAnalysisReady]);
+
   if (isRunning) {
     return (
       <div className="h-full flex items-center justify-center bg-zinc-900">
@@ -246,7 +254,7 @@ const SubmissionResult = ({ result, isRunning, questionId }) => {
             )}
             
             {/* Show analysis when available */}
-            {codeAnalysis && <OptimizationTips analysisData={codeAnalysis} />}
+            {codeAnalysis && <OptimizationTips analysisData={codeAnalysis} onNavigateToLine={onNavigateToLine} />}
             
             {/* Show failure state if analysis failed */}
             {analysisFailed && !codeAnalysis && (
@@ -299,7 +307,10 @@ const SubmissionResult = ({ result, isRunning, questionId }) => {
                     {/* Test Details */}
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center gap-2 mb-2">
-                        <span className="text-sm font-medium text-zinc-300">Test Case {index + 1}</span>
+                        <span className="text-sm font-medium text-zinc-300">{test.label || `Test Case ${index + 1}`}</span>
+                        {test.custom && (
+                          <span className="text-xs px-1.5 py-0.5 rounded bg-blue-500/10 text-blue-300">Custom</span>
+                        )}
                         {test.runtime_ms && (
                           <span className="text-xs text-zinc-500">{test.runtime_ms}ms</span>
                         )}
@@ -314,27 +325,31 @@ const SubmissionResult = ({ result, isRunning, questionId }) => {
                           </pre>
                         </div>
 
-                        {/* Expected vs Actual */}
-                        <div className="grid grid-cols-2 gap-2">
-                          <div>
-                            <span className="text-zinc-500 font-medium">Expected:</span>
-                            <pre className="mt-1 p-2 bg-zinc-900 rounded border border-zinc-700 text-zinc-300 overflow-x-auto font-mono">
-                              {test.expected_output}
-                            </pre>
+                        {/* Expected vs Actual - failing outputs are diffed */}
+                        {!test.passed && test.actual_output != null && test.expected_output != null ? (
+                          <OutputDiff expected={test.expected_output} actual={test.actual_output} />
+                        ) : (
+                          <div className="grid grid-cols-2 gap-2">
+                            <div>
+                              <span className="text-zinc-500 font-medium">Expected:</span>
+                              <pre className="mt-1 p-2 bg-zinc-900 rounded border border-zinc-700 text-zinc-300 overflow-x-auto font-mono">
+                                {test.expected_output}
+                              </pre>
+                            </div>
+                            <div>
+                              <span className={`font-medium ${test.passed ? 'text-zinc-500' : 'text-red-400'}`}>
+                                {test.passed ? 'Output:' : 'Got:'}
+                              </span>
+                              <pre className={`mt-1 p-2 bg-zinc-900 rounded border overflow-x-auto font-mono ${
+                                test.passed 
+                                  ? 'border-zinc-700 text-zinc-300' 
+                                  : 'border-red-500/30 text-red-300'
+                              }`}>
+                                {test.actual_output || 'N/A'}
+                              </pre>
+                            </div>
                           </div>
-                          <div>
-                            <span className={`font-medium ${test.passed ? 'text-zinc-500' : 'text-red-400'}`}>
-                              {test.passed ? 'Output:' : 'Got:'}
-                            </span>
-                            <pre className={`mt-1 p-2 bg-zinc-900 rounded border overflow-x-auto font-mono ${
-                              test.passed 
-                                ? 'border-zinc-700 text-zinc-300' 
-                                : 'border-red-500/30 text-red-300'
-                            }`}>
-                              {test.actual_output || 'N/A'}
-                            </pre>
-                          </div>
-                        </div>
+                        )}
 
                         {/* Error Message */}
                         {test.error && (
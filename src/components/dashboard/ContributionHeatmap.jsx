@@ -7,21 +7,25 @@ import LoadingSpinner from '../ui/LoadingSpinner';
 
 /**
  * ContributionHeatmap - GitHub-style contribution heatmap for coding activity
+ * @param {Object} data - Heatmap for another user (public profile); skips fetching the current user's
  */
-const ContributionHeatmap = ({ user }) => {
+const ContributionHeatmap = ({ user, data = null }) => {
   // Check authentication state
   const isAuthenticated = useSelector(selectIsAuthenticated);
   const currentUser = useSelector(selectCurrentUser);
   
   // Fetch contribution data from backend
-  const { data: heatmapData, loading: heatmapLoading, error: heatmapError, execute: fetchHeatmapData } = useGetContributionHeatmap(365);
+  const { data: fetchedHeatmap, loading: fetchLoading, error: fetchError, execute: fetchHeatmapData } = useGetContributionHeatmap(365);
+  const heatmapData = data || fetchedHeatmap;
+  const heatmapLoading = !data && fetchLoading;
+  const heatmapError = !data && fetchError;
 
   // Fetch heatmap data when user is authenticated - prevent polling by checking if data exists
   useEffect(() => {
-    if (isAuthenticated && currentUser && !heatmapData && !heatmapLoading) {
+    if (!data && isAuthenticated && currentUser && !fetchedHeatmap && !fetchLoading) {
       fetchHeatmapData();
     }
-  }, [isAuthenticated, currentUser, heatmapData, heatmapLoading, fetchHeatmapData]);
+  }, [data, isAuthenticated, currentUser, fetchedHeatmap, fetchLoading, fetchHeatmapData]);
   
   // Use backend data or fallback to empty data
   const contributionData = heatmapData?.days || [];
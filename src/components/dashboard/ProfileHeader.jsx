@@ -127,7 +127,9 @@ const ProfileHeader = ({ user, onStartChallenge, nextLevelInfo }) => {
               ) : userStats.globalRank ? (
                 <>
                   <span>•</span>
-                  <span>#{userStats.globalRank} globally</span>
+                  <Link to="/leaderboard" className="hover:text-zinc-200 transition-colors">
+                    #{userStats.globalRank} globally
+                  </Link>
                 </>
               ) : null}
             </div>
@@ -159,10 +161,10 @@ const ProfileHeader = ({ user, onStartChallenge, nextLevelInfo }) => {
         {/* Challenge Box */}
         <div className="md:min-w-[280px] ml-auto">
           {Object.keys(RoadmapTracker?.getActivatedRoadmapsSync() || {}).length === 0 ? (
-            // No active roadmaps state
+            // No enrolled roadmaps state
             <div className="bg-gradient-to-r from-zinc-900/50 to-zinc-800/50 border border-zinc-700/50 rounded-lg p-3">
               <div className="mb-2">
-                <h3 className="text-zinc-400 font-medium text-sm">No active roadmaps</h3>
+                <h3 className="text-zinc-400 font-medium text-sm">No enrolled roadmaps</h3>
               </div>
 
               <div className="mb-3 space-y-1">
@@ -172,7 +174,7 @@ const ProfileHeader = ({ user, onStartChallenge, nextLevelInfo }) => {
                   </svg>
                 </div>
                 <p className="text-xs text-zinc-500 text-center px-2">
-                  Activate a roadmap below to start your coding journey
+                  Enroll in a roadmap below to start your coding journey
                 </p>
               </div>
 
@@ -180,7 +182,7 @@ const ProfileHeader = ({ user, onStartChallenge, nextLevelInfo }) => {
                 disabled={true}
                 className="w-full px-4 py-2 rounded-lg bg-zinc-800 border border-zinc-700/50 text-zinc-500 cursor-not-allowed font-medium text-sm"
               >
-                Activate Roadmap
+                Enroll in a Roadmap
               </button>
             </div>
           ) : (
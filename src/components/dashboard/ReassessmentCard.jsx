@@ -0,0 +1,74 @@
+import React, { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { AcademicCapIcon } from '@heroicons/react/24/outline';
+import { selectAssessmentHistory, selectCurrentUser, selectSkillLevel } from '../../store/userSlice';
+import { SKILL_LEVEL_CONFIG } from '../../constants/skillLevels';
+import { getReassessmentStatus } from '../../utils/skillProgression';
+
+const DUE_MESSAGES = {
+  no_history: 'Take a skill check so your level matches what you can do today.',
+  time: "It's been a while since your last skill check. See if your level should change.",
+  problems: "You've solved plenty since your last skill check. See if you've outgrown your level."
+};
+
+const pluralize = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+/**
+ * ReassessmentCard - Prompts a skill check when one is due
+ * (REASSESSMENT_INTERVAL_DAYS since the last one, or REASSESSMENT_PROBLEM_INTERVAL solved problems)
+ */
+const ReassessmentCard = ({ problemsSolved = null }) => {
+  const navigate = useNavigate();
+  const skillLevel = useSelector(selectSkillLevel);
+  const assessmentHistory = useSelector(selectAssessmentHistory);
+  const currentUser = useSelector(selectCurrentUser);
+  const lastAssessedAt = currentUser?.last_assessment_at || currentUser?.onboarding_completed_at || null;
+
+  const status = useMemo(
+    () => getReassessmentStatus({ assessmentHistory, lastAssessedAt, problemsSolved }),
+    [assessmentHistory, lastAssessedAt, problemsSolved]
+  );
+  const levelLabel = SKILL_LEVEL_CONFIG[skillLevel]?.label;
+
+  const nextCheck = [
+    pluralize(status.daysUntilDue, 'day'),
+    status.problemsUntilDue !== null && pluralize(status.problemsUntilDue, 'solved problem')
+  ].filter(Boolean).join(' or ');
+
+  return (
+    <div className={`rounded-xl p-6 border ${
+      status.due
+        ? 'bg-orange-500/10 border-orange-500/40'
+        : 'bg-zinc-800/50 backdrop-blur-sm border-zinc-700/50'
+    }`}>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="flex items-start space-x-3">
+          <AcademicCapIcon className={`w-6 h-6 flex-shrink-0 ${status.due ? 'text-orange-400' : 'text-zinc-400'}`} />
+          <div>
+            <h2 className="text-lg font-semibold text-zinc-100">
+              {status.due ? 'Skill check available' : 'Skill check'}
+              {levelLabel && <span className="ml-2 text-sm font-normal text-zinc-400">Current level: {levelLabel}</span>}
+            </h2>
+            <p className="text-sm text-zinc-400 mt-1">
+              {status.due ? DUE_MESSAGES[status.reason] : `Next check in ${nextCheck}.`}
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={() => navigate('/reassessment')}
+          className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors whitespace-nowrap ${
+            status.due
+              ? 'bg-orange-500 text-white hover:bg-orange-400'
+              : 'text-zinc-300 bg-zinc-700 hover:bg-zinc-600'
+          }`}
+        >
+          {status.due ? 'Start skill check' : 'Take it now'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReassessmentCard;
@@ -0,0 +1,141 @@
+import React, { useMemo, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { useReviewQueue } from '../../hooks/useAPI';
+import { selectCurrentUser } from '../../store/userSlice';
+import reviewAPI from '../../services/reviewAPI';
+import RoadmapTracker from '../../utils/roadmapTracker';
+import { getDueReviews } from '../../utils/reviewScheduler';
+
+const MAX_VISIBLE_REVIEWS = 5;
+
+const getDifficultyColor = (difficulty) => {
+  switch (difficulty?.toLowerCase()) {
+    case 'easy':
+      return 'text-sky-300 bg-sky-500/10';
+    case 'hard':
+      return 'text-rose-300 bg-rose-500/10';
+    default:
+      return 'text-amber-300 bg-amber-500/10';
+  }
+};
+
+const formatOverdue = (days) => {
+  if (days <= 0) return 'Due today';
+  return `${days} day${days !== 1 ? 's' : ''} overdue`;
+};
+
+/**
+ * ReviewQueueSection - Solved problems that are due for spaced-repetition review
+ * On first load, roadmap steps completed before the queue existed are added to it.
+ */
+const ReviewQueueSection = () => {
+  const navigate = useNavigate();
+  const currentUser = useSelector(selectCurrentUser);
+  const userKey = currentUser?.key || currentUser?._key || currentUser?.id || null;
+  const { data, loading, error, execute: refetchQueue } = useReviewQueue();
+  const seedingRef = useRef(false);
+
+  useEffect(() => {
+    if (!data || !userKey || seedingRef.current) return;
+
+    const seededKey = `review_queue_seeded_${userKey}`;
+    if (localStorage.getItem(seededKey)) return;
+
+    seedingRef.current = true;
+    RoadmapTracker.getActivatedRoadmaps()
+      .then(enrolled => reviewAPI.seedFromCompletedSteps(Object.keys(enrolled), data.items || []))
+      .then(seeded => {
+        localStorage.setItem(seededKey, new Date().toISOString());
+        if (seeded.length > 0) {
+          console.log('🔁 Seeded review queue from completed steps:', seeded.length);
+          refetchQueue().catch(err => console.warn('Failed to reload review queue:', err));
+        }
+      })
+      .catch(err => console.warn('Failed to seed review queue:', err))
+      .finally(() => {
+        seedingRef.current = false;
+      });
+  }, [data, userKey, refetchQueue]);
+
+  const dueReviews = useMemo(() => getDueReviews(data?.items || []), [data]);
+
+  const handleStartReview = (item) => {
+    const state = { challengeType: 'review' };
+
+    if (item.course) {
+      navigate(`/challenge/${item.course}/${item.question_key}`, { state });
+    } else {
+      // Practice questions use numeric ids; keys are stored as strings
+      const specificProblemId = Number(item.question_key) || item.question_key;
+      navigate('/practice', { state: { ...state, specificProblemId } });
+    }
+  };
+
+  // Nothing to show until something has been solved
+  if (loading || error || !data?.items?.length) {
+    return null;
+  }
+
+  return (
+    <div className="bg-zinc-800/50 backdrop-blur-sm border border-zinc-700/50 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <ArrowPathIcon className="w-5 h-5 text-violet-400" />
+          <h2 className="text-xl font-semibold text-zinc-100">Due for review</h2>
+        </div>
+        <span className="text-sm text-zinc-400">
+          {dueReviews.length} due · {data.items.length} tracked
+        </span>
+      </div>
+
+      {dueReviews.length === 0 ? (
+        <p className="text-sm text-zinc-500">
+          You're all caught up. Solved problems come back here when it's time to review them.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {dueReviews.slice(0, MAX_VISIBLE_REVIEWS).map(item => (
+            <div
+              key={item.question_key}
+              className="flex items-center justify-between p-3 rounded-lg bg-zinc-900/40 border border-zinc-700/50"
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-zinc-200 truncate">
+                  {item.question_title || item.question_key}
+                </div>
+                <div className="flex items-center gap-2 mt-1 text-xs">
+                  <span className={`px-1.5 py-0.5 rounded ${getDifficultyColor(item.difficulty)}`}>
+                    {item.difficulty || 'Medium'}
+                  </span>
+                  <span className={item.days_overdue > 0 ? 'text-amber-400' : 'text-zinc-400'}>
+                    {formatOverdue(item.days_overdue)}
+                  </span>
+                  <span className="text-zinc-500">
+                    Every {item.interval_days} day{item.interval_days !== 1 ? 's' : ''}
+                  </span>
+                </div>
+              </div>
+
+              <button
+                onClick={() => handleStartReview(item)}
+                className="ml-4 px-3 py-1.5 text-xs font-medium text-violet-200 bg-violet-600/20 hover:bg-violet-600/30 border border-violet-500/30 rounded-lg transition-colors duration-200"
+              >
+                Review
+              </button>
+            </div>
+          ))}
+
+          {dueReviews.length > MAX_VISIBLE_REVIEWS && (
+            <p className="text-xs text-zinc-500 text-center pt-1">
+              +{dueReviews.length - MAX_VISIBLE_REVIEWS} more due
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueueSection;
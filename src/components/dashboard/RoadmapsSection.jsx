@@ -1,23 +1,57 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
-import { useRoadmaps } from '../../hooks/useAPI';
-import RoadmapTracker from '../../utils/roadmapTracker';
+import { useRoadmaps, useCourseCatalog } from '../../hooks/useAPI';
+import RoadmapTracker, { formatCourseName } from '../../utils/roadmapTracker';
+
+const MAX_VISIBLE_TOPICS = 3;
+
+/**
+ * Merge catalog metadata with per-course progress
+ * Courses with progress but missing from the catalog are still listed
+ */
+const mergeCourseData = (catalogCourses = [], progressRoadmaps = []) => {
+  const progressByCourse = new Map(progressRoadmaps.map(roadmap => [roadmap.course, roadmap]));
+
+  const merged = catalogCourses.map(meta => {
+    const progress = progressByCourse.get(meta.course_id) || {};
+    progressByCourse.delete(meta.course_id);
+
+    return {
+      course: meta.course_id,
+      course_name: meta.title || progress.course_name || formatCourseName(meta.course_id),
+      description: meta.description,
+      topics: meta.topics || [],
+      total_steps: meta.total_steps,
+      estimated_hours: meta.estimated_hours,
+      progress_percentage: progress.progress_percentage || 0,
+      completed_questions: progress.completed_questions || 0,
+      total_questions: progress.total_questions ?? meta.total_steps ?? 0
+    };
+  });
+
+  return [...merged, ...progressByCourse.values()];
+};
 
 const RoadmapsSection = ({ onRoadmapChange }) => {
   const navigate = useNavigate();
   const { data: roadmapsData, loading, error, refetch } = useRoadmaps();
+  const { data: catalogData, loading: catalogLoading, execute: fetchCatalog } = useCourseCatalog();
   const [activatedRoadmaps, setActivatedRoadmaps] = useState({});
 
-  // Load activated roadmaps on component mount - MUST be at the top to avoid hooks order issues
+  useEffect(() => {
+    fetchCatalog().catch(err => console.warn('Course catalog unavailable:', err));
+  }, [fetchCatalog]);
+
+  // Load enrolled roadmaps on component mount - MUST be at the top to avoid hooks order issues
   useEffect(() => {
     const loadActivatedRoadmaps = async () => {
       try {
-        // Sync with backend and get active course (single course only)
+        // Sync enrolled courses with backend
         const activated = await RoadmapTracker.getActivatedRoadmaps();
         setActivatedRoadmaps(activated);
       } catch (error) {
-        console.error('Failed to load active course:', error);
+        console.error('Failed to load enrolled courses:', error);
         // Fallback to localStorage
         const activated = RoadmapTracker.getActivatedRoadmapsSync();
         setActivatedRoadmaps(activated);
@@ -35,7 +69,7 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
     return 'from-zinc-600 to-zinc-700';
   };
 
-  if (loading) {
+  if (loading || catalogLoading) {
     return (
       <div className="bg-zinc-800/50 backdrop-blur-sm border border-zinc-700/50 rounded-xl p-6">
         <div className="flex items-center justify-between mb-6">
@@ -75,10 +109,20 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
     );
   }
 
-  const roadmaps = roadmapsData?.roadmaps || [];
+  const enrolledCount = Object.keys(activatedRoadmaps).length;
+  const roadmaps = mergeCourseData(catalogData?.courses, roadmapsData?.roadmaps)
+    .sort((a, b) => {
+      // Primary first, then other enrolled courses, then the rest of the catalog
+      const rank = (roadmap) => {
+        const enrollment = activatedRoadmaps[roadmap.course];
+        if (!enrollment) return 2;
+        return enrollment.isPrimary ? 0 : 1;
+      };
+      return rank(a) - rank(b);
+    });
 
   const handleRoadmapClick = (roadmap) => {
-    // Only allow navigation if roadmap is activated
+    // Only allow navigation if the user is enrolled
     if (RoadmapTracker.isRoadmapActivated(roadmap.course)) {
       RoadmapTracker.setActiveRoadmap(roadmap.course, roadmap.course_name);
       // Notify parent component about the active roadmap change
@@ -92,12 +136,12 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
   const handleActivateRoadmap = async (e, roadmap) => {
     e.stopPropagation(); // Prevent roadmap click
     try {
-      // This will replace any currently active roadmap (only one can be active)
+      // Existing enrollments are kept; the first course enrolled becomes primary
       await RoadmapTracker.activateRoadmap(roadmap.course, roadmap.course_name);
       const activated = await RoadmapTracker.getActivatedRoadmaps();
       setActivatedRoadmaps(activated);
     } catch (error) {
-      console.error('Failed to activate roadmap:', error);
+      console.error('Failed to enroll in roadmap:', error);
       // Fallback to localStorage
       const activated = RoadmapTracker.getActivatedRoadmapsSync();
       setActivatedRoadmaps(activated);
@@ -116,7 +160,7 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
       const activated = await RoadmapTracker.getActivatedRoadmaps();
       setActivatedRoadmaps(activated);
     } catch (error) {
-      console.error('Failed to deactivate roadmap:', error);
+      console.error('Failed to unenroll from roadmap:', error);
       // Fallback to localStorage
       const activated = RoadmapTracker.getActivatedRoadmapsSync();
       setActivatedRoadmaps(activated);
@@ -128,6 +172,16 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
     }
   };
 
+  const handleMakePrimary = async (e, roadmap) => {
+    e.stopPropagation(); // Prevent roadmap click
+    await RoadmapTracker.setPrimaryRoadmap(roadmap.course);
+    setActivatedRoadmaps(RoadmapTracker.getActivatedRoadmapsSync());
+
+    if (onRoadmapChange) {
+      onRoadmapChange();
+    }
+  };
+
   return (
     <motion.div 
       className="bg-zinc-800/50 backdrop-blur-sm border border-zinc-700/50 rounded-xl p-6"
@@ -139,7 +193,7 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
       <div className="flex items-center justify-between mb-6">
         <h2 className="text-xl font-semibold text-zinc-100">Roadmaps</h2>
         <span className="text-sm text-zinc-400">
-          {roadmaps.length} course{roadmaps.length !== 1 ? 's' : ''}
+          {enrolledCount} enrolled · {roadmaps.length} course{roadmaps.length !== 1 ? 's' : ''}
         </span>
       </div>
 
@@ -168,11 +222,13 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
           <div className="flex gap-6 overflow-x-auto scrollbar-hide pb-4 px-1 py-3">
             {roadmaps.map((roadmap, index) => {
               const isActivated = !!activatedRoadmaps[roadmap.course];
+              const isPrimary = !!activatedRoadmaps[roadmap.course]?.isPrimary;
+              const topics = roadmap.topics || [];
               
               return (
                 <motion.div
                   key={roadmap.course}
-                  className={`group relative flex-shrink-0 w-64 p-5 border rounded-xl transition-all duration-300 z-10 ${
+                  className={`group relative flex-shrink-0 w-72 p-5 border rounded-xl transition-all duration-300 z-10 ${
                     isActivated 
                       ? 'bg-gradient-to-br from-emerald-950/30 to-emerald-900/20 border-emerald-500/30 hover:border-emerald-400/50 cursor-pointer'
                       : 'bg-gradient-to-br from-zinc-900/50 to-zinc-800/30 border-zinc-700/50 hover:border-zinc-600/50 cursor-default'
@@ -196,14 +252,21 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
                   {/* Course Content */}
                   <div className="flex flex-col h-full">
                     {/* Course Header */}
-                    <div className="flex items-start justify-between mb-4 flex-1">
-                      <h3 className={`font-semibold text-lg leading-tight transition-colors ${
-                        isActivated 
-                          ? 'text-emerald-100 group-hover:text-emerald-50' 
-                          : 'text-zinc-100 group-hover:text-zinc-50'
-                      }`}>
-                        {roadmap.course_name}
-                      </h3>
+                    <div className="flex items-start justify-between mb-2">
+                      <div>
+                        <h3 className={`font-semibold text-lg leading-tight transition-colors ${
+                          isActivated 
+                            ? 'text-emerald-100 group-hover:text-emerald-50' 
+                            : 'text-zinc-100 group-hover:text-zinc-50'
+                        }`}>
+                          {roadmap.course_name}
+                        </h3>
+                        {isPrimary && (
+                          <span className="inline-block mt-1 text-[10px] uppercase tracking-wide font-semibold px-1.5 py-0.5 rounded bg-emerald-500/20 text-emerald-300 border border-emerald-500/30">
+                            Primary
+                          </span>
+                        )}
+                      </div>
                       <span className={`text-sm font-medium px-2 py-1 rounded-full ${
                         isActivated 
                           ? 'text-emerald-200 bg-emerald-800/50' 
@@ -213,6 +276,34 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
                       </span>
                     </div>
 
+                    {/* Course Metadata */}
+                    <div className="flex-1 mb-4 space-y-2">
+                      {roadmap.description && (
+                        <p className="text-xs text-zinc-400 line-clamp-2">{roadmap.description}</p>
+                      )}
+                      {topics.length > 0 && (
+                        <div className="flex flex-wrap gap-1">
+                          {topics.slice(0, MAX_VISIBLE_TOPICS).map(topic => (
+                            <span key={topic} className="text-[10px] px-1.5 py-0.5 rounded bg-zinc-700/60 text-zinc-300">
+                              {topic}
+                            </span>
+                          ))}
+                          {topics.length > MAX_VISIBLE_TOPICS && (
+                            <span className="text-[10px] px-1.5 py-0.5 text-zinc-500">
+                              +{topics.length - MAX_VISIBLE_TOPICS}
+                            </span>
+                          )}
+                        </div>
+                      )}
+                      {Boolean(roadmap.total_steps || roadmap.estimated_hours) && (
+                        <p className="text-[11px] text-zinc-500">
+                          {roadmap.total_steps ? `${roadmap.total_steps} steps` : ''}
+                          {roadmap.total_steps && roadmap.estimated_hours ? ' · ' : ''}
+                          {roadmap.estimated_hours ? `~${roadmap.estimated_hours}h` : ''}
+                        </p>
+                      )}
+                    </div>
+
                     {/* Progress Section */}
                     <div className="relative mt-auto">
                       <div className="flex justify-center mb-2">
@@ -236,21 +327,31 @@ const RoadmapsSection = ({ onRoadmapChange }) => {
                       </div>
                       
                       {/* Activation Button */}
-                      <div className="mt-3 flex justify-center">
+                      <div className="mt-3 flex justify-center gap-2">
                         {isActivated ? (
-                          <button
-                            onClick={(e) => handleDeactivateRoadmap(e, roadmap)}
-                            className="px-3 py-1.5 bg-emerald-600/20 hover:bg-emerald-600/30 border border-emerald-500/30 hover:border-emerald-400/50 text-emerald-300 text-xs font-medium rounded-lg transition-all duration-200"
-                          >
-                            Deactivate
-                          </button>
+                          <>
+                            {!isPrimary && (
+                              <button
+                                onClick={(e) => handleMakePrimary(e, roadmap)}
+                                className="px-3 py-1.5 bg-zinc-700/50 hover:bg-emerald-600/20 border border-zinc-600/50 hover:border-emerald-500/30 text-zinc-300 hover:text-emerald-300 text-xs font-medium rounded-lg transition-all duration-200"
+                                title="Your primary course drives the dashboard's next challenge"
+                              >
+                                Make primary
+                              </button>
+                            )}
+                            <button
+                              onClick={(e) => handleDeactivateRoadmap(e, roadmap)}
+                              className="px-3 py-1.5 bg-emerald-600/20 hover:bg-emerald-600/30 border border-emerald-500/30 hover:border-emerald-400/50 text-emerald-300 text-xs font-medium rounded-lg transition-all duration-200"
+                            >
+                              Unenroll
+                            </button>
+                          </>
                         ) : (
                           <button
                             onClick={(e) => handleActivateRoadmap(e, roadmap)}
                             className="px-3 py-1.5 bg-zinc-700/50 hover:bg-emerald-600/20 border border-zinc-600/50 hover:border-emerald-500/30 text-zinc-400 hover:text-emerald-300 text-xs font-medium rounded-lg transition-all duration-200"
-                            title="This will replace any currently active roadmap"
                           >
-                            Activate
+                            Enroll
                           </button>
                         )}
                       </div>
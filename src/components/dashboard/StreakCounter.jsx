@@ -6,22 +6,26 @@ import LoadingSpinner from '../ui/LoadingSpinner';
 
 /**
  * StreakCounter - Duolingo-style colorful streak counter
+ * @param {Object} data - { current_streak, longest_streak } for another user; skips fetching the current user's
  */
-const StreakCounter = ({ streak: propStreak }) => {
+const StreakCounter = ({ streak: propStreak, data = null }) => {
   // Check authentication state
   const isAuthenticated = useSelector(selectIsAuthenticated);
   const user = useSelector(selectCurrentUser);
   
   // Fetch streak data from backend
-  const { data: streakData, loading: streakLoading, error: streakError, execute: fetchStreakData } = useGetUserStreak();
+  const { data: fetchedStreak, loading: fetchLoading, error: fetchError, execute: fetchStreakData } = useGetUserStreak();
+  const streakData = data || fetchedStreak;
+  const streakLoading = !data && fetchLoading;
+  const streakError = !data && fetchError;
 
   // Fetch streak data only once when user is authenticated
   useEffect(() => {
     // Only fetch if we don't have data and aren't loading
-    if (isAuthenticated && user && !streakData && !streakLoading) {
+    if (!data && isAuthenticated && user && !fetchedStreak && !fetchLoading) {
       fetchStreakData();
     }
-  }, [isAuthenticated, user, streakData, streakLoading, fetchStreakData]);
+  }, [data, isAuthenticated, user, fetchedStreak, fetchLoading, fetchStreakData]);
   
   // Use prop streak as fallback, then backend data, then default
   const currentStreak = streakData?.current_streak ?? propStreak ?? 0;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { UserCircleIcon } from '@heroicons/react/24/outline';
+
+const getRankColor = (rank) => {
+  switch (rank) {
+    case 1:
+      return 'text-amber-300';
+    case 2:
+      return 'text-zinc-300';
+    case 3:
+      return 'text-orange-400';
+    default:
+      return 'text-zinc-500';
+  }
+};
+
+const formatNumber = (value) => (value === null ? '—' : value.toLocaleString());
+
+const LeaderboardRow = ({ entry, showCountry }) => (
+  <tr className={`border-b border-zinc-700/50 last:border-0 ${entry.isCurrentUser ? 'bg-blue-500/10' : ''}`}>
+    <td className={`px-4 py-3 font-mono font-semibold ${getRankColor(entry.rank)}`}>
+      {entry.rank === null ? '—' : `#${entry.rank}`}
+    </td>
+    <td className="px-4 py-3">
+      <div className="flex items-center gap-2">
+        <UserCircleIcon className={`w-6 h-6 ${entry.anonymous ? 'text-zinc-600' : 'text-zinc-400'}`} />
+        <div>
+          <div className={entry.anonymous ? 'text-zinc-500 italic' : 'text-zinc-100'}>
+            {entry.name}
+            {entry.isCurrentUser && <span className="ml-2 text-xs text-blue-400 not-italic">You</span>}
+          </div>
+          {entry.username && <div className="text-xs text-zinc-500">@{entry.username}</div>}
+        </div>
+      </div>
+    </td>
+    {showCountry && <td className="px-4 py-3 text-zinc-400 hidden md:table-cell">{entry.country || '—'}</td>}
+    <td className="px-4 py-3 text-right font-mono text-zinc-300">{formatNumber(entry.problemsSolved)}</td>
+    <td className="px-4 py-3 text-right font-mono text-zinc-100">{formatNumber(entry.score)}</td>
+  </tr>
+);
+
+/**
+ * LeaderboardTable - Ranked rows with the current user's row pinned at the bottom
+ * when it falls outside the listed entries
+ * @param {Array} entries - Normalized, privacy-filtered entries (utils/leaderboard)
+ * @param {Object} currentUserEntry - The current user's row, if ranked
+ */
+const LeaderboardTable = ({ entries, currentUserEntry, showCountry = true }) => {
+  const isPinned = currentUserEntry && !entries.some(entry => entry.isCurrentUser);
+
+  return (
+    <div className="bg-zinc-800 border border-zinc-700 rounded-lg overflow-hidden">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-zinc-400 uppercase tracking-wide border-b border-zinc-700">
+            <th className="px-4 py-3 w-20">Rank</th>
+            <th className="px-4 py-3">Coder</th>
+            {showCountry && <th className="px-4 py-3 hidden md:table-cell">Country</th>}
+            <th className="px-4 py-3 w-28 text-right">Solved</th>
+            <th className="px-4 py-3 w-28 text-right">Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <LeaderboardRow key={`${entry.rank}-${entry.userKey}`} entry={entry} showCountry={showCountry} />
+          ))}
+        </tbody>
+        {isPinned && (
+          <tfoot className="sticky bottom-0 border-t-2 border-zinc-600 bg-zinc-800">
+            <LeaderboardRow entry={currentUserEntry} showCountry={showCountry} />
+          </tfoot>
+        )}
+      </table>
+    </div>
+  );
+};
+
+export default LeaderboardTable;
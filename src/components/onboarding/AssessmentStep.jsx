@@ -2,12 +2,35 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import useAxios from '../../hooks/useAxios';
 import useAuth from '../../hooks/useAuth';
 import PerformanceTracker from './PerformanceTracker';
+import ProblemContent from '../coding/ProblemContent';
 import api from '../../utils/axios';
 
+const MODE_COPY = {
+  onboarding: {
+    title: 'Quick Assessment',
+    subtitle: "Let's see what you know! Answer these questions to help us set your starting level."
+  },
+  reassessment: {
+    title: 'Skill Check',
+    subtitle: "Let's see how far you've come. Your answers decide whether your level moves up or down."
+  }
+};
+
 /**
  * AssessmentStep - New step for skill assessment after skill level selection
+ * Also runs outside onboarding with mode="reassessment" (see ReassessmentPage)
  */
-const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
+const AssessmentStep = ({
+  data,
+  onNext,
+  onBack,
+  canGoBack,
+  stepIndex,
+  mode = 'onboarding',
+  continueLabel = 'Continue to Completion'
+}) => {
+  const isReassessment = mode === 'reassessment';
+  const copy = MODE_COPY[mode] || MODE_COPY.onboarding;
   const { currentUser } = useAuth();
   
   // Debug logging
@@ -65,7 +88,9 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
     try {
       const response = await createAssessmentHook.execute(
         {}, // Empty body for POST
-        `/assessments/onboarding/${userKey}?claimed_skill_level=${data.skillLevel}`
+        isReassessment
+          ? `/assessments/reassessment/${userKey}?current_skill_level=${data.skillLevel}`
+          : `/assessments/onboarding/${userKey}?claimed_skill_level=${data.skillLevel}`
       );
       
       if (response) {
@@ -109,7 +134,7 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
       console.error('Failed to create assessment:', err);
       
       // Handle specific error cases for strict onboarding validation
-      if (err.response?.status === 400) {
+      if (!isReassessment && err.response?.status === 400) {
         const errorDetail = err.response?.data?.detail || '';
         
         if (errorDetail.includes('already completed onboarding') || 
@@ -123,7 +148,7 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
       
       // For other errors, show the error state which will allow retry
     }
-  }, [currentUser?._key, currentUser?.key, data.skillLevel, onNext, createAssessmentHook]);
+  }, [currentUser?._key, currentUser?.key, data.skillLevel, onNext, createAssessmentHook, isReassessment]);
 
   useEffect(() => {
     setIsVisible(true);
@@ -221,7 +246,9 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
     if (finalResult) {
       onNext({ 
         assessmentResult: finalResult,
-        expertiseRank: finalResult.calculated_expertise_rank
+        expertiseRank: finalResult.calculated_expertise_rank,
+        // Re-assessments build a per-topic breakdown from the individual answers
+        ...(isReassessment && { answers, questions: questionsData })
       });
     }
   };
@@ -249,6 +276,7 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
     const transformedQuestion = {
       title: question.title,
       description: question.description,
+      description_format: question.description_format,
       options: question.content?.options || [],
       points: question.points,
       estimated_time: question.estimated_time_minutes,
@@ -452,7 +480,7 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
               ml-auto
             "
           >
-            Continue to Completion
+            {continueLabel}
           </button>
         </div>
       </div>
@@ -485,10 +513,10 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
         ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-4'}
       `} style={{animationDelay: '200ms'}}>
         <h1 className="text-4xl font-thin tracking-tight text-zinc-100 mb-4">
-          Quick Assessment
+          {copy.title}
         </h1>
         <p className="text-lg text-zinc-400 font-light leading-relaxed max-w-2xl mx-auto mb-6">
-          Let's see what you know! Answer these questions to help us set your starting level.
+          {copy.subtitle}
         </p>
         
         {/* Progress */}
@@ -529,7 +557,11 @@ const AssessmentStep = ({ data, onNext, onBack, canGoBack, stepIndex }) => {
           <div className="lg:col-span-3">
             <div className="p-8 bg-zinc-800/30 border border-zinc-700/50 rounded-lg text-left">
               <h3 className="text-xl font-medium text-zinc-100 mb-4">{currentQuestion.title}</h3>
-              <p className="text-zinc-300 mb-6 leading-relaxed">{currentQuestion.description}</p>
+              <ProblemContent
+                content={currentQuestion.description}
+                format={currentQuestion.description_format}
+                className="mb-6"
+              />
               
               {/* Options */}
               <div className="space-y-3">
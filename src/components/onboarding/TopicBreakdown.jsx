@@ -0,0 +1,43 @@
+import React from 'react';
+
+const STRENGTH_STYLES = {
+  strong: { bar: 'bg-green-500', text: 'text-green-400', label: 'Strong' },
+  developing: { bar: 'bg-yellow-500', text: 'text-yellow-400', label: 'Developing' },
+  weak: { bar: 'bg-red-500', text: 'text-red-400', label: 'Needs work' }
+};
+
+/**
+ * TopicBreakdown - Per-topic accuracy from an assessment
+ * @param {Array} topics - From buildTopicBreakdown: { topic, correct, total, accuracy, strength }
+ */
+const TopicBreakdown = ({ topics = [] }) => {
+  if (topics.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="p-6 bg-zinc-800/30 border border-zinc-700/50 rounded-lg text-left">
+      <h4 className="text-lg font-medium text-zinc-100 mb-4">Topic Proficiency</h4>
+      <div className="space-y-4">
+        {topics.map(({ topic, correct, total, accuracy, strength }) => {
+          const style = STRENGTH_STYLES[strength];
+          return (
+            <div key={topic}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="text-zinc-200">{topic}</span>
+                <span className="text-zinc-400">
+                  {correct}/{total} · <span className={style.text}>{style.label}</span>
+                </span>
+              </div>
+              <div className="h-2 bg-zinc-700 rounded-full overflow-hidden">
+                <div className={`h-full ${style.bar} rounded-full`} style={{ width: `${accuracy}%` }} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TopicBreakdown;
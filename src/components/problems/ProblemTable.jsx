@@ -0,0 +1,86 @@
+import React from 'react';
+import { CheckCircleIcon, EllipsisHorizontalCircleIcon } from '@heroicons/react/24/outline';
+import { PROBLEM_STATUSES } from '../../constants/problemLibrary';
+
+const getDifficultyColor = (difficulty) => {
+  switch (difficulty) {
+    case 'easy':
+      return 'text-sky-300 bg-sky-500/10';
+    case 'hard':
+      return 'text-rose-300 bg-rose-500/10';
+    default:
+      return 'text-amber-300 bg-amber-500/10';
+  }
+};
+
+const StatusIcon = ({ status }) => {
+  if (status === PROBLEM_STATUSES.SOLVED) {
+    return <CheckCircleIcon className="w-5 h-5 text-green-400" title="Solved" />;
+  }
+  if (status === PROBLEM_STATUSES.ATTEMPTED) {
+    return <EllipsisHorizontalCircleIcon className="w-5 h-5 text-amber-400" title="Attempted" />;
+  }
+  return <span className="block w-5 h-5" title="Unsolved" />;
+};
+
+/**
+ * ProblemTable - One page of the problem library
+ * @param {Array} problems - Normalized problems (utils/problemLibrary)
+ * @param {Function} onSelect - Called with the clicked problem
+ */
+const ProblemTable = ({ problems, onSelect, onTagClick }) => (
+  <div className="bg-zinc-800 border border-zinc-700 rounded-lg overflow-hidden">
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-zinc-400 uppercase tracking-wide border-b border-zinc-700">
+          <th className="px-4 py-3 w-12">Status</th>
+          <th className="px-4 py-3">Title</th>
+          <th className="px-4 py-3 hidden md:table-cell">Tags</th>
+          <th className="px-4 py-3 w-28">Difficulty</th>
+          <th className="px-4 py-3 w-28 text-right">Acceptance</th>
+        </tr>
+      </thead>
+      <tbody>
+        {problems.map(problem => (
+          <tr
+            key={problem.id}
+            onClick={() => onSelect(problem)}
+            className="border-b border-zinc-700/50 last:border-0 hover:bg-zinc-700/40 cursor-pointer transition-colors"
+          >
+            <td className="px-4 py-3"><StatusIcon status={problem.status} /></td>
+            <td className="px-4 py-3 text-zinc-100">{problem.title}</td>
+            <td className="px-4 py-3 hidden md:table-cell">
+              <div className="flex flex-wrap gap-1">
+                {problem.tags.slice(0, 3).map(tag => (
+                  <button
+                    key={tag}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onTagClick?.(tag);
+                    }}
+                    className="px-2 py-0.5 text-xs text-zinc-300 bg-zinc-700 hover:bg-zinc-600 rounded"
+                  >
+                    {tag}
+                  </button>
+                ))}
+                {problem.tags.length > 3 && (
+                  <span className="text-xs text-zinc-500">+{problem.tags.length - 3}</span>
+                )}
+              </div>
+            </td>
+            <td className="px-4 py-3">
+              <span className={`px-2 py-0.5 rounded text-xs capitalize ${getDifficultyColor(problem.difficulty)}`}>
+                {problem.difficulty}
+              </span>
+            </td>
+            <td className="px-4 py-3 text-right font-mono text-zinc-300">
+              {problem.acceptanceRate === null ? '—' : `${problem.acceptanceRate.toFixed(1)}%`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default ProblemTable;
@@ -1,33 +1,23 @@
 import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { updatePreferences, selectUserPreferences } from '../../store/userSlice';
+import { useUpdatePreferences } from '../../services/api';
+import { mergePreferences } from '../../constants/preferences';
+import { PROGRAMMING_LANGUAGES } from '../../constants/languages';
 
 /**
  * AccountSettings - User account preferences and settings
+ * Preferences are saved to /users/preferences and applied app-wide through userSlice
  */
 const AccountSettings = ({ user }) => {
-  const [settings, setSettings] = useState({
-    emailNotifications: user?.preferences?.emailNotifications ?? true,
-    learningReminders: user?.preferences?.learningReminders ?? true,
-    weeklyProgress: user?.preferences?.weeklyProgress ?? true,
-    problemSolutions: user?.preferences?.problemSolutions ?? false,
-    communityUpdates: user?.preferences?.communityUpdates ?? true,
-    language: user?.preferences?.language || 'en',
-    timezone: user?.preferences?.timezone || 'UTC',
-    theme: user?.preferences?.theme || 'dark',
-    defaultProgrammingLanguage: user?.preferences?.defaultProgrammingLanguage || 'python',
-    codeEditor: {
-      fontSize: user?.preferences?.codeEditor?.fontSize || 14,
-      tabSize: user?.preferences?.codeEditor?.tabSize || 4,
-      wordWrap: user?.preferences?.codeEditor?.wordWrap ?? true,
-      minimap: user?.preferences?.codeEditor?.minimap ?? true,
-      lineNumbers: user?.preferences?.codeEditor?.lineNumbers ?? true
-    },
-    privacy: {
-      profileVisibility: user?.preferences?.privacy?.profileVisibility || 'public',
-      showProgress: user?.preferences?.privacy?.showProgress ?? true,
-      showActivity: user?.preferences?.privacy?.showActivity ?? true,
-      allowMessages: user?.preferences?.privacy?.allowMessages ?? true
-    }
-  });
+  const dispatch = useDispatch();
+  const storedPreferences = useSelector(selectUserPreferences);
+  const updatePreferencesHook = useUpdatePreferences();
+
+  // The store holds the latest saved values - currentUser.preferences can be stale
+  const [settings, setSettings] = useState(() => 
+    mergePreferences(user?.preferences, storedPreferences)
+  );
 
   const [isSaving, setIsSaving] = useState(false);
   const [savedMessage, setSavedMessage] = useState('');
@@ -56,6 +46,16 @@ const AccountSettings = ({ user }) => {
     }));
   };
 
+  const handlePrivacyChange = (setting, value) => {
+    setSettings(prev => ({
+      ...prev,
+      privacy: {
+        ...prev.privacy,
+        [setting]: value
+      }
+    }));
+  };
+
   const handleEditorChange = (setting, value) => {
     setSettings(prev => ({
       ...prev,
@@ -70,8 +70,10 @@ const AccountSettings = ({ user }) => {
     setIsSaving(true);
     
     try {
-      // Mock API call - replace with actual API
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const savedPreferences = await updatePreferencesHook.execute(settings);
+      
+      // Apply immediately across the app (editor, default language, etc.)
+      dispatch(updatePreferences(savedPreferences || settings));
       
       setSavedMessage('Settings saved successfully!');
       setTimeout(() => setSavedMessage(''), 3000);
@@ -233,6 +235,7 @@ const AccountSettings = ({ user }) => {
                 <option value="Europe/Paris">Paris</option>
                 <option value="Asia/Tokyo">Tokyo</option>
               </select>
+              <p className="text-zinc-500 text-xs mt-1">Saved to your account. Times shown in the app use this device's timezone for now.</p>
             </div>
 
             <div>
@@ -247,11 +250,9 @@ const AccountSettings = ({ user }) => {
                   focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
                 "
               >
-                <option value="python">Python</option>
-                <option value="java">Java</option>
-                <option value="javascript">JavaScript</option>
-                <option value="cpp">C++</option>
-                <option value="go">Go</option>
+                {PROGRAMMING_LANGUAGES.map(lang => (
+                  <option key={lang.id} value={lang.id}>{lang.label}</option>
+                ))}
               </select>
             </div>
 
@@ -271,6 +272,7 @@ const AccountSettings = ({ user }) => {
                 <option value="light">Light</option>
                 <option value="auto">System</option>
               </select>
+              <p className="text-zinc-500 text-xs mt-1">Saved to your account. The app only has a dark theme for now, so this doesn't change anything yet.</p>
             </div>
           </div>
         </div>
@@ -362,7 +364,7 @@ const AccountSettings = ({ user }) => {
               </label>
               <select
                 value={settings.privacy.profileVisibility}
-                onChange={(e) => handleToggle('privacy', 'profileVisibility')}
+                onChange={(e) => handlePrivacyChange('profileVisibility', e.target.value)}
                 className="
                   w-full px-3 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-zinc-100
                   focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
@@ -0,0 +1,33 @@
+import React from 'react';
+import { TrophyIcon } from '@heroicons/react/24/outline';
+
+/**
+ * BadgeList - Earned badges on a public profile
+ * @param {Array} badges - [{ id, name, description, icon, earnedAt }]
+ */
+const BadgeList = ({ badges }) => (
+  <div className="bg-zinc-800/50 rounded-lg p-6 border border-zinc-700">
+    <h3 className="text-lg font-medium text-zinc-100 mb-4">Badges</h3>
+
+    {badges.length === 0 ? (
+      <p className="text-sm text-zinc-500">No badges earned yet.</p>
+    ) : (
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+        {badges.map(badge => (
+          <div
+            key={badge.id}
+            className="flex items-center gap-3 p-3 bg-zinc-900/50 border border-zinc-700/50 rounded-lg"
+            title={badge.description}
+          >
+            <div className="w-9 h-9 flex-shrink-0 rounded-full bg-amber-500/10 flex items-center justify-center text-lg">
+              {badge.icon || <TrophyIcon className="w-5 h-5 text-amber-300" />}
+            </div>
+            <span className="text-sm text-zinc-200 truncate">{badge.name}</span>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default BadgeList;
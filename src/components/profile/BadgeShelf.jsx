@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import useAchievements from '../../hooks/useAchievements';
+import achievementsAPI from '../../services/achievementsAPI';
+import { ACHIEVEMENTS } from '../../constants/achievements';
+import { getRuleProgress } from '../../utils/achievementEngine';
+
+const formatUnlockedAt = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : null;
+};
+
+/**
+ * BadgeShelf - Every badge, earned ones first, with progress towards counter badges
+ */
+const BadgeShelf = () => {
+  const { achievements } = useAchievements();
+  const [progress, setProgress] = useState({});
+
+  useEffect(() => {
+    achievementsAPI.getProgressContext().then(setProgress);
+  }, []);
+
+  const unlockedById = new Map(achievements.map(achievement => [achievement.id, achievement]));
+  const badges = [...ACHIEVEMENTS].sort(
+    (a, b) => Number(unlockedById.has(b.id)) - Number(unlockedById.has(a.id))
+  );
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-medium text-zinc-100">Badges</h2>
+        <span className="text-sm text-zinc-400">
+          {unlockedById.size} of {ACHIEVEMENTS.length} earned
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {badges.map(badge => {
+          const unlocked = unlockedById.get(badge.id);
+          const ruleProgress = unlocked ? null : getRuleProgress(badge.rule, progress);
+          const unlockedAt = formatUnlockedAt(unlocked?.unlockedAt);
+
+          return (
+            <div
+              key={badge.id}
+              className={`p-4 rounded-lg border ${
+                unlocked ? 'bg-amber-500/5 border-amber-500/30' : 'bg-zinc-900/50 border-zinc-700/50'
+              }`}
+            >
+              <div className="flex items-center gap-3 mb-2">
+                <div className={`w-10 h-10 rounded-full flex items-center justify-center text-xl ${
+                  unlocked ? 'bg-amber-500/10' : 'bg-zinc-800 grayscale opacity-50'
+                }`}>
+                  {badge.icon}
+                </div>
+                <div className="min-w-0">
+                  <div className={`font-medium ${unlocked ? 'text-zinc-100' : 'text-zinc-400'}`}>{badge.name}</div>
+                  {unlocked ? (
+                    unlockedAt && <div className="text-xs text-amber-300/80">Earned {unlockedAt}</div>
+                  ) : (
+                    <div className="flex items-center gap-1 text-xs text-zinc-500">
+                      <LockClosedIcon className="w-3 h-3" />
+                      Locked
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <p className="text-sm text-zinc-400">{badge.description}</p>
+
+              {ruleProgress && (
+                <div className="mt-3">
+                  <div className="flex justify-end text-xs text-zinc-500 mb-1">
+                    {ruleProgress.current}/{ruleProgress.target}
+                  </div>
+                  <div className="h-1.5 rounded-full bg-zinc-700 overflow-hidden">
+                    <div
+                      className="h-full bg-amber-500/70"
+                      style={{ width: `${(ruleProgress.current / ruleProgress.target) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BadgeShelf;
@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import FormInput from '../FormInput';
 import { validateName, validateEmail } from '../../utils/validation';
-import { setCurrentUser } from '../../store/userSlice';
+import { setCurrentUser, selectAchievements } from '../../store/userSlice';
 import { useUpdateProfile } from '../../services/api';
 
 /**
@@ -11,6 +11,7 @@ import { useUpdateProfile } from '../../services/api';
 const ProfileInfo = ({ user }) => {
   const dispatch = useDispatch();
   const updateProfileHook = useUpdateProfile();
+  const achievements = useSelector(selectAchievements);
   
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -312,7 +313,7 @@ const ProfileInfo = ({ user }) => {
                 <div className="text-zinc-400 text-sm">Day Streak</div>
               </div>
               <div className="bg-zinc-700/50 rounded-lg p-4">
-                <div className="text-2xl font-bold text-purple-400">2</div>
+                <div className="text-2xl font-bold text-purple-400">{achievements.length}</div>
                 <div className="text-zinc-400 text-sm">Badges Earned</div>
               </div>
             </div>
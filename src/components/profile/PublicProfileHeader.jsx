@@ -0,0 +1,103 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { MapPinIcon, CalendarIcon } from '@heroicons/react/24/outline';
+
+const getInitials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part.charAt(0).toUpperCase())
+  .join('') || 'U';
+
+const formatJoined = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : null;
+};
+
+/**
+ * PublicProfileHeader - Name, avatar and headline stats for /u/:username
+ * @param {Object} profile - Normalized profile (utils/publicProfile)
+ * @param {boolean} showProgress - Whether rating and solved counts may be shown
+ * @param {React.ReactNode} actions - Buttons shown on the right (e.g. share link)
+ */
+const PublicProfileHeader = ({ profile, showProgress, actions }) => {
+  const { stats } = profile;
+  const joined = formatJoined(profile.joinedAt);
+
+  return (
+    <div className="bg-zinc-800/50 rounded-lg p-6 border border-zinc-700">
+      <div className="flex flex-col md:flex-row gap-6 md:items-center">
+        {profile.avatarUrl ? (
+          <img src={profile.avatarUrl} alt="" className="w-24 h-24 rounded-full object-cover" />
+        ) : (
+          <div className="w-24 h-24 flex-shrink-0 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-white font-bold text-3xl">
+            {getInitials(profile.name)}
+          </div>
+        )}
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-3 mb-1">
+            <h1 className="text-2xl font-bold text-zinc-100 truncate">{profile.name}</h1>
+            {showProgress && stats.rank && (
+              <span className="px-3 py-1 rounded-full text-sm font-medium bg-zinc-700 text-white">{stats.rank}</span>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-zinc-400">
+            <span>@{profile.username}</span>
+            {profile.country && (
+              <span className="flex items-center gap-1">
+                <MapPinIcon className="w-4 h-4" />
+                {profile.country}
+              </span>
+            )}
+            {joined && (
+              <span className="flex items-center gap-1">
+                <CalendarIcon className="w-4 h-4" />
+                Joined {joined}
+              </span>
+            )}
+          </div>
+
+          {profile.bio && <p className="mt-3 text-zinc-300 text-sm">{profile.bio}</p>}
+
+          {showProgress && (
+            <div className="flex flex-wrap items-center gap-6 mt-4">
+              {stats.rating !== null && (
+                <div className="flex items-center gap-2">
+                  <span className="text-2xl font-bold text-zinc-200">{stats.rating}</span>
+                  <div className="text-zinc-400 text-sm">
+                    <div>Rating</div>
+                    {stats.maxRating !== null && <div className="text-xs">Max: {stats.maxRating}</div>}
+                  </div>
+                </div>
+              )}
+              <div className="text-zinc-400 text-sm text-center">
+                <div className="text-zinc-100 font-medium text-lg">{stats.problemsSolved ?? 0}</div>
+                <div>Problems Solved</div>
+              </div>
+              {stats.acceptanceRate !== null && (
+                <div className="text-zinc-400 text-sm text-center">
+                  <div className="text-zinc-100 font-medium text-lg">{stats.acceptanceRate}%</div>
+                  <div>Acceptance Rate</div>
+                </div>
+              )}
+              {stats.globalRank !== null && (
+                <Link to="/leaderboard" className="text-zinc-400 text-sm text-center hover:text-zinc-200 transition-colors">
+                  <div className="text-zinc-100 font-medium text-lg">#{stats.globalRank}</div>
+                  <div>Global Rank</div>
+                </Link>
+              )}
+            </div>
+          )}
+        </div>
+
+        {actions && <div className="flex items-center gap-2 md:self-start">{actions}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default PublicProfileHeader;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * RoadmapProgressList - Read-only roadmap progress for a public profile
+ * @param {Array} roadmaps - [{ courseId, courseName, progress, completed, total }]
+ */
+const RoadmapProgressList = ({ roadmaps }) => (
+  <div className="bg-zinc-800/50 rounded-lg p-6 border border-zinc-700">
+    <h3 className="text-lg font-medium text-zinc-100 mb-4">Roadmaps</h3>
+
+    {roadmaps.length === 0 ? (
+      <p className="text-sm text-zinc-500">No roadmaps started yet.</p>
+    ) : (
+      <div className="space-y-4">
+        {roadmaps.map(roadmap => (
+          <div key={roadmap.courseId || roadmap.courseName}>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="text-zinc-200">{roadmap.courseName}</span>
+              <span className="text-zinc-400">
+                {roadmap.completed}/{roadmap.total} · {Math.round(roadmap.progress)}%
+              </span>
+            </div>
+            <div className="h-2 rounded-full bg-emerald-900/50 overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-emerald-500 to-emerald-400"
+                style={{ width: `${Math.min(100, roadmap.progress)}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default RoadmapProgressList;
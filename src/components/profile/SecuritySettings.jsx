@@ -1,6 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import FormInput from '../FormInput';
 import { validatePassword } from '../../utils/validation';
+import securityAPI from '../../services/securityAPI';
+
+// Pull a readable message out of an API error
+const getErrorMessage = (error, fallback) => 
+  error.response?.data?.detail || error.response?.data?.message || fallback;
 
 /**
  * SecuritySettings - Security and password management
@@ -15,41 +20,60 @@ const SecuritySettings = ({ user }) => {
   const [passwordErrors, setPasswordErrors] = useState({});
   const [touchedFields, setTouchedFields] = useState({});
   const [isChangingPassword, setIsChangingPassword] = useState(false);
+  const [statusMessage, setStatusMessage] = useState(null);
+  
+  // Two-factor state
   const [twoFactorEnabled, setTwoFactorEnabled] = useState(user?.security?.twoFactorEnabled || false);
   const [isEnabling2FA, setIsEnabling2FA] = useState(false);
-  const [backupCodes] = useState([
-    'abc123def456',
-    'ghi789jkl012',
-    'mno345pqr678',
-    'stu901vwx234',
-    'yz567abc890'
-  ]);
-  const [sessions] = useState([
-    {
-      id: 1,
-      device: 'MacBook Pro',
-      browser: 'Chrome',
-      location: 'San Francisco, CA',
-      lastActive: '2024-01-15 10:30 AM',
-      current: true
-    },
-    {
-      id: 2,
-      device: 'iPhone 15',
-      browser: 'Safari',
-      location: 'San Francisco, CA',
-      lastActive: '2024-01-14 08:45 PM',
-      current: false
-    },
-    {
-      id: 3,
-      device: 'Windows PC',
-      browser: 'Edge',
-      location: 'New York, NY',
-      lastActive: '2024-01-12 02:15 PM',
-      current: false
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [verificationCode, setVerificationCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [backupCodesRemaining, setBackupCodesRemaining] = useState(null);
+  const [isGeneratingCodes, setIsGeneratingCodes] = useState(false);
+  
+  // Login sessions state
+  const [sessions, setSessions] = useState([]);
+  const [isLoadingSessions, setIsLoadingSessions] = useState(false);
+  const [revokingSessionId, setRevokingSessionId] = useState(null);
+
+  const showStatus = (type, text) => {
+    setStatusMessage({ type, text });
+    setTimeout(() => setStatusMessage(null), 4000);
+  };
+
+  // Load 2FA status on mount
+  useEffect(() => {
+    const loadTwoFactorStatus = async () => {
+      try {
+        const status = await securityAPI.getTwoFactorStatus();
+        setTwoFactorEnabled(!!status.enabled);
+        setBackupCodesRemaining(status.backup_codes_remaining ?? null);
+      } catch (error) {
+        console.warn('Could not load 2FA status:', error);
+      }
+    };
+
+    loadTwoFactorStatus();
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    setIsLoadingSessions(true);
+    try {
+      const loginSessions = await securityAPI.getLoginSessions();
+      setSessions(Array.isArray(loginSessions) ? loginSessions : []);
+    } catch (error) {
+      showStatus('error', getErrorMessage(error, 'Failed to load active sessions.'));
+    } finally {
+      setIsLoadingSessions(false);
     }
-  ]);
+  }, []);
+
+  // Fetch login sessions when the section is opened
+  useEffect(() => {
+    if (activeSection === 'sessions') {
+      loadSessions();
+    }
+  }, [activeSection, loadSessions]);
 
   const handlePasswordChange = (e) => {
     const { name, value } = e.target;
@@ -124,8 +148,7 @@ const SecuritySettings = ({ user }) => {
     }
 
     try {
-      // Mock API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      await securityAPI.changePassword(passwordForm.currentPassword, passwordForm.newPassword);
       
       // Reset form
       setPasswordForm({
@@ -136,11 +159,15 @@ const SecuritySettings = ({ user }) => {
       setPasswordErrors({});
       setTouchedFields({});
       
-      // Show success message (you could add a state for this)
-      alert('Password changed successfully!');
+      showStatus('success', 'Password changed successfully!');
     } catch (error) {
       console.error('Error changing password:', error);
-      alert('Failed to change password. Please try again.');
+      // Wrong current password is a 400/403 - a 401 means the session expired and is handled by the axios interceptor
+      if (error.response?.status === 400 || error.response?.status === 403) {
+        setPasswordErrors(prev => ({ ...prev, currentPassword: 'Current password is incorrect' }));
+        setTouchedFields(prev => ({ ...prev, currentPassword: true }));
+      }
+      showStatus('error', getErrorMessage(error, 'Failed to change password. Please try again.'));
     } finally {
       setIsChangingPassword(false);
     }
@@ -149,26 +176,137 @@ const SecuritySettings = ({ user }) => {
   const handleEnable2FA = async () => {
     setIsEnabling2FA(true);
     try {
-      // Mock API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setTwoFactorEnabled(!twoFactorEnabled);
+      const setup = await securityAPI.startTwoFactorSetup();
+      setTwoFactorSetup(setup);
+      setVerificationCode('');
+    } catch (error) {
+      console.error('Error starting 2FA setup:', error);
+      showStatus('error', getErrorMessage(error, 'Failed to start two-factor setup.'));
+    } finally {
+      setIsEnabling2FA(false);
+    }
+  };
+
+  const handleVerify2FA = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(verificationCode)) {
+      showStatus('error', 'Enter the 6-digit code from your authenticator app.');
+      return;
+    }
+
+    setIsEnabling2FA(true);
+    try {
+      const result = await securityAPI.verifyTwoFactorSetup(verificationCode);
+      setTwoFactorEnabled(true);
+      setTwoFactorSetup(null);
+      setVerificationCode('');
+      
+      // Backend returns the initial backup codes once - show them right away
+      if (result.backup_codes?.length) {
+        setBackupCodes(result.backup_codes);
+        setBackupCodesRemaining(result.backup_codes.length);
+        setActiveSection('backup');
+      }
+      showStatus('success', 'Two-factor authentication enabled.');
+    } catch (error) {
+      console.error('Error verifying 2FA code:', error);
+      showStatus('error', getErrorMessage(error, 'Invalid verification code. Please try again.'));
+    } finally {
+      setIsEnabling2FA(false);
+    }
+  };
+
+  const handleDisable2FA = async (e) => {
+    e.preventDefault();
+    if (!verificationCode.trim()) {
+      showStatus('error', 'Enter an authenticator or backup code to disable two-factor authentication.');
+      return;
+    }
+
+    setIsEnabling2FA(true);
+    try {
+      await securityAPI.disableTwoFactor(verificationCode.trim());
+      setTwoFactorEnabled(false);
+      setVerificationCode('');
+      setBackupCodes([]);
+      setBackupCodesRemaining(null);
+      showStatus('success', 'Two-factor authentication disabled.');
     } catch (error) {
-      console.error('Error toggling 2FA:', error);
+      console.error('Error disabling 2FA:', error);
+      showStatus('error', getErrorMessage(error, 'Failed to disable two-factor authentication.'));
     } finally {
       setIsEnabling2FA(false);
     }
   };
 
+  const handleGenerateBackupCodes = async () => {
+    setIsGeneratingCodes(true);
+    try {
+      const codes = await securityAPI.generateBackupCodes();
+      setBackupCodes(codes);
+      setBackupCodesRemaining(codes.length);
+      showStatus('success', 'New backup codes generated. Previous codes no longer work.');
+    } catch (error) {
+      console.error('Error generating backup codes:', error);
+      showStatus('error', getErrorMessage(error, 'Failed to generate backup codes.'));
+    } finally {
+      setIsGeneratingCodes(false);
+    }
+  };
+
+  const handleDownloadBackupCodes = () => {
+    if (backupCodes.length === 0) return;
+
+    const content = [
+      'IntelliCode backup codes',
+      `Generated: ${new Date().toISOString()}`,
+      'Each code can be used once.',
+      '',
+      ...backupCodes
+    ].join('\n');
+    
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'intellicode-backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const handleRevokeSession = async (sessionId) => {
+    setRevokingSessionId(sessionId);
     try {
-      // Mock API call
-      await new Promise(resolve => setTimeout(resolve, 500));
-      alert('Session revoked successfully!');
+      await securityAPI.revokeLoginSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      showStatus('success', 'Session revoked successfully!');
     } catch (error) {
       console.error('Error revoking session:', error);
+      showStatus('error', getErrorMessage(error, 'Failed to revoke session.'));
+    } finally {
+      setRevokingSessionId(null);
     }
   };
 
+  const handleRevokeAllSessions = async () => {
+    setRevokingSessionId('all');
+    try {
+      await securityAPI.revokeOtherLoginSessions();
+      setSessions(prev => prev.filter(session => session.current));
+      showStatus('success', 'All other sessions have been signed out.');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      showStatus('error', getErrorMessage(error, 'Failed to revoke sessions.'));
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  const formatLastActive = (timestamp) => {
+    if (!timestamp) return 'Unknown';
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+  };
+
   const sections = [
     { id: 'password', label: 'Password' },
     { id: '2fa', label: 'Two-Factor Authentication' },
@@ -180,6 +318,15 @@ const SecuritySettings = ({ user }) => {
     <div className="p-6">
       <h2 className="text-xl font-medium text-zinc-100 mb-6">Security Settings</h2>
 
+      {statusMessage && (
+        <div className={`mb-4 p-3 rounded-lg ${
+          statusMessage.type === 'error' ? 'bg-red-900/20 text-red-400 border border-red-700/50' :
+          'bg-green-900/20 text-green-400 border border-green-700/50'
+        }`}>
+          {statusMessage.text}
+        </div>
+      )}
+
       {/* Section Navigation */}
       <div className="flex space-x-1 mb-6 bg-zinc-700/30 rounded-lg p-1">
         {sections.map(section => (
@@ -283,36 +430,119 @@ const SecuritySettings = ({ user }) => {
                 <span className={`text-sm ${twoFactorEnabled ? 'text-green-400' : 'text-zinc-400'}`}>
                   {twoFactorEnabled ? 'Enabled' : 'Disabled'}
                 </span>
-                <button
-                  onClick={handleEnable2FA}
-                  disabled={isEnabling2FA}
-                  className={`
-                    px-4 py-2 rounded-lg text-white transition-colors duration-200
-                    focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-zinc-800
-                    ${twoFactorEnabled 
-                      ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500' 
-                      : 'bg-green-600 hover:bg-green-700 focus:ring-green-500'
-                    }
-                    disabled:opacity-50
-                  `}
-                >
-                  {isEnabling2FA ? 'Processing...' : (twoFactorEnabled ? 'Disable' : 'Enable')}
-                </button>
+                {!twoFactorEnabled && !twoFactorSetup && (
+                  <button
+                    onClick={handleEnable2FA}
+                    disabled={isEnabling2FA}
+                    className="
+                      px-4 py-2 rounded-lg text-white transition-colors duration-200
+                      focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-zinc-800
+                      bg-green-600 hover:bg-green-700 focus:ring-green-500 disabled:opacity-50
+                    "
+                  >
+                    {isEnabling2FA ? 'Processing...' : 'Enable'}
+                  </button>
+                )}
               </div>
             </div>
 
-            {twoFactorEnabled && (
-              <div className="mt-4 p-4 bg-green-900/20 border border-green-700/50 rounded-lg">
-                <div className="flex items-center space-x-2">
-                  <svg className="w-5 h-5 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="text-green-400 font-medium">Two-factor authentication is active</span>
+            {/* Enrollment: scan QR / enter secret, then confirm with a code */}
+            {!twoFactorEnabled && twoFactorSetup && (
+              <form onSubmit={handleVerify2FA} className="mt-4 space-y-4">
+                <p className="text-zinc-300 text-sm">
+                  1. Scan this QR code with your authenticator app, or enter the secret manually.
+                </p>
+                <div className="flex flex-col md:flex-row md:items-center gap-4">
+                  {twoFactorSetup.qr_code && (
+                    <img
+                      src={twoFactorSetup.qr_code}
+                      alt="Two-factor authentication QR code"
+                      className="w-40 h-40 bg-white p-2 rounded"
+                    />
+                  )}
+                  <div>
+                    <span className="text-zinc-400 text-xs">Secret key</span>
+                    <div className="font-mono text-zinc-200 bg-zinc-800 p-2 rounded mt-1 break-all select-all">
+                      {twoFactorSetup.secret}
+                    </div>
+                  </div>
                 </div>
-                <p className="text-green-300 text-sm mt-2">
-                  Your account is protected with two-factor authentication. Make sure to keep your backup codes safe.
+                <p className="text-zinc-300 text-sm">
+                  2. Enter the 6-digit code shown in the app to finish setup.
                 </p>
-              </div>
+                <div className="flex items-center space-x-3 max-w-md">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    value={verificationCode}
+                    onChange={(e) => setVerificationCode(e.target.value.replace(/\D/g, ''))}
+                    placeholder="123456"
+                    className="
+                      flex-1 px-4 py-2 bg-zinc-800 border border-zinc-700 rounded-lg text-zinc-100 font-mono tracking-widest
+                      focus:outline-none focus:border-zinc-500
+                    "
+                  />
+                  <button
+                    type="submit"
+                    disabled={isEnabling2FA}
+                    className="
+                      px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg
+                      transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-500
+                    "
+                  >
+                    {isEnabling2FA ? 'Verifying...' : 'Verify'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setTwoFactorSetup(null)}
+                    className="px-3 py-2 text-zinc-400 hover:text-zinc-200 text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {twoFactorEnabled && (
+              <>
+                <div className="mt-4 p-4 bg-green-900/20 border border-green-700/50 rounded-lg">
+                  <div className="flex items-center space-x-2">
+                    <svg className="w-5 h-5 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <span className="text-green-400 font-medium">Two-factor authentication is active</span>
+                  </div>
+                  <p className="text-green-300 text-sm mt-2">
+                    Your account is protected with two-factor authentication. Make sure to keep your backup codes safe.
+                  </p>
+                </div>
+
+                <form onSubmit={handleDisable2FA} className="mt-4 flex items-center space-x-3 max-w-md">
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={verificationCode}
+                    onChange={(e) => setVerificationCode(e.target.value)}
+                    placeholder="Authenticator or backup code"
+                    className="
+                      flex-1 px-4 py-2 bg-zinc-800 border border-zinc-700 rounded-lg text-zinc-100 font-mono
+                      focus:outline-none focus:border-zinc-500
+                    "
+                  />
+                  <button
+                    type="submit"
+                    disabled={isEnabling2FA}
+                    className="
+                      px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded-lg
+                      transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500
+                    "
+                  >
+                    {isEnabling2FA ? 'Processing...' : 'Disable'}
+                  </button>
+                </form>
+              </>
             )}
           </div>
         </div>
@@ -328,55 +558,69 @@ const SecuritySettings = ({ user }) => {
             </p>
           </div>
 
-          <div className="space-y-4">
-            {sessions.map(session => (
-              <div key={session.id} className="bg-zinc-700/30 rounded-lg p-4">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-4">
-                    <div className="w-10 h-10 bg-zinc-600 rounded-lg flex items-center justify-center">
-                      <svg className="w-5 h-5 text-zinc-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                      </svg>
-                    </div>
-                    <div>
-                      <div className="flex items-center space-x-2">
-                        <h4 className="text-zinc-100 font-medium">{session.device}</h4>
-                        {session.current && (
-                          <span className="px-2 py-1 bg-green-400/20 text-green-400 text-xs rounded">
-                            Current
-                          </span>
-                        )}
+          {isLoadingSessions ? (
+            <p className="text-zinc-400 text-sm">Loading sessions...</p>
+          ) : sessions.length === 0 ? (
+            <p className="text-zinc-500 text-sm">No active sessions found.</p>
+          ) : (
+            <div className="space-y-4">
+              {sessions.map(session => (
+                <div key={session.id} className="bg-zinc-700/30 rounded-lg p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-4">
+                      <div className="w-10 h-10 bg-zinc-600 rounded-lg flex items-center justify-center">
+                        <svg className="w-5 h-5 text-zinc-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                        </svg>
+                      </div>
+                      <div>
+                        <div className="flex items-center space-x-2">
+                          <h4 className="text-zinc-100 font-medium">{session.device || 'Unknown device'}</h4>
+                          {session.current && (
+                            <span className="px-2 py-1 bg-green-400/20 text-green-400 text-xs rounded">
+                              Current
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-zinc-400 text-sm">
+                          {session.browser || 'Unknown browser'}
+                          {session.location && ` • ${session.location}`}
+                          {session.ip_address && ` • ${session.ip_address}`}
+                        </p>
+                        <p className="text-zinc-500 text-xs">
+                          Last active: {formatLastActive(session.last_active || session.lastActive)}
+                        </p>
                       </div>
-                      <p className="text-zinc-400 text-sm">
-                        {session.browser} • {session.location}
-                      </p>
-                      <p className="text-zinc-500 text-xs">
-                        Last active: {session.lastActive}
-                      </p>
                     </div>
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevokeSession(session.id)}
+                        disabled={revokingSessionId !== null}
+                        className="
+                          px-3 py-1 text-red-400 hover:text-red-300 border border-red-700 hover:border-red-600
+                          rounded transition-colors duration-200 text-sm disabled:opacity-50
+                          focus:outline-none focus:ring-2 focus:ring-red-500
+                        "
+                      >
+                        {revokingSessionId === session.id ? 'Revoking...' : 'Revoke'}
+                      </button>
+                    )}
                   </div>
-                  {!session.current && (
-                    <button
-                      onClick={() => handleRevokeSession(session.id)}
-                      className="
-                        px-3 py-1 text-red-400 hover:text-red-300 border border-red-700 hover:border-red-600
-                        rounded transition-colors duration-200 text-sm
-                        focus:outline-none focus:ring-2 focus:ring-red-500
-                      "
-                    >
-                      Revoke
-                    </button>
-                  )}
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
 
-          <button className="
-            w-full px-4 py-2 border border-red-700 text-red-400 hover:text-red-300 hover:border-red-600
-            rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500
-          ">
-            Revoke All Other Sessions
+          <button
+            onClick={handleRevokeAllSessions}
+            disabled={revokingSessionId !== null || !sessions.some(session => !session.current)}
+            className="
+              w-full px-4 py-2 border border-red-700 text-red-400 hover:text-red-300 hover:border-red-600
+              rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500
+              disabled:opacity-50 disabled:cursor-not-allowed
+            "
+          >
+            {revokingSessionId === 'all' ? 'Revoking...' : 'Revoke All Other Sessions'}
           </button>
         </div>
       )}
@@ -395,25 +639,46 @@ const SecuritySettings = ({ user }) => {
             <div className="space-y-4">
               <div className="bg-zinc-700/30 rounded-lg p-6">
                 <h4 className="text-zinc-100 font-medium mb-4">Your Backup Codes</h4>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
-                  {backupCodes.map((code, index) => (
-                    <div key={index} className="font-mono text-zinc-300 bg-zinc-800 p-2 rounded">
-                      {code}
+                {backupCodes.length > 0 ? (
+                  <>
+                    <p className="text-zinc-400 text-sm mb-3">
+                      These codes are shown only once. Download or copy them now.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+                      {backupCodes.map((code) => (
+                        <div key={code} className="font-mono text-zinc-300 bg-zinc-800 p-2 rounded">
+                          {code}
+                        </div>
+                      ))}
                     </div>
-                  ))}
-                </div>
+                  </>
+                ) : (
+                  <p className="text-zinc-400 text-sm mb-4">
+                    {backupCodesRemaining !== null
+                      ? `You have ${backupCodesRemaining} unused backup code${backupCodesRemaining === 1 ? '' : 's'}. Generate a new set to view codes again.`
+                      : 'Generate a new set of backup codes to view them.'}
+                  </p>
+                )}
                 <div className="flex space-x-3">
-                  <button className="
-                    px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg
-                    transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500
-                  ">
+                  <button
+                    onClick={handleDownloadBackupCodes}
+                    disabled={backupCodes.length === 0}
+                    className="
+                      px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed
+                      transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500
+                    "
+                  >
                     Download Codes
                   </button>
-                  <button className="
-                    px-4 py-2 border border-zinc-600 text-zinc-300 hover:text-zinc-100 hover:border-zinc-500
-                    rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-zinc-500
-                  ">
-                    Generate New Codes
+                  <button
+                    onClick={handleGenerateBackupCodes}
+                    disabled={isGeneratingCodes}
+                    className="
+                      px-4 py-2 border border-zinc-600 text-zinc-300 hover:text-zinc-100 hover:border-zinc-500 disabled:opacity-50
+                      rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-zinc-500
+                    "
+                  >
+                    {isGeneratingCodes ? 'Generating...' : 'Generate New Codes'}
                   </button>
                 </div>
               </div>
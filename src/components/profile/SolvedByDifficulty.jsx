@@ -0,0 +1,43 @@
+import React from 'react';
+
+const DIFFICULTY_STYLES = [
+  { key: 'easy', label: 'Easy', text: 'text-sky-300', bar: 'bg-sky-500' },
+  { key: 'medium', label: 'Medium', text: 'text-amber-300', bar: 'bg-amber-500' },
+  { key: 'hard', label: 'Hard', text: 'text-rose-300', bar: 'bg-rose-500' }
+];
+
+/**
+ * SolvedByDifficulty - Solved problem counts split by difficulty
+ * @param {Object} solved - { easy, medium, hard }
+ */
+const SolvedByDifficulty = ({ solved }) => {
+  const total = solved.easy + solved.medium + solved.hard;
+
+  return (
+    <div className="bg-zinc-800/50 rounded-lg p-6 border border-zinc-700 h-full">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-zinc-100">Solved</h3>
+        <span className="text-2xl font-bold text-zinc-100">{total}</span>
+      </div>
+
+      <div className="space-y-4">
+        {DIFFICULTY_STYLES.map(({ key, label, text, bar }) => (
+          <div key={key}>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className={text}>{label}</span>
+              <span className="font-mono text-zinc-300">{solved[key]}</span>
+            </div>
+            <div className="h-2 rounded-full bg-zinc-700/80 overflow-hidden">
+              <div
+                className={`h-full ${bar}`}
+                style={{ width: `${total ? (solved[key] / total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SolvedByDifficulty;
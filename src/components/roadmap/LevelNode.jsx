@@ -2,15 +2,22 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { CheckIcon, LockClosedIcon } from '@heroicons/react/24/outline';
 import { CheckIcon as CheckSolid } from '@heroicons/react/24/solid';
+import { describeLock } from '../../utils/unlockRules';
+
+const MAX_MISSING_SHOWN = 4;
 
 const LevelNode = ({ 
   question, 
   isCompleted, 
   isUnlocked, 
   isCurrent, 
+  lockStatus = null,
+  missingQuestions = [],
   onClick, 
   delay = 0 
 }) => {
+  const lockReason = !isUnlocked ? describeLock(lockStatus) : null;
+
   const getDifficultyColor = (difficulty) => {
     switch (difficulty?.toLowerCase()) {
       case 'easy':
@@ -117,6 +124,11 @@ const LevelNode = ({
         <div className="text-xs text-zinc-500 mt-1">
           {question.leetcode_difficulty}
         </div>
+        {lockStatus?.isSkipTest && !isCompleted && (
+          <div className="text-[10px] text-violet-300 mt-1 font-medium">
+            Skip test
+          </div>
+        )}
       </motion.div>
 
       {/* Detailed Hover Tooltip */}
@@ -147,6 +159,37 @@ const LevelNode = ({
             </div>
           </div>
 
+          {/* Skip Test */}
+          {lockStatus?.isSkipTest && (
+            <div className="mb-3 p-2 rounded-lg bg-violet-500/10 border border-violet-500/20 text-xs text-violet-300">
+              Pass this challenge to unlock {lockStatus.skipTestFor || 'the next section'} right away
+            </div>
+          )}
+
+          {/* Lock Reason */}
+          {lockReason && (
+            <div className="mb-3 p-2 rounded-lg bg-zinc-900/60 border border-zinc-700/50">
+              <div className="flex items-center gap-1 text-xs text-zinc-300">
+                <LockClosedIcon className="w-3 h-3 flex-shrink-0" />
+                <span>{lockReason}</span>
+              </div>
+              {missingQuestions.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {missingQuestions.slice(0, MAX_MISSING_SHOWN).map(missing => (
+                    <li key={missing.step_number} className="text-xs text-zinc-400">
+                      • Step {missing.step_number}: {missing.leetcode_title || missing.original_title}
+                    </li>
+                  ))}
+                  {missingQuestions.length > MAX_MISSING_SHOWN && (
+                    <li className="text-xs text-zinc-500">
+                      +{missingQuestions.length - MAX_MISSING_SHOWN} more
+                    </li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Problem Info */}
           {question.a2z_step && (
             <div className="mb-3">
@@ -1,5 +1,6 @@
 import React, { useState, useMemo } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import {
   ChartBarIcon,
   ClockIcon,
@@ -154,7 +155,10 @@ const SessionAnalytics = ({
       <div className="flex items-center justify-between p-6 border-b border-zinc-700">
         <div>
           <h2 className="text-lg font-semibold text-zinc-100">Session Analytics</h2>
-          <p className="text-sm text-zinc-400">Track your coding progress and performance</p>
+          <p className="text-sm text-zinc-400">
+            Track your coding progress and performance ·{' '}
+            <Link to="/analytics" className="text-blue-400 hover:text-blue-300">Weekly trends</Link>
+          </p>
         </div>
 
         {/* Time Frame Selector */}
@@ -359,7 +363,7 @@ const SessionAnalytics = ({
               <div className="space-y-3">
                 {analytics.sessions.slice(0, 5).map((session, index) => (
                   <motion.div
-                    key={session.id}
+                    key={session.sessionId || session.id}
                     className="flex items-center justify-between p-3 bg-zinc-800/50 rounded-lg"
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
@@ -379,13 +383,23 @@ const SessionAnalytics = ({
                       </div>
                     </div>
 
-                    <div className="text-right">
-                      <div className="text-sm font-medium text-zinc-100">
-                        {formatDuration(session.analytics?.totalDuration || 0)}
-                      </div>
-                      <div className="text-xs text-zinc-400 capitalize">
-                        {session.type?.replace('_', ' ')}
+                    <div className="flex items-center space-x-4">
+                      <div className="text-right">
+                        <div className="text-sm font-medium text-zinc-100">
+                          {formatDuration(session.analytics?.totalDuration || 0)}
+                        </div>
+                        <div className="text-xs text-zinc-400 capitalize">
+                          {(session.sessionType || session.type)?.replace('_', ' ')}
+                        </div>
                       </div>
+                      {(session.sessionId || session.id) && (
+                        <Link
+                          to={`/sessions/${session.sessionId || session.id}/replay`}
+                          className="text-xs text-blue-400 hover:text-blue-300 transition-colors"
+                        >
+                          Replay
+                        </Link>
+                      )}
                     </div>
                   </motion.div>
                 ))}
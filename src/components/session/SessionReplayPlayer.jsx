@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import Editor from '@monaco-editor/react';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatDuration } from '../../utils/dateUtils';
+import { getFrameIndexAt, detectPauses, detectBursts } from '../../utils/sessionReplay';
+
+const SPEED_OPTIONS = [0.5, 1, 2, 4, 8];
+
+const MARKER_STYLES = {
+  run: { label: 'Run', className: 'bg-blue-400' },
+  submit: { label: 'Submit', className: 'bg-green-400' },
+  hint: { label: 'Hint', className: 'bg-purple-400' }
+};
+
+/**
+ * SessionReplayPlayer - Plays back a recorded coding session in a read-only editor
+ * Scrubber shows pauses (amber), typing bursts (emerald) and run/submit/hint markers.
+ */
+const SessionReplayPlayer = ({ timeline, language = 'python' }) => {
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const frameRequestRef = useRef(null);
+  const lastTickRef = useRef(null);
+
+  const { frames, markers, duration } = timeline;
+  const pauses = useMemo(() => detectPauses(frames), [frames]);
+  const bursts = useMemo(() => detectBursts(frames), [frames]);
+
+  const frameIndex = getFrameIndexAt(frames, currentTime);
+  const currentText = frameIndex >= 0 ? frames[frameIndex].text : '';
+
+  // A different timeline (e.g. another question of the session) starts paused from the top
+  useEffect(() => {
+    setIsPlaying(false);
+    setCurrentTime(0);
+  }, [timeline]);
+
+  // Advance the playhead with requestAnimationFrame while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const tick = (now) => {
+      const elapsed = lastTickRef.current ? now - lastTickRef.current : 0;
+      lastTickRef.current = now;
+
+      setCurrentTime(prev => Math.min(prev + elapsed * speed, duration));
+      frameRequestRef.current = requestAnimationFrame(tick);
+    };
+
+    frameRequestRef.current = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(frameRequestRef.current);
+      lastTickRef.current = null;
+    };
+  }, [isPlaying, speed, duration]);
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (isPlaying && currentTime >= duration) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, currentTime, duration]);
+
+  const togglePlayback = () => {
+    if (!isPlaying && currentTime >= duration) {
+      setCurrentTime(0);
+    }
+    setIsPlaying(prev => !prev);
+  };
+
+  const toPercent = (time) => (duration > 0 ? (time / duration) * 100 : 0);
+  const formatTime = (ms) => formatDuration(Math.floor(ms / 1000));
+
+  if (frames.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64 bg-zinc-800 rounded-lg border border-zinc-700">
+        <p className="text-zinc-400 text-sm">No recorded edits for this session</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-zinc-800 rounded-lg border border-zinc-700 overflow-hidden">
+      {/* Read-only editor */}
+      <div className="h-[60vh] border-b border-zinc-700">
+        <Editor
+          height="100%"
+          language={language}
+          value={currentText}
+          theme="vs-dark"
+          options={{
+            readOnly: true,
+            domReadOnly: true,
+            minimap: { enabled: false },
+            fontSize: 14,
+            fontFamily: 'JetBrains Mono, Monaco, Menlo, "Ubuntu Mono", monospace',
+            scrollBeyondLastLine: false,
+            automaticLayout: true,
+            renderLineHighlight: 'none'
+          }}
+          loading={
+            <div className="flex items-center justify-center h-full bg-zinc-800">
+              <LoadingSpinner size="lg" variant="accent" text="Loading editor..." />
+            </div>
+          }
+        />
+      </div>
+
+      {/* Controls */}
+      <div className="p-4 space-y-3">
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={togglePlayback}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {isPlaying ? 'Pause' : 'Play'}
+          </button>
+
+          <span className="text-sm font-mono text-zinc-300">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+
+          <div className="flex items-center space-x-1 ml-auto">
+            {SPEED_OPTIONS.map(option => (
+              <button
+                key={option}
+                onClick={() => setSpeed(option)}
+                className={`px-2 py-1 text-xs rounded transition-colors duration-200 ${
+                  speed === option
+                    ? 'bg-zinc-600 text-zinc-100'
+                    : 'text-zinc-400 hover:text-zinc-200 hover:bg-zinc-700'
+                }`}
+              >
+                {option}x
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Scrubber with timeline markers */}
+        <div className="relative pt-4">
+          <div className="absolute top-0 left-0 right-0 h-3 pointer-events-none">
+            {pauses.map((pause, index) => (
+              <div
+                key={`pause-${index}`}
+                className="absolute top-1 h-1 bg-amber-500/70 rounded"
+                style={{ left: `${toPercent(pause.time)}%`, width: `${Math.max(toPercent(pause.duration), 0.5)}%` }}
+                title={`Pause ${formatTime(pause.duration)}`}
+              />
+            ))}
+            {bursts.map((burst, index) => (
+              <div
+                key={`burst-${index}`}
+                className="absolute top-1 h-1 bg-emerald-500/70 rounded"
+                style={{ left: `${toPercent(burst.time)}%`, width: `${Math.max(toPercent(burst.duration), 0.5)}%` }}
+                title={`Burst of ${burst.edits} edits`}
+              />
+            ))}
+            {markers.map((marker, index) => (
+              <div
+                key={`marker-${index}`}
+                className={`absolute top-0 w-1 h-3 rounded ${MARKER_STYLES[marker.type]?.className || 'bg-zinc-400'}`}
+                style={{ left: `${toPercent(marker.time)}%` }}
+                title={`${MARKER_STYLES[marker.type]?.label || marker.type} at ${formatTime(marker.time)}`}
+              />
+            ))}
+          </div>
+
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={50}
+            value={currentTime}
+            onChange={(e) => setCurrentTime(Number(e.target.value))}
+            className="w-full accent-blue-500"
+            aria-label="Replay position"
+          />
+        </div>
+
+        {/* Legend */}
+        <div className="flex flex-wrap items-center gap-4 text-xs text-zinc-400">
+          <span className="flex items-center"><span className="w-3 h-1 bg-amber-500/70 rounded mr-1" />Pause</span>
+          <span className="flex items-center"><span className="w-3 h-1 bg-emerald-500/70 rounded mr-1" />Burst</span>
+          {Object.entries(MARKER_STYLES).map(([type, style]) => (
+            <span key={type} className="flex items-center">
+              <span className={`w-1 h-3 rounded mr-1 ${style.className}`} />{style.label}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionReplayPlayer;
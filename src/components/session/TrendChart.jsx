@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+
+const WIDTH = 560;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 40 };
+
+// Stroke/fill classes per series color
+const SERIES_COLORS = {
+  blue: { line: 'stroke-blue-400', dot: 'fill-blue-400', legend: 'bg-blue-400' },
+  green: { line: 'stroke-green-400', dot: 'fill-green-400', legend: 'bg-green-400' },
+  amber: { line: 'stroke-amber-400', dot: 'fill-amber-400', legend: 'bg-amber-400' },
+  purple: { line: 'stroke-purple-400', dot: 'fill-purple-400', legend: 'bg-purple-400' },
+  red: { line: 'stroke-red-400', dot: 'fill-red-400', legend: 'bg-red-400' }
+};
+
+// Round the axis maximum up to a readable value
+const getNiceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+/**
+ * TrendChart - Line chart of weekly values drawn as SVG
+ * Points with a null value are left out and break the line.
+ * @param {Array} points - [{ label, ...values }]
+ * @param {Array} series - [{ key, label, color }], `key` is read from each point
+ * @param {Function} formatValue - Formats values for the axis and tooltip
+ * @param {number} maxValue - Fixed axis maximum (e.g. 100 for percentages)
+ */
+const TrendChart = ({ title, description, points, series, formatValue = (value) => value, maxValue = null }) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const values = series.flatMap(({ key }) => points.map(point => point[key]).filter(value => value !== null));
+  const hasData = values.length > 0;
+  const axisMax = maxValue ?? getNiceMax(Math.max(0, ...values));
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const getX = (index) => PADDING.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const getY = (value) => PADDING.top + plotHeight - (Math.min(value, axisMax) / axisMax) * plotHeight;
+
+  // One path per series, restarting after each gap
+  const buildPath = (key) => points.reduce((path, point, index) => {
+    if (point[key] === null) return path;
+    const previous = points[index - 1];
+    const command = index === 0 || previous[key] === null ? 'M' : 'L';
+    return `${path} ${command}${getX(index).toFixed(1)},${getY(point[key]).toFixed(1)}`;
+  }, '').trim();
+
+  const hoverPoint = hoverIndex !== null ? points[hoverIndex] : null;
+  const labelEvery = Math.ceil(points.length / 6);
+
+  return (
+    <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-4">
+      <div className="flex items-start justify-between mb-3">
+        <div>
+          <h3 className="text-sm font-medium text-zinc-100">{title}</h3>
+          {description && <p className="text-xs text-zinc-500 mt-0.5">{description}</p>}
+        </div>
+        {series.length > 1 && (
+          <div className="flex items-center gap-3">
+            {series.map(({ key, label, color }) => (
+              <span key={key} className="flex items-center gap-1 text-xs text-zinc-400">
+                <span className={`w-2 h-2 rounded-full ${SERIES_COLORS[color].legend}`} />
+                {label}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {!hasData ? (
+        <div className="h-[180px] flex items-center justify-center text-sm text-zinc-500">
+          No data for this range
+        </div>
+      ) : (
+        <div className="relative">
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" onMouseLeave={() => setHoverIndex(null)}>
+            {/* Grid lines */}
+            {[0, 0.5, 1].map(fraction => (
+              <g key={fraction}>
+                <line
+                  x1={PADDING.left}
+                  x2={WIDTH - PADDING.right}
+                  y1={getY(axisMax * fraction)}
+                  y2={getY(axisMax * fraction)}
+                  className="stroke-zinc-700"
+                  strokeDasharray={fraction === 0 ? undefined : '3 3'}
+                />
+                <text x={PADDING.left - 6} y={getY(axisMax * fraction) + 3} textAnchor="end" className="fill-zinc-500 text-[10px]">
+                  {formatValue(axisMax * fraction)}
+                </text>
+              </g>
+            ))}
+
+            {/* Week labels */}
+            {points.map((point, index) => (index % labelEvery === 0 || index === points.length - 1) && (
+              <text key={point.label} x={getX(index)} y={HEIGHT - 6} textAnchor="middle" className="fill-zinc-500 text-[10px]">
+                {point.label}
+              </text>
+            ))}
+
+            {hoverIndex !== null && (
+              <line x1={getX(hoverIndex)} x2={getX(hoverIndex)} y1={PADDING.top} y2={PADDING.top + plotHeight} className="stroke-zinc-600" />
+            )}
+
+            {series.map(({ key, color }) => (
+              <g key={key}>
+                <path d={buildPath(key)} fill="none" strokeWidth={2} className={SERIES_COLORS[color].line} />
+                {points.map((point, index) => point[key] !== null && (
+                  <circle
+                    key={point.label}
+                    cx={getX(index)}
+                    cy={getY(point[key])}
+                    r={hoverIndex === index ? 4 : 2.5}
+                    className={SERIES_COLORS[color].dot}
+                  />
+                ))}
+              </g>
+            ))}
+
+            {/* Hover targets, one column per week */}
+            {points.map((point, index) => (
+              <rect
+                key={point.label}
+                x={getX(index) - plotWidth / Math.max(points.length - 1, 1) / 2}
+                y={PADDING.top}
+                width={plotWidth / Math.max(points.length - 1, 1)}
+                height={plotHeight}
+                fill="transparent"
+                onMouseEnter={() => setHoverIndex(index)}
+              />
+            ))}
+          </svg>
+
+          {hoverPoint && (
+            <div className="absolute top-0 right-0 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-xs pointer-events-none">
+              <div className="text-zinc-400 mb-0.5">Week of {hoverPoint.label}</div>
+              {series.map(({ key, label }) => (
+                <div key={key} className="text-zinc-200">
+                  {series.length > 1 && `${label}: `}
+                  {hoverPoint[key] === null ? '—' : formatValue(hoverPoint[key])}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,72 @@
+/**
+ * Achievement Constants
+ * Badge definitions - each badge unlocks when its rule passes (utils/achievementEngine)
+ */
+
+export const ACHIEVEMENT_RULES = {
+  PROBLEMS_SOLVED: 'problems_solved',
+  STREAK: 'streak',
+  NO_HINT_SOLVE: 'no_hint_solve',
+  ROADMAP_STEP_COMPLETE: 'roadmap_step_complete',
+  RUNTIME_PERCENTILE: 'runtime_percentile'
+};
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_solve',
+    name: 'First Solve',
+    description: 'Get your first accepted solution',
+    icon: '🎯',
+    rule: { type: ACHIEVEMENT_RULES.PROBLEMS_SOLVED, min: 1 }
+  },
+  {
+    id: 'streak_7',
+    name: 'Week Streak',
+    description: 'Keep a 7-day streak',
+    icon: '🔥',
+    rule: { type: ACHIEVEMENT_RULES.STREAK, min: 7 }
+  },
+  {
+    id: 'streak_30',
+    name: 'Month Streak',
+    description: 'Keep a 30-day streak',
+    icon: '📅',
+    rule: { type: ACHIEVEMENT_RULES.STREAK, min: 30 }
+  },
+  {
+    id: 'streak_100',
+    name: '100-Day Streak',
+    description: 'Keep a 100-day streak',
+    icon: '💯',
+    rule: { type: ACHIEVEMENT_RULES.STREAK, min: 100 }
+  },
+  {
+    id: 'no_hints',
+    name: 'Unassisted',
+    description: 'Solve a problem without using any hints',
+    icon: '🧠',
+    rule: { type: ACHIEVEMENT_RULES.NO_HINT_SOLVE }
+  },
+  {
+    id: 'roadmap_step',
+    name: 'Step Cleared',
+    description: 'Solve every problem in a roadmap step',
+    icon: '🗺️',
+    rule: { type: ACHIEVEMENT_RULES.ROADMAP_STEP_COMPLETE }
+  },
+  {
+    id: 'fast_runtime',
+    name: 'Speedster',
+    description: 'Beat 90% of runtimes with an accepted solution',
+    icon: '🚀',
+    rule: { type: ACHIEVEMENT_RULES.RUNTIME_PERCENTILE, min: 90 }
+  }
+];
+
+export const getAchievement = (id) => ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+
+export default {
+  ACHIEVEMENT_RULES,
+  ACHIEVEMENTS,
+  getAchievement
+};
@@ -0,0 +1,19 @@
+/**
+ * AI actions available from the code editor (context menu and code lenses)
+ * and the stress test panel. Sent as `action` to POST /agents/code-action
+ */
+export const CODE_ACTIONS = {
+  EXPLAIN_SELECTION: 'explain_selection',
+  EXPLAIN_FAILURE: 'explain_failure',
+  REVIEW_COMPLEXITY: 'review_complexity',
+  DRAFT_REFERENCE: 'draft_reference'  // brute-force reference solution for stress tests
+};
+
+export const CODE_ACTION_TITLES = {
+  [CODE_ACTIONS.EXPLAIN_SELECTION]: 'Explanation',
+  [CODE_ACTIONS.EXPLAIN_FAILURE]: 'Why the test fails',
+  [CODE_ACTIONS.REVIEW_COMPLEXITY]: 'Complexity review',
+  [CODE_ACTIONS.DRAFT_REFERENCE]: 'Brute-force reference'
+};
+
+export default CODE_ACTIONS;
@@ -0,0 +1,56 @@
+/**
+ * Programming Language Constants
+ * Languages supported by the coding workspace and the execution backend.
+ * `id` is sent to /submissions/run and /submissions/submit and doubles as the Monaco language id.
+ */
+
+export const PROGRAMMING_LANGUAGES = [
+  { id: 'python', label: 'Python' },
+  { id: 'java', label: 'Java' },
+  { id: 'javascript', label: 'JavaScript' },
+  { id: 'cpp', label: 'C++' },
+  { id: 'go', label: 'Go' }
+];
+
+export const SUPPORTED_LANGUAGE_IDS = PROGRAMMING_LANGUAGES.map(lang => lang.id);
+
+export const DEFAULT_LANGUAGE = 'python';
+
+// Helper to check support and get display names
+export const isSupportedLanguage = (languageId) => SUPPORTED_LANGUAGE_IDS.includes(languageId);
+export const getLanguageLabel = (languageId) =>
+  PROGRAMMING_LANGUAGES.find(lang => lang.id === languageId)?.label || languageId;
+
+// Common Markdown fence tags / file extensions mapped to Monaco language ids
+const LANGUAGE_ALIASES = {
+  py: 'python',
+  python3: 'python',
+  js: 'javascript',
+  jsx: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  'c++': 'cpp',
+  cc: 'cpp',
+  cxx: 'cpp',
+  h: 'cpp',
+  hpp: 'cpp',
+  golang: 'go',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  yml: 'yaml',
+  text: 'plaintext',
+  txt: 'plaintext'
+};
+
+/**
+ * Resolve a fence tag like "py" or "C++" to a Monaco language id
+ * @param {string} name - Fence tag or language name
+ * @returns {string} Monaco language id ('plaintext' when empty)
+ */
+export const resolveLanguageId = (name) => {
+  const key = name?.trim().toLowerCase();
+  if (!key) return 'plaintext';
+  return LANGUAGE_ALIASES[key] || key;
+};
@@ -0,0 +1,28 @@
+/**
+ * Leaderboard boards and time windows
+ * Sent as `scope` / `window` query parameters to GET /dashboard/rankings
+ */
+
+export const LEADERBOARD_SCOPES = {
+  GLOBAL: 'global',
+  COUNTRY: 'country',
+  FRIENDS: 'friends',
+  ROADMAP: 'roadmap'  // needs `roadmap_id`
+};
+
+export const LEADERBOARD_SCOPE_LABELS = {
+  [LEADERBOARD_SCOPES.GLOBAL]: 'Global',
+  [LEADERBOARD_SCOPES.COUNTRY]: 'Country',
+  [LEADERBOARD_SCOPES.FRIENDS]: 'Friends',
+  [LEADERBOARD_SCOPES.ROADMAP]: 'Roadmap'
+};
+
+export const LEADERBOARD_WINDOWS = [
+  { value: 'weekly', label: 'This Week' },
+  { value: 'monthly', label: 'This Month' },
+  { value: 'all_time', label: 'All Time' }
+];
+
+export const LEADERBOARD_LIMIT = 50;
+
+export default LEADERBOARD_SCOPES;
@@ -0,0 +1,49 @@
+/**
+ * Mock interview settings
+ * A timed session with the problem revealed in stages and an AI interviewer in the chat
+ */
+
+export const INTERVIEW_DURATION_MINUTES = 45;
+
+// Interviewer nudges at these many minutes remaining
+export const TIME_WARNING_MINUTES = [15, 5];
+
+export const HINT_POLICIES = {
+  DISABLED: 'disabled',
+  PENALIZED: 'penalized'
+};
+
+// Points taken off the overall score per hint when hints are penalized
+export const HINT_PENALTY_POINTS = 8;
+
+/**
+ * The problem is revealed in stages - a stage opens at `revealAtMinute`
+ * or earlier when the candidate asks for it
+ */
+export const INTERVIEW_STAGES = [
+  { id: 'statement', label: 'Problem statement', revealAtMinute: 0 },
+  { id: 'examples', label: 'Examples', revealAtMinute: 3, askLabel: 'Ask for examples' },
+  { id: 'constraints', label: 'Constraints', revealAtMinute: 8, askLabel: 'Ask about constraints' }
+];
+
+/**
+ * Sent as `event` to POST /agents/interviewer - the interviewer replies to each
+ */
+export const INTERVIEWER_EVENTS = {
+  START: 'start',                 // introduce the problem, invite clarifying questions
+  MESSAGE: 'message',             // candidate wrote in the chat
+  STAGE_REVEALED: 'stage_revealed',
+  SUBMIT: 'submit',               // follow-ups on complexity and edge cases
+  TIME_WARNING: 'time_warning'
+};
+
+// Scorecard categories, weights sum to 1
+export const SCORECARD_CATEGORIES = [
+  { id: 'correctness', label: 'Correctness', weight: 0.35 },
+  { id: 'testing', label: 'Testing & debugging', weight: 0.15 },
+  { id: 'communication', label: 'Communication', weight: 0.2 },
+  { id: 'time', label: 'Time management', weight: 0.15 },
+  { id: 'focus', label: 'Focus', weight: 0.15 }
+];
+
+export default INTERVIEW_STAGES;
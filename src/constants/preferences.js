@@ -0,0 +1,51 @@
+/**
+ * Preference Constants
+ * Default account preferences - mirrors the shape stored at /users/preferences
+ */
+
+export const DEFAULT_EDITOR_PREFERENCES = {
+  fontSize: 14,
+  tabSize: 4,
+  wordWrap: true,
+  minimap: true,
+  lineNumbers: true
+};
+
+export const DEFAULT_PRIVACY_PREFERENCES = {
+  profileVisibility: 'public',
+  showProgress: true,
+  showActivity: true,
+  allowMessages: true
+};
+
+export const DEFAULT_PREFERENCES = {
+  theme: 'dark',
+  notifications: true,
+  difficulty: 'adaptive',
+  emailNotifications: true,
+  learningReminders: true,
+  weeklyProgress: true,
+  problemSolutions: false,
+  communityUpdates: true,
+  language: 'en',
+  timezone: 'UTC',
+  defaultProgrammingLanguage: 'python',
+  codeEditor: DEFAULT_EDITOR_PREFERENCES,
+  privacy: DEFAULT_PRIVACY_PREFERENCES
+};
+
+// Merge partial preferences over defaults, keeping nested sections intact
+export const mergePreferences = (base = DEFAULT_PREFERENCES, updates = {}) => ({
+  ...base,
+  ...updates,
+  codeEditor: {
+    ...DEFAULT_EDITOR_PREFERENCES,
+    ...base?.codeEditor,
+    ...updates?.codeEditor
+  },
+  privacy: {
+    ...DEFAULT_PRIVACY_PREFERENCES,
+    ...base?.privacy,
+    ...updates?.privacy
+  }
+});
@@ -0,0 +1,31 @@
+/**
+ * Problem library (/problems) filters and sorting
+ * Values are sent as query parameters to GET /problems
+ */
+
+export const PROBLEMS_PAGE_SIZE = 20;
+
+export const PROBLEM_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Unit of each row's `acceptance_rate`. GET /problems sends percentages (0-100)
+// unless the response says otherwise in `acceptance_rate_unit`
+export const ACCEPTANCE_RATE_UNITS = {
+  PERCENT: 'percent',
+  FRACTION: 'fraction'
+};
+export const DEFAULT_ACCEPTANCE_RATE_UNIT = ACCEPTANCE_RATE_UNITS.PERCENT;
+
+// Per-user status of a problem, as returned in each row's `status`
+export const PROBLEM_STATUSES = {
+  SOLVED: 'solved',
+  ATTEMPTED: 'attempted',
+  UNSOLVED: 'unsolved'
+};
+
+export const PROBLEM_SORT_OPTIONS = [
+  { value: 'recent', label: 'Newest' },
+  { value: 'acceptance_desc', label: 'Acceptance: high to low' },
+  { value: 'acceptance_asc', label: 'Acceptance: low to high' }
+];
+
+export default PROBLEM_SORT_OPTIONS;
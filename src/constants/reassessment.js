@@ -0,0 +1,34 @@
+/**
+ * Re-assessment Constants
+ * When a skill check is due and how its result moves the user between SKILL_LEVELS
+ */
+
+import { SKILL_LEVELS } from './skillLevels';
+
+// A skill check is due after either interval since the last assessment
+export const REASSESSMENT_INTERVAL_DAYS = 30;
+export const REASSESSMENT_PROBLEM_INTERVAL = 25;
+
+// Lowest expertise rank for each level - same bands as the onboarding result screen
+export const LEVEL_RANK_THRESHOLDS = {
+  [SKILL_LEVELS.BEGINNER]: 0,
+  [SKILL_LEVELS.INTERMEDIATE]: 800,
+  [SKILL_LEVELS.PROFESSIONAL]: 1200
+};
+
+// Rank must clear a band edge by this much before the level changes, so one
+// lucky or unlucky check doesn't flip the level back and forth
+export const LEVEL_CHANGE_MARGIN = 50;
+
+// Topic accuracy bands for the proficiency breakdown
+export const TOPIC_STRONG_ACCURACY = 75;
+export const TOPIC_WEAK_ACCURACY = 50;
+
+export default {
+  REASSESSMENT_INTERVAL_DAYS,
+  REASSESSMENT_PROBLEM_INTERVAL,
+  LEVEL_RANK_THRESHOLDS,
+  LEVEL_CHANGE_MARGIN,
+  TOPIC_STRONG_ACCURACY,
+  TOPIC_WEAK_ACCURACY
+};
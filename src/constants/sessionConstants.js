@@ -12,7 +12,9 @@ export const SESSION_TYPES = {
   DAILY_CHALLENGE: 'daily_challenge',
   ROADMAP_CHALLENGE: 'roadmap_challenge', 
   PRACTICE: 'practice',
-  ASSESSMENT: 'assessment'
+  ASSESSMENT: 'assessment',
+  REVIEW: 'review', // Spaced-repetition review of a solved problem
+  MOCK_INTERVIEW: 'mock_interview' // Timed interview simulation with an AI interviewer
 };
 
 // Helper to check session state
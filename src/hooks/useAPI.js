@@ -42,11 +42,22 @@ export const useStats = () => {
   return useAxios('/progress/stats');
 };
 
+// Spaced-repetition review items: { items: [{ question_key, due_at, ... }] }
+export const useReviewQueue = () => {
+  return useAxios('/reviews');
+};
+
 // Roadmap-related hooks
 export const useRoadmaps = () => {
   return useAxios('/roadmaps/progress');
 };
 
+// Course metadata: { courses: [{ course_id, title, description, topics, total_steps, estimated_hours }] }
+// Optional - callers execute() it and fall back to formatted course ids on failure
+export const useCourseCatalog = () => {
+  return useAxios('/roadmaps/catalog', { immediate: false });
+};
+
 export const useRoadmapQuestions = (course) => {
   return useAxios(`/roadmaps/${course}/questions`, {
     immediate: !!course,
@@ -61,6 +72,12 @@ export const useCompletedQuestions = (course) => {
   });
 };
 
+// Unlock rules: { sections: [{ id, title, steps, requires, skip_test_step }], prerequisites: { step: [steps] } }
+// Optional - callers execute() it and fall back to step order on failure
+export const useRoadmapUnlockRules = (course) => {
+  return useAxios(`/roadmaps/${course}/unlock-rules`, { immediate: false });
+};
+
 export default {
   useUser,
   useUpdateProfile,
@@ -69,7 +86,10 @@ export default {
   useSubmitSolution,
   useProgress,
   useStats,
+  useReviewQueue,
   useRoadmaps,
+  useCourseCatalog,
   useRoadmapQuestions,
   useCompletedQuestions,
+  useRoadmapUnlockRules,
 };
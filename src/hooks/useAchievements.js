@@ -0,0 +1,91 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import achievementsAPI from '../services/achievementsAPI';
+import { evaluateAchievements } from '../utils/achievementEngine';
+import {
+  selectAchievements,
+  selectIsAuthenticated,
+  setAchievements,
+  unlockAchievements
+} from '../store/userSlice';
+
+/**
+ * useAchievements Hook
+ *
+ * Keeps unlocked badges in sync with the backend and unlocks new ones when a
+ * progress context passes their rules (see utils/achievementEngine).
+ * `onUnlock` is called once per newly earned badge - pages use it for toasts.
+ *
+ * Usage:
+ *   const { achievements, checkAchievements } = useAchievements({
+ *     onUnlock: (badge) => showSuccess(getUnlockMessage(badge))
+ *   });
+ *   checkAchievements({ submission: { accepted: true, hintsUsed: 0 } });
+ */
+const useAchievements = ({ onUnlock } = {}) => {
+  const dispatch = useDispatch();
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  const achievements = useSelector(selectAchievements);
+  const achievementsRef = useRef(achievements);
+  const onUnlockRef = useRef(onUnlock);
+  const syncRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    achievementsRef.current = achievements;
+  }, [achievements]);
+
+  useEffect(() => {
+    onUnlockRef.current = onUnlock;
+  }, [onUnlock]);
+
+  // Merge backend badges with any unlocked while offline, and push the latter back
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let cancelled = false;
+    syncRef.current = achievementsAPI.getAchievements()
+      .then(remote => {
+        if (cancelled) return;
+        const remoteIds = new Set(remote.map(achievement => achievement.id));
+        const localOnly = achievementsRef.current.filter(achievement => !remoteIds.has(achievement.id));
+
+        dispatch(setAchievements([...remote, ...localOnly]));
+        if (localOnly.length > 0) {
+          achievementsAPI.saveAchievements(localOnly).catch(() => {});
+        }
+      })
+      .catch(() => {
+        // Keep the persisted list
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, dispatch]);
+
+  const checkAchievements = useCallback(async (context) => {
+    // Badges already on the backend must not toast again on a new device
+    await syncRef.current;
+
+    const earned = evaluateAchievements(context, achievementsRef.current.map(achievement => achievement.id));
+    if (earned.length === 0) return [];
+
+    const ids = earned.map(achievement => achievement.id);
+    // Update the ref right away so overlapping checks don't unlock twice
+    achievementsRef.current = [...achievementsRef.current, ...ids.map(id => ({ id, unlockedAt: null }))];
+    dispatch(unlockAchievements(ids));
+    console.log('🏆 Achievements unlocked:', ids);
+    earned.forEach(achievement => onUnlockRef.current?.(achievement));
+
+    try {
+      await achievementsAPI.saveAchievements(ids);
+    } catch {
+      // Pushed again on the next sync
+    }
+    return earned;
+  }, [dispatch]);
+
+  return { achievements, checkAchievements };
+};
+
+export default useAchievements;
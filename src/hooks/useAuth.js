@@ -55,10 +55,13 @@ const useAuth = () => {
 
     try {
       const response = await loginHook.execute(credentials);
-      const { access_token } = response;
+      const { access_token, refresh_token } = response;
 
     // Store token in Redux and localStorage
     dispatch(setAuthToken(access_token));
+    if (refresh_token) {
+      localStorage.setItem('refresh_token', refresh_token);
+    }
 
     // Get user info using direct API call to ensure token is included
     const userApiResponse = await api.get('/auth/me');
@@ -101,13 +104,16 @@ const useAuth = () => {
       const response = await registerHook.execute(userData);
       
       // Auto-login after registration and redirect to onboarding
-      const { access_token } = await loginHook.execute({
+      const { access_token, refresh_token } = await loginHook.execute({
         email: userData.email,
         password: userData.password,
       });
 
       // Store token in Redux and localStorage
       dispatch(setAuthToken(access_token));
+      if (refresh_token) {
+        localStorage.setItem('refresh_token', refresh_token);
+      }
 
       // Get user info
       const userApiResponse = await api.get('/auth/me');
@@ -6,6 +6,7 @@ import {
   useEndTrackingSession,
   useAddKeystroke,
   useAddKeystrokeBatch,
+  useAddEditBatch,
   useGetLiveMetrics
 } from '../services/behaviorTracking';
 
@@ -40,6 +41,7 @@ const useBehaviorTracking = (options = {}) => {
   const startSessionHook = useStartTrackingSession();
   const addKeystrokeHook = useAddKeystroke();
   const addKeystrokeBatchHook = useAddKeystrokeBatch();
+  const addEditBatchHook = useAddEditBatch();
   const getLiveMetricsHook = useGetLiveMetrics();
 
   // Initialize analyzer
@@ -71,7 +73,8 @@ const useBehaviorTracking = (options = {}) => {
       
       const apiHooks = {
         startSessionHook,
-        addKeystrokeBatchHook
+        addKeystrokeBatchHook,
+        addEditBatchHook
       };
 
       const sessionId = await behaviorTracker.startSession(
@@ -123,7 +126,8 @@ const useBehaviorTracking = (options = {}) => {
       
       const apiHooks = {
         startSessionHook,
-        addKeystrokeBatchHook
+        addKeystrokeBatchHook,
+        addEditBatchHook
       };
 
       await behaviorTracker.endSession(apiHooks);
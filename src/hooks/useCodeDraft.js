@@ -0,0 +1,263 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import sessionAPI from '../services/sessionAPI';
+import { getDraftKey, getDraft, saveDraft } from '../utils/draftStore';
+
+// Debounce for local IndexedDB writes and for pushing drafts to the backend
+const SAVE_DELAY_MS = 500;
+const SYNC_DELAY_MS = 3000;
+
+const extractServerCode = (data) => data?.code ?? data?.current_code ?? data?.currentCode ?? null;
+
+/**
+ * useCodeDraft Hook
+ *
+ * Offline-first autosave for the code editor:
+ * - Every edit is written to IndexedDB (utils/draftStore) keyed by session + question
+ * - Drafts are pushed to sessionAPI.updateCurrentCode when online
+ * - Before pushing, the server copy is compared with the last synced code; if it
+ *   diverged (e.g. edited in another tab) a conflict is raised instead of overwriting
+ *
+ * syncStatus: 'idle' | 'saving' | 'saved' | 'syncing' | 'synced' | 'offline' | 'conflict' | 'error'
+ *
+ * Usage:
+ *   const { syncStatus, conflict, recordEdit, reconcileDraft, resolveConflict } =
+ *     useCodeDraft({ sessionId, questionId, language });
+ */
+const useCodeDraft = ({ sessionId, questionId, language }) => {
+  const draftKey = questionId ? getDraftKey(sessionId, questionId) : null;
+
+  const [syncStatus, setSyncStatus] = useState('idle');
+  const [conflict, setConflict] = useState(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  const latestRef = useRef(null);     // { code, language } - newest local edit
+  const baseCodeRef = useRef(null);   // last code known to be on the server
+  const conflictRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const syncTimerRef = useRef(null);
+  const syncingRef = useRef(false);
+
+  const persist = useCallback(async (dirty) => {
+    if (!draftKey || !latestRef.current) return;
+
+    await saveDraft({
+      key: draftKey,
+      sessionId: sessionId || null,
+      questionId: String(questionId),
+      language: latestRef.current.language,
+      code: latestRef.current.code,
+      baseCode: baseCodeRef.current,
+      dirty,
+      updatedAt: Date.now()
+    });
+  }, [draftKey, sessionId, questionId]);
+
+  const raiseConflict = useCallback((found) => {
+    conflictRef.current = found;
+    setConflict(found);
+    setSyncStatus('conflict');
+    console.log('⚠️ Code draft conflicts with server copy:', {
+      localLength: found.localCode.length,
+      serverLength: found.serverCode.length
+    });
+  }, []);
+
+  /**
+   * Push the latest local draft to the backend, unless the server copy diverged
+   */
+  const syncDraft = useCallback(async () => {
+    if (!sessionId || !latestRef.current || syncingRef.current || conflictRef.current) return;
+
+    if (!navigator.onLine) {
+      setSyncStatus('offline');
+      return;
+    }
+
+    const { code, language: draftLanguage } = latestRef.current;
+    if (code === baseCodeRef.current) {
+      setSyncStatus('synced');
+      return;
+    }
+
+    syncingRef.current = true;
+    setSyncStatus('syncing');
+
+    try {
+      let serverCode = null;
+      try {
+        serverCode = extractServerCode(await sessionAPI.getCurrentCode(sessionId));
+      } catch (error) {
+        // No server copy yet - nothing to conflict with
+        if (error.statusCode !== 404) throw error;
+      }
+
+      if (serverCode !== null && serverCode !== baseCodeRef.current && serverCode !== code) {
+        raiseConflict({ localCode: code, serverCode, language: draftLanguage });
+        return;
+      }
+
+      await sessionAPI.updateCurrentCode(sessionId, code, draftLanguage);
+      baseCodeRef.current = code;
+
+      // Edits made while the request was in flight keep the draft dirty
+      const upToDate = latestRef.current?.code === code;
+      await persist(!upToDate);
+      setSyncStatus(upToDate ? 'synced' : 'saved');
+      console.log('☁️ Synced code draft to session:', sessionId);
+    } catch (error) {
+      console.warn('Failed to sync code draft:', error);
+      setSyncStatus(navigator.onLine ? 'error' : 'offline');
+    } finally {
+      syncingRef.current = false;
+    }
+  }, [sessionId, persist, raiseConflict]);
+
+  const scheduleSync = useCallback(() => {
+    clearTimeout(syncTimerRef.current);
+    syncTimerRef.current = setTimeout(syncDraft, SYNC_DELAY_MS);
+  }, [syncDraft]);
+
+  /**
+   * Record an editor change - saved locally right away, synced after a pause
+   */
+  const recordEdit = useCallback((code, codeLanguage = language) => {
+    if (!draftKey) return;
+
+    latestRef.current = { code, language: codeLanguage };
+    if (!conflictRef.current) {
+      setSyncStatus('saving');
+    }
+
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(async () => {
+      saveTimerRef.current = null;
+      await persist(true);
+      if (!conflictRef.current) {
+        setSyncStatus(!sessionId || navigator.onLine ? 'saved' : 'offline');
+      }
+    }, SAVE_DELAY_MS);
+
+    if (sessionId) {
+      scheduleSync();
+    }
+  }, [draftKey, language, sessionId, persist, scheduleSync]);
+
+  /**
+   * Mark code as already on the server (e.g. saved by Run/Submit via trackCodeChange)
+   */
+  const markSynced = useCallback(async (code) => {
+    baseCodeRef.current = code;
+
+    if (latestRef.current?.code === code && !conflictRef.current) {
+      clearTimeout(syncTimerRef.current);
+      await persist(false);
+      setSyncStatus('synced');
+    }
+  }, [persist]);
+
+  /**
+   * Compare the stored draft with the code restored from the session.
+   * @param {string|null} serverCode - Code the session would restore (null if none)
+   * @returns {Promise<string|null>} Draft code to load, or null to keep the session's code
+   */
+  const reconcileDraft = useCallback(async (serverCode) => {
+    if (!draftKey) return null;
+
+    baseCodeRef.current = serverCode ?? null;
+
+    const draft = await getDraft(draftKey);
+    if (!draft?.dirty || draft.language !== language) {
+      return null;
+    }
+
+    latestRef.current = { code: draft.code, language: draft.language };
+
+    if (serverCode == null || serverCode === draft.baseCode || serverCode === draft.code) {
+      // Server unchanged since our last sync - the local draft is newer
+      baseCodeRef.current = serverCode === draft.code ? serverCode : (draft.baseCode ?? null);
+      setSyncStatus(serverCode === draft.code ? 'synced' : 'saved');
+      console.log('💾 Restoring unsynced code draft:', { key: draftKey, codeLength: draft.code.length });
+      if (sessionId && serverCode !== draft.code) {
+        scheduleSync();
+      }
+      return draft.code;
+    }
+
+    baseCodeRef.current = draft.baseCode ?? null;
+    raiseConflict({ localCode: draft.code, serverCode, language: draft.language });
+    return draft.code;
+  }, [draftKey, language, sessionId, scheduleSync, raiseConflict]);
+
+  /**
+   * Resolve a conflict with the chosen or merged code and push it to the server
+   * @param {string} resolvedCode - Local, server or hand-merged code
+   */
+  const resolveConflict = useCallback(async (resolvedCode) => {
+    const resolved = conflictRef.current;
+    if (!resolved) return;
+
+    // The server copy we merged against becomes the new base
+    baseCodeRef.current = resolved.serverCode;
+    latestRef.current = { code: resolvedCode, language: resolved.language };
+    conflictRef.current = null;
+    setConflict(null);
+
+    await persist(resolvedCode !== resolved.serverCode);
+    if (resolvedCode === resolved.serverCode) {
+      setSyncStatus('synced');
+      return;
+    }
+    await syncDraft();
+  }, [persist, syncDraft]);
+
+  // Track connectivity and flush drafts when the connection comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncDraft();
+    };
+    const handleOffline = () => {
+      setIsOnline(false);
+      if (latestRef.current && latestRef.current.code !== baseCodeRef.current && !conflictRef.current) {
+        setSyncStatus('offline');
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncDraft]);
+
+  // Flush pending writes and reset state when the session/question changes
+  useEffect(() => {
+    return () => {
+      clearTimeout(syncTimerRef.current);
+      if (saveTimerRef.current) {
+        clearTimeout(saveTimerRef.current);
+        saveTimerRef.current = null;
+        persist(true);
+      }
+      latestRef.current = null;
+      baseCodeRef.current = null;
+      conflictRef.current = null;
+      setConflict(null);
+      setSyncStatus('idle');
+    };
+  }, [persist]);
+
+  return {
+    syncStatus,
+    isOnline,
+    conflict,
+    recordEdit,
+    markSynced,
+    reconcileDraft,
+    resolveConflict,
+    syncDraft
+  };
+};
+
+export default useCodeDraft;
@@ -0,0 +1,211 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { selectCurrentUser } from '../store/userSlice';
+import customTestsAPI from '../services/customTestsAPI';
+import {
+  MAX_CUSTOM_TESTS,
+  getCustomTestsStorageKey,
+  normalizeTestCase
+} from '../utils/customTests';
+
+// Edits are batched before being written to the backend
+const SAVE_DELAY_MS = 800;
+
+const readLocalTests = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored.map(normalizeTestCase) : [];
+  } catch {
+    return [];
+  }
+};
+
+const toPayload = (testCases) =>
+  testCases.map(({ id, input, expected_output }) => ({ id, input, expected_output }));
+
+// Set while the localStorage copy has changes the backend hasn't accepted yet.
+// Holds the ids deleted locally since then, so the merge doesn't bring them back
+const getUnsyncedKey = (key) => `${key}:unsynced`;
+
+const readDeletedIds = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getUnsyncedKey(key)));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+// Server copy, without local deletions and with unsynced local edits and additions applied on top
+const mergeUnsyncedTests = (serverTests, localTests, deletedIds) => {
+  const localById = new Map(localTests.map(testCase => [testCase.id, testCase]));
+  const serverIds = new Set(serverTests.map(testCase => testCase.id));
+  const deleted = new Set(deletedIds);
+
+  return [
+    ...serverTests
+      .filter(testCase => !deleted.has(testCase.id))
+      .map(testCase => localById.get(testCase.id) || testCase),
+    ...localTests.filter(testCase => !serverIds.has(testCase.id))
+  ].slice(0, MAX_CUSTOM_TESTS);
+};
+
+/**
+ * useCustomTestCases Hook
+ *
+ * Custom test cases saved per user and question:
+ * - Loaded from the backend, with a localStorage copy shown first and used offline
+ * - Every change is written to localStorage and pushed to the backend after a pause
+ * - Local changes the backend never received (offline, or made before loading finished)
+ *   are merged into the server copy on the next load and pushed again; test cases
+ *   deleted locally in that time stay deleted
+ *
+ * Usage:
+ *   const { testCases, addTestCase, updateTestCase, removeTestCase, importTestCases } =
+ *     useCustomTestCases(question?.id);
+ */
+const useCustomTestCases = (questionId) => {
+  const currentUser = useSelector(selectCurrentUser);
+  const userId = currentUser?.key || currentUser?._key || currentUser?.id || null;
+  const storageKey = questionId ? getCustomTestsStorageKey(userId, questionId) : null;
+
+  const [testCases, setTestCases] = useState([]);
+  const [loadedKey, setLoadedKey] = useState(null);
+  const testCasesRef = useRef([]);
+  const saveTimerRef = useRef(null);
+  const pendingSaveRef = useRef(null);  // { questionId, storageKey, payload } waiting for the timer
+
+  const replaceTestCases = useCallback((next) => {
+    testCasesRef.current = next;
+    setTestCases(next);
+  }, []);
+
+  const flushSave = useCallback(async () => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+    pendingSaveRef.current = null;
+
+    try {
+      await customTestsAPI.saveCustomTests(pending.questionId, pending.payload);
+      // A newer edit made during the request keeps the flag until it is saved too
+      if (!pendingSaveRef.current) {
+        localStorage.removeItem(getUnsyncedKey(pending.storageKey));
+      }
+      console.log('💾 Saved custom test cases:', { questionId: pending.questionId, count: pending.payload.length });
+    } catch (error) {
+      // Stays marked unsynced - merged and pushed again on the next load
+      console.warn('Failed to save custom test cases:', error);
+    }
+  }, []);
+
+  const scheduleSave = useCallback((pending) => {
+    pendingSaveRef.current = pending;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushSave, SAVE_DELAY_MS);
+  }, [flushSave]);
+
+  // Load on question (or user) change
+  useEffect(() => {
+    if (!storageKey) {
+      replaceTestCases([]);
+      setLoadedKey(null);
+      return;
+    }
+
+    let cancelled = false;
+    replaceTestCases(readLocalTests(storageKey));
+    setLoadedKey(null);
+
+    customTestsAPI.getCustomTests(questionId)
+      .then(serverTests => {
+        if (cancelled) return;
+        const normalized = serverTests.map(normalizeTestCase);
+        // Re-read local storage - it also holds edits made while this request was in flight
+        const unsynced = localStorage.getItem(getUnsyncedKey(storageKey)) !== null;
+        const next = unsynced
+          ? mergeUnsyncedTests(normalized, readLocalTests(storageKey), readDeletedIds(storageKey))
+          : normalized;
+
+        replaceTestCases(next);
+        localStorage.setItem(storageKey, JSON.stringify(toPayload(next)));
+        if (unsynced) {
+          scheduleSave({ questionId, storageKey, payload: toPayload(next) });
+        }
+      })
+      .catch(() => {
+        // Keep the local copy when the backend is unavailable
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedKey(storageKey);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey, questionId, replaceTestCases, scheduleSave]);
+
+  const persist = useCallback((nextTestCases, removedIds = []) => {
+    if (!storageKey) return;
+
+    const payload = toPayload(nextTestCases);
+    const deletedIds = [...new Set([...readDeletedIds(storageKey), ...removedIds])];
+    localStorage.setItem(storageKey, JSON.stringify(payload));
+    localStorage.setItem(getUnsyncedKey(storageKey), JSON.stringify(deletedIds));
+
+    // Before loading finishes the edit waits in local storage; the load merges and pushes it
+    if (loadedKey === storageKey) {
+      scheduleSave({ questionId, storageKey, payload });
+    }
+  }, [storageKey, loadedKey, questionId, scheduleSave]);
+
+  // Don't drop the last edit when switching questions or leaving the page
+  useEffect(() => () => {
+    clearTimeout(saveTimerRef.current);
+    flushSave();
+  }, [storageKey, flushSave]);
+
+  // Returns how many test cases were cut off by MAX_CUSTOM_TESTS
+  const update = useCallback((updater) => {
+    const previous = testCasesRef.current;
+    const updated = updater(previous);
+    const next = updated.slice(0, MAX_CUSTOM_TESTS);
+    const nextIds = new Set(next.map(testCase => testCase.id));
+    replaceTestCases(next);
+    persist(next, previous.map(testCase => testCase.id).filter(id => !nextIds.has(id)));
+    return updated.length - next.length;
+  }, [replaceTestCases, persist]);
+
+  const addTestCase = useCallback(() => {
+    update(previous => [...previous, normalizeTestCase()]);
+  }, [update]);
+
+  const updateTestCase = useCallback((index, field, value) => {
+    update(previous => previous.map((testCase, i) => (
+      i === index ? { ...testCase, [field]: value } : testCase
+    )));
+  }, [update]);
+
+  const removeTestCase = useCallback((index) => {
+    update(previous => previous.filter((_, i) => i !== index));
+  }, [update]);
+
+  /**
+   * Append imported test cases (see utils/customTests parseTestCaseImport)
+   * @param {Array} imported - Normalized test cases
+   * @returns {number} Imported test cases skipped because of MAX_CUSTOM_TESTS
+   */
+  const importTestCases = useCallback((imported) => (
+    update(previous => [...previous, ...imported.map(normalizeTestCase)])
+  ), [update]);
+
+  return {
+    testCases,
+    isLoaded: loadedKey === storageKey,
+    addTestCase,
+    updateTestCase,
+    removeTestCase,
+    importTestCases
+  };
+};
+
+export default useCustomTestCases;
@@ -0,0 +1,39 @@
+import { useEffect } from 'react';
+import { META_FIELDS } from '../utils/profileMeta';
+
+/**
+ * useDocumentMeta Hook
+ *
+ * Sets the document title and the Open Graph / Twitter tags from index.html
+ * while a page is mounted, restoring the defaults on unmount.
+ *
+ * Usage:
+ *   useDocumentMeta({ title, description, url, image });
+ */
+const useDocumentMeta = (meta) => {
+  const { title, description, url, image } = meta || {};
+
+  useEffect(() => {
+    if (!title) return;
+
+    const values = { title, description, url, image };
+    const previousTitle = document.title;
+    const previous = [];
+
+    document.title = title;
+    META_FIELDS.forEach(({ attribute, key, field }) => {
+      const tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+      if (!tag || !values[field]) return;
+
+      previous.push([tag, tag.getAttribute('content')]);
+      tag.setAttribute('content', values[field]);
+    });
+
+    return () => {
+      document.title = previousTitle;
+      previous.forEach(([tag, content]) => tag.setAttribute('content', content));
+    };
+  }, [title, description, url, image]);
+};
+
+export default useDocumentMeta;
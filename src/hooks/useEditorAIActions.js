@@ -0,0 +1,276 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { requestCodeAction } from '../services/aiAssistantAPI';
+import { CODE_ACTIONS } from '../constants/codeActions';
+import { findFunctions, findEnclosingFunction } from '../utils/codeContext';
+
+// Monaco command ids used by the code lenses
+const COMMANDS = {
+  REVIEW_COMPLEXITY: 'intellit.ai.reviewComplexity',
+  EXPLAIN_FAILURE: 'intellit.ai.explainFailure'
+};
+
+const LOADING_ZONE_HEIGHT = 56;
+const ANSWER_ZONE_HEIGHT = 240;
+
+const getFailingTest = (testResults = []) => {
+  const index = (testResults || []).findIndex(test => !test.passed);
+  return index === -1 ? null : { index, test: testResults[index] };
+};
+
+const toFunctionRange = (fn) => fn && { name: fn.name, start_line: fn.startLine, end_line: fn.endLine };
+
+/**
+ * useEditorAIActions Hook
+ *
+ * Code-aware AI actions for the Monaco editor:
+ * - Context menu: "Explain selection", "Why does this fail test N?", "Review complexity of this function"
+ * - Code lenses above each function for the complexity review and the failing test
+ *
+ * The selection, cursor line, enclosing function and failing `test_results` entry are
+ * sent to the agent, and the answer is shown in a view zone under the code it is about.
+ * Render `answer` into `zoneNode` with a portal. Nothing is registered while `enabled` is false.
+ *
+ * Usage:
+ *   const { answer, zoneNode, dismiss } = useEditorAIActions({ editor, monaco, question, language, sessionId, testResults });
+ */
+const useEditorAIActions = ({ enabled = true, editor, monaco, question, language, sessionId, testResults }) => {
+  const [answer, setAnswer] = useState(null);
+  const [zoneNode, setZoneNode] = useState(null);
+
+  const zoneRef = useRef(null);           // { id, zone } of the open view zone
+  const decorationIdsRef = useRef([]);
+  const requestIdRef = useRef(0);         // ignore answers for dismissed/replaced requests
+  const handlersRef = useRef({});
+
+  const failingTest = getFailingTest(testResults);
+  const failingIndex = failingTest?.index ?? null;
+
+  const removeZone = useCallback(() => {
+    if (!editor) return;
+
+    if (zoneRef.current) {
+      const { id } = zoneRef.current;
+      editor.changeViewZones(accessor => accessor.removeZone(id));
+      zoneRef.current = null;
+    }
+    decorationIdsRef.current = editor.deltaDecorations(decorationIdsRef.current, []);
+    setZoneNode(null);
+  }, [editor]);
+
+  const dismiss = useCallback(() => {
+    requestIdRef.current += 1;
+    removeZone();
+    setAnswer(null);
+  }, [removeZone]);
+
+  const showZone = (range) => {
+    removeZone();
+
+    const domNode = document.createElement('div');
+    // Let the answer scroll on its own instead of scrolling the editor
+    domNode.addEventListener('wheel', (event) => event.stopPropagation(), { passive: true });
+
+    const zone = {
+      afterLineNumber: range.endLine,
+      heightInPx: LOADING_ZONE_HEIGHT,
+      domNode,
+      suppressMouseDown: true
+    };
+    editor.changeViewZones(accessor => {
+      zoneRef.current = { id: accessor.addZone(zone), zone };
+    });
+
+    decorationIdsRef.current = editor.deltaDecorations([], [{
+      range: new monaco.Range(range.startLine, 1, range.endLine, 1),
+      options: {
+        isWholeLine: true,
+        className: 'ai-action-range',
+        linesDecorationsClassName: 'ai-action-range-margin'
+      }
+    }]);
+
+    editor.revealLineInCenterIfOutsideViewport(range.endLine);
+    setZoneNode(domNode);
+  };
+
+  const resizeZone = (height) => {
+    if (!zoneRef.current) return;
+    zoneRef.current.zone.heightInPx = height;
+    editor.changeViewZones(accessor => accessor.layoutZone(zoneRef.current.id));
+  };
+
+  const runAction = async (action, { range, title, ...context }) => {
+    const requestId = ++requestIdRef.current;
+
+    showZone(range);
+    setAnswer({ action, title, status: 'loading', content: '' });
+    console.log('🤖 Editor AI action:', action, range);
+
+    const result = await requestCodeAction(action, {
+      questionId: question?.id,
+      sessionId,
+      code: editor.getValue(),
+      language,
+      cursorLine: editor.getPosition()?.lineNumber,
+      ...context
+    });
+
+    if (requestId !== requestIdRef.current) return;
+
+    setAnswer({
+      action,
+      title: result.title || title,
+      status: result.success ? 'done' : 'error',
+      content: result.success ? result.answer : result.error
+    });
+    resizeZone(result.success ? ANSWER_ZONE_HEIGHT : LOADING_ZONE_HEIGHT);
+  };
+
+  const explainSelection = () => {
+    const selection = editor.getSelection();
+    if (!selection || selection.isEmpty()) return;
+
+    runAction(CODE_ACTIONS.EXPLAIN_SELECTION, {
+      range: { startLine: selection.startLineNumber, endLine: selection.endLineNumber },
+      title: 'Explain selection',
+      selection: {
+        text: editor.getModel().getValueInRange(selection),
+        start_line: selection.startLineNumber,
+        end_line: selection.endLineNumber
+      }
+    });
+  };
+
+  const explainFailure = (lineNumber) => {
+    if (!failingTest) return;
+
+    const line = lineNumber ?? editor.getPosition()?.lineNumber ?? 1;
+    const fn = findEnclosingFunction(editor.getValue(), line, language);
+
+    runAction(CODE_ACTIONS.EXPLAIN_FAILURE, {
+      range: fn ? { startLine: fn.startLine, endLine: fn.endLine } : { startLine: line, endLine: line },
+      title: `Why test ${failingTest.index + 1} fails`,
+      cursorLine: line,
+      functionRange: toFunctionRange(fn),
+      testResult: failingTest.test,
+      testIndex: failingTest.index
+    });
+  };
+
+  const reviewComplexity = (lineNumber) => {
+    const line = lineNumber ?? editor.getPosition()?.lineNumber ?? 1;
+    const fn = findEnclosingFunction(editor.getValue(), line, language);
+
+    runAction(CODE_ACTIONS.REVIEW_COMPLEXITY, {
+      range: fn
+        ? { startLine: fn.startLine, endLine: fn.endLine }
+        : { startLine: 1, endLine: editor.getModel().getLineCount() },
+      title: fn ? `Complexity of ${fn.name}()` : 'Complexity of this solution',
+      cursorLine: line,
+      functionRange: toFunctionRange(fn)
+    });
+  };
+
+  // Monaco keeps the registered callbacks - point them at the latest render
+  handlersRef.current = { explainSelection, explainFailure, reviewComplexity };
+
+  // Context menu actions and code lens commands
+  useEffect(() => {
+    if (!enabled || !editor || !monaco) return;
+
+    const disposables = [
+      editor.addAction({
+        id: 'ai.explainSelection',
+        label: 'AI: Explain selection',
+        contextMenuGroupId: '0_ai',
+        contextMenuOrder: 1,
+        precondition: 'editorHasSelection',
+        run: () => handlersRef.current.explainSelection()
+      }),
+      editor.addAction({
+        id: 'ai.reviewComplexity',
+        label: 'AI: Review complexity of this function',
+        contextMenuGroupId: '0_ai',
+        contextMenuOrder: 3,
+        run: () => handlersRef.current.reviewComplexity()
+      }),
+      monaco.editor.registerCommand(COMMANDS.REVIEW_COMPLEXITY, (accessor, line) => handlersRef.current.reviewComplexity(line)),
+      monaco.editor.registerCommand(COMMANDS.EXPLAIN_FAILURE, (accessor, line) => handlersRef.current.explainFailure(line))
+    ];
+
+    // The editor is disposed when the Code tab is left - drop the zone with it
+    const disposeListener = editor.onDidDispose(() => {
+      zoneRef.current = null;
+      decorationIdsRef.current = [];
+      setZoneNode(null);
+      setAnswer(null);
+    });
+
+    return () => {
+      disposables.forEach(disposable => disposable.dispose());
+      disposeListener.dispose();
+    };
+  }, [enabled, editor, monaco]);
+
+  // "Why does this fail test N?" only exists while a test is failing
+  useEffect(() => {
+    if (!enabled || !editor || failingIndex === null) return;
+
+    const action = editor.addAction({
+      id: 'ai.explainFailure',
+      label: `AI: Why does this fail test ${failingIndex + 1}?`,
+      contextMenuGroupId: '0_ai',
+      contextMenuOrder: 2,
+      run: () => handlersRef.current.explainFailure()
+    });
+
+    return () => action.dispose();
+  }, [enabled, editor, failingIndex]);
+
+  // Code lenses above every function
+  useEffect(() => {
+    if (!enabled || !editor || !monaco || !language) return;
+
+    const provider = monaco.languages.registerCodeLensProvider(language, {
+      provideCodeLenses: (model) => {
+        // Providers are global; only annotate this editor's model
+        if (model !== editor.getModel()) {
+          return { lenses: [], dispose: () => {} };
+        }
+
+        const lenses = findFunctions(model.getValue(), language).flatMap(fn => {
+          const range = { startLineNumber: fn.startLine, startColumn: 1, endLineNumber: fn.startLine, endColumn: 1 };
+          const items = [{
+            range,
+            command: { id: COMMANDS.REVIEW_COMPLEXITY, title: 'AI: Review complexity', arguments: [fn.startLine] }
+          }];
+          if (failingIndex !== null) {
+            items.push({
+              range,
+              command: { id: COMMANDS.EXPLAIN_FAILURE, title: `AI: Why does this fail test ${failingIndex + 1}?`, arguments: [fn.startLine] }
+            });
+          }
+          return items;
+        });
+
+        return { lenses, dispose: () => {} };
+      },
+      resolveCodeLens: (model, codeLens) => codeLens
+    });
+
+    return () => provider.dispose();
+  }, [enabled, editor, monaco, language, failingIndex]);
+
+  // A new question starts without an open answer
+  useEffect(() => {
+    dismiss();
+  }, [question?.id, dismiss]);
+
+  return {
+    answer,
+    zoneNode,
+    dismiss
+  };
+};
+
+export default useEditorAIActions;
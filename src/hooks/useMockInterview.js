@@ -0,0 +1,371 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import screenfull from 'screenfull';
+import { streamInterviewerTurn, requestInterviewFeedback } from '../services/aiAssistantAPI';
+import mockInterviewAPI from '../services/mockInterviewAPI';
+import { calculateElapsedSeconds } from '../utils/dateUtils';
+import { buildInterviewScorecard } from '../utils/interviewScorecard';
+import {
+  INTERVIEW_DURATION_MINUTES,
+  INTERVIEW_STAGES,
+  INTERVIEWER_EVENTS,
+  TIME_WARNING_MINUTES,
+  HINT_POLICIES
+} from '../constants/mockInterview';
+
+const DURATION_SECONDS = INTERVIEW_DURATION_MINUTES * 60;
+
+const EMPTY_PROGRESS = {
+  started: false,
+  hintPolicy: null,
+  revealed: 1,            // number of INTERVIEW_STAGES shown
+  runs: [],
+  submissions: [],
+  focusLosses: 0,
+  fullscreenExits: 0,
+  warnings: [],           // TIME_WARNING_MINUTES already announced
+  result: null            // { scorecard, feedback, feedbackError } once the interview is over
+};
+
+const getStorageKey = (sessionId) => `mock_interview_${sessionId}`;
+
+const loadProgress = (sessionId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(sessionId)));
+    if (!stored) return EMPTY_PROGRESS;
+    // The page was left while written feedback was still loading
+    if (stored.result && !stored.result.feedback && !stored.result.feedbackError) {
+      stored.result.feedbackError = 'Written feedback was interrupted.';
+    }
+    return { ...EMPTY_PROGRESS, ...stored };
+  } catch {
+    return EMPTY_PROGRESS;
+  }
+};
+
+// Only what the interviewer needs from the chat
+const toHistory = (messages) => messages
+  .filter(msg => msg.content && !msg.streaming)
+  .map(msg => ({ role: msg.role, content: msg.content }));
+
+/**
+ * useMockInterview Hook
+ *
+ * Mock interview mode on top of a coding session:
+ * - 45-minute countdown from the session start, ending the interview at zero
+ * - Problem revealed in stages (statement, examples, constraints) on a schedule or on request
+ * - AI interviewer turns streamed into the chat on start, stage reveals, submissions,
+ *   time warnings and every candidate message
+ * - Runs, submissions, focus losses and fullscreen exits recorded for the scorecard
+ *
+ * Progress is kept in localStorage per session so a recovered session picks up where it was.
+ *
+ * Usage:
+ *   const interview = useMockInterview({ enabled, session, question, language, code, hintPolicy, messages, setMessages });
+ *   interview.sendCandidateMessage(text); interview.recordExecution('submit', result);
+ */
+const useMockInterview = ({ enabled, session, question, language, code, hintPolicy, messages, setMessages }) => {
+  const sessionId = session?.sessionId;
+  const startTime = session?.startTime || session?.start_time;
+
+  const [progress, setProgress] = useState(EMPTY_PROGRESS);
+  const [loadedFor, setLoadedFor] = useState(null);
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  const [isInterviewerTyping, setIsInterviewerTyping] = useState(false);
+  const [isEnding, setIsEnding] = useState(false);
+
+  const fallbackStartRef = useRef(Date.now());
+  const controllerRef = useRef(null);
+  const turnQueueRef = useRef(Promise.resolve());
+  const latestRef = useRef({});
+  const messageSeqRef = useRef(0);
+
+  const isLoaded = enabled && Boolean(sessionId) && loadedFor === sessionId;
+  const isOver = Boolean(progress.result) || isEnding;
+  const isActive = isLoaded && !isOver;
+  const remainingSeconds = Math.max(0, DURATION_SECONDS - elapsedSeconds);
+  const effectiveHintPolicy = progress.hintPolicy || hintPolicy || HINT_POLICIES.DISABLED;
+
+  // Async callbacks and timers read the latest values from here
+  latestRef.current = { isOver, progress, messages, code, language, question, elapsedSeconds, remainingSeconds };
+
+  // Restore progress for the session
+  useEffect(() => {
+    if (!enabled || !sessionId) return;
+    setProgress(loadProgress(sessionId));
+    setLoadedFor(sessionId);
+  }, [enabled, sessionId]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    localStorage.setItem(getStorageKey(sessionId), JSON.stringify(progress));
+  }, [isLoaded, sessionId, progress]);
+
+  // Countdown
+  useEffect(() => {
+    if (!enabled) return;
+
+    const tick = () => setElapsedSeconds(calculateElapsedSeconds(startTime || fallbackStartRef.current));
+    tick();
+    if (isOver) return;
+
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [enabled, startTime, isOver]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Candidate and interviewer messages are often added in the same millisecond
+  const nextMessageId = useCallback(() => {
+    messageSeqRef.current += 1;
+    return `interview-${Date.now()}-${messageSeqRef.current}`;
+  }, []);
+
+  const updateMessage = useCallback((messageId, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, ...changes } : msg)));
+  }, [setMessages]);
+
+  /**
+   * Queue an interviewer turn - turns never overlap, each one streams into its own chat message
+   */
+  const askInterviewer = useCallback((event, extra = {}) => {
+    const runTurn = async () => {
+      const latest = latestRef.current;
+      if (latest.isOver) return;
+
+      const messageId = nextMessageId();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+
+      setIsInterviewerTyping(true);
+      setMessages(prev => [...prev, {
+        id: messageId,
+        role: 'assistant',
+        interviewer: true,
+        content: '',
+        streaming: true,
+        timestamp: new Date().toISOString()
+      }]);
+
+      const result = await streamInterviewerTurn(event, {
+        questionId: latest.question?.id,
+        sessionId,
+        code: latest.code,
+        language: latest.language,
+        stage: INTERVIEW_STAGES[latest.progress.revealed - 1]?.id,
+        elapsedSeconds: latest.elapsedSeconds,
+        remainingSeconds: latest.remainingSeconds,
+        history: toHistory(latest.messages),
+        ...extra
+      }, {
+        signal: controller.signal,
+        onToken: (chunk, text) => updateMessage(messageId, { content: text })
+      });
+
+      if (result.success && result.message) {
+        updateMessage(messageId, {
+          content: result.message,
+          topic: result.topic,
+          streaming: false,
+          stopped: Boolean(result.aborted),
+          interrupted: Boolean(result.interrupted)
+        });
+      } else if (result.aborted || result.success) {
+        setMessages(prev => prev.filter(msg => msg.id !== messageId));
+      } else {
+        updateMessage(messageId, { content: `❌ ${result.error}`, streaming: false });
+      }
+
+      controllerRef.current = null;
+      setIsInterviewerTyping(false);
+    };
+
+    turnQueueRef.current = turnQueueRef.current.then(runTurn, runTurn);
+    return turnQueueRef.current;
+  }, [sessionId, setMessages, updateMessage, nextMessageId]);
+
+  // Opening turn - the interviewer introduces the problem and invites questions
+  useEffect(() => {
+    if (!isActive || progress.started) return;
+
+    setProgress(prev => ({ ...prev, started: true, hintPolicy: prev.hintPolicy || hintPolicy || HINT_POLICIES.DISABLED }));
+    console.log('🎤 Mock interview started:', sessionId);
+    askInterviewer(INTERVIEWER_EVENTS.START);
+  }, [isActive, progress.started, hintPolicy, sessionId, askInterviewer]);
+
+  const revealStages = useCallback((count, trigger) => {
+    const stage = INTERVIEW_STAGES[count - 1];
+    setProgress(prev => ({ ...prev, revealed: count }));
+    console.log(`📖 Revealed interview stage (${trigger}):`, stage.id);
+    askInterviewer(INTERVIEWER_EVENTS.STAGE_REVEALED, { stage: stage.id });
+  }, [askInterviewer]);
+
+  const revealNextStage = useCallback(() => {
+    if (!isActive || progress.revealed >= INTERVIEW_STAGES.length) return;
+    revealStages(progress.revealed + 1, 'requested');
+  }, [isActive, progress.revealed, revealStages]);
+
+  const endInterview = useCallback(async (reason = 'ended') => {
+    if (!isLoaded || isOver) return;
+
+    setIsEnding(true);
+    controllerRef.current?.abort();
+    console.log('🏁 Ending mock interview:', reason);
+
+    const latest = latestRef.current;
+    const behaviorMetrics = await mockInterviewAPI.getBehaviorMetrics(sessionId);
+
+    const scorecard = buildInterviewScorecard({
+      durationSeconds: DURATION_SECONDS,
+      elapsedSeconds: Math.min(latest.elapsedSeconds, DURATION_SECONDS),
+      endReason: reason,
+      runs: latest.progress.runs,
+      submissions: latest.progress.submissions,
+      messages: latest.messages,
+      hintsUsed: latest.messages.filter(msg => msg.hintLevel && !msg.streaming).length,
+      hintPolicy: effectiveHintPolicy,
+      focusLosses: latest.progress.focusLosses,
+      fullscreenExits: latest.progress.fullscreenExits,
+      behaviorMetrics
+    });
+
+    setProgress(prev => ({ ...prev, result: { scorecard, feedback: null, feedbackError: null } }));
+    setIsEnding(false);
+
+    const feedback = await requestInterviewFeedback({
+      questionId: latest.question?.id,
+      sessionId,
+      code: latest.code,
+      language: latest.language,
+      scorecard,
+      history: toHistory(latest.messages)
+    });
+
+    const result = {
+      scorecard,
+      feedback: feedback.success
+        ? { summary: feedback.summary, strengths: feedback.strengths, improvements: feedback.improvements }
+        : null,
+      feedbackError: feedback.success ? null : feedback.error
+    };
+    setProgress(prev => ({ ...prev, result }));
+
+    try {
+      await mockInterviewAPI.saveScorecard(sessionId, { ...result.scorecard, feedback: result.feedback });
+    } catch (error) {
+      console.warn('Interview scorecard was not saved:', error);
+    }
+  }, [isLoaded, isOver, sessionId, effectiveHintPolicy]);
+
+  // Scheduled stage reveals, time warnings and the end of the interview
+  useEffect(() => {
+    if (!isActive || !progress.started) return;
+
+    if (elapsedSeconds >= DURATION_SECONDS) {
+      endInterview('time_up');
+      return;
+    }
+
+    const due = INTERVIEW_STAGES.filter(stage => elapsedSeconds >= stage.revealAtMinute * 60).length;
+    if (due > progress.revealed) {
+      revealStages(due, 'scheduled');
+    }
+
+    const warning = TIME_WARNING_MINUTES.find(minutes =>
+      remainingSeconds <= minutes * 60 && !progress.warnings.includes(minutes));
+    if (warning) {
+      // Announce only the most urgent warning after a long absence
+      const passed = TIME_WARNING_MINUTES.filter(minutes => remainingSeconds <= minutes * 60);
+      setProgress(prev => ({ ...prev, warnings: [...new Set([...prev.warnings, ...passed])] }));
+      askInterviewer(INTERVIEWER_EVENTS.TIME_WARNING, { message: `${Math.min(...passed)} minutes remaining` });
+    }
+  }, [isActive, progress.started, progress.revealed, progress.warnings, elapsedSeconds, remainingSeconds, endInterview, revealStages, askInterviewer]);
+
+  // Leaving the tab/window or fullscreen counts against focus
+  useEffect(() => {
+    if (!isActive) return;
+
+    const handleBlur = () => setProgress(prev => ({ ...prev, focusLosses: prev.focusLosses + 1 }));
+    const handleFullscreenChange = () => {
+      if (!screenfull.isFullscreen) {
+        setProgress(prev => ({ ...prev, fullscreenExits: prev.fullscreenExits + 1 }));
+      }
+    };
+
+    window.addEventListener('blur', handleBlur);
+    if (screenfull.isEnabled) screenfull.on('change', handleFullscreenChange);
+
+    return () => {
+      window.removeEventListener('blur', handleBlur);
+      if (screenfull.isEnabled) screenfull.off('change', handleFullscreenChange);
+    };
+  }, [isActive]);
+
+  const sendCandidateMessage = useCallback((message) => {
+    if (!message.trim() || !isActive) return;
+
+    setMessages(prev => [...prev, {
+      id: nextMessageId(),
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString()
+    }]);
+    askInterviewer(INTERVIEWER_EVENTS.MESSAGE, { message });
+  }, [isActive, setMessages, askInterviewer, nextMessageId]);
+
+  const stopInterviewer = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Record a run or submission from the editor; submissions get interviewer follow-ups
+   * @param {string} kind - 'run' | 'submit'
+   * @param {Object} result - Execution result ({ success, status, passed_count, total_count })
+   */
+  const recordExecution = useCallback((kind, result) => {
+    if (!isActive || !result) return;
+
+    const entry = {
+      passed: result.passed_count || 0,
+      total: result.total_count || 0,
+      at: latestRef.current.elapsedSeconds
+    };
+
+    if (kind === 'submit') {
+      setProgress(prev => ({ ...prev, submissions: [...prev.submissions, { ...entry, success: Boolean(result.success) }] }));
+      askInterviewer(INTERVIEWER_EVENTS.SUBMIT, {
+        result: {
+          success: Boolean(result.success),
+          status: result.status,
+          passed_count: result.passed_count,
+          total_count: result.total_count
+        }
+      });
+    } else {
+      setProgress(prev => ({ ...prev, runs: [...prev.runs, entry] }));
+    }
+  }, [isActive, askInterviewer]);
+
+  return {
+    isLoaded,
+    isActive,
+    isEnding,
+    durationSeconds: DURATION_SECONDS,
+    elapsedSeconds,
+    remainingSeconds,
+    hintPolicy: effectiveHintPolicy,
+    stages: INTERVIEW_STAGES.map((stage, index) => ({ ...stage, revealed: index < progress.revealed })),
+    nextStage: isActive ? INTERVIEW_STAGES[progress.revealed] || null : null,
+    revealNextStage,
+    isInterviewerTyping,
+    sendCandidateMessage,
+    stopInterviewer,
+    recordExecution,
+    endInterview,
+    scorecard: progress.result?.scorecard || null,
+    feedback: progress.result?.feedback || null,
+    feedbackError: progress.result?.feedbackError || null,
+    isFeedbackLoading: Boolean(progress.result) && !progress.result.feedback && !progress.result.feedbackError
+  };
+};
+
+export default useMockInterview;
@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPinnedHints, pinHint, unpinHint } from '../services/aiAssistantAPI';
+
+/**
+ * usePinnedHints Hook
+ *
+ * Hints (or assistant answers) the user pinned for a question. Pins are stored
+ * on the backend so they show at the top of the Problem tab in later sessions.
+ *
+ * Usage:
+ *   const { pins, isPinned, togglePin, removePin } = usePinnedHints(questionId);
+ */
+const usePinnedHints = (questionId) => {
+  const [pins, setPins] = useState([]);
+
+  useEffect(() => {
+    setPins([]);
+    if (!questionId) return;
+
+    let cancelled = false;
+    getPinnedHints(questionId).then(result => {
+      if (!cancelled && result.success) {
+        setPins(result.pins);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [questionId]);
+
+  const findPin = useCallback(
+    (content) => pins.find(pin => pin.content === content) || null,
+    [pins]
+  );
+
+  const isPinned = useCallback((content) => Boolean(findPin(content)), [findPin]);
+
+  const removePin = useCallback(async (pinId) => {
+    const previous = pins;
+    setPins(current => current.filter(pin => pin.pin_id !== pinId));
+
+    const result = await unpinHint(pinId);
+    if (!result.success) {
+      setPins(previous);
+    }
+  }, [pins]);
+
+  /**
+   * Pin a message, or unpin it if it is already pinned
+   * @param {Object} message - { content, hintLevel, threadId }
+   */
+  const togglePin = useCallback(async (message) => {
+    if (!questionId || !message?.content) return;
+
+    const existing = findPin(message.content);
+    if (existing) {
+      await removePin(existing.pin_id);
+      return;
+    }
+
+    const result = await pinHint(questionId, message);
+    if (result.success) {
+      console.log('📌 Hint pinned for question:', questionId);
+      setPins(current => [result.pin, ...current]);
+    }
+  }, [questionId, findPin, removePin]);
+
+  return {
+    pins,
+    isPinned,
+    togglePin,
+    removePin
+  };
+};
+
+export default usePinnedHints;
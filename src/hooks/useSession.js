@@ -4,6 +4,7 @@ import {
   startSession,
   endSession,
   fetchActiveSession,
+  fetchSessionHistory,
   updateSessionCode,
   addSessionEvent,
   setCurrentSession,
@@ -15,6 +16,7 @@ import {
   selectIsActive,
   selectHasActiveSession,
   selectSessionId,
+  selectSessionHistory,
   selectSessionDuration,
 } from '../store/sessionSlice';
 import { calculateElapsedSeconds, formatDuration } from '../utils/dateUtils';
@@ -40,6 +42,7 @@ const useSession = () => {
   const isActive = useSelector(selectIsActive);
   const hasActiveSession = useSelector(selectHasActiveSession);
   const sessionId = useSelector(selectSessionId);
+  const sessionHistory = useSelector(selectSessionHistory);
 
   // Action creators wrapped in useCallback
   const handleStartSession = useCallback(
@@ -89,11 +92,11 @@ const useSession = () => {
     return formatDuration(elapsedSeconds);
   }, [currentSession]);
 
-  // Placeholder stubs for features not yet migrated
-  // TODO: Implement these when analytics system is built
-  const loadHistory = useCallback(() => {
-    // Silent no-op
-  }, []);
+  // Past sessions for dashboard analytics and replay
+  const loadHistory = useCallback(
+    (limit = 20) => dispatch(fetchSessionHistory(limit)),
+    [dispatch]
+  );
 
   // Tracking stubs - use updateCode and addEvent internally
   const trackCodeChange = useCallback((code, language) => {
@@ -120,9 +123,9 @@ const useSession = () => {
     isActive,
     hasActiveSession,
     sessionId,
+    sessionHistory,
     
     // Placeholder state for backwards compatibility
-    sessionHistory: [],
     sessionInsights: null,
     sessionAnalytics: null,
     needsRecovery: false,
@@ -0,0 +1,220 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import stressTestAPI from '../services/stressTestAPI';
+import { requestCodeAction } from '../services/aiAssistantAPI';
+import { CODE_ACTIONS } from '../constants/codeActions';
+import { parseConstraints } from '../utils/constraints';
+import { parseMarkdown } from '../utils/markdown';
+import {
+  DEFAULT_STRESS_OPTIONS,
+  createRng,
+  createSeed,
+  generateBatch,
+  shrinkCandidates,
+  outputsMatch
+} from '../utils/stressTest';
+
+// Each round tries up to batchSize smaller variants of the counterexample
+const MAX_SHRINK_ROUNDS = 8;
+
+const IDLE_RUN = { status: 'idle', ran: 0, total: 0, counterexample: null, message: null };
+
+/**
+ * useStressTest Hook
+ *
+ * Stress testing against a brute-force reference solution:
+ * - Random inputs are generated from the question's constraints (utils/constraints.js)
+ * - Reference and user code run on the same batches through /submissions/run
+ * - The first differing input is shrunk to a minimal counterexample
+ * - The reference can be written by the user or drafted by the assistant
+ *
+ * run.status: 'idle' | 'running' | 'shrinking' | 'passed' | 'failed' | 'stopped' | 'error'
+ *
+ * Usage:
+ *   const stress = useStressTest({ question, language, code, sessionId });
+ *   stress.setReferenceCode(src); stress.start();
+ */
+const useStressTest = ({ question, language, code, sessionId }) => {
+  const [referenceCode, setReferenceCode] = useState('');
+  const [options, setOptions] = useState(() => ({ ...DEFAULT_STRESS_OPTIONS, seed: createSeed() }));
+  const [run, setRun] = useState(IDLE_RUN);
+  const [drafting, setDrafting] = useState(false);
+  const [draftError, setDraftError] = useState(null);
+  const runIdRef = useRef(0);
+  const questionIdRef = useRef(question?.id);
+
+  const sampleInput = question?.sample_test_cases?.[0]?.input || question?.examples?.[0]?.input || '';
+  const spec = useMemo(
+    () => parseConstraints(question?.constraints || [], sampleInput),
+    [question?.constraints, sampleInput]
+  );
+
+  // A new question needs its own reference solution
+  useEffect(() => {
+    questionIdRef.current = question?.id;
+    runIdRef.current += 1;
+    setReferenceCode('');
+    setRun(IDLE_RUN);
+    setDraftError(null);
+  }, [question?.id]);
+
+  const setOption = useCallback((name, value) => {
+    setOptions(previous => ({ ...previous, [name]: value }));
+  }, []);
+
+  /**
+   * Run reference and user code on the same inputs
+   * @returns {Promise<Object>} { mismatch, referenceError } - first of each in input order, with its `index`
+   */
+  const compareBatch = useCallback(async (batch) => {
+    const inputs = batch.map(item => item.input);
+    const [reference, user] = await Promise.all([
+      stressTestAPI.runInputs({ code: referenceCode, language, questionId: question?.id, inputs }),
+      stressTestAPI.runInputs({ code, language, questionId: question?.id, inputs })
+    ]);
+
+    let mismatch = null;
+    let referenceError = null;
+
+    batch.forEach((item, index) => {
+      if (reference[index].error) {
+        referenceError = referenceError || { index, input: item.input, error: reference[index].error };
+        return;
+      }
+      if (mismatch) return;
+      if (user[index].error || !outputsMatch(reference[index].output, user[index].output, options.unorderedOutput)) {
+        mismatch = {
+          index,
+          values: item.values,
+          input: item.input,
+          expected: reference[index].output,
+          actual: user[index].output,
+          error: user[index].error
+        };
+      }
+    });
+
+    return { mismatch, referenceError };
+  }, [referenceCode, code, language, question?.id, options.unorderedOutput]);
+
+  const start = useCallback(async () => {
+    if (!referenceCode.trim() || !code.trim() || spec.params.length === 0) return;
+
+    const runId = ++runIdRef.current;
+    const isCurrent = () => runId === runIdRef.current;
+    const rng = createRng(options.seed);
+
+    setRun({ ...IDLE_RUN, status: 'running', total: options.count });
+    console.log('🧪 Starting stress test:', { questionId: question?.id, seed: options.seed, count: options.count });
+
+    try {
+      let found = null;
+
+      for (let offset = 0; offset < options.count && !found; offset += options.batchSize) {
+        const batch = generateBatch(spec, rng, options, offset, Math.min(options.batchSize, options.count - offset));
+        const { mismatch, referenceError } = await compareBatch(batch);
+        if (!isCurrent()) return;
+
+        // A reference that crashes first can't be trusted for the rest of the batch
+        if (referenceError && (!mismatch || referenceError.index < mismatch.index)) {
+          setRun(previous => ({
+            ...previous,
+            status: 'error',
+            message: `The reference solution failed on ${referenceError.input}: ${referenceError.error}`
+          }));
+          return;
+        }
+
+        found = mismatch;
+        setRun(previous => ({ ...previous, ran: offset + batch.length }));
+      }
+
+      if (!found) {
+        setRun(previous => ({ ...previous, status: 'passed' }));
+        return;
+      }
+
+      setRun(previous => ({ ...previous, status: 'shrinking', counterexample: { ...found, shrinkSteps: 0 } }));
+
+      let shrinkSteps = 0;
+      for (let round = 0; round < MAX_SHRINK_ROUNDS; round++) {
+        const candidates = shrinkCandidates(spec, found.values, options.batchSize);
+        if (candidates.length === 0) break;
+
+        const { mismatch } = await compareBatch(candidates);
+        if (!isCurrent()) return;
+        if (!mismatch) break;
+
+        found = mismatch;
+        shrinkSteps += 1;
+        setRun(previous => ({ ...previous, counterexample: { ...found, shrinkSteps } }));
+      }
+
+      console.log('❌ Stress test found a counterexample:', found.input);
+      setRun(previous => ({ ...previous, status: 'failed', counterexample: { ...found, shrinkSteps } }));
+    } catch (error) {
+      if (!isCurrent()) return;
+      setRun(previous => ({
+        ...previous,
+        status: 'error',
+        message: error.response?.data?.detail || error.message || 'The stress test could not run.'
+      }));
+    }
+  }, [referenceCode, code, spec, options, question?.id, compareBatch]);
+
+  const stop = useCallback(() => {
+    runIdRef.current += 1;
+    setRun(previous => (
+      previous.status === 'running' || previous.status === 'shrinking'
+        ? { ...previous, status: previous.counterexample ? 'failed' : 'stopped' }
+        : previous
+    ));
+  }, []);
+
+  const newSeed = useCallback(() => setOption('seed', createSeed()), [setOption]);
+
+  /**
+   * Ask the assistant for a simple brute-force solution to use as the reference
+   */
+  const draftReference = useCallback(async () => {
+    const questionId = question?.id;
+    setDrafting(true);
+    setDraftError(null);
+
+    const result = await requestCodeAction(CODE_ACTIONS.DRAFT_REFERENCE, {
+      questionId,
+      sessionId,
+      code,
+      language
+    });
+
+    setDrafting(false);
+    if (questionId !== questionIdRef.current) return;
+
+    if (!result.success) {
+      setDraftError(result.error);
+      return;
+    }
+
+    // Replies are Markdown - take the first code block
+    const codeBlock = parseMarkdown(result.answer).find(block => block.type === 'code');
+    setReferenceCode(codeBlock ? codeBlock.code : result.answer);
+  }, [question?.id, sessionId, code, language]);
+
+  return {
+    spec,
+    referenceCode,
+    setReferenceCode,
+    options,
+    setOption,
+    newSeed,
+    run,
+    isRunning: run.status === 'running' || run.status === 'shrinking',
+    start,
+    stop,
+    drafting,
+    draftError,
+    draftReference
+  };
+};
+
+export default useStressTest;
@@ -0,0 +1,82 @@
+import { useEffect } from 'react';
+import { SUGGESTION_TYPE_LABELS } from '../utils/codeAnalysis';
+
+const MARKER_OWNER = 'code-analysis';
+
+// Overview ruler colors match the OptimizationTips card accents
+const TYPE_RULER_COLORS = {
+  TIME: '#60a5fa',
+  SPACE: '#c084fc',
+  READABILITY: '#34d399',
+  EDGE_CASE: '#fbbf24'
+};
+
+const getSeverity = (monaco, type) => {
+  switch (type) {
+    case 'EDGE_CASE':
+      return monaco.MarkerSeverity.Warning;
+    case 'READABILITY':
+      return monaco.MarkerSeverity.Hint;
+    default:
+      return monaco.MarkerSeverity.Info;
+  }
+};
+
+/**
+ * useSuggestionMarkers Hook
+ *
+ * Shows Code Analysis Agent suggestions on the referenced lines of the editor:
+ * model markers (squiggles with the explanation on hover) plus a colored line
+ * margin and overview ruler mark per suggestion type.
+ *
+ * Usage:
+ *   useSuggestionMarkers({ editor, monaco, suggestions });
+ */
+const useSuggestionMarkers = ({ editor, monaco, suggestions }) => {
+  useEffect(() => {
+    const model = editor?.getModel();
+    if (!model || !monaco || !suggestions?.length) return;
+
+    const lineCount = model.getLineCount();
+    const placed = suggestions
+      .filter(suggestion => suggestion.lines && suggestion.lines.startLine <= lineCount)
+      .map(suggestion => ({
+        ...suggestion,
+        startLine: suggestion.lines.startLine,
+        endLine: Math.min(suggestion.lines.endLine, lineCount)
+      }));
+
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, placed.map(suggestion => ({
+      severity: getSeverity(monaco, suggestion.type),
+      source: `AI Mentor · ${SUGGESTION_TYPE_LABELS[suggestion.type]}`,
+      message: `${suggestion.title}\n\n${suggestion.explanation}`,
+      startLineNumber: suggestion.startLine,
+      startColumn: model.getLineFirstNonWhitespaceColumn(suggestion.startLine) || 1,
+      endLineNumber: suggestion.endLine,
+      endColumn: model.getLineMaxColumn(suggestion.endLine)
+    })));
+
+    const decorationIds = editor.deltaDecorations([], placed.map(suggestion => ({
+      range: new monaco.Range(suggestion.startLine, 1, suggestion.endLine, 1),
+      options: {
+        isWholeLine: true,
+        linesDecorationsClassName: `analysis-marker-margin analysis-marker-${suggestion.type.toLowerCase().replace('_', '-')}`,
+        overviewRuler: {
+          color: TYPE_RULER_COLORS[suggestion.type],
+          position: monaco.editor.OverviewRulerLane.Right
+        }
+      }
+    })));
+
+    return () => {
+      // The model goes away with the editor when the Code tab is left
+      if (model.isDisposed()) return;
+      monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+      if (editor.getModel() === model) {
+        editor.deltaDecorations(decorationIds, []);
+      }
+    };
+  }, [editor, monaco, suggestions]);
+};
+
+export default useSuggestionMarkers;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LightBulbIcon } from '@heroicons/react/24/outline';
+import Navigation from '../../components/Navigation';
+import TrendChart from '../../components/session/TrendChart';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { useGetUserSessions } from '../../services/api';
+import { useGetRecentSessions, useGetBehaviorInsights } from '../../services/behaviorTracking';
+import {
+  extractList,
+  normalizeBehaviorSession,
+  normalizeCodingSession,
+  joinSessions,
+  getFilterOptions,
+  filterSessions,
+  buildWeeklyTrends,
+  summarizeSessions
+} from '../../utils/sessionTrends';
+
+const RANGE_OPTIONS = [
+  { weeks: 4, label: '4 Weeks' },
+  { weeks: 12, label: '12 Weeks' },
+  { weeks: 26, label: '6 Months' }
+];
+
+const formatMinutes = (minutes) => (minutes < 1 ? `${Math.round(minutes * 60)}s` : `${Math.round(minutes)}m`);
+const formatPercent = (value) => `${Math.round(value)}%`;
+const formatDecimal = (value) => (Math.round(value * 10) / 10).toString();
+
+const CHARTS = [
+  {
+    id: 'wpm',
+    title: 'Typing speed',
+    description: 'Average words per minute',
+    series: [{ key: 'wpm', label: 'WPM', color: 'blue' }],
+    formatValue: (value) => Math.round(value).toString()
+  },
+  {
+    id: 'rhythm',
+    title: 'Pauses & bursts',
+    description: 'Average per session (pauses > 500ms, bursts of keys < 150ms apart)',
+    series: [
+      { key: 'pauses', label: 'Pauses', color: 'amber' },
+      { key: 'bursts', label: 'Bursts', color: 'purple' }
+    ],
+    formatValue: (value) => Math.round(value).toString()
+  },
+  {
+    id: 'correctionRatio',
+    title: 'Correction ratio',
+    description: 'Backspaces and deletes per keystroke',
+    series: [{ key: 'correctionRatio', label: 'Corrections', color: 'red' }],
+    formatValue: (value) => `${Math.round(value * 100)}%`
+  },
+  {
+    id: 'timeToFirstRun',
+    title: 'Time to first run',
+    description: 'Median time from session start to the first Run',
+    series: [{ key: 'timeToFirstRunMinutes', label: 'Time to first run', color: 'blue' }],
+    formatValue: formatMinutes
+  },
+  {
+    id: 'hints',
+    title: 'Hints per problem',
+    description: 'Hints requested per problem attempted',
+    series: [{ key: 'hintsPerProblem', label: 'Hints', color: 'amber' }],
+    formatValue: formatDecimal
+  },
+  {
+    id: 'acceptance',
+    title: 'Acceptance rate',
+    description: 'Share of attempted problems with an accepted submission',
+    series: [{ key: 'acceptanceRate', label: 'Accepted', color: 'green' }],
+    formatValue: formatPercent,
+    maxValue: 100
+  }
+];
+
+// Insights come back as strings or { message } / { text } objects
+const getInsightText = (insight) => (typeof insight === 'string' ? insight : insight?.message || insight?.text || '');
+
+/**
+ * AnalyticsPage - Weekly trends of typing behavior and problem-solving outcomes
+ */
+const AnalyticsPage = () => {
+  const [weeks, setWeeks] = useState(12);
+  const [tag, setTag] = useState('all');
+  const [difficulty, setDifficulty] = useState('all');
+  const [sessions, setSessions] = useState([]);
+  const [insights, setInsights] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const getUserSessionsHook = useGetUserSessions();
+  const getRecentSessionsHook = useGetRecentSessions();
+  const getBehaviorInsightsHook = useGetBehaviorInsights();
+
+  useEffect(() => {
+    const loadAnalytics = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      const params = { days: weeks * 7, limit: 500 };
+
+      try {
+        const [codingData, behaviorData, insightsData] = await Promise.all([
+          getUserSessionsHook.execute(params),
+          // Keystroke metrics are optional - tracking may be disabled
+          getRecentSessionsHook.execute(params).catch(err => {
+            console.warn('Behavior sessions unavailable:', err);
+            return [];
+          }),
+          getBehaviorInsightsHook.execute().catch(err => {
+            console.warn('Behavior insights unavailable:', err);
+            return null;
+          })
+        ]);
+
+        const codingSessions = extractList(codingData).map(normalizeCodingSession);
+        const behaviorSessions = extractList(behaviorData).map(normalizeBehaviorSession);
+        setSessions(joinSessions(codingSessions, behaviorSessions));
+        setInsights((Array.isArray(insightsData) ? insightsData : insightsData?.insights || [])
+          .map(getInsightText)
+          .filter(Boolean));
+      } catch (err) {
+        console.error('Failed to load analytics:', err);
+        setError(err.message || 'Failed to load analytics');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadAnalytics();
+  }, [weeks]);
+
+  const filterOptions = useMemo(() => getFilterOptions(sessions), [sessions]);
+  const filteredSessions = useMemo(
+    () => filterSessions(sessions, { tag, difficulty }),
+    [sessions, tag, difficulty]
+  );
+  const weeklyTrends = useMemo(() => buildWeeklyTrends(filteredSessions, weeks), [filteredSessions, weeks]);
+  const summary = useMemo(() => summarizeSessions(filteredSessions), [filteredSessions]);
+
+  const summaryCards = [
+    { label: 'Sessions', value: summary.sessions },
+    { label: 'Problems', value: summary.problems },
+    { label: 'Avg WPM', value: summary.wpm === null ? '—' : Math.round(summary.wpm) },
+    { label: 'Acceptance', value: summary.acceptanceRate === null ? '—' : formatPercent(summary.acceptanceRate) }
+  ];
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <Link to="/dashboard" className="text-sm text-zinc-400 hover:text-zinc-200 transition-colors">
+              ← Back to dashboard
+            </Link>
+            <h1 className="text-3xl font-thin text-zinc-100 mt-2">Analytics</h1>
+            <p className="text-zinc-400 mt-1">How your typing and problem solving change week to week</p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={tag}
+              onChange={(e) => setTag(e.target.value)}
+              className="bg-zinc-800 border border-zinc-600 rounded px-2 py-1.5 text-sm text-zinc-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="all">All topics</option>
+              {filterOptions.tags.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <select
+              value={difficulty}
+              onChange={(e) => setDifficulty(e.target.value)}
+              className="bg-zinc-800 border border-zinc-600 rounded px-2 py-1.5 text-sm text-zinc-200 capitalize focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="all">All difficulties</option>
+              {filterOptions.difficulties.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+
+            <div className="flex bg-zinc-800 border border-zinc-700 rounded-lg p-1">
+              {RANGE_OPTIONS.map(option => (
+                <button
+                  key={option.weeks}
+                  onClick={() => setWeeks(option.weeks)}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    weeks === option.weeks
+                      ? 'bg-blue-600 text-white'
+                      : 'text-zinc-400 hover:text-zinc-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" variant="accent" text="Loading analytics..." />
+          </div>
+        ) : error ? (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-red-400 text-sm">
+            {error}
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {summaryCards.map(card => (
+                <div key={card.label} className="bg-zinc-800 border border-zinc-700 rounded-lg p-4">
+                  <div className="text-2xl font-semibold text-zinc-100">{card.value}</div>
+                  <div className="text-xs text-zinc-400 mt-1">{card.label}</div>
+                </div>
+              ))}
+            </div>
+
+            {filteredSessions.length === 0 ? (
+              <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+                <h3 className="text-lg font-medium text-zinc-100 mb-2">No sessions in this range</h3>
+                <p className="text-zinc-400">Solve a few problems or widen the filters to see your trends.</p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {CHARTS.map(chart => (
+                  <TrendChart
+                    key={chart.id}
+                    title={chart.title}
+                    description={chart.description}
+                    points={weeklyTrends}
+                    series={chart.series}
+                    formatValue={chart.formatValue}
+                    maxValue={chart.maxValue}
+                  />
+                ))}
+              </div>
+            )}
+
+            {insights.length > 0 && (
+              <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-4">
+                <h3 className="flex items-center gap-2 text-sm font-medium text-zinc-100 mb-3">
+                  <LightBulbIcon className="w-4 h-4 text-amber-400" />
+                  Insights
+                </h3>
+                <ul className="space-y-2 text-sm text-zinc-300">
+                  {insights.map(insight => <li key={insight}>{insight}</li>)}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
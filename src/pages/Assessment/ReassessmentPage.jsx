@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { ArrowUpIcon, ArrowDownIcon, MinusIcon } from '@heroicons/react/24/outline';
+import Navigation from '../../components/Navigation';
+import AssessmentStep from '../../components/onboarding/AssessmentStep';
+import TopicBreakdown from '../../components/onboarding/TopicBreakdown';
+import { useGetProfileSummary, useUpdateSkillLevel } from '../../services/api';
+import {
+  selectSkillLevel,
+  selectExpertiseRank,
+  setSkillLevel,
+  updateExpertiseRank,
+  addAssessmentResult
+} from '../../store/userSlice';
+import { SKILL_LEVELS, SKILL_LEVEL_CONFIG } from '../../constants/skillLevels';
+import { buildTopicBreakdown, decideLevelChange, LEVEL_CHANGE } from '../../utils/skillProgression';
+
+const STAGES = {
+  INTRO: 'intro',
+  ASSESSMENT: 'assessment',
+  RESULT: 'result'
+};
+
+const DIRECTION_STYLES = {
+  [LEVEL_CHANGE.PROMOTED]: { icon: ArrowUpIcon, color: 'text-green-400', bg: 'bg-green-500/20', title: 'Level up!' },
+  [LEVEL_CHANGE.DEMOTED]: { icon: ArrowDownIcon, color: 'text-yellow-400', bg: 'bg-yellow-500/20', title: 'Level adjusted' },
+  [LEVEL_CHANGE.UNCHANGED]: { icon: MinusIcon, color: 'text-zinc-300', bg: 'bg-zinc-700/50', title: 'Level confirmed' }
+};
+
+/**
+ * ReassessmentPage - Periodic skill check outside onboarding
+ * Reuses AssessmentStep, then promotes/demotes the skill level and explains why
+ */
+const ReassessmentPage = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const skillLevel = useSelector(selectSkillLevel) || SKILL_LEVELS.BEGINNER;
+  const previousRank = useSelector(selectExpertiseRank);
+
+  const [stage, setStage] = useState(STAGES.INTRO);
+  const [outcome, setOutcome] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+
+  const { data: summary, execute: fetchProfileSummary } = useGetProfileSummary();
+  const { loading: saving, execute: updateSkillLevel } = useUpdateSkillLevel();
+
+  useEffect(() => {
+    fetchProfileSummary().catch(err => console.warn('Failed to load profile summary:', err));
+  }, [fetchProfileSummary]);
+
+  const saveLevel = useCallback(async ({ decision, expertiseRank }) => {
+    setSyncError(null);
+    try {
+      await updateSkillLevel({
+        skill_level: decision.nextLevel,
+        expertise_rank: expertiseRank,
+        reason: decision.explanation
+      });
+      console.log('✅ Skill level saved:', decision.nextLevel);
+    } catch (err) {
+      console.error('❌ Failed to save skill level:', err);
+      setSyncError("Your new level is applied on this device but couldn't be saved to your account.");
+    }
+  }, [updateSkillLevel]);
+
+  const handleAssessmentComplete = useCallback(({ assessmentResult, expertiseRank, answers, questions }) => {
+    const topics = buildTopicBreakdown(assessmentResult, answers, questions);
+    const decision = decideLevelChange({ currentLevel: skillLevel, newRank: expertiseRank, topics });
+    const result = { expertiseRank, topics, decision, previousLevel: skillLevel, previousRank };
+
+    dispatch(setSkillLevel(decision.nextLevel));
+    dispatch(updateExpertiseRank(expertiseRank));
+    dispatch(addAssessmentResult({
+      ...assessmentResult,
+      type: 'reassessment',
+      problemsSolvedAtCompletion: summary?.problems_solved ?? null,
+      topicBreakdown: topics,
+      levelChange: { from: skillLevel, to: decision.nextLevel, direction: decision.direction }
+    }));
+
+    setOutcome(result);
+    setStage(STAGES.RESULT);
+    saveLevel(result);
+  }, [dispatch, skillLevel, previousRank, summary, saveLevel]);
+
+  const renderIntro = () => (
+    <div className="max-w-2xl mx-auto text-center">
+      <h1 className="text-4xl font-thin tracking-tight text-zinc-100 mb-4">Skill Check</h1>
+      <p className="text-lg text-zinc-400 font-light leading-relaxed mb-8">
+        A short assessment to see whether your level still fits. Depending on your result you may move up
+        or down a level, and you'll get a breakdown of how you did in each topic.
+      </p>
+      <div className="inline-flex items-center gap-6 p-4 mb-10 bg-zinc-800/50 border border-zinc-700/50 rounded-lg">
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wide">Current level</p>
+          <p className="text-lg text-zinc-100">{SKILL_LEVEL_CONFIG[skillLevel]?.label}</p>
+        </div>
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wide">Expertise rank</p>
+          <p className="text-lg text-zinc-100">{previousRank}</p>
+        </div>
+      </div>
+      <div className="flex items-center justify-center gap-4">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-6 py-3 text-zinc-400 hover:text-zinc-200 transition-colors rounded-lg hover:bg-zinc-800/50"
+        >
+          Not now
+        </button>
+        <button
+          onClick={() => setStage(STAGES.ASSESSMENT)}
+          className="px-8 py-3 font-medium rounded-lg bg-zinc-100 text-zinc-900 hover:bg-white transition-colors"
+        >
+          Start skill check
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderResult = () => {
+    const { decision, topics, expertiseRank, previousLevel, previousRank: rankBefore } = outcome;
+    const style = DIRECTION_STYLES[decision.direction];
+    const Icon = style.icon;
+
+    return (
+      <div className="max-w-2xl mx-auto text-center space-y-6">
+        <div>
+          <div className={`w-16 h-16 ${style.bg} rounded-full flex items-center justify-center mx-auto mb-6`}>
+            <Icon className={`w-8 h-8 ${style.color}`} />
+          </div>
+          <h1 className="text-4xl font-thin tracking-tight text-zinc-100 mb-4">{style.title}</h1>
+          <p className="text-lg text-zinc-300">
+            {SKILL_LEVEL_CONFIG[previousLevel]?.label}
+            {decision.direction !== LEVEL_CHANGE.UNCHANGED && (
+              <> → <span className={style.color}>{SKILL_LEVEL_CONFIG[decision.nextLevel]?.label}</span></>
+            )}
+          </p>
+        </div>
+
+        <div className="p-6 bg-zinc-800/50 border border-zinc-700/50 rounded-lg">
+          <p className="text-sm text-zinc-500 mb-1">Expertise rank</p>
+          <p className="text-3xl font-light text-zinc-100 mb-4">
+            {rankBefore !== expertiseRank && <span className="text-zinc-500 text-xl mr-2">{rankBefore} →</span>}
+            {expertiseRank}
+          </p>
+          <p className="text-zinc-300 leading-relaxed">{decision.explanation}</p>
+        </div>
+
+        <TopicBreakdown topics={topics} />
+
+        {syncError && (
+          <div className="flex items-center justify-between gap-4 px-4 py-3 text-sm text-left text-yellow-300 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
+            <span>{syncError}</span>
+            <button
+              onClick={() => saveLevel(outcome)}
+              disabled={saving}
+              className="text-yellow-200 hover:text-white whitespace-nowrap disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Try again'}
+            </button>
+          </div>
+        )}
+
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-8 py-3 font-medium rounded-lg bg-zinc-100 text-zinc-900 hover:bg-white transition-colors"
+        >
+          Back to Dashboard
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        {stage === STAGES.INTRO && renderIntro()}
+        {stage === STAGES.ASSESSMENT && (
+          <AssessmentStep
+            data={{ skillLevel }}
+            mode="reassessment"
+            continueLabel="See my level"
+            onNext={handleAssessmentComplete}
+            onBack={() => setStage(STAGES.INTRO)}
+            canGoBack={true}
+          />
+        )}
+        {stage === STAGES.RESULT && outcome && renderResult()}
+      </div>
+    </div>
+  );
+};
+
+export default ReassessmentPage;
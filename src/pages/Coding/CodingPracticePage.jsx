@@ -3,13 +3,15 @@ import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import CodingInterface from '../../components/coding/CodingInterface';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { useRoadmapQuestions } from '../../hooks/useAPI';
+import { useGetProblem } from '../../services/api';
 
 /**
  * CodingPracticePage - Full page wrapper for the coding interface
  * Now supports both roadmap challenges (/challenge/{roadmap}/{questionId}) and general practice (/practice)
+ * and problems opened from the problem library (/problems/{problemId})
  */
 const CodingPracticePage = () => {
-  const { roadmap, questionId } = useParams();
+  const { roadmap, questionId, problemId } = useParams();
   const location = useLocation();
   const navigate = useNavigate();
   const [currentQuestion, setCurrentQuestion] = useState(null);
@@ -30,8 +32,15 @@ const CodingPracticePage = () => {
   const { data: questionsData, loading: questionsLoading, error: questionsError } = useRoadmapQuestions(roadmap);
   const questions = questionsData || [];
 
+  // Fetch the problem if it was opened from the problem library
+  const { data: libraryProblem, loading: problemLoading, error: problemError } = useGetProblem(problemId);
+
   useEffect(() => {
-    if (roadmap && questionId) {
+    if (problemId) {
+      setLoading(problemLoading);
+      setError(problemError);
+      setCurrentQuestion(null);
+    } else if (roadmap && questionId) {
       // This is a roadmap challenge - find the specific question from loaded questions
       console.log('🔍 Looking for question:', { roadmap, questionId, questionsCount: questions.length });
       
@@ -68,7 +77,7 @@ const CodingPracticePage = () => {
       setLoading(false);
       setError(null);
     }
-  }, [roadmap, questionId, questions, questionsLoading, questionsError, location.search, navigate]);
+  }, [roadmap, questionId, questions, questionsLoading, questionsError, problemId, problemLoading, problemError, location.search, navigate]);
 
   if (loading) {
     return (
@@ -85,22 +94,32 @@ const CodingPracticePage = () => {
           <p className="text-zinc-400 mb-4">Failed to load challenge</p>
           <p className="text-sm text-zinc-500 mb-6">{error}</p>
           <button 
-            onClick={() => navigate('/dashboard')}
+            onClick={() => navigate(problemId ? '/problems' : '/dashboard')}
             className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
           >
-            Back to Dashboard
+            {problemId ? 'Back to Problems' : 'Back to Dashboard'}
           </button>
         </div>
       </div>
     );
   }
 
+  // Wait for the library problem so no session is started for a fallback question
+  if (problemId && !libraryProblem) {
+    return (
+      <div className="h-screen bg-zinc-900 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
   return (
     <div className="h-screen bg-zinc-900">
       {/* Coding Interface - pass roadmap question data if available */}
       <CodingInterface 
         roadmapQuestion={currentQuestion} 
         roadmapId={roadmap}
+        libraryProblem={problemId ? libraryProblem : null}
       />
     </div>
   );
@@ -8,15 +8,22 @@ import ProfileHeader from '../../components/dashboard/ProfileHeader';
 import StreakCounter from '../../components/dashboard/StreakCounter';
 import ContributionHeatmap from '../../components/dashboard/ContributionHeatmap';
 import RoadmapsSection from '../../components/dashboard/RoadmapsSection';
+import ReviewQueueSection from '../../components/dashboard/ReviewQueueSection';
+import ReassessmentCard from '../../components/dashboard/ReassessmentCard';
 import ChallengeStartModal from '../../components/coding/ChallengeStartModal';
 import RoadmapChallengeModal from '../../components/roadmap/RoadmapChallengeModal';
 import SessionRecoveryModal from '../../components/session/SessionRecoveryModal';
 import RoadmapTracker from '../../utils/roadmapTracker';
-import { useRoadmapQuestions, useCompletedQuestions } from '../../hooks/useAPI';
+import { useRoadmapQuestions, useCompletedQuestions, useRoadmapUnlockRules } from '../../hooks/useAPI';
 import useSession from '../../hooks/useSession';
 import SessionAnalytics from '../../components/session/SessionAnalytics';
 import sessionAPI from '../../services/sessionAPI';
 import DemoRestrictionModal from '../../components/ui/DemoRestrictionModal';
+import NotificationContainer from '../../components/NotificationContainer';
+import useAchievements from '../../hooks/useAchievements';
+import useNotification from '../../hooks/useNotification';
+import achievementsAPI from '../../services/achievementsAPI';
+import { getUnlockMessage } from '../../utils/achievementEngine';
 
 const DashboardPage = () => {
   const user = useSelector(selectCurrentUser);
@@ -30,9 +37,11 @@ const DashboardPage = () => {
   const [recoverySession, setRecoverySession] = useState(null);
   const [nextLevelInfo, setNextLevelInfo] = useState(null);
   const [activeRoadmap, setActiveRoadmap] = useState(null);
+  const [problemsSolved, setProblemsSolved] = useState(null);
 
   const { data: questionsData } = useRoadmapQuestions(activeRoadmap?.courseId);
   const { data: completedStepsData } = useCompletedQuestions(activeRoadmap?.courseId);
+  const { data: unlockRules } = useRoadmapUnlockRules(activeRoadmap?.courseId);
   
   // Session management
   const { 
@@ -50,6 +59,8 @@ const DashboardPage = () => {
 
   useEffect(() => {
     refreshActiveRoadmap();
+    // Primary course may have changed on another device
+    RoadmapTracker.syncActivatedRoadmaps().then(refreshActiveRoadmap);
     // Load session history for analytics
     loadHistory(20);
   }, [loadHistory]);
@@ -59,7 +70,7 @@ const DashboardPage = () => {
     if (activeRoadmap && completedStepsData && questionsData && questionsData.length > 0) {
       console.log('🔄 Calculating next level from backend data:', completedStepsData);
       
-      const nextLevel = RoadmapTracker.getNextLevel(completedStepsData, questionsData);
+      const nextLevel = RoadmapTracker.getNextLevel(completedStepsData, questionsData, unlockRules);
       setNextLevelInfo(nextLevel ? {
         question: nextLevel,
         courseName: activeRoadmap.courseName,
@@ -68,7 +79,27 @@ const DashboardPage = () => {
     } else {
       setNextLevelInfo(null);
     }
-  }, [activeRoadmap, completedStepsData, questionsData]);
+  }, [activeRoadmap, completedStepsData, questionsData, unlockRules]);
+
+  // Badges earned from overall progress - streaks, solved count and the active roadmap's steps
+  const { notifications, removeNotification, showSuccess } = useNotification();
+  const { checkAchievements } = useAchievements({
+    onUnlock: (achievement) => showSuccess(getUnlockMessage(achievement))
+  });
+
+  useEffect(() => {
+    achievementsAPI.getProgressContext().then(context => {
+      // Solved count also drives the re-assessment prompt
+      setProblemsSolved(context.problemsSolved);
+      checkAchievements(context);
+    });
+  }, [checkAchievements]);
+
+  useEffect(() => {
+    if (Array.isArray(questionsData) && completedStepsData) {
+      checkAchievements({ roadmap: { questions: questionsData, completedSteps: completedStepsData } });
+    }
+  }, [questionsData, completedStepsData, checkAchievements]);
 
   const handleStartChallenge = async () => {
     console.log('🔍 Checking for active session before starting challenge...');
@@ -116,12 +147,13 @@ const DashboardPage = () => {
     const questionId = recoverySession.questionId;
     const roadmapId = recoverySession.roadmapId;
     
-    if (sessionType === 'roadmap_challenge' && roadmapId && questionId) {
+    if ((sessionType === 'roadmap_challenge' || sessionType === 'review') && roadmapId && questionId) {
       console.log('🎯 Navigating to roadmap challenge:', roadmapId, questionId);
       navigate(`/challenge/${roadmapId}/${questionId}`, {
         state: {
           resumeSession: true,
-          sessionId: recoverySession.sessionId
+          sessionId: recoverySession.sessionId,
+          challengeType: sessionType === 'review' ? 'review' : undefined
         }
       });
     } else {
@@ -130,7 +162,8 @@ const DashboardPage = () => {
         state: {
           resumeSession: true,
           sessionId: recoverySession.sessionId,
-          specificProblemId: questionId
+          specificProblemId: questionId,
+          challengeType: sessionType === 'mock_interview' ? 'mock_interview' : undefined
         }
       });
     }
@@ -160,10 +193,10 @@ const DashboardPage = () => {
   };
 
   const handleDailyChallengeStart = (sessionConfig) => {
-    // Navigate to practice route with session config for daily challenge
+    // Navigate to practice route with session config for daily challenge or mock interview
     navigate('/practice', { 
       state: { 
-        challengeType: 'daily',
+        challengeType: sessionConfig.sessionType === 'MOCK_INTERVIEW' ? 'mock_interview' : 'daily',
         sessionConfig,
         specificProblemId: 1 // Two Sum problem for now
       } 
@@ -209,6 +242,16 @@ const DashboardPage = () => {
           </div>
         </div>
 
+        {/* Periodic skill re-assessment */}
+        <div className="mb-8">
+          <ReassessmentCard problemsSolved={problemsSolved} />
+        </div>
+
+        {/* Spaced-Repetition Review Queue */}
+        <div className="mb-8">
+          <ReviewQueueSection />
+        </div>
+
         {/* Session Analytics Section */}
         {sessionHistory && sessionHistory.length > 0 && (
           <div className="mb-8">
@@ -268,6 +311,8 @@ const DashboardPage = () => {
         } : null}
       />
 
+      {/* Badge unlock toasts */}
+      <NotificationContainer notifications={notifications} onRemoveNotification={removeNotification} />
     </div>
   );
 };
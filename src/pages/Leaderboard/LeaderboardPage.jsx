@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { EyeSlashIcon } from '@heroicons/react/24/outline';
+import Navigation from '../../components/Navigation';
+import LeaderboardTable from '../../components/leaderboard/LeaderboardTable';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { useGetUserRankings } from '../../services/api';
+import { selectCurrentUser, selectUserPreferences } from '../../store/userSlice';
+import RoadmapTracker from '../../utils/roadmapTracker';
+import { normalizeLeaderboard, getOwnVisibilityNotice } from '../../utils/leaderboard';
+import {
+  LEADERBOARD_SCOPES,
+  LEADERBOARD_SCOPE_LABELS,
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_LIMIT
+} from '../../constants/leaderboards';
+
+/**
+ * LeaderboardPage - Global, country, friends and per-roadmap rankings
+ * over weekly, monthly or all-time windows
+ */
+const LeaderboardPage = () => {
+  const currentUser = useSelector(selectCurrentUser);
+  const preferences = useSelector(selectUserPreferences);
+  const [scope, setScope] = useState(LEADERBOARD_SCOPES.GLOBAL);
+  const [timeWindow, setTimeWindow] = useState('weekly');
+  const [roadmaps, setRoadmaps] = useState(() => Object.values(RoadmapTracker.getActivatedRoadmapsSync()));
+  const [roadmapId, setRoadmapId] = useState(() => RoadmapTracker.getPrimaryRoadmap()?.courseId || roadmaps[0]?.courseId || null);
+  const [response, setResponse] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const getRankingsHook = useGetUserRankings();
+
+  const currentUserKey = currentUser?.key || currentUser?._key || currentUser?.id || null;
+  const needsRoadmap = scope === LEADERBOARD_SCOPES.ROADMAP;
+
+  // Refresh enrolled roadmaps from the backend for the roadmap board picker
+  useEffect(() => {
+    RoadmapTracker.getActivatedRoadmaps().then(enrolled => {
+      const list = Object.values(enrolled);
+      setRoadmaps(list);
+      setRoadmapId(previous => previous || list.find(course => course.isPrimary)?.courseId || list[0]?.courseId || null);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (needsRoadmap && !roadmapId) {
+      setResponse(null);
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadRankings = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const data = await getRankingsHook.execute({
+          scope,
+          window: timeWindow,
+          limit: LEADERBOARD_LIMIT,
+          // Backend drops or anonymizes rows per each user's privacy settings for this viewer
+          apply_privacy: true,
+          ...(needsRoadmap && { roadmap_id: roadmapId })
+        });
+        if (!cancelled) setResponse(data);
+      } catch (err) {
+        console.error('Failed to load leaderboard:', err);
+        if (!cancelled) setError(err.message || 'Failed to load leaderboard');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadRankings();
+    return () => {
+      cancelled = true;
+    };
+  }, [scope, timeWindow, roadmapId, needsRoadmap]);
+
+  const { entries, currentUserEntry } = useMemo(
+    () => normalizeLeaderboard(response, { scope, currentUserKey }),
+    [response, scope, currentUserKey]
+  );
+  const visibilityNotice = getOwnVisibilityNotice(preferences?.privacy);
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-thin text-zinc-100 mb-2">Leaderboard</h1>
+          <p className="text-zinc-400">See how you rank against other coders</p>
+        </div>
+
+        {/* Board and window */}
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <div className="flex bg-zinc-800 border border-zinc-700 rounded-lg p-1">
+              {Object.values(LEADERBOARD_SCOPES).map(option => (
+                <button
+                  key={option}
+                  onClick={() => setScope(option)}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    scope === option ? 'bg-blue-600 text-white' : 'text-zinc-400 hover:text-zinc-200'
+                  }`}
+                >
+                  {LEADERBOARD_SCOPE_LABELS[option]}
+                </button>
+              ))}
+            </div>
+
+            {needsRoadmap && roadmaps.length > 0 && (
+              <select
+                value={roadmapId || ''}
+                onChange={(e) => setRoadmapId(e.target.value)}
+                className="bg-zinc-800 border border-zinc-600 rounded px-2 py-1.5 text-sm text-zinc-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {roadmaps.map(course => (
+                  <option key={course.courseId} value={course.courseId}>{course.courseName}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="flex bg-zinc-800 border border-zinc-700 rounded-lg p-1">
+            {LEADERBOARD_WINDOWS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setTimeWindow(option.value)}
+                className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                  timeWindow === option.value ? 'bg-blue-600 text-white' : 'text-zinc-400 hover:text-zinc-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {visibilityNotice && (
+          <div className="flex items-center gap-2 mb-4 px-3 py-2 text-sm text-zinc-300 bg-zinc-800 border border-zinc-700 rounded-lg">
+            <EyeSlashIcon className="w-4 h-4 text-zinc-400 flex-shrink-0" />
+            <span>{visibilityNotice}</span>
+            <Link to="/profile" className="ml-auto text-blue-400 hover:text-blue-300 whitespace-nowrap">
+              Privacy settings
+            </Link>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" variant="accent" text="Loading leaderboard..." />
+          </div>
+        ) : error ? (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-red-400 text-sm">
+            {error}
+          </div>
+        ) : needsRoadmap && !roadmapId ? (
+          <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+            <h3 className="text-lg font-medium text-zinc-100 mb-2">No roadmap yet</h3>
+            <p className="text-zinc-400">Enroll in a roadmap from the dashboard to compete on its board.</p>
+          </div>
+        ) : entries.length === 0 && !currentUserEntry ? (
+          <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+            <h3 className="text-lg font-medium text-zinc-100 mb-2">Nobody here yet</h3>
+            <p className="text-zinc-400">
+              {scope === LEADERBOARD_SCOPES.FRIENDS
+                ? 'Add friends to compare your progress.'
+                : 'Solve problems to get on the board.'}
+            </p>
+          </div>
+        ) : (
+          <LeaderboardTable
+            entries={entries}
+            currentUserEntry={currentUserEntry}
+            showCountry={scope !== LEADERBOARD_SCOPES.COUNTRY}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeaderboardPage;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { MagnifyingGlassIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import Navigation from '../../components/Navigation';
+import ProblemTable from '../../components/problems/ProblemTable';
+import ChallengeStartModal from '../../components/coding/ChallengeStartModal';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { useGetProblems, useGetProblemTags } from '../../services/api';
+import { buildProblemQuery, normalizeProblemPage, normalizeTags } from '../../utils/problemLibrary';
+import { PROBLEM_DIFFICULTIES, PROBLEM_STATUSES, PROBLEM_SORT_OPTIONS } from '../../constants/problemLibrary';
+
+const SEARCH_DELAY_MS = 300;
+
+const selectClassName = 'bg-zinc-800 border border-zinc-600 rounded px-2 py-1.5 text-sm text-zinc-200 capitalize focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * ProblemsPage - Browse the full problem bank with search, filters and server-side paging
+ * Filters live in the URL query so Back from a problem returns to the same page
+ */
+const ProblemsPage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '');
+  const [selectedProblem, setSelectedProblem] = useState(null);
+
+  const filters = {
+    search: searchParams.get('search') || '',
+    difficulty: searchParams.get('difficulty') || 'all',
+    tag: searchParams.get('tag') || 'all',
+    status: searchParams.get('status') || 'all',
+    sort: searchParams.get('sort') || 'recent',
+    page: Math.max(1, Number(searchParams.get('page')) || 1)
+  };
+
+  const query = buildProblemQuery(filters);
+  const { data, loading, error, retry } = useGetProblems(query);
+  const { data: tagsData, execute: fetchTags } = useGetProblemTags();
+
+  const { problems, page, totalPages, total } = useMemo(
+    () => normalizeProblemPage(data, filters.page),
+    [data, filters.page]
+  );
+  const tags = useMemo(() => normalizeTags(tagsData), [tagsData]);
+
+  // Without tags the filter only offers "All tags"
+  useEffect(() => {
+    fetchTags().catch(err => console.warn('Failed to load problem tags:', err));
+  }, [fetchTags]);
+
+  // Any filter change goes back to page 1
+  const updateFilters = useCallback((changes) => {
+    setSearchParams(previous => {
+      const next = new URLSearchParams(previous);
+      Object.entries({ page: 1, ...changes }).forEach(([key, value]) => {
+        if (!value || value === 'all' || (key === 'page' && value === 1) || (key === 'sort' && value === 'recent')) {
+          next.delete(key);
+        } else {
+          next.set(key, String(value));
+        }
+      });
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  // Debounced search
+  useEffect(() => {
+    if (searchInput.trim() === filters.search) return;
+
+    const timer = setTimeout(() => updateFilters({ search: searchInput.trim() }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, updateFilters]);
+
+  const handleStartProblem = (sessionConfig) => {
+    navigate(`/problems/${selectedProblem.id}`, {
+      state: {
+        challengeType: sessionConfig.sessionType === 'MOCK_INTERVIEW' ? 'mock_interview' : 'practice',
+        sessionConfig
+      }
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-thin text-zinc-100 mb-2">Problems</h1>
+          <p className="text-zinc-400">
+            {data ? `${total} problem${total === 1 ? '' : 's'}` : 'Browse the full problem bank'}
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <MagnifyingGlassIcon className="w-4 h-4 text-zinc-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search problems..."
+              className="w-full bg-zinc-800 border border-zinc-600 rounded pl-9 pr-3 py-1.5 text-sm text-zinc-100 placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <select value={filters.difficulty} onChange={(e) => updateFilters({ difficulty: e.target.value })} className={selectClassName}>
+            <option value="all">All difficulties</option>
+            {PROBLEM_DIFFICULTIES.map(difficulty => (
+              <option key={difficulty} value={difficulty}>{difficulty}</option>
+            ))}
+          </select>
+
+          <select value={filters.tag} onChange={(e) => updateFilters({ tag: e.target.value })} className={selectClassName}>
+            <option value="all">All tags</option>
+            {/* Keep a tag from the URL selectable even if the tag list hasn't loaded */}
+            {(filters.tag !== 'all' && !tags.includes(filters.tag) ? [filters.tag, ...tags] : tags).map(tag => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+
+          <select value={filters.status} onChange={(e) => updateFilters({ status: e.target.value })} className={selectClassName}>
+            <option value="all">Any status</option>
+            {Object.values(PROBLEM_STATUSES).map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+
+          <select value={filters.sort} onChange={(e) => updateFilters({ sort: e.target.value })} className={selectClassName}>
+            {PROBLEM_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* List */}
+        {loading && !data ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" variant="accent" text="Loading problems..." />
+          </div>
+        ) : error ? (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-red-400 text-sm flex items-center justify-between">
+            <span>{error}</span>
+            <button onClick={retry} className="text-red-300 hover:text-red-200 underline">Retry</button>
+          </div>
+        ) : problems.length === 0 ? (
+          <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+            <h3 className="text-lg font-medium text-zinc-100 mb-2">No problems found</h3>
+            <p className="text-zinc-400">Try a different search or clear some filters.</p>
+          </div>
+        ) : (
+          <div className={loading ? 'opacity-60 transition-opacity' : 'transition-opacity'}>
+            <ProblemTable
+              problems={problems}
+              onSelect={setSelectedProblem}
+              onTagClick={(tag) => updateFilters({ tag })}
+            />
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between mt-4 text-sm">
+                <span className="text-zinc-400">Page {page} of {totalPages}</span>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => updateFilters({ page: page - 1 })}
+                    disabled={page <= 1 || loading}
+                    className="flex items-center gap-1 px-3 py-1.5 text-zinc-300 bg-zinc-800 border border-zinc-700 rounded hover:bg-zinc-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    <ChevronLeftIcon className="w-4 h-4" />
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => updateFilters({ page: page + 1 })}
+                    disabled={page >= totalPages || loading}
+                    className="flex items-center gap-1 px-3 py-1.5 text-zinc-300 bg-zinc-800 border border-zinc-700 rounded hover:bg-zinc-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Next
+                    <ChevronRightIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ChallengeStartModal
+        isOpen={Boolean(selectedProblem)}
+        onClose={() => setSelectedProblem(null)}
+        onStartChallenge={handleStartProblem}
+        challengeTitle={selectedProblem?.title || 'Challenge'}
+      />
+    </div>
+  );
+};
+
+export default ProblemsPage;
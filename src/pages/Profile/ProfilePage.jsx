@@ -5,6 +5,7 @@ import { selectCurrentUser } from '../../store/userSlice';
 import ProfileInfo from '../../components/profile/ProfileInfo';
 import AccountSettings from '../../components/profile/AccountSettings';
 import SecuritySettings from '../../components/profile/SecuritySettings';
+import BadgeShelf from '../../components/profile/BadgeShelf';
 
 /**
  * ProfilePage - User profile settings and account management
@@ -15,6 +16,7 @@ const ProfilePage = () => {
 
   const sections = [
     { id: 'profile', label: 'Profile', icon: 'user' },
+    { id: 'badges', label: 'Badges', icon: 'trophy' },
     { id: 'settings', label: 'Settings', icon: 'settings' },
     { id: 'security', label: 'Security', icon: 'shield' }
   ];
@@ -36,6 +38,12 @@ const ProfilePage = () => {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
           </svg>
         );
+      case 'trophy':
+        return (
+          <svg className={iconClasses} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16.5 18.75h-9m9 0a3 3 0 013 3h-15a3 3 0 013-3m9 0v-3.375c0-.621-.503-1.125-1.125-1.125h-.871M7.5 18.75v-3.375c0-.621.504-1.125 1.125-1.125h.872m5.007 0H9.497m5.007 0a7.454 7.454 0 01-.982-3.172M9.497 14.25a7.454 7.454 0 00.981-3.172M5.25 4.236c-.982.143-1.954.317-2.916.52A6.003 6.003 0 007.73 9.728M5.25 4.236V4.5c0 2.108.966 3.99 2.48 5.228M5.25 4.236V2.721C7.456 2.41 9.71 2.25 12 2.25c2.291 0 4.545.16 6.75.47v1.516M7.73 9.728a6.726 6.726 0 002.748 1.35m8.272-6.842V4.5c0 2.108-.966 3.99-2.48 5.228m2.48-5.492a46.32 46.32 0 012.916.52 6.003 6.003 0 01-5.395 4.972m0 0a6.726 6.726 0 01-2.749 1.35m0 0a6.772 6.772 0 01-3.044 0" />
+          </svg>
+        );
       case 'shield':
         return (
           <svg className={iconClasses} fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -51,6 +59,8 @@ const ProfilePage = () => {
     switch (activeSection) {
       case 'profile':
         return <ProfileInfo user={currentUser} />;
+      case 'badges':
+        return <BadgeShelf />;
       case 'settings':
         return <AccountSettings user={currentUser} />;
       case 'security':
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { LinkIcon, CheckIcon, LockClosedIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import Navigation from '../../components/Navigation';
+import PublicProfileHeader from '../../components/profile/PublicProfileHeader';
+import SolvedByDifficulty from '../../components/profile/SolvedByDifficulty';
+import RoadmapProgressList from '../../components/profile/RoadmapProgressList';
+import BadgeList from '../../components/profile/BadgeList';
+import ContributionHeatmap from '../../components/dashboard/ContributionHeatmap';
+import StreakCounter from '../../components/dashboard/StreakCounter';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { useGetPublicProfile } from '../../services/api';
+import { selectCurrentUser } from '../../store/userSlice';
+import useDocumentMeta from '../../hooks/useDocumentMeta';
+import { buildProfileMeta } from '../../utils/profileMeta';
+import {
+  normalizePublicProfile,
+  getProfileAccess,
+  getOwnerVisibilityNotice,
+  isProfileOwner
+} from '../../utils/publicProfile';
+
+const COPY_FEEDBACK_MS = 2000;
+
+/**
+ * PublicProfilePage - Read-only, shareable profile at /u/:username
+ * Sections follow the owner's privacy settings; the owner always sees everything
+ */
+const PublicProfilePage = () => {
+  const { username } = useParams();
+  const currentUser = useSelector(selectCurrentUser);
+  const { data, loading, error, execute: fetchProfile } = useGetPublicProfile(username);
+  const [copied, setCopied] = useState(false);
+
+  // Unknown or deleted usernames are a normal 404 - shown below, not thrown
+  const loadProfile = useCallback(() => {
+    fetchProfile().catch(err => console.warn('Failed to load public profile:', err));
+  }, [fetchProfile]);
+
+  useEffect(() => {
+    if (username) loadProfile();
+  }, [username, loadProfile]);
+
+  const profile = useMemo(() => normalizePublicProfile(data, username), [data, username]);
+  const meta = useMemo(() => buildProfileMeta(data, username), [data, username]);
+  useDocumentMeta(meta);
+
+  const isOwner = isProfileOwner(profile, currentUser);
+  const access = profile ? getProfileAccess(profile, isOwner) : null;
+  const ownerNotice = isOwner && profile ? getOwnerVisibilityNotice(profile.privacy) : null;
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeoutId = setTimeout(() => setCopied(false), COPY_FEEDBACK_MS);
+    return () => clearTimeout(timeoutId);
+  }, [copied]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(meta.url);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Failed to copy profile link:', err);
+    }
+  };
+
+  const shareButton = (
+    <button
+      onClick={handleCopyLink}
+      className="flex items-center gap-2 px-3 py-1.5 text-sm text-zinc-200 bg-zinc-700 hover:bg-zinc-600 rounded-lg transition-colors"
+    >
+      {copied ? <CheckIcon className="w-4 h-4 text-green-400" /> : <LinkIcon className="w-4 h-4" />}
+      {copied ? 'Copied' : 'Copy link'}
+    </button>
+  );
+
+  const renderContent = () => {
+    // Also covers the first render, before the request has started
+    if ((loading || !error) && !data) {
+      return (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" variant="accent" text="Loading profile..." />
+        </div>
+      );
+    }
+
+    if (error || !profile) {
+      return (
+        <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+          <h3 className="text-lg font-medium text-zinc-100 mb-2">Couldn't load @{username}</h3>
+          <p className="text-zinc-400 mb-4">{error || 'This profile does not exist.'}</p>
+          <button onClick={loadProfile} className="text-blue-400 hover:text-blue-300 text-sm">Try again</button>
+        </div>
+      );
+    }
+
+    if (!access.canView) {
+      return (
+        <div className="bg-zinc-800 border border-zinc-700 rounded-lg p-12 text-center">
+          <LockClosedIcon className="w-10 h-10 text-zinc-500 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-zinc-100 mb-2">@{profile.username}</h3>
+          <p className="text-zinc-400">{access.message}</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        {ownerNotice && (
+          <div className="flex items-center gap-2 px-3 py-2 text-sm text-zinc-300 bg-zinc-800 border border-zinc-700 rounded-lg">
+            <EyeSlashIcon className="w-4 h-4 text-zinc-400 flex-shrink-0" />
+            <span>{ownerNotice}</span>
+            <Link to="/profile" className="ml-auto text-blue-400 hover:text-blue-300 whitespace-nowrap">
+              Privacy settings
+            </Link>
+          </div>
+        )}
+
+        <PublicProfileHeader
+          profile={profile}
+          showProgress={access.showProgress}
+          actions={isOwner || profile.privacy.profileVisibility === 'public' ? shareButton : null}
+        />
+
+        {/* Activity - same 70/30 split as the dashboard */}
+        {access.showActivity && (
+          <div className="grid grid-cols-1 lg:grid-cols-10 gap-6">
+            <div className="lg:col-span-7">
+              <ContributionHeatmap data={profile.heatmap || { days: [] }} />
+            </div>
+            <div className="lg:col-span-3">
+              <StreakCounter data={profile.streak || { current_streak: 0, longest_streak: 0 }} />
+            </div>
+          </div>
+        )}
+
+        {access.showProgress && (
+          <>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <SolvedByDifficulty solved={profile.solvedByDifficulty} />
+              <div className="lg:col-span-2">
+                <RoadmapProgressList roadmaps={profile.roadmaps} />
+              </div>
+            </div>
+            <BadgeList badges={profile.badges} />
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default PublicProfilePage;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import Navigation from '../../components/Navigation';
+import SessionReplayPlayer from '../../components/session/SessionReplayPlayer';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import sessionAPI from '../../services/sessionAPI';
+import { useGetReplayEvents } from '../../services/behaviorTracking';
+import { buildReplayTimeline, getReplayQuestionKeys } from '../../utils/sessionReplay';
+import { getLanguageLabel } from '../../constants/languages';
+
+/**
+ * SessionReplayPage - Replay how the code of a past coding session was written
+ */
+const SessionReplayPage = () => {
+  const { sessionId } = useParams();
+  const [session, setSession] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedQuestionKey, setSelectedQuestionKey] = useState(null);
+  const getReplayEventsHook = useGetReplayEvents();
+
+  useEffect(() => {
+    const loadReplay = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const [sessionData, replayData] = await Promise.all([
+          sessionAPI.getSession(sessionId),
+          getReplayEventsHook.execute({ coding_session_id: sessionId })
+        ]);
+
+        setSession(sessionData);
+        setEvents(Array.isArray(replayData) ? replayData : replayData?.events || []);
+      } catch (err) {
+        console.error('Failed to load session replay:', err);
+        setError(err.message || 'Failed to load session replay');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadReplay();
+  }, [sessionId]);
+
+  // Sessions that covered several questions are replayed one question at a time
+  const questionKeys = useMemo(() => getReplayQuestionKeys(events), [events]);
+  const sessionQuestionKey = session?.questionId != null ? String(session.questionId) : null;
+  const questionKey = selectedQuestionKey ||
+    (questionKeys.includes(sessionQuestionKey) ? sessionQuestionKey : questionKeys[0] || null);
+
+  const timeline = useMemo(() => buildReplayTimeline(events, { questionKey }), [events, questionKey]);
+  const language = session?.programming_language || session?.language || 'python';
+
+  return (
+    <div className="min-h-screen bg-zinc-900">
+      <Navigation />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6 flex items-end justify-between">
+          <div>
+            <Link to="/dashboard" className="text-sm text-zinc-400 hover:text-zinc-200 transition-colors">
+              ← Back to dashboard
+            </Link>
+            <h1 className="text-3xl font-thin text-zinc-100 mt-2">
+              {session?.questionTitle || 'Session Replay'}
+            </h1>
+            {session && (
+              <p className="text-zinc-400 mt-1">
+                {getLanguageLabel(language)}
+                {session.startTime && ` · ${new Date(session.startTime).toLocaleString()}`}
+              </p>
+            )}
+          </div>
+
+          {questionKeys.length > 1 && (
+            <select
+              value={questionKey || ''}
+              onChange={(e) => setSelectedQuestionKey(e.target.value)}
+              className="bg-zinc-800 border border-zinc-700 text-zinc-200 text-sm rounded-lg px-3 py-2"
+            >
+              {questionKeys.map((key, index) => (
+                <option key={key} value={key}>
+                  {key === sessionQuestionKey && session?.questionTitle ? session.questionTitle : `Question ${index + 1}`}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" variant="accent" text="Loading replay..." />
+          </div>
+        ) : error ? (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-red-400 text-sm">
+            {error}
+          </div>
+        ) : (
+          <SessionReplayPlayer timeline={timeline} language={language} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionReplayPage;
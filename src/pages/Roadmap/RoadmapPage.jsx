@@ -5,9 +5,9 @@ import { ChevronLeftIcon } from '@heroicons/react/24/outline';
 import { FireIcon as FireSolid, StarIcon as StarSolid } from '@heroicons/react/24/solid';
 import Navigation from '../../components/Navigation';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
-import { useRoadmapQuestions, useCompletedQuestions } from '../../hooks/useAPI';
+import { useRoadmapQuestions, useCompletedQuestions, useCourseCatalog, useRoadmapUnlockRules } from '../../hooks/useAPI';
 import LevelNode from '../../components/roadmap/LevelNode';
-import RoadmapTracker from '../../utils/roadmapTracker';
+import RoadmapTracker, { formatCourseName } from '../../utils/roadmapTracker';
 import RoadmapChallengeModal from '../../components/roadmap/RoadmapChallengeModal';
 import SessionRecoveryModal from '../../components/session/SessionRecoveryModal';
 import sessionAPI from '../../services/sessionAPI';
@@ -18,8 +18,11 @@ const RoadmapPage = () => {
   const navigate = useNavigate();
   const { data: questionsData, loading, error } = useRoadmapQuestions(course);
   const { data: completedStepsData, loading: loadingCompleted } = useCompletedQuestions(course);
+  const { data: catalogData, execute: fetchCatalog } = useCourseCatalog();
+  const { data: unlockRules, execute: fetchUnlockRules } = useRoadmapUnlockRules(course);
   const [completedLevels, setCompletedLevels] = useState(new Set());
   const [unlockedLevels, setUnlockedLevels] = useState(new Set([1])); // First level is always unlocked
+  const [lockStatuses, setLockStatuses] = useState(new Map());
   const [showChallengeModal, setShowChallengeModal] = useState(false);
   const [showRecoveryModal, setShowRecoveryModal] = useState(false);
   const [selectedQuestion, setSelectedQuestion] = useState(null);
@@ -29,6 +32,19 @@ const RoadmapPage = () => {
   const { endSession } = useSession();
 
   const questions = questionsData || [];
+  useEffect(() => {
+    fetchCatalog().catch(err => console.warn('Course catalog unavailable:', err));
+  }, [fetchCatalog]);
+
+  useEffect(() => {
+    if (!course) return;
+    fetchUnlockRules().catch(err => console.warn('Unlock rules unavailable, using step order:', err));
+  }, [course, fetchUnlockRules]);
+
+  const courseMeta = catalogData?.courses?.find(item => item.course_id === course);
+  const courseName = courseMeta?.title ||
+    RoadmapTracker.getActivatedRoadmapsSync()[course]?.courseName ||
+    formatCourseName(course);
   
   // Calculate progress from backend data (no localStorage)
   useEffect(() => {
@@ -37,12 +53,16 @@ const RoadmapPage = () => {
       
       // Convert to Sets for state
       const completed = new Set(completedStepsData);
-      const unlocked = RoadmapTracker.calculateUnlockedLevels(completedStepsData, questions);
+      const statuses = RoadmapTracker.getLockStatus(completedStepsData, questions, unlockRules);
+      const unlocked = new Set(
+        Array.from(statuses).filter(([, status]) => status.unlocked).map(([stepNumber]) => stepNumber)
+      );
       
       setCompletedLevels(completed);
       setUnlockedLevels(unlocked);
+      setLockStatuses(statuses);
     }
-  }, [completedStepsData, questions, course]);
+  }, [completedStepsData, questions, course, unlockRules]);
   
   // Check if roadmap is activated
   useEffect(() => {
@@ -54,13 +74,10 @@ const RoadmapPage = () => {
         return;
       }
 
-      // Set this as the active roadmap (only works if it's activated)
-      const courseName = course === 'strivers-a2z' ? "Striver's A2Z DSA Course" : 
-                        course.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-      
+      // Set this as the roadmap the user is working on (only works if enrolled)
       RoadmapTracker.setActiveRoadmap(course, courseName);
     }
-  }, [questions, course, navigate]);
+  }, [questions, course, courseName, navigate]);
 
   if (loading) {
     return (
@@ -92,9 +109,6 @@ const RoadmapPage = () => {
     );
   }
 
-  const courseName = course === 'strivers-a2z' ? "Striver's A2Z DSA Course" : 
-                   course.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-
   const handleLevelClick = async (question) => {
     if (!unlockedLevels.has(question.step_number)) {
       return;
@@ -203,6 +217,7 @@ const RoadmapPage = () => {
   };
 
   const visibleQuestions = createVerticalPath();
+  const questionsByStep = new Map(questions.map(question => [question.step_number, question]));
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-zinc-900 to-blue-950/30">
@@ -231,7 +246,10 @@ const RoadmapPage = () => {
             {/* Course Title */}
             <div className="text-center">
               <h1 className="text-xl font-bold text-white">{courseName}</h1>
-              <p className="text-sm text-zinc-400">{questions.length} challenges</p>
+              <p className="text-sm text-zinc-400">
+                {questions.length} challenges
+                {courseMeta?.estimated_hours ? ` · ~${courseMeta.estimated_hours}h` : ''}
+              </p>
             </div>
             
             {/* Progress Stats */}
@@ -275,6 +293,10 @@ const RoadmapPage = () => {
                 const isCompleted = completedLevels.has(question.step_number);
                 const isUnlocked = unlockedLevels.has(question.step_number);
                 const isCurrent = !isCompleted && isUnlocked && index === Math.min(...Array.from(unlockedLevels)) - 1;
+                const lockStatus = lockStatuses.get(question.step_number);
+                const missingQuestions = (lockStatus?.missing || [])
+                  .map(stepNumber => questionsByStep.get(stepNumber))
+                  .filter(Boolean);
                 
                 return (
                   <div key={question._key || question.key || question.question_id} className="relative">
@@ -292,6 +314,8 @@ const RoadmapPage = () => {
                         isCompleted={isCompleted}
                         isUnlocked={isUnlocked}
                         isCurrent={isCurrent}
+                        lockStatus={lockStatus}
+                        missingQuestions={missingQuestions}
                         onClick={() => handleLevelClick(question)}
                         delay={index * 0.1}
                       />
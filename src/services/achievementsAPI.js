@@ -0,0 +1,67 @@
+import api from '../utils/axios';
+
+const toIds = (items = []) => items.map(item => (typeof item === 'string' ? item : item.id)).filter(Boolean);
+
+/**
+ * Achievements API service
+ * Unlocked badges are stored on the backend; the rules live in utils/achievementEngine
+ */
+export const achievementsAPI = {
+  /**
+   * Get the user's unlocked badges
+   * @returns {Promise<Array>} [{ id, unlockedAt }]
+   */
+  async getAchievements() {
+    try {
+      const response = await api.get('/achievements');
+      const items = Array.isArray(response.data) ? response.data : response.data.achievements || [];
+      return items.map(item => (typeof item === 'string'
+        ? { id: item, unlockedAt: null }
+        : { id: item.id, unlockedAt: item.unlocked_at ?? item.unlockedAt ?? null }));
+    } catch (error) {
+      console.error('Failed to fetch achievements:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record newly unlocked badges
+   * @param {Array} achievements - Badge ids or { id } objects
+   * @returns {Promise<Object>} Backend response
+   */
+  async saveAchievements(achievements) {
+    try {
+      const response = await api.post('/achievements', { ids: toIds(achievements) });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to save achievements:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Solved count, streaks and (optionally) one roadmap's progress for the rules
+   * @param {string} course - Roadmap course id, if the roadmap-step rule should be checked
+   * @returns {Promise<Object>} { problemsSolved, currentStreak, longestStreak, roadmap } - null where a request failed
+   */
+  async getProgressContext(course = null) {
+    const [summary, streak, questions, completed] = await Promise.allSettled([
+      api.get('/dashboard/profile-summary'),
+      api.get('/dashboard/streak'),
+      course ? api.get(`/roadmaps/${course}/questions`) : Promise.reject(),
+      course ? api.get(`/roadmaps/${course}/completed`) : Promise.reject()
+    ]);
+    const valueOf = (result) => (result.status === 'fulfilled' ? result.value.data : null);
+
+    return {
+      problemsSolved: valueOf(summary)?.problems_solved ?? null,
+      currentStreak: valueOf(streak)?.current_streak ?? null,
+      longestStreak: valueOf(streak)?.longest_streak ?? null,
+      roadmap: valueOf(questions) && valueOf(completed)
+        ? { questions: valueOf(questions), completedSteps: valueOf(completed) }
+        : null
+    };
+  }
+};
+
+export default achievementsAPI;
@@ -1,4 +1,4 @@
-import axiosInstance from '../utils/axios';
+import axiosInstance, { refreshAccessToken } from '../utils/axios';
 
 /**
  * AI Assistant API Service
@@ -150,6 +150,404 @@ export const sendChatMessage = async (message, questionId, code, sessionId, conv
   }
 };
 
+// Status codes meaning "this endpoint cannot stream" - use the JSON call instead
+const STREAM_UNSUPPORTED_STATUSES = [404, 405, 406, 415, 501];
+
+/**
+ * Parse one Server-Sent Event block into { event, data }
+ */
+const parseSSEEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  if (raw === '[DONE]') return { event: 'done', data: {} };
+
+  try {
+    const data = JSON.parse(raw);
+    return { event: data.type || event, data };
+  } catch {
+    // Plain text frames are treated as tokens
+    return { event: 'token', data: { text: raw } };
+  }
+};
+
+/**
+ * POST to an agent endpoint asking for a token stream (SSE over fetch ReadableStream)
+ *
+ * Events: `token` { text }, `meta` { ...fields known up front }, `done` { ...final fields }, `error` { detail }
+ *
+ * @param {string} path - Agent endpoint, e.g. '/agents/chat'
+ * @param {Object} payload - Request body
+ * @param {Object} options - { onToken, onMeta, signal, timeout }
+ * @returns {Promise<Object|null>} { text, final, aborted, interrupted } - or null when the backend cannot stream
+ *   (interrupted: the connection dropped after part of the reply arrived)
+ */
+const streamAgentRequest = async (path, payload, { onToken, onMeta, signal, timeout = 120000 } = {}) => {
+  const controller = new AbortController();
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller);
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  const post = (token) => fetch(`${axiosInstance.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ ...payload, stream: true }),
+    signal: controller.signal
+  });
+
+  let text = '';
+  let received = false;
+
+  try {
+    let response = await post(localStorage.getItem('access_token'));
+
+    // Same single refresh-and-replay as the axios interceptor
+    if (response.status === 401) {
+      response = await post(await refreshAccessToken());
+    }
+
+    if (STREAM_UNSUPPORTED_STATUSES.includes(response.status)) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.detail || body.message || `Request failed with status ${response.status}`);
+      error.detail = body.detail || body.message;
+      throw error;
+    }
+
+    // Backend ignored the stream flag and answered with plain JSON
+    if (!response.headers.get('content-type')?.includes('text/event-stream') || !response.body) {
+      return { text: '', final: await response.json(), aborted: false };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let final = {};
+
+    const handleBlock = (block) => {
+      const parsed = parseSSEEvent(block);
+      if (!parsed) return;
+
+      const { event, data } = parsed;
+      if (event === 'token' || event === 'delta') {
+        const chunk = data.text ?? data.delta ?? data.content ?? '';
+        text += chunk;
+        onToken?.(chunk, text);
+      } else if (event === 'meta') {
+        onMeta?.(data);
+      } else if (event === 'done') {
+        final = data;
+      } else if (event === 'error') {
+        const error = new Error(data.detail || data.message || 'Stream failed');
+        error.detail = data.detail || data.message;
+        throw error;
+      }
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      received = true;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(handleBlock);
+    }
+    if (buffer.trim()) handleBlock(buffer);
+
+    return { text, final, aborted: false };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      // Stopped by the user (or timed out) - keep whatever arrived
+      return { text, final: {}, aborted: true, timedOut: !signal?.aborted };
+    }
+    // Network dropped mid-stream - keep the partial reply rather than asking (and paying) again
+    if (error instanceof TypeError && received) {
+      console.warn(`Streaming ${path} was interrupted:`, error);
+      return { text, final: {}, aborted: true, interrupted: true };
+    }
+    // fetch itself failed (e.g. CORS on the streaming request) - let the caller fall back
+    if (error instanceof TypeError) {
+      console.warn(`Streaming ${path} failed, falling back to JSON request:`, error);
+      return null;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+/**
+ * Stream an adaptive hint token by token, falling back to requestOrchestratedHint
+ * @param {string} questionId - The question/problem ID
+ * @param {string} code - Current user code
+ * @param {number} hintLevel - Hint level (1-5) - auto-calculated by backend
+ * @param {string} sessionId - Optional session ID
+ * @param {Object} options - { onToken(chunk, fullText), onMeta(meta), signal, timeout }
+ * @returns {Promise} - Same shape as requestOrchestratedHint, plus `aborted` and `interrupted`
+ */
+export const streamOrchestratedHint = async (questionId, code, hintLevel, sessionId = null, options = {}) => {
+  const payload = {
+    question_id: questionId,
+    code: code || '',
+    hint_level: hintLevel,
+    session_id: sessionId
+  };
+
+  try {
+    const result = await streamAgentRequest('/agents/hint', payload, {
+      ...options,
+      onMeta: (meta) => options.onMeta?.({
+        hint_level: meta.hint_level,
+        level_name: meta.level_name
+      })
+    });
+
+    if (!result) {
+      if (options.signal?.aborted) return { success: false, aborted: true };
+      const fallback = await requestOrchestratedHint(questionId, code, hintLevel, sessionId, options.timeout);
+      return options.signal?.aborted ? { success: false, aborted: true } : fallback;
+    }
+
+    const { text, final, aborted, timedOut, interrupted = false } = result;
+    if (timedOut && !text) {
+      return { success: false, error: 'The hint took too long to generate. Please try again.' };
+    }
+
+    return {
+      success: true,
+      aborted,
+      interrupted,
+      hint: final.hint_text ?? text,
+      hint_level: final.hint_level,
+      level_name: final.level_name,
+      hints_used: final.hints_used_total,
+      hints_remaining: final.hints_remaining || 0
+    };
+  } catch (error) {
+    console.error('Failed to stream orchestrated hint:', error);
+    return {
+      success: false,
+      error: error.detail || 'Failed to generate hint. Please try again.'
+    };
+  }
+};
+
+/**
+ * Stream a chat reply token by token, falling back to sendChatMessage
+ * @param {string} message - User's message
+ * @param {string} questionId - Current question ID
+ * @param {string} code - Current code
+ * @param {string} sessionId - Current session ID
+ * @param {Array} conversationHistory - Previous messages
+ * @param {Object} options - { onToken(chunk, fullText), signal, timeout }
+ * @returns {Promise} - Same shape as sendChatMessage, plus `aborted` and `interrupted`
+ */
+export const streamChatMessage = async (message, questionId, code, sessionId, conversationHistory = [], options = {}) => {
+  const payload = {
+    message,
+    question_id: questionId,
+    code: code || '',
+    session_id: sessionId,
+    history: conversationHistory
+  };
+
+  try {
+    const result = await streamAgentRequest('/agents/chat', payload, options);
+
+    if (!result) {
+      if (options.signal?.aborted) return { success: false, aborted: true };
+      const fallback = await sendChatMessage(message, questionId, code, sessionId, conversationHistory, options.timeout);
+      return options.signal?.aborted ? { success: false, aborted: true } : fallback;
+    }
+
+    const { text, final, aborted, timedOut, interrupted = false } = result;
+    if (timedOut && !text) {
+      return { success: false, error: 'The assistant took too long to respond. Please try again.' };
+    }
+
+    return {
+      success: true,
+      aborted,
+      interrupted,
+      message: final.message ?? text,
+      timestamp: final.timestamp
+    };
+  } catch (error) {
+    console.error('Failed to stream chat message:', error);
+    return {
+      success: false,
+      error: error.detail || 'Failed to send message. Please try again.'
+    };
+  }
+};
+
+/**
+ * Ask the agent about a specific part of the code (editor context menu / code lens actions)
+ * @param {string} action - One of CODE_ACTIONS (explain_selection, explain_failure, review_complexity, draft_reference)
+ * @param {Object} context - { questionId, sessionId, code, language, selection, cursorLine, functionRange, testResult, testIndex }
+ * @param {number} timeout - Request timeout in ms (default: 120000 = 2 minutes)
+ * @returns {Promise} - { success, answer, title }
+ */
+export const requestCodeAction = async (action, context, timeout = 120000) => {
+  try {
+    const response = await axiosInstance.post('/agents/code-action', {
+      action,
+      question_id: context.questionId,
+      session_id: context.sessionId || null,
+      code: context.code || '',
+      language: context.language,
+      selection: context.selection || null,
+      cursor_line: context.cursorLine,
+      function_range: context.functionRange || null,
+      test_result: context.testResult || null,
+      test_index: context.testIndex ?? null
+    }, { timeout });
+
+    return {
+      success: true,
+      answer: response.data.answer || response.data.message || '',
+      title: response.data.title || null
+    };
+  } catch (error) {
+    console.error('Failed to run code action:', error);
+    return {
+      success: false,
+      error: error.response?.data?.detail || 'The assistant could not answer. Please try again.'
+    };
+  }
+};
+
+// Request body shared by the interviewer endpoints
+const buildInterviewerPayload = (event, context) => ({
+  event,
+  question_id: context.questionId,
+  session_id: context.sessionId || null,
+  message: context.message || null,
+  code: context.code || '',
+  language: context.language,
+  stage: context.stage || null,
+  elapsed_seconds: context.elapsedSeconds ?? null,
+  remaining_seconds: context.remainingSeconds ?? null,
+  result: context.result || null,
+  history: context.history || []
+});
+
+/**
+ * Ask the mock interview agent for its next turn
+ * @param {string} event - One of INTERVIEWER_EVENTS (start, message, stage_revealed, submit, time_warning)
+ * @param {Object} context - { questionId, sessionId, message, code, language, stage, elapsedSeconds, remainingSeconds, result, history }
+ * @param {number} timeout - Request timeout in ms (default: 120000 = 2 minutes)
+ * @returns {Promise} - { success, message, topic }
+ */
+export const requestInterviewerTurn = async (event, context, timeout = 120000) => {
+  try {
+    const response = await axiosInstance.post('/agents/interviewer', buildInterviewerPayload(event, context), { timeout });
+
+    return {
+      success: true,
+      message: response.data.message || '',
+      topic: response.data.topic || null
+    };
+  } catch (error) {
+    console.error('Failed to get interviewer turn:', error);
+    return {
+      success: false,
+      error: error.response?.data?.detail || 'The interviewer could not respond. Please try again.'
+    };
+  }
+};
+
+/**
+ * Stream the interviewer's next turn token by token, falling back to requestInterviewerTurn
+ * @param {string} event - One of INTERVIEWER_EVENTS
+ * @param {Object} context - Same as requestInterviewerTurn
+ * @param {Object} options - { onToken(chunk, fullText), signal, timeout }
+ * @returns {Promise} - Same shape as requestInterviewerTurn, plus `aborted` and `interrupted`
+ */
+export const streamInterviewerTurn = async (event, context, options = {}) => {
+  try {
+    const result = await streamAgentRequest('/agents/interviewer', buildInterviewerPayload(event, context), options);
+
+    if (!result) {
+      if (options.signal?.aborted) return { success: false, aborted: true };
+      const fallback = await requestInterviewerTurn(event, context, options.timeout);
+      return options.signal?.aborted ? { success: false, aborted: true } : fallback;
+    }
+
+    const { text, final, aborted, timedOut, interrupted = false } = result;
+    if (timedOut && !text) {
+      return { success: false, error: 'The interviewer took too long to respond. Please try again.' };
+    }
+
+    return {
+      success: true,
+      aborted,
+      interrupted,
+      message: final.message ?? text,
+      topic: final.topic || null
+    };
+  } catch (error) {
+    console.error('Failed to stream interviewer turn:', error);
+    return {
+      success: false,
+      error: error.detail || 'The interviewer could not respond. Please try again.'
+    };
+  }
+};
+
+/**
+ * Written feedback for the end-of-interview scorecard
+ * @param {Object} context - { questionId, sessionId, code, language, scorecard, history }
+ * @param {number} timeout - Request timeout in ms (default: 120000 = 2 minutes)
+ * @returns {Promise} - { success, summary, strengths, improvements }
+ */
+export const requestInterviewFeedback = async (context, timeout = 120000) => {
+  try {
+    const response = await axiosInstance.post('/agents/interviewer/feedback', {
+      question_id: context.questionId,
+      session_id: context.sessionId || null,
+      code: context.code || '',
+      language: context.language,
+      scorecard: context.scorecard,
+      history: context.history || []
+    }, { timeout });
+
+    return {
+      success: true,
+      summary: response.data.summary || '',
+      strengths: response.data.strengths || [],
+      improvements: response.data.improvements || []
+    };
+  } catch (error) {
+    console.error('Failed to get interview feedback:', error);
+    return {
+      success: false,
+      error: error.response?.data?.detail || 'Written feedback is not available right now.'
+    };
+  }
+};
+
 /**
  * Get chat history for a session
  * @param {string} sessionId - Session ID
@@ -173,6 +571,147 @@ export const getChatHistory = async (sessionId) => {
   }
 };
 
+/**
+ * List conversation threads for a question across all sessions (newest first)
+ * @param {string} questionId - Question ID
+ * @returns {Promise} - { success, threads: [{ thread_id, session_id, title, preview, message_count, hint_count, updated_at }] }
+ */
+export const getQuestionThreads = async (questionId) => {
+  try {
+    const response = await axiosInstance.get('/agents/threads', {
+      params: { question_id: questionId }
+    });
+    return {
+      success: true,
+      threads: response.data.threads || []
+    };
+  } catch (error) {
+    console.error('Failed to get conversation threads:', error);
+    return {
+      success: false,
+      threads: [],
+      error: 'Failed to load conversations'
+    };
+  }
+};
+
+/**
+ * Get all messages of a conversation thread
+ * @param {string} threadId - Thread ID
+ * @returns {Promise} - { success, thread, messages }
+ */
+export const getThreadMessages = async (threadId) => {
+  try {
+    const response = await axiosInstance.get(`/agents/threads/${threadId}/messages`);
+    return {
+      success: true,
+      thread: response.data.thread || null,
+      messages: response.data.messages || []
+    };
+  } catch (error) {
+    console.error('Failed to get thread messages:', error);
+    return {
+      success: false,
+      messages: [],
+      error: 'Failed to load conversation'
+    };
+  }
+};
+
+/**
+ * Full-text search over the user's past conversations
+ * @param {string} query - Search text
+ * @param {string} questionId - Optional question ID to limit the search to
+ * @returns {Promise} - { success, results: [{ thread_id, question_id, question_title, role, snippet, hint_level, timestamp }] }
+ */
+export const searchConversations = async (query, questionId = null) => {
+  try {
+    const response = await axiosInstance.get('/agents/threads/search', {
+      params: { q: query, ...(questionId && { question_id: questionId }) }
+    });
+    return {
+      success: true,
+      results: response.data.results || []
+    };
+  } catch (error) {
+    console.error('Failed to search conversations:', error);
+    return {
+      success: false,
+      results: [],
+      error: 'Search failed. Please try again.'
+    };
+  }
+};
+
+/**
+ * Get hints the user pinned for a question
+ * @param {string} questionId - Question ID
+ * @returns {Promise} - { success, pins: [{ pin_id, content, hint_level, pinned_at }] }
+ */
+export const getPinnedHints = async (questionId) => {
+  try {
+    const response = await axiosInstance.get('/agents/pins', {
+      params: { question_id: questionId }
+    });
+    return {
+      success: true,
+      pins: response.data.pins || []
+    };
+  } catch (error) {
+    console.error('Failed to get pinned hints:', error);
+    return {
+      success: false,
+      pins: [],
+      error: 'Failed to load pinned hints'
+    };
+  }
+};
+
+/**
+ * Pin a hint or assistant answer so it shows at the top of the Problem tab
+ * @param {string} questionId - Question ID
+ * @param {Object} message - { content, hintLevel, threadId }
+ * @returns {Promise} - { success, pin }
+ */
+export const pinHint = async (questionId, { content, hintLevel = null, threadId = null }) => {
+  try {
+    const response = await axiosInstance.post('/agents/pins', {
+      question_id: questionId,
+      content,
+      hint_level: hintLevel,
+      thread_id: threadId
+    });
+    return {
+      success: true,
+      pin: response.data
+    };
+  } catch (error) {
+    console.error('Failed to pin hint:', error);
+    return {
+      success: false,
+      error: error.response?.data?.detail || 'Failed to pin hint'
+    };
+  }
+};
+
+/**
+ * Remove a pinned hint
+ * @param {string} pinId - Pin ID
+ * @returns {Promise} - { success }
+ */
+export const unpinHint = async (pinId) => {
+  try {
+    await axiosInstance.delete(`/agents/pins/${pinId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to unpin hint:', error);
+    return {
+      success: false,
+      error: 'Failed to unpin hint'
+    };
+  }
+};
+
 /**
  * Check AI agent health status
  * @returns {Promise} - Health status
@@ -195,9 +734,21 @@ export const checkAgentHealth = async () => {
 
 export default {
   requestOrchestratedHint,
+  streamOrchestratedHint,
   requestSimpleHint,
   sendChatMessage,
+  streamChatMessage,
+  requestCodeAction,
+  requestInterviewerTurn,
+  streamInterviewerTurn,
+  requestInterviewFeedback,
   getChatHistory,
+  getQuestionThreads,
+  getThreadMessages,
+  searchConversations,
+  getPinnedHints,
+  pinHint,
+  unpinHint,
   checkAgentHealth
 };
 
@@ -14,6 +14,12 @@ export const useRefreshToken = () => useAxios('/auth/token', { method: 'POST', i
 export const useGetProfile = () => useAxios('/auth/me', { method: 'GET', immediate: false });
 export const useUpdateProfile = () => useAxios('/users/profile', { method: 'PUT', immediate: false });
 export const useUpdateSkillLevel = () => useAxios('/users/skill-level', { method: 'PATCH', immediate: false });
+export const useGetPreferences = () => useAxios('/users/preferences', { method: 'GET', immediate: false });
+export const useUpdatePreferences = () => useAxios('/users/preferences', { method: 'PUT', immediate: false });
+export const useGetPublicProfile = (username) => useAxios(`/users/${encodeURIComponent(username)}/public`, {
+  method: 'GET',
+  immediate: false
+});
 
 // Problems API hooks
 export const useGetProblems = (params = {}) => useAxios('/problems', { 
@@ -26,6 +32,7 @@ export const useGetProblem = (id) => useAxios(`/problems/${id}`, {
   immediate: !!id,
   deps: [id]
 });
+export const useGetProblemTags = () => useAxios('/problems/tags', { method: 'GET', immediate: false });
 export const useSubmitSolution = () => useAxios('/submissions/submit', { method: 'POST', immediate: false });
 export const useRunCode = () => useAxios('/submissions/run', { method: 'POST', immediate: false });
 export const useGetSubmissionHistory = () => {
@@ -99,11 +106,15 @@ export const userAPI = {
   useGetProfile,
   useUpdateProfile,
   useUpdateSkillLevel,
+  useGetPreferences,
+  useUpdatePreferences,
+  useGetPublicProfile,
 };
 
 export const problemsAPI = {
   useGetProblems,
   useGetProblem,
+  useGetProblemTags,
   useSubmitSolution,
   useRunCode,
   useGetSubmissionHistory,
@@ -1,4 +1,5 @@
 import useAxios from '../hooks/useAxios';
+import { trimEditEvents } from '../utils/sessionReplay';
 
 /**
  * Behavior Tracking API service hooks
@@ -27,6 +28,17 @@ export const useAddKeystrokeBatch = () => useAxios('/behavior/keystroke/batch',
   immediate: false 
 });
 
+// Editor content changes and timeline markers for session replay
+export const useAddEditBatch = () => useAxios('/behavior/edits/batch', { 
+  method: 'POST', 
+  immediate: false 
+});
+
+export const useGetReplayEvents = () => useAxios('/behavior/edits', { 
+  method: 'GET', 
+  immediate: false 
+});
+
 // Live Metrics
 export const useGetLiveMetrics = (sessionId) => useAxios(`/behavior/session/${sessionId}/live`, { 
   method: 'GET',
@@ -78,6 +90,10 @@ export class BehaviorTrackingService {
     this.currentSession = null;
     this.isTracking = false;
     this.eventBuffer = [];
+    this.editBuffer = []; // Content changes + run/submit/hint markers for replay
+    this.editsSinceKeyframe = 0;
+    this.keyframeInterval = 50; // Store the full text every 50 edits
+    this.codingSessionId = null; // Coding session the edits belong to
     this.bufferSize = 20; // Send events in batches of 20 (reduced API calls)
     this.bufferTimeout = 5000; // Send events every 5 seconds (better performance)
     this.bufferTimer = null;
@@ -136,6 +152,8 @@ export class BehaviorTrackingService {
 
         this.isTracking = true;
         this.eventBuffer = [];
+        this.editBuffer = [];
+        this.editsSinceKeyframe = 0;
         this.startBufferTimer(apiHooks);
         
         console.log('Behavior tracking session started:', this.currentSession.sessionId);
@@ -185,6 +203,7 @@ export class BehaviorTrackingService {
     try {
       // Flush remaining events
       await this.flushEventBuffer(apiHooks);
+      await this.flushEditBuffer(apiHooks);
       
       // Clear timer
       if (this.bufferTimer) {
@@ -258,6 +277,66 @@ export class BehaviorTrackingService {
     }
   }
 
+  /**
+   * Link recorded edits to a coding session so they can be replayed from its history
+   */
+  setCodingSessionId(codingSessionId) {
+    this.codingSessionId = codingSessionId || null;
+  }
+
+  /**
+   * Record an editor content change for session replay.
+   * The first change, full resets (setValue) and every `keyframeInterval`-th change
+   * also carry the full text so playback can recover from a dropped batch.
+   * @param {Array} changes - Monaco IModelContentChange list
+   * @param {string} fullText - Editor text after the change
+   * @param {boolean} isFlush - Whole model was replaced
+   */
+  recordContentChange(changes, fullText, isFlush = false) {
+    if (!this.isTracking || !this.currentSession || !this.privacySettings.trackingEnabled) {
+      return;
+    }
+
+    const isKeyframe = isFlush || this.editsSinceKeyframe === 0 || this.editsSinceKeyframe >= this.keyframeInterval;
+    this.editsSinceKeyframe = isKeyframe ? 1 : this.editsSinceKeyframe + 1;
+
+    const editEvent = {
+      session_id: this.currentSession.sessionId,
+      coding_session_id: this.codingSessionId,
+      question_key: this.currentSession.questionKey,
+      event_type: 'edit',
+      timestamp: new Date().toISOString(),
+      changes: changes.map(change => ({
+        offset: change.rangeOffset,
+        length: change.rangeLength,
+        text: change.text
+      })),
+      full_text: isKeyframe ? fullText : null
+    };
+
+    this.editBuffer.push(editEvent);
+    this.notifyListeners('contentChangeRecorded', editEvent);
+  }
+
+  /**
+   * Mark a run, submit or hint request on the replay timeline
+   * @param {string} markerType - 'run' | 'submit' | 'hint'
+   */
+  recordReplayMarker(markerType, metadata = {}) {
+    if (!this.isTracking || !this.currentSession || !this.privacySettings.trackingEnabled) {
+      return;
+    }
+
+    this.editBuffer.push({
+      session_id: this.currentSession.sessionId,
+      coding_session_id: this.codingSessionId,
+      question_key: this.currentSession.questionKey,
+      event_type: markerType,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
   /**
    * Record a behavior event (for future expansion)
    */
@@ -331,6 +410,32 @@ export class BehaviorTrackingService {
     }
   }
 
+  /**
+   * Flush recorded edits and replay markers to backend
+   */
+  async flushEditBuffer(apiHooks) {
+    if (this.editBuffer.length === 0 || !this.currentSession) {
+      return;
+    }
+
+    const events = [...this.editBuffer];
+    this.editBuffer = [];
+
+    try {
+      const { addEditBatchHook } = apiHooks;
+      await addEditBatchHook.execute({
+        session_id: this.currentSession.sessionId,
+        coding_session_id: this.codingSessionId,
+        events
+      });
+      console.log(`Flushed ${events.length} edit events to backend`);
+    } catch (error) {
+      console.warn('Failed to flush edit buffer:', error);
+      // Keep them for the next flush, bounded to prevent memory buildup
+      this.editBuffer = trimEditEvents([...events, ...this.editBuffer], 1000);
+    }
+  }
+
   /**
    * Start buffer timer for periodic flushing
    */
@@ -341,6 +446,7 @@ export class BehaviorTrackingService {
 
     this.bufferTimer = setTimeout(async () => {
       await this.flushEventBuffer(apiHooks);
+      await this.flushEditBuffer(apiHooks);
       if (this.isTracking) {
         this.startBufferTimer(apiHooks); // Recursive timer
       }
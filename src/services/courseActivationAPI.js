@@ -1,53 +1,73 @@
 import api from '../utils/axios';
 
 /**
- * Course activation API service
+ * Course enrollment API service
+ * Users can be enrolled in several courses at once; one of them is marked primary
  */
 export const courseActivationAPI = {
   /**
-   * Get user's active course
-   * @returns {Promise<string|null>} Active course ID or null
+   * Get user's enrolled courses
+   * @returns {Promise<Array>} [{ course_id, course_name, is_primary, enrolled_at }]
    */
-  async getActiveCourse() {
+  async getEnrolledCourses() {
     try {
-      const response = await api.get('/users/courses/active');
-      return response.data.active_course;
+      const response = await api.get('/users/courses');
+      return response.data.courses || [];
     } catch (error) {
-      console.error('Failed to fetch active course:', error);
+      console.error('Failed to fetch enrolled courses:', error);
       throw error;
     }
   },
 
   /**
-   * Activate a course for the user
-   * @param {string} courseId - Course ID to activate
-   * @returns {Promise<Object>} Activation response
+   * Enroll the user in a course (other enrollments are kept)
+   * @param {string} courseId - Course ID to enroll in
+   * @param {boolean} isPrimary - Also mark it as the primary course
+   * @returns {Promise<Object>} Enrollment response
    */
-  async activateCourse(courseId) {
+  async enrollCourse(courseId, isPrimary = false) {
     try {
-      const response = await api.post('/users/courses/activate', {
+      const response = await api.post('/users/courses/enroll', {
+        course_id: courseId,
+        is_primary: isPrimary
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to enroll in course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the user's enrollment in a course
+   * @param {string} courseId - Course ID to leave
+   * @returns {Promise<Object>} Unenrollment response
+   */
+  async unenrollCourse(courseId) {
+    try {
+      const response = await api.post('/users/courses/unenroll', {
         course_id: courseId
       });
       return response.data;
     } catch (error) {
-      console.error('Failed to activate course:', error);
+      console.error('Failed to unenroll from course:', error);
       throw error;
     }
   },
 
   /**
-   * Deactivate a course for the user
-   * @param {string} courseId - Course ID to deactivate
-   * @returns {Promise<Object>} Deactivation response
+   * Mark an enrolled course as the user's primary course
+   * @param {string} courseId - Course ID to make primary
+   * @returns {Promise<Object>} Update response
    */
-  async deactivateCourse(courseId) {
+  async setPrimaryCourse(courseId) {
     try {
-      const response = await api.post('/users/courses/deactivate', {
+      const response = await api.post('/users/courses/primary', {
         course_id: courseId
       });
       return response.data;
     } catch (error) {
-      console.error('Failed to deactivate course:', error);
+      console.error('Failed to set primary course:', error);
       throw error;
     }
   }
@@ -0,0 +1,42 @@
+import api from '../utils/axios';
+
+/**
+ * Custom test cases API service
+ * The user's own test cases are stored per question
+ */
+export const customTestsAPI = {
+  /**
+   * Get the user's custom test cases for a question
+   * @param {string} questionId - Question ID
+   * @returns {Promise<Array>} [{ id, input, expected_output }]
+   */
+  async getCustomTests(questionId) {
+    try {
+      const response = await api.get(`/questions/${questionId}/custom-tests`);
+      return response.data.test_cases || [];
+    } catch (error) {
+      console.error('Failed to fetch custom test cases:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the user's custom test cases for a question
+   * @param {string} questionId - Question ID
+   * @param {Array} testCases - [{ id, input, expected_output }]
+   * @returns {Promise<Object>} Save response
+   */
+  async saveCustomTests(questionId, testCases) {
+    try {
+      const response = await api.put(`/questions/${questionId}/custom-tests`, {
+        test_cases: testCases
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to save custom test cases:', error);
+      throw error;
+    }
+  }
+};
+
+export default customTestsAPI;
@@ -0,0 +1,41 @@
+import api from '../utils/axios';
+
+/**
+ * Mock interview API service
+ * Behavior metrics for the scorecard and storage of the finished scorecard
+ */
+export const mockInterviewAPI = {
+  /**
+   * Get the behavior metrics recorded for the interview session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Live metrics, or null when none were recorded
+   */
+  async getBehaviorMetrics(sessionId) {
+    try {
+      const response = await api.get(`/behavior/session/${sessionId}/live`);
+      return response.data || null;
+    } catch (error) {
+      // Tracking may be off for the session - score without it
+      console.warn('Failed to fetch behavior metrics for interview:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Store the end-of-interview scorecard with the session
+   * @param {string} sessionId - Session ID
+   * @param {Object} scorecard - Scorecard from buildInterviewScorecard, plus feedback
+   * @returns {Promise<Object>} Save response
+   */
+  async saveScorecard(sessionId, scorecard) {
+    try {
+      const response = await api.post(`/sessions/${sessionId}/interview-scorecard`, scorecard);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to save interview scorecard:', error);
+      throw error;
+    }
+  }
+};
+
+export default mockInterviewAPI;
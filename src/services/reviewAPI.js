@@ -0,0 +1,94 @@
+import api from '../utils/axios';
+import { gradeAttempt, scheduleReview, buildSeedReviewItems } from '../utils/reviewScheduler';
+
+/**
+ * Review queue API service
+ * Stores spaced-repetition review items for solved problems
+ */
+export const reviewAPI = {
+  /**
+   * Get all of the user's review items
+   * @returns {Promise<Array>} Review items
+   */
+  async getReviewItems() {
+    try {
+      const response = await api.get('/reviews');
+      return response.data.items || [];
+    } catch (error) {
+      console.error('Failed to fetch review items:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the review item for a single question
+   * @param {string} questionKey - Question key
+   * @returns {Promise<Object|null>} Review item or null if never solved
+   */
+  async getReviewItem(questionKey) {
+    try {
+      const response = await api.get(`/reviews/${questionKey}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      console.error('Failed to fetch review item:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create or update a review item
+   * @param {string} questionKey - Question key
+   * @param {Object} item - Review item
+   * @returns {Promise<Object>} Saved review item
+   */
+  async saveReviewItem(questionKey, item) {
+    try {
+      const response = await api.put(`/reviews/${questionKey}`, item);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to save review item:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Grade an accepted submission and reschedule the question's next review
+   * @param {Object} question - { question_key, question_title, course, difficulty }
+   * @param {Object} attempt - { solveTimeSeconds, hintsUsed, failedRuns }
+   * @returns {Promise<Object>} Saved review item
+   */
+  async recordAttempt(question, attempt) {
+    const existing = await this.getReviewItem(question.question_key);
+    const quality = gradeAttempt({ ...attempt, difficulty: question.difficulty });
+
+    return this.saveReviewItem(question.question_key, {
+      ...question,
+      ...scheduleReview(existing, quality)
+    });
+  },
+
+  /**
+   * Add review items for roadmap steps completed before the queue existed
+   * @param {Array<string>} courseIds - Enrolled roadmap course ids
+   * @param {Array} existingItems - Items already in the queue
+   * @returns {Promise<Array>} Newly created review items
+   */
+  async seedFromCompletedSteps(courseIds, existingItems = []) {
+    const roadmaps = await Promise.all(courseIds.map(async course => {
+      const [questions, completed] = await Promise.all([
+        api.get(`/roadmaps/${course}/questions`),
+        api.get(`/roadmaps/${course}/completed`)
+      ]);
+      return { course, questions: questions.data || [], completedSteps: completed.data || [] };
+    }));
+
+    const items = buildSeedReviewItems(roadmaps, {
+      existingKeys: existingItems.map(item => item.question_key)
+    });
+    await Promise.all(items.map(item => this.saveReviewItem(item.question_key, item)));
+    return items;
+  }
+};
+
+export default reviewAPI;
@@ -0,0 +1,146 @@
+import api from '../utils/axios';
+
+/**
+ * Account security API service
+ * Password changes, TOTP two-factor enrollment, backup codes and login sessions
+ */
+export const securityAPI = {
+  /**
+   * Change the user's password (backend verifies the current password)
+   * A wrong current password is rejected with 400/403, never 401
+   * @param {string} currentPassword - Existing password
+   * @param {string} newPassword - Replacement password
+   * @returns {Promise<Object>} Change response
+   */
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await api.post('/auth/password/change', {
+        current_password: currentPassword,
+        new_password: newPassword
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get two-factor authentication status
+   * @returns {Promise<Object>} { enabled, backup_codes_remaining }
+   */
+  async getTwoFactorStatus() {
+    try {
+      const response = await api.get('/auth/2fa/status');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch 2FA status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Begin TOTP enrollment - returns a secret and QR code to scan
+   * @returns {Promise<Object>} { secret, otpauth_url, qr_code }
+   */
+  async startTwoFactorSetup() {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to start 2FA setup:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm TOTP enrollment with a code from the authenticator app
+   * A wrong code is rejected with 400/403, never 401
+   * @param {string} code - 6-digit verification code
+   * @returns {Promise<Object>} { enabled, backup_codes }
+   */
+  async verifyTwoFactorSetup(code) {
+    try {
+      const response = await api.post('/auth/2fa/verify', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to verify 2FA code:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Disable two-factor authentication
+   * A wrong code is rejected with 400/403, never 401
+   * @param {string} code - Current TOTP or backup code
+   * @returns {Promise<Object>} Disable response
+   */
+  async disableTwoFactor(code) {
+    try {
+      const response = await api.post('/auth/2fa/disable', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to disable 2FA:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate a fresh set of one-time backup codes (invalidates the old set)
+   * @returns {Promise<string[]>} Backup codes - only returned once
+   */
+  async generateBackupCodes() {
+    try {
+      const response = await api.post('/auth/2fa/backup-codes');
+      return response.data.backup_codes || [];
+    } catch (error) {
+      console.error('Failed to generate backup codes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List active login sessions for the user
+   * @returns {Promise<Array>} Sessions with device, browser, location and last activity
+   */
+  async getLoginSessions() {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data.sessions || response.data || [];
+    } catch (error) {
+      console.error('Failed to fetch login sessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a single login session
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<Object>} Revocation response
+   */
+  async revokeLoginSession(sessionId) {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke every login session except the current one
+   * @returns {Promise<Object>} { revoked_count }
+   */
+  async revokeOtherLoginSessions() {
+    try {
+      const response = await api.post('/auth/sessions/revoke-others');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to revoke other sessions:', error);
+      throw error;
+    }
+  }
+};
+
+export default securityAPI;
@@ -175,15 +175,17 @@ class SessionAPI {
 
   /**
    * Add a code snapshot to a session
+   * @param {Object} [metadata] - e.g. { trigger: 'run'|'submit'|'restore', result: {...}, restored_from }
    */
-  async addCodeSnapshot(sessionId, code, language = 'python', isCurrent = false) {
+  async addCodeSnapshot(sessionId, code, language = 'python', isCurrent = false, metadata = {}) {
     try {
       const response = await axiosInstance.post(`${this.baseURL}/${sessionId}/code-snapshot`, {
         session_id: sessionId,
         code,
         language,
         is_current: isCurrent,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        ...metadata
       });
       return response.data;
     } catch (error) {
@@ -192,6 +194,26 @@ class SessionAPI {
     }
   }
 
+  /**
+   * Get the code snapshots of a session, newest first
+   * @param {string} [questionId] - Only snapshots of this question; untagged snapshots
+   *   count as the session's own question
+   */
+  async getCodeSnapshots(sessionId, questionId = null) {
+    try {
+      const session = await this.getSession(sessionId);
+      const snapshots = session?.code_snapshots || session?.codeSnapshots || [];
+      const sessionQuestionId = session?.question_id ?? session?.questionId ?? null;
+      return snapshots
+        .filter(snapshot => questionId === null ||
+          String(snapshot.question_id ?? sessionQuestionId) === String(questionId))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    } catch (error) {
+      console.error('Failed to get code snapshots:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update the current code state for a session
    */
@@ -312,7 +334,9 @@ class SessionAPI {
       'practice': 'practice',
       'daily_challenge': 'daily_challenge',
       'roadmap_challenge': 'roadmap_challenge',
-      'assessment': 'assessment'
+      'assessment': 'assessment',
+      'review': 'review',
+      'mock_interview': 'mock_interview'
     };
     return typeMap[frontendType] || 'practice';
   }
@@ -0,0 +1,41 @@
+import api from '../utils/axios';
+
+/**
+ * Stress test API service
+ * Runs generated inputs through /submissions/run without expected outputs;
+ * outputs are compared on the client against the reference solution
+ */
+export const stressTestAPI = {
+  /**
+   * Run code on a batch of inputs
+   * @param {Object} params - { code, language, questionId, inputs: [string] }
+   * @returns {Promise<Array>} [{ output, error, runtime_ms }] in input order
+   * @throws {Error} When the code does not compile or the run fails as a whole
+   */
+  async runInputs({ code, language, questionId, inputs }) {
+    try {
+      const response = await api.post('/submissions/run', {
+        code,
+        language,
+        question_id: questionId,
+        test_cases: inputs.map(input => ({ input, expected_output: '' }))
+      });
+
+      const testResults = response.data.test_results || [];
+      if (testResults.length === 0 && response.data.error_message) {
+        throw new Error(response.data.error_message);
+      }
+
+      return inputs.map((_, index) => ({
+        output: testResults[index]?.actual_output ?? '',
+        error: testResults[index]?.error || null,
+        runtime_ms: testResults[index]?.runtime_ms ?? null
+      }));
+    } catch (error) {
+      console.error('Failed to run stress test batch:', error);
+      throw error;
+    }
+  }
+};
+
+export default stressTestAPI;
@@ -85,6 +85,18 @@ export const updateSessionCode = createAsyncThunk(
   }
 );
 
+export const fetchSessionHistory = createAsyncThunk(
+  'session/fetchHistory',
+  async (limit = 20, { rejectWithValue }) => {
+    try {
+      const sessions = await sessionAPI.listSessions(limit, false);
+      return { sessions: Array.isArray(sessions) ? sessions : [] };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to fetch session history');
+    }
+  }
+);
+
 export const addSessionEvent = createAsyncThunk(
   'session/addEvent',
   async ({ eventType, data }, { getState, rejectWithValue }) => {
@@ -109,6 +121,9 @@ const initialState = {
   // Core session data
   currentSession: null,
   
+  // Past sessions (dashboard analytics, replay)
+  sessionHistory: [],
+  
   // Loading states
   isLoading: false,
   
@@ -181,6 +196,11 @@ const sessionSlice = createSlice({
         }
       })
       
+      // Fetch session history
+      .addCase(fetchSessionHistory.fulfilled, (state, action) => {
+        state.sessionHistory = action.payload.sessions;
+      })
+      
       // Update code (silent)
       .addCase(updateSessionCode.fulfilled, () => {
         // No state update needed
@@ -206,6 +226,7 @@ export const {
 export const selectCurrentSession = (state) => state.session.currentSession;
 export const selectIsLoading = (state) => state.session.isLoading;
 export const selectError = (state) => state.session.error;
+export const selectSessionHistory = (state) => state.session.sessionHistory;
 
 // Derived selectors (memoized)
 export const selectIsActive = createSelector(
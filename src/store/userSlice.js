@@ -1,5 +1,6 @@
 import { createSlice } from '@reduxjs/toolkit';
 import { SKILL_LEVELS } from '../constants/skillLevels';
+import { DEFAULT_PREFERENCES, mergePreferences } from '../constants/preferences';
 
 const initialState = {
   // Authentication state
@@ -16,14 +17,11 @@ const initialState = {
   totalProblemsCompleted: 0,
   dailyGoal: 3,
   assessmentHistory: [],
+  achievements: [], // Unlocked badges: [{ id, unlockedAt }]
   profile: {
     username: '',
     joinedDate: null,
-    preferences: {
-      theme: 'dark',
-      notifications: true,
-      difficulty: 'adaptive'
-    }
+    preferences: DEFAULT_PREFERENCES
   },
   progress: {
     weak_topics: [],
@@ -58,16 +56,18 @@ const userSlice = createSlice({
         state.assessmentHistory.push({
           ...action.payload.assessmentResult,
           completedAt: new Date().toISOString(),
-          type: 'onboarding'
+          type: 'onboarding',
+          // Starts the re-assessment problem count (see utils/skillProgression)
+          problemsSolvedAtCompletion: action.payload.problemsSolvedAtCompletion ?? 0
         });
       }
       
       // Update preferences from onboarding
       if (action.payload.preferences) {
-        state.profile.preferences = {
-          ...state.profile.preferences,
-          ...action.payload.preferences
-        };
+        state.profile.preferences = mergePreferences(
+          state.profile.preferences,
+          action.payload.preferences
+        );
       }
     },
     updateProfile: (state, action) => {
@@ -89,10 +89,10 @@ const userSlice = createSlice({
       state.dailyGoal = action.payload;
     },
     updatePreferences: (state, action) => {
-      state.profile.preferences = { 
-        ...state.profile.preferences, 
-        ...action.payload 
-      };
+      state.profile.preferences = mergePreferences(
+        state.profile.preferences,
+        action.payload
+      );
     },
     
     updateExpertiseRank: (state, action) => {
@@ -109,6 +109,20 @@ const userSlice = createSlice({
       });
     },
     
+    setAchievements: (state, action) => {
+      state.achievements = action.payload;
+    },
+    
+    unlockAchievements: (state, action) => {
+      if (!Array.isArray(state.achievements)) {
+        state.achievements = [];
+      }
+      const unlocked = new Set(state.achievements.map(achievement => achievement.id));
+      action.payload
+        .filter(id => !unlocked.has(id))
+        .forEach(id => state.achievements.push({ id, unlockedAt: new Date().toISOString() }));
+    },
+    
     // Authentication actions
     setAuthToken: (state, action) => {
       state.accessToken = action.payload;
@@ -136,7 +150,9 @@ const userSlice = createSlice({
       state.isAuthenticated = false;
       state.accessToken = null;
       state.currentUser = null;
+      state.achievements = [];
       localStorage.removeItem('access_token');
+      localStorage.removeItem('refresh_token');
     },
     
     setAuthError: (state, action) => {
@@ -161,6 +177,8 @@ export const {
   updatePreferences,
   updateExpertiseRank,
   addAssessmentResult,
+  setAchievements,
+  unlockAchievements,
   setAuthToken,
   setCurrentUser,
   clearAuthData,
@@ -174,8 +192,15 @@ export const selectIsOnboarded = (state) => state.user.isOnboarded;
 export const selectSkillLevel = (state) => state.user.skillLevel;
 export const selectExpertiseRank = (state) => state.user.expertiseRank;
 export const selectAssessmentHistory = (state) => state.user.assessmentHistory;
+// Persisted state from before achievements existed has no list
+const NO_ACHIEVEMENTS = [];
+export const selectAchievements = (state) => state.user.achievements || NO_ACHIEVEMENTS;
 export const selectUserProgress = (state) => state.user.progress;
 export const selectUserPreferences = (state) => state.user.profile.preferences;
+export const selectEditorPreferences = (state) => 
+  state.user.profile.preferences?.codeEditor || DEFAULT_PREFERENCES.codeEditor;
+export const selectDefaultProgrammingLanguage = (state) => 
+  state.user.profile.preferences?.defaultProgrammingLanguage || DEFAULT_PREFERENCES.defaultProgrammingLanguage;
 
 // Authentication selectors
 export const selectIsAuthenticated = (state) => state.user.isAuthenticated;
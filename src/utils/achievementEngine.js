@@ -0,0 +1,100 @@
+/**
+ * Achievement Engine
+ *
+ * Evaluates the badge rules in constants/achievements against whatever progress
+ * the caller knows about. Every context field is optional, so each caller passes
+ * what it has:
+ * - { problemsSolved, currentStreak, longestStreak } - dashboard stats
+ * - { submission: { accepted, hintsUsed, runtimePercentile } } - an accepted submission
+ * - { roadmap: { questions, completedSteps } } - a roadmap's progress
+ */
+
+import { ACHIEVEMENTS, ACHIEVEMENT_RULES } from '../constants/achievements';
+
+/**
+ * Roadmap steps (a2z_step groups) whose questions are all completed
+ * @param {Object} roadmap - { questions, completedSteps }
+ * @returns {Array<string>} Completed step names
+ */
+export const getCompletedRoadmapSteps = (roadmap) => {
+  if (!Array.isArray(roadmap?.questions) || roadmap.questions.length === 0) return [];
+
+  const completed = new Set(roadmap.completedSteps || []);
+  const steps = new Map();
+  roadmap.questions.forEach(question => {
+    if (!question.a2z_step) return;
+    steps.set(question.a2z_step, [...(steps.get(question.a2z_step) || []), question.step_number]);
+  });
+
+  return [...steps.entries()]
+    .filter(([, stepNumbers]) => stepNumbers.every(step => completed.has(step)))
+    .map(([name]) => name);
+};
+
+const getBestStreak = (context) => Math.max(context.currentStreak ?? 0, context.longestStreak ?? 0);
+
+const RULE_EVALUATORS = {
+  [ACHIEVEMENT_RULES.PROBLEMS_SOLVED]: (rule, context) =>
+    (context.problemsSolved ?? 0) >= rule.min || (rule.min <= 1 && Boolean(context.submission?.accepted)),
+  [ACHIEVEMENT_RULES.STREAK]: (rule, context) => getBestStreak(context) >= rule.min,
+  [ACHIEVEMENT_RULES.NO_HINT_SOLVE]: (rule, context) =>
+    Boolean(context.submission?.accepted) && context.submission.hintsUsed === 0,
+  [ACHIEVEMENT_RULES.ROADMAP_STEP_COMPLETE]: (rule, context) =>
+    getCompletedRoadmapSteps(context.roadmap).length > 0,
+  [ACHIEVEMENT_RULES.RUNTIME_PERCENTILE]: (rule, context) =>
+    Boolean(context.submission?.accepted) && (context.submission.runtimePercentile ?? 0) >= rule.min
+};
+
+/**
+ * Check one rule against a progress context
+ * @returns {boolean}
+ */
+export const isRuleMet = (rule, context = {}) => {
+  const evaluate = RULE_EVALUATORS[rule.type];
+  if (!evaluate) {
+    console.warn('⚠️ Unknown achievement rule:', rule.type);
+    return false;
+  }
+  return evaluate(rule, context);
+};
+
+/**
+ * Badges newly earned by a progress context
+ * @param {Object} context - See module docs
+ * @param {Array<string>} unlockedIds - Badges the user already has
+ * @returns {Array<Object>} Achievement definitions to unlock
+ */
+export const evaluateAchievements = (context, unlockedIds = []) => {
+  const unlocked = new Set(unlockedIds);
+  return ACHIEVEMENTS.filter(achievement => !unlocked.has(achievement.id) && isRuleMet(achievement.rule, context));
+};
+
+/**
+ * Progress towards a counter-based badge, for the badge shelf
+ * @returns {Object|null} { current, target }, or null for one-off badges
+ */
+export const getRuleProgress = (rule, context = {}) => {
+  switch (rule.type) {
+    case ACHIEVEMENT_RULES.PROBLEMS_SOLVED:
+      return { current: Math.min(context.problemsSolved ?? 0, rule.min), target: rule.min };
+    case ACHIEVEMENT_RULES.STREAK:
+      return { current: Math.min(getBestStreak(context), rule.min), target: rule.min };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Toast text for a newly unlocked badge
+ * @returns {string}
+ */
+export const getUnlockMessage = (achievement) =>
+  `${achievement.icon} Badge unlocked: ${achievement.name} - ${achievement.description}`;
+
+export default {
+  getCompletedRoadmapSteps,
+  isRuleMet,
+  evaluateAchievements,
+  getRuleProgress,
+  getUnlockMessage
+};
@@ -1,18 +1,147 @@
 import axios from 'axios';
 
+const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
+
+// Refresh this many ms before the access token's JWT `exp`
+const REFRESH_LEEWAY_MS = 60000;
+
 // Create axios instance with default config
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:8000',
+  baseURL,
   timeout: 60000, // Default: 60 seconds (AI operations override this with 120s)
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Bare client for the refresh call so it never goes through the 401 interceptor
+const refreshClient = axios.create({
+  baseURL,
+  timeout: 15000,
+  withCredentials: true,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Requests that must never trigger a refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/token'];
+
+// Credential checks (password change, 2FA codes) reject wrong input with 400/403,
+// so a 401 from any other endpoint always means the access token expired
+
+let refreshPromise = null;
+let refreshTimer = null;
+
+/**
+ * Decode the `exp` claim (ms) from a JWT without verifying it
+ * @param {string} token - JWT access token
+ * @returns {number|null} Expiry in UTC milliseconds, or null if unreadable
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const decoded = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return decoded.exp ? decoded.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const clearSession = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+  localStorage.removeItem('access_token');
+  localStorage.removeItem('refresh_token');
+  // Dispatch event to update Redux state
+  window.dispatchEvent(new CustomEvent('auth:logout'));
+};
+
+/**
+ * Exchange the refresh token for a new access token.
+ * Concurrent callers share a single in-flight request.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    try {
+      const refreshToken = localStorage.getItem('refresh_token');
+      const response = await refreshClient.post('/auth/token',
+        refreshToken ? { refresh_token: refreshToken } : {}
+      );
+      const { access_token, refresh_token } = response.data;
+
+      if (!access_token) {
+        throw new Error('Token refresh returned no access token');
+      }
+
+      localStorage.setItem('access_token', access_token);
+      if (refresh_token) {
+        localStorage.setItem('refresh_token', refresh_token);
+      }
+
+      // Let Redux pick up the new token
+      window.dispatchEvent(new CustomEvent('auth:token-refreshed', { detail: { accessToken: access_token } }));
+      scheduleTokenRefresh(access_token);
+
+      return access_token;
+    } catch (error) {
+      clearSession();
+      throw error;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
+/**
+ * Schedule a proactive refresh shortly before the token's `exp`
+ * @param {string|null} token - Current access token (null cancels the timer)
+ */
+export const scheduleTokenRefresh = (token) => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  const expiry = token ? getTokenExpiry(token) : null;
+  if (!expiry) return;
+
+  const delay = Math.max(expiry - Date.now() - REFRESH_LEEWAY_MS, 0);
+  refreshTimer = setTimeout(() => {
+    refreshAccessToken().catch(error => {
+      console.warn('Proactive token refresh failed:', error);
+    });
+  }, delay);
+};
+
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some(endpoint => url.includes(endpoint));
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('access_token');
+  async (config) => {
+    let token = localStorage.getItem('access_token');
+
+    // Token about to expire (e.g. timer throttled in a background tab) - refresh first
+    if (token && !isAuthEndpoint(config.url)) {
+      const expiry = getTokenExpiry(token);
+      if (expiry && expiry - Date.now() < REFRESH_LEEWAY_MS / 2) {
+        try {
+          token = await refreshAccessToken();
+        } catch {
+          // Fall through - the 401 handler takes care of logout
+        }
+      }
+    }
+
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -23,18 +152,37 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Response interceptor - refresh once on 401 and replay the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Clear token on unauthorized, but let the ProtectedRoute handle redirects
-      localStorage.removeItem('access_token');
-      // Dispatch event to update Redux state
-      window.dispatchEvent(new CustomEvent('auth:logout'));
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthEndpoint(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const newToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return api(originalRequest);
+      } catch {
+        // Refresh failed - session already cleared, surface the original 401
+        return Promise.reject(error);
+      }
     }
+
+    // A replay that still fails after a successful refresh is the caller's error to show -
+    // the session itself is valid, so don't sign the user out
     return Promise.reject(error);
   }
 );
 
+// Resume proactive refresh for a token restored from a previous visit
+scheduleTokenRefresh(localStorage.getItem('access_token'));
+
 export default api;
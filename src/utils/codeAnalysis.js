@@ -0,0 +1,130 @@
+/**
+ * Code Analysis Utilities
+ *
+ * Parsing for the Code Analysis Agent's structured suggestions, shared by the
+ * OptimizationTips cards, the editor markers and the problems panel.
+ */
+
+export const SUGGESTION_TYPES = ['TIME', 'SPACE', 'READABILITY', 'EDGE_CASE'];
+
+export const SUGGESTION_TYPE_LABELS = {
+  TIME: 'Time',
+  SPACE: 'Space',
+  READABILITY: 'Readability',
+  EDGE_CASE: 'Edge case'
+};
+
+/**
+ * Parse structured analysis text from backend.
+ * 
+ * Expected format from backend:
+ *   SUCCESS_MESSAGE: Message here
+ *   
+ *   SUGGESTION|TYPE|Line X|Title|Explanation
+ *   SUGGESTION|TYPE|Line Y|Title|Explanation
+ *   
+ *   OVERALL: Assessment here
+ * 
+ * Or for optimal code:
+ *   SUCCESS_MESSAGE: Message here
+ *   
+ *   NO_SUGGESTIONS: Reason why code is already optimal
+ *   
+ *   OVERALL: Assessment here
+ * 
+ * Handles edge cases gracefully:
+ * - Missing components (provides defaults)
+ * - Malformed suggestions (skips them)
+ * - NO_SUGGESTIONS case (code is already optimal)
+ * - Empty responses (returns minimal valid structure)
+ */
+export const parseAnalysis = (text) => {
+  if (!text || typeof text !== 'string') {
+    return {
+      successMessage: 'Your code passed all tests!',
+      suggestions: [],
+      noSuggestionsReason: null,
+      overall: 'Great work on completing this problem!'
+    };
+  }
+
+  const lines = text.split('\n').filter(line => line.trim());
+  
+  const parsed = {
+    successMessage: '',
+    suggestions: [],
+    noSuggestionsReason: null,  // New field for optimal code
+    overall: ''
+  };
+  
+  lines.forEach(line => {
+    // Parse SUCCESS_MESSAGE
+    if (line.startsWith('SUCCESS_MESSAGE:')) {
+      parsed.successMessage = line.replace('SUCCESS_MESSAGE:', '').trim();
+    }
+    // Parse NO_SUGGESTIONS (code is already optimal)
+    else if (line.startsWith('NO_SUGGESTIONS:')) {
+      parsed.noSuggestionsReason = line.replace('NO_SUGGESTIONS:', '').trim();
+    }
+    // Parse SUGGESTION (pipe-delimited)
+    else if (line.startsWith('SUGGESTION|')) {
+      const parts = line.replace('SUGGESTION|', '').split('|');
+      
+      // Ensure we have all required fields
+      if (parts.length >= 4) {
+        const type = parts[0].trim();
+        const lineRef = parts[1].trim();
+        const title = parts[2].trim();
+        // Join remaining parts in case explanation contains pipes
+        const explanation = parts.slice(3).join('|').trim();
+        
+        // Validate suggestion type
+        if (SUGGESTION_TYPES.includes(type) && title && explanation) {
+          parsed.suggestions.push({
+            type,
+            line: lineRef,
+            lines: parseLineReference(lineRef),
+            title,
+            explanation
+          });
+        }
+      }
+    } 
+    // Parse OVERALL
+    else if (line.startsWith('OVERALL:')) {
+      parsed.overall = line.replace('OVERALL:', '').trim();
+    }
+  });
+  
+  // Provide defaults if components are missing
+  if (!parsed.successMessage) {
+    parsed.successMessage = 'Your code passed all tests!';
+  }
+  
+  if (!parsed.overall) {
+    parsed.overall = 'Great work on completing this problem!';
+  }
+  
+  return parsed;
+};
+
+/**
+ * Parse a suggestion's line reference ("Line 5", "Lines 3-7", "L12", "Line 4, 9")
+ * @param {string} lineRef - Line reference from the analysis
+ * @returns {Object|null} { startLine, endLine } (1-based), or null for "General"/"N/A"
+ */
+export const parseLineReference = (lineRef = '') => {
+  const numbers = (lineRef.match(/\d+/g) || []).map(Number).filter(n => n > 0);
+  if (numbers.length === 0) return null;
+
+  // "3-7" / "3 to 7" is a range; a list ("4, 9") spans its first to last entry
+  return {
+    startLine: Math.min(...numbers),
+    endLine: Math.max(...numbers)
+  };
+};
+
+export default {
+  parseAnalysis,
+  parseLineReference
+};
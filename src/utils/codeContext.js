@@ -0,0 +1,115 @@
+/**
+ * Code Context Utilities
+ *
+ * Lightweight, language-aware helpers for locating functions in editor code,
+ * used to scope AI actions ("Review complexity of this function") and to place
+ * code lenses. Heuristic on purpose - no parser is bundled for these languages.
+ */
+
+const CONTROL_KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'else', 'new', 'do', 'try', 'sizeof'
+]);
+
+// Function header patterns per language; the first capture group that matched is the name
+const FUNCTION_HEADERS = {
+  python: [/^\s*(?:async\s+)?def\s+(\w+)\s*\(/],
+  javascript: [
+    /^\s*(?:export\s+)?(?:async\s+)?function\s*\*?\s*(\w+)\s*\(/,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+    /^\s*(?:static\s+)?(?:async\s+)?(\w+)\s*\([^)]*\)\s*\{\s*$/
+  ],
+  java: [/^\s*(?:(?:public|private|protected|static|final|synchronized|abstract)\s+)*[\w<>[\],\s]+?\s+(\w+)\s*\([^;]*\)\s*(?:throws\s+[\w.,\s]+)?\{?\s*$/],
+  cpp: [/^\s*(?:(?:static|inline|virtual|constexpr)\s+)*[\w:<>,*&\s]+?[\s*&](\w+)\s*\([^;]*\)\s*(?:const\s*)?(?:override\s*)?\{?\s*$/],
+  go: [/^\s*func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/]
+};
+
+const matchFunctionHeader = (line, language) => {
+  const patterns = FUNCTION_HEADERS[language] || FUNCTION_HEADERS.javascript;
+  for (const pattern of patterns) {
+    const match = line.match(pattern);
+    if (match && !CONTROL_KEYWORDS.has(match[1])) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+const getIndent = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Python: the body ends before the next non-blank line indented at or above the header
+const findIndentedEnd = (lines, startIndex) => {
+  const headerIndent = getIndent(lines[startIndex]);
+  let end = startIndex;
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (getIndent(lines[i]) <= headerIndent) break;
+    end = i;
+  }
+  return end;
+};
+
+// Brace languages: follow { } depth from the header, skipping strings and line comments
+const findBraceEnd = (lines, startIndex) => {
+  let depth = 0;
+  let opened = false;
+
+  for (let i = startIndex; i < lines.length; i++) {
+    const line = lines[i].replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""').replace(/\/\/.*$/, '');
+
+    for (const char of line) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+        if (opened && depth === 0) return i;
+      }
+    }
+
+    // A header without a body (declaration / prototype)
+    if (!opened && i > startIndex + 1) return null;
+  }
+  return opened ? lines.length - 1 : null;
+};
+
+/**
+ * Find function definitions in source code
+ * @param {string} code - Source code
+ * @param {string} language - Language id (python, javascript, java, cpp, go)
+ * @returns {Array} [{ name, startLine, endLine }] with 1-based line numbers
+ */
+export const findFunctions = (code = '', language = 'python') => {
+  const lines = code.split('\n');
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const name = matchFunctionHeader(line, language);
+    if (!name) return;
+
+    const end = language === 'python' ? findIndentedEnd(lines, index) : findBraceEnd(lines, index);
+    if (end === null) return;
+
+    functions.push({ name, startLine: index + 1, endLine: end + 1 });
+  });
+
+  return functions;
+};
+
+/**
+ * Innermost function that contains a line
+ * @param {string} code - Source code
+ * @param {number} lineNumber - 1-based line number
+ * @param {string} language - Language id
+ * @returns {Object|null} { name, startLine, endLine }
+ */
+export const findEnclosingFunction = (code, lineNumber, language) => {
+  return findFunctions(code, language)
+    .filter(fn => fn.startLine <= lineNumber && fn.endLine >= lineNumber)
+    .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0] || null;
+};
+
+export default {
+  findFunctions,
+  findEnclosingFunction
+};
@@ -0,0 +1,265 @@
+/**
+ * Starter code templates for the coding workspace
+ *
+ * Priority: database `code_templates` → `default_code` (only in its own language) → hand-written
+ * `pythonTemplate`/`javaTemplate` → template derived from the question's Java signature.
+ * The Java signature (e.g. "int[] twoSum(int[] nums, int target)") is the most
+ * structured one we carry, so JavaScript, C++ and Go stubs are generated from it.
+ */
+
+// Language of a question's `default_code` when the question doesn't say
+const DEFAULT_CODE_LANGUAGE = 'python';
+
+// Java type -> { javascript (JSDoc), cpp, go }
+const TYPE_MAP = {
+  'void': { javascript: 'void', cpp: 'void', go: '' },
+  'int': { javascript: 'number', cpp: 'int', go: 'int' },
+  'long': { javascript: 'number', cpp: 'long long', go: 'int64' },
+  'double': { javascript: 'number', cpp: 'double', go: 'float64' },
+  'float': { javascript: 'number', cpp: 'float', go: 'float32' },
+  'boolean': { javascript: 'boolean', cpp: 'bool', go: 'bool' },
+  'char': { javascript: 'character', cpp: 'char', go: 'byte' },
+  'String': { javascript: 'string', cpp: 'string', go: 'string' },
+  'Integer': { javascript: 'number', cpp: 'int', go: 'int' },
+  'ListNode': { javascript: 'ListNode', cpp: 'ListNode*', go: '*ListNode' },
+  'TreeNode': { javascript: 'TreeNode', cpp: 'TreeNode*', go: '*TreeNode' }
+};
+
+const NODE_DEFINITIONS = {
+  ListNode: {
+    javascript: `/**
+ * Definition for singly-linked list.
+ * function ListNode(val, next) {
+ *     this.val = (val===undefined ? 0 : val)
+ *     this.next = (next===undefined ? null : next)
+ * }
+ */`,
+    cpp: `/**
+ * Definition for singly-linked list.
+ * struct ListNode {
+ *     int val;
+ *     ListNode *next;
+ *     ListNode() : val(0), next(nullptr) {}
+ *     ListNode(int x) : val(x), next(nullptr) {}
+ *     ListNode(int x, ListNode *next) : val(x), next(next) {}
+ * };
+ */`,
+    go: `/**
+ * Definition for singly-linked list.
+ * type ListNode struct {
+ *     Val int
+ *     Next *ListNode
+ * }
+ */`
+  },
+  TreeNode: {
+    javascript: `/**
+ * Definition for a binary tree node.
+ * function TreeNode(val, left, right) {
+ *     this.val = (val===undefined ? 0 : val)
+ *     this.left = (left===undefined ? null : left)
+ *     this.right = (right===undefined ? null : right)
+ * }
+ */`,
+    cpp: `/**
+ * Definition for a binary tree node.
+ * struct TreeNode {
+ *     int val;
+ *     TreeNode *left;
+ *     TreeNode *right;
+ *     TreeNode() : val(0), left(nullptr), right(nullptr) {}
+ *     TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+ * };
+ */`,
+    go: `/**
+ * Definition for a binary tree node.
+ * type TreeNode struct {
+ *     Val int
+ *     Left *TreeNode
+ *     Right *TreeNode
+ * }
+ */`
+  }
+};
+
+/**
+ * Translate a Java type (arrays and List<> generics included) to the target language
+ * @param {string} javaType - e.g. "int[]", "List<List<Integer>>", "Map<String, Integer>"
+ * @param {string} lang - 'javascript' | 'cpp' | 'go'
+ * @returns {string} Translated type
+ */
+export const translateType = (javaType, lang) => {
+  const type = javaType.trim();
+
+  const listMatch = type.match(/^List<(.+)>$/);
+  if (listMatch || type.endsWith('[]')) {
+    const inner = listMatch ? listMatch[1] : type.slice(0, -2);
+    const innerType = translateType(inner, lang);
+    if (lang === 'javascript') return `${innerType}[]`;
+    if (lang === 'cpp') return `vector<${innerType}>`;
+    return `[]${innerType}`;
+  }
+
+  const mapMatch = type.match(/^(?:Hash)?Map<(.+?),\s*(.+)>$/);
+  if (mapMatch) {
+    const keyType = translateType(mapMatch[1], lang);
+    const valueType = translateType(mapMatch[2], lang);
+    if (lang === 'javascript') return `Map<${keyType}, ${valueType}>`;
+    if (lang === 'cpp') return `unordered_map<${keyType}, ${valueType}>`;
+    return `map[${keyType}]${valueType}`;
+  }
+
+  return TYPE_MAP[type]?.[lang] ?? type;
+};
+
+/**
+ * Parse a Java method signature into name, return type and parameters
+ * @param {string} signature - e.g. "int[] twoSum(int[] nums, int target)"
+ * @returns {Object|null} { name, returnType, params: [{ name, type }] }
+ */
+export const parseJavaSignature = (signature) => {
+  const match = signature?.match(/^\s*(.+?)\s+(\w+)\s*\((.*)\)\s*$/);
+  if (!match) return null;
+
+  const [, returnType, name, paramList] = match;
+  const params = [];
+  let depth = 0;
+  let current = '';
+
+  // Split on top-level commas so List<Map<K, V>> stays intact
+  for (const char of paramList) {
+    if (char === '<') depth += 1;
+    if (char === '>') depth -= 1;
+    if (char === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) params.push(current);
+
+  return {
+    name,
+    returnType: returnType.replace(/^(public|private|static|\s)+/, '').trim(),
+    params: params.map(param => {
+      const parts = param.trim().split(/\s+/);
+      return { name: parts.pop(), type: parts.join(' ') };
+    })
+  };
+};
+
+const getNodeDefinitions = (parsed, lang) => {
+  const types = [parsed.returnType, ...parsed.params.map(p => p.type)].join(' ');
+  return Object.keys(NODE_DEFINITIONS)
+    .filter(node => types.includes(node))
+    .map(node => `${NODE_DEFINITIONS[node][lang]}\n`)
+    .join('');
+};
+
+const buildJavaScriptTemplate = (parsed) => {
+  const docParams = parsed.params
+    .map(p => ` * @param {${translateType(p.type, 'javascript')}} ${p.name}`)
+    .join('\n');
+  const returnType = translateType(parsed.returnType, 'javascript');
+
+  return `${getNodeDefinitions(parsed, 'javascript')}/**
+${docParams}
+ * @return {${returnType}}
+ */
+var ${parsed.name} = function(${parsed.params.map(p => p.name).join(', ')}) {
+    // Write your solution here
+
+};`;
+};
+
+const buildCppTemplate = (parsed) => {
+  const params = parsed.params.map(p => {
+    const type = translateType(p.type, 'cpp');
+    // Pass containers and strings by reference, as LeetCode does
+    const byRef = /^(vector|unordered_map)</.test(type) || type === 'string';
+    return `${type}${byRef ? '&' : ''} ${p.name}`;
+  });
+
+  return `${getNodeDefinitions(parsed, 'cpp')}class Solution {
+public:
+    ${translateType(parsed.returnType, 'cpp')} ${parsed.name}(${params.join(', ')}) {
+        // Write your solution here
+
+    }
+};`;
+};
+
+const buildGoTemplate = (parsed) => {
+  const params = parsed.params.map(p => `${p.name} ${translateType(p.type, 'go')}`);
+  const returnType = translateType(parsed.returnType, 'go');
+
+  return `${getNodeDefinitions(parsed, 'go')}func ${parsed.name}(${params.join(', ')})${returnType ? ` ${returnType}` : ''} {
+    // Write your solution here
+
+}`;
+};
+
+const TEMPLATE_BUILDERS = {
+  javascript: buildJavaScriptTemplate,
+  cpp: buildCppTemplate,
+  go: buildGoTemplate
+};
+
+// Generic stubs when a question carries no usable signature
+const FALLBACK_TEMPLATES = {
+  javascript: `/**
+ * @param {number[]} nums
+ * @return {number}
+ */
+var solution = function(nums) {
+    // Write your solution here
+
+};`,
+  cpp: `class Solution {
+public:
+    int solution(vector<int>& nums) {
+        // Write your solution here
+
+    }
+};`,
+  go: `func solution(nums []int) int {
+    // Write your solution here
+
+}`
+};
+
+/**
+ * Get the starter code for a question in the given language
+ * @param {string} lang - Language id
+ * @param {Object} question - Question (sample or roadmap format)
+ * @returns {string} Starter code
+ */
+export const getLanguageTemplate = (lang, question) => {
+  // First try to use code_templates from database
+  if (question?.code_templates && question.code_templates[lang]) {
+    return question.code_templates[lang];
+  }
+
+  // Fallback to default_code, but only for the language it's written in
+  const defaultCodeLanguage = question?.default_code_language || question?.default_language || DEFAULT_CODE_LANGUAGE;
+  if (question?.default_code && defaultCodeLanguage === lang) {
+    return question.default_code;
+  }
+
+  if (lang === 'python') {
+    return question?.pythonTemplate || `def solution(${question?.functionSignature?.python || 'nums'}):\n    # Write your code here\n    pass\n\n# Test your solution\nif __name__ == "__main__":\n    # Add test cases here\n    pass`;
+  }
+
+  if (lang === 'java') {
+    return question?.javaTemplate || `class Solution {\n    public ${question?.functionSignature?.java || 'int[] solution(int[] nums)'} {\n        // Write your code here\n        \n    }\n\n    public static void main(String[] args) {\n        Solution sol = new Solution();\n        // Add test cases here\n    }\n}`;
+  }
+
+  const builder = TEMPLATE_BUILDERS[lang];
+  if (!builder) return '';
+
+  const parsed = parseJavaSignature(question?.functionSignature?.java);
+  return parsed ? builder(parsed) : FALLBACK_TEMPLATES[lang];
+};
+
+export default getLanguageTemplate;
@@ -0,0 +1,388 @@
+/**
+ * Problem Constraint Parsing
+ *
+ * Turns a question's `constraints` strings plus a sample input into a parameter
+ * spec used by utils/stressTest.js to generate random inputs:
+ *   {
+ *     params: [{ name, type, sample, levels: [{ length, values, charset }, ...] }],
+ *     aliases: { m: 'grid.length' },
+ *     unparsed: ['Only one valid answer exists.']
+ *   }
+ *
+ * type is recursive: { kind: 'int' | 'float' | 'bool' | 'string' } or { kind: 'array', element }
+ * levels[0] constrains the parameter itself, levels[1] its elements, levels[2] nested elements:
+ *   "2 <= nums.length <= 10^4"   -> levels[0].length
+ *   "-10^9 <= nums[i] <= 10^9"   -> levels[1].values
+ *   "n == grid[i].length"        -> alias, then "1 <= m, n <= 200" -> levels[0|1].length
+ *   "grid[i][j] is '0' or '1'"   -> levels[2].choices
+ *   "nums is sorted in ascending order", "All values are unique" -> levels[0].sorted / unique
+ * Bounds are kept as expressions ({ min: '0', max: 'nums.length - 1' }) because they may
+ * refer to other parameters; evaluateBound resolves them while generating.
+ */
+
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const UPPERCASE = LOWERCASE.toUpperCase();
+const DIGITS = '0123456789';
+const SYMBOLS = '!#$%&*+-./:;<=>?@^_~';
+
+const PYTHON_LITERALS = { True: 'true', False: 'false', None: 'null' };
+
+// ---------------------------------------------------------------------------
+// Sample input
+// ---------------------------------------------------------------------------
+
+// Split "nums = [2,7], target = 9" on commas that are not inside brackets or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[' || ch === '{' || ch === '(') depth++;
+    else if (ch === ']' || ch === '}' || ch === ')') depth--;
+    else if (ch === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+const parseValue = (raw) => {
+  const text = raw.trim();
+  const candidates = [
+    text,
+    text.replace(/\b(True|False|None)\b/g, match => PYTHON_LITERALS[match]),
+    text.replace(/'/g, '"')
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next spelling
+    }
+  }
+  return text;
+};
+
+const inferType = (value) => {
+  if (typeof value === 'boolean') return { kind: 'bool' };
+  if (typeof value === 'number') return { kind: Number.isInteger(value) ? 'int' : 'float' };
+  if (typeof value === 'string') return { kind: 'string' };
+  if (Array.isArray(value)) {
+    const first = value.find(item => item !== null && item !== undefined);
+    return { kind: 'array', element: first === undefined ? { kind: 'int' } : inferType(first) };
+  }
+  return { kind: 'string' };
+};
+
+/**
+ * Parse a sample input ("nums = [2,7,11,15], target = 9") into named values
+ * @param {string} input - Sample test case input
+ * @returns {Array} [{ name, value, type }]
+ */
+export const parseSampleInput = (input = '') => {
+  const params = [];
+
+  splitTopLevel(String(input)).forEach(part => {
+    const match = part.match(/^\s*([A-Za-z_]\w*)\s*=\s*([\s\S]*)$/);
+    if (match) {
+      params.push({ name: match[1], raw: match[2] });
+    } else if (params.length > 0) {
+      // A stray top-level comma belongs to the previous value
+      params[params.length - 1].raw += `,${part}`;
+    }
+  });
+
+  return params.map(({ name, raw }) => {
+    const value = parseValue(raw);
+    return { name, value, type: inferType(value) };
+  });
+};
+
+/**
+ * Display form of a parameter type (int[], string[][])
+ * @param {Object} type - Parameter type
+ * @returns {string}
+ */
+export const describeType = (type) =>
+  type?.kind === 'array' ? `${describeType(type.element)}[]` : (type?.kind || 'unknown');
+
+// ---------------------------------------------------------------------------
+// Bound expressions
+// ---------------------------------------------------------------------------
+
+const tokenize = (expression) =>
+  expression.match(/\d+(?:\.\d+)?(?:e\d+)?|[A-Za-z_][\w]*(?:\[[a-z]\])*(?:\.length|\.size\(\))?|[-+*/^()]/g) || [];
+
+/**
+ * Evaluate a bound expression such as "2^31 - 1", "5 * 10^4" or "nums.length - 1"
+ * @param {string|number} expression - Bound expression
+ * @param {Object} env - Known values: { n: 5, 'nums.length': 4 }
+ * @param {Object} aliases - Names that stand for another expression (m -> grid.length)
+ * @returns {number|null} Value, or null when it refers to something unknown
+ */
+export const evaluateBound = (expression, env = {}, aliases = {}) => {
+  if (typeof expression === 'number') return expression;
+  if (expression === null || expression === undefined) return null;
+
+  const tokens = tokenize(String(expression).replace(/,(?=\d{3}\b)/g, ''));
+  let position = 0;
+
+  const resolve = (name) => {
+    const key = name.replace(/\.size\(\)$/, '.length');
+    if (env[key] !== undefined) return env[key];
+    if (aliases[key] !== undefined) return evaluateBound(aliases[key], env, {});
+    return null;
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (token === undefined) return null;
+    if (token === '(') {
+      const value = sum();
+      position++; // closing paren
+      return value;
+    }
+    if (token === '-') {
+      const value = power();
+      return value === null ? null : -value;
+    }
+    if (/^\d/.test(token)) return Number(token);
+    return resolve(token);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (tokens[position] === '^') {
+      position++;
+      const exponent = power();
+      return base === null || exponent === null ? null : base ** exponent;
+    }
+    return base;
+  };
+
+  const product = () => {
+    let value = power();
+    while (tokens[position] === '*' || tokens[position] === '/') {
+      const operator = tokens[position++];
+      const right = power();
+      if (value === null || right === null) return null;
+      value = operator === '*' ? value * right : Math.floor(value / right);
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    while (tokens[position] === '+' || tokens[position] === '-') {
+      const operator = tokens[position++];
+      const right = product();
+      if (value === null || right === null) return null;
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const value = sum();
+  return position === tokens.length && Number.isFinite(value) ? value : null;
+};
+
+// ---------------------------------------------------------------------------
+// Constraints
+// ---------------------------------------------------------------------------
+
+const normalizeConstraint = (text) => String(text)
+  .replace(/≤|\\leq?/g, '<=')
+  .replace(/≥|\\geq?/g, '>=')
+  .replace(/[`$]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/\.$/, '');
+
+/**
+ * Characters allowed by a "consists of ..." description
+ * @param {string} description - e.g. "lowercase English letters", "parentheses only '()[]{}'"
+ * @returns {string}
+ */
+export const buildCharset = (description = '') => {
+  const quoted = (description.match(/'([^']+)'|"([^"]+)"/g) || [])
+    .map(part => part.slice(1, -1))
+    .join('');
+
+  if (quoted && /\bonly\b/i.test(description)) {
+    return [...new Set(quoted)].join('');
+  }
+
+  let charset = quoted;
+  if (/lower-?case/i.test(description)) charset += LOWERCASE;
+  if (/upper-?case/i.test(description)) charset += UPPERCASE;
+  if (/english letters|letters/i.test(description) && !/(lower|upper)-?case/i.test(description)) {
+    charset += LOWERCASE + UPPERCASE;
+  }
+  if (/digits?/i.test(description)) charset += DIGITS;
+  if (/symbols?/i.test(description)) charset += SYMBOLS;
+  if (/spaces?/i.test(description)) charset += ' ';
+
+  return [...new Set(charset || LOWERCASE)].join('');
+};
+
+// "nums[i].length" -> { name: 'nums', level: 1, field: 'length' }
+const parseTarget = (target, aliases) => {
+  const text = target.trim().replace(/^len\((\w+)\)$/, '$1.length').replace(/\.size\(\)$/, '.length');
+  if (aliases[text]) return parseTarget(aliases[text], {});
+
+  const match = text.match(/^([A-Za-z_]\w*)((?:\[[a-z]\])*)(\.length)?$/);
+  if (!match) return null;
+
+  const level = (match[2].match(/\[/g) || []).length;
+  if (match[3]) return { name: match[1], level, field: 'length' };
+  // "x" bounds the value itself, "nums[i]" bounds the elements
+  return { name: match[1], level, field: 'values' };
+};
+
+const createLevel = () => ({ length: null, values: null, charset: null, choices: null, sorted: null, unique: false });
+
+const getLevel = (param, level) => {
+  while (param.levels.length <= level) param.levels.push(createLevel());
+  return param.levels[level];
+};
+
+// Parameters a sentence talks about, or every array when it names none
+const mentionedArrays = (params, sentence) => {
+  const arrays = params.filter(param => param.type.kind === 'array' || param.type.kind === 'string');
+  const named = arrays.filter(param => new RegExp(`\\b${param.name}\\b`).test(sentence));
+  return named.length > 0 ? named : arrays;
+};
+
+const isNodeList = (param) => param.type.kind === 'array' && param.type.element.kind === 'int';
+
+/**
+ * Parse a question's constraints against its sample input
+ * @param {Array} constraints - Constraint strings from the question
+ * @param {string} sampleInput - First sample test case input
+ * @returns {Object} { params, aliases, unparsed }
+ */
+export const parseConstraints = (constraints = [], sampleInput = '') => {
+  const params = parseSampleInput(sampleInput).map(({ name, value, type }) => ({
+    name,
+    type,
+    sample: value,
+    levels: [createLevel()]
+  }));
+  const byName = new Map(params.map(param => [param.name, param]));
+  const aliases = {};
+  const unparsed = [];
+
+  const applyRange = (targets, min, max) => {
+    let applied = false;
+    targets.forEach(targetText => {
+      const target = parseTarget(targetText, aliases);
+      const param = target && byName.get(target.name);
+      if (!param) return;
+      getLevel(param, target.level)[target.field] = { min, max };
+      applied = true;
+    });
+    return applied;
+  };
+
+  const lines = (constraints || []).map(normalizeConstraint).filter(Boolean);
+
+  // Aliases first so "1 <= m, n <= 200" can follow "m == grid.length" in any order
+  lines.forEach(line => {
+    const alias = line.match(/^([A-Za-z_]\w*) ?== ?([\w.[\]()]+)$/);
+    if (alias && !byName.has(alias[1])) {
+      aliases[alias[1]] = alias[2].replace(/\.size\(\)$/, '.length');
+    }
+  });
+
+  lines.forEach(line => {
+    if (/^([A-Za-z_]\w*) ?== ?[\w.[\]()]+$/.test(line) && aliases[line.split(/ ?== ?/)[0]]) return;
+
+    // a <= x <= b, also with < and several targets ("1 <= m, n <= 200")
+    const range = line.match(/^(.+?) ?(<=|<) ?([A-Za-z_][\w.[\](), ]*?) ?(<=|<) ?(.+)$/);
+    if (range) {
+      const [, left, leftOp, targets, rightOp, right] = range;
+      const min = leftOp === '<' ? `${left} + 1` : left;
+      const max = rightOp === '<' ? `(${right}) - 1` : right;
+      const names = targets.split(',').map(name => name.trim());
+
+      if (names.some(name => /^Node\.val$/i.test(name))) {
+        params.filter(isNodeList).forEach(param => { getLevel(param, 1).values = { min, max }; });
+        return;
+      }
+      if (applyRange(names, min, max)) return;
+    }
+
+    // "The number of nodes in the list is in the range [0, 50]" / "Node.val is in the range [...]"
+    const inRange = line.match(/^(.+?) (?:is|are) in the range \[ ?(.+?) ?, ?(.+?) ?\]$/i);
+    if (inRange) {
+      const [, subject, min, max] = inRange;
+      if (/number of (nodes|elements)/i.test(subject)) {
+        mentionedArrays(params, subject).forEach(param => { getLevel(param, 0).length = { min, max }; });
+        return;
+      }
+      if (/node\.val/i.test(subject)) {
+        params.filter(isNodeList).forEach(param => { getLevel(param, 1).values = { min, max }; });
+        return;
+      }
+      if (applyRange(subject.split(/,| and /).map(name => name.trim()).filter(name => IDENTIFIER.test(name.split(/[.[]/)[0])), min, max)) return;
+    }
+
+    // "s consists of lowercase English letters", "words[i] consists of ..."
+    const consists = line.match(/^([A-Za-z_]\w*)((?:\[[a-z]\])*) (?:consists?|contains?) (?:only )?of (.+)$/i);
+    if (consists && byName.has(consists[1])) {
+      const param = byName.get(consists[1]);
+      const level = consists[2] ? (consists[2].match(/\[/g) || []).length : (param.type.kind === 'string' ? 0 : 1);
+      getLevel(param, level).charset = buildCharset(consists[3]);
+      return;
+    }
+
+    // "grid[i][j] is '0' or '1'", "nums[i] is either 0 or 1"
+    const choice = line.match(/^([\w.[\]]+) (?:is|are) (?:either )?(.+ or .+)$/i);
+    if (choice) {
+      const target = parseTarget(choice[1], aliases);
+      const param = target && byName.get(target.name);
+      if (param && target.field === 'values') {
+        getLevel(param, target.level).choices = choice[2]
+          .split(/,? or |, /)
+          .map(option => parseValue(option.trim()));
+        return;
+      }
+    }
+
+    if (/\bsorted\b/i.test(line)) {
+      const descending = /\b(?<!non-)(decreasing|descending)\b/i.test(line) && !/non-increasing|ascending/i.test(line);
+      mentionedArrays(params, line).forEach(param => { getLevel(param, 0).sorted = descending ? 'desc' : 'asc'; });
+      return;
+    }
+
+    if (/\b(unique|distinct)\b/i.test(line)) {
+      mentionedArrays(params, line).forEach(param => { getLevel(param, 0).unique = true; });
+      return;
+    }
+
+    unparsed.push(line);
+  });
+
+  return { params, aliases, unparsed };
+};
+
+export default {
+  parseSampleInput,
+  parseConstraints,
+  evaluateBound,
+  buildCharset,
+  describeType
+};
@@ -0,0 +1,134 @@
+/**
+ * Custom Test Case Utilities
+ *
+ * Normalization plus JSON import/export for user-defined test cases.
+ *
+ * Export format:
+ *   { question_id, question_title, exported_at, test_cases: [{ input, expected_output }] }
+ * Import accepts that format or a bare array of { input, expected_output | output }.
+ */
+
+export const MAX_CUSTOM_TESTS = 50;
+
+/**
+ * localStorage key for a user's custom tests on a question (offline copy)
+ * @param {string|number|null} userId - Current user ID
+ * @param {string|number} questionId - Question ID
+ * @returns {string}
+ */
+export const getCustomTestsStorageKey = (userId, questionId) =>
+  `custom_tests_${userId ?? 'anonymous'}_${questionId}`;
+
+export const createTestCaseId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Imported values may be JSON (arrays, numbers); tests store them as text
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Normalize a test case into { id, input, expected_output, custom }
+ * @param {Object} testCase - Raw test case
+ * @returns {Object}
+ */
+export const normalizeTestCase = (testCase = {}) => ({
+  id: testCase.id || createTestCaseId(),
+  input: toText(testCase.input),
+  expected_output: toText(testCase.expected_output ?? testCase.output),
+  custom: true
+});
+
+/**
+ * Parse an imported JSON file
+ * @param {string} text - File contents
+ * @returns {Array} Normalized test cases
+ * @throws {Error} With a user-facing message when the file is not valid
+ */
+export const parseTestCaseImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.test_cases;
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected an array of test cases or an object with "test_cases".');
+  }
+
+  const testCases = entries
+    .filter(entry => entry && typeof entry === 'object' && entry.input !== undefined)
+    .map(entry => normalizeTestCase({ input: entry.input, expected_output: entry.expected_output ?? entry.output }));
+
+  if (testCases.length === 0) {
+    throw new Error('No test cases with an "input" field were found.');
+  }
+
+  return testCases;
+};
+
+/**
+ * Build the JSON export for a question's custom test cases
+ * @param {Object} question - Current question
+ * @param {Array} testCases - Custom test cases
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildTestCaseExport = (question, testCases) => JSON.stringify({
+  question_id: question?.id ?? null,
+  question_title: question?.title || null,
+  exported_at: new Date().toISOString(),
+  test_cases: testCases.map(({ input, expected_output }) => ({ input, expected_output }))
+}, null, 2);
+
+/**
+ * Build the batch for a Run: sample tests first, then custom tests that have
+ * both an input and an expected output
+ * @param {Array} sampleTestCases - question.sample_test_cases
+ * @param {Array} customTestCases - User's custom test cases
+ * @returns {Array} [{ input, expected_output, label, custom }]
+ */
+export const buildRunBatch = (sampleTestCases = [], customTestCases = []) => [
+  ...sampleTestCases.map((testCase, index) => ({
+    input: testCase.input,
+    expected_output: testCase.expected_output || testCase.output,
+    label: `Test Case ${index + 1}`,
+    custom: false
+  })),
+  ...customTestCases
+    .map((testCase, index) => ({
+      input: testCase.input,
+      expected_output: testCase.expected_output,
+      label: `Custom Test Case ${index + 1}`,
+      custom: true
+    }))
+    .filter(testCase => testCase.input.trim() && testCase.expected_output.trim())
+];
+
+/**
+ * Copy batch labels onto the run result's test_results (same order as submitted)
+ * @param {Object} result - Run result
+ * @param {Array} batch - Test cases from buildRunBatch
+ * @returns {Object} Result with labelled test_results
+ */
+export const labelTestResults = (result, batch) => {
+  if (!Array.isArray(result?.test_results)) return result;
+
+  return {
+    ...result,
+    test_results: result.test_results.map((test, index) => (
+      batch[index] ? { ...test, label: batch[index].label, custom: batch[index].custom } : test
+    ))
+  };
+};
+
+export default {
+  getCustomTestsStorageKey,
+  normalizeTestCase,
+  parseTestCaseImport,
+  buildTestCaseExport,
+  buildRunBatch,
+  labelTestResults
+};
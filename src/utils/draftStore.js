@@ -0,0 +1,113 @@
+/**
+ * Local draft store for the coding workspace
+ *
+ * IndexedDB-backed so every edit survives reloads, crashes and offline periods.
+ * One record per session + question:
+ *   { key, sessionId, questionId, language, code, baseCode, dirty, updatedAt, syncedAt }
+ * `baseCode` is the last code known to be on the server - comparing it with the
+ * server's current copy tells us whether someone else (another tab) changed it.
+ */
+
+const DB_NAME = 'intellit-drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+const isIndexedDBAvailable = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run a single request against the drafts store
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Build the draft key for a session/question pair
+ * Drafts written without a backend session are stored under 'local'.
+ */
+export const getDraftKey = (sessionId, questionId) =>
+  `${sessionId || 'local'}:${questionId}`;
+
+/**
+ * Read a draft
+ * @param {string} key - Draft key from getDraftKey
+ * @returns {Promise<Object|null>} Draft record or null
+ */
+export const getDraft = async (key) => {
+  if (!isIndexedDBAvailable()) return null;
+
+  try {
+    return (await withStore('readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.warn('Failed to read code draft:', error);
+    return null;
+  }
+};
+
+/**
+ * Write (upsert) a draft
+ * @param {Object} draft - Draft record, must include `key`
+ */
+export const saveDraft = async (draft) => {
+  if (!isIndexedDBAvailable()) return;
+
+  try {
+    await withStore('readwrite', store => store.put({ ...draft, updatedAt: draft.updatedAt || Date.now() }));
+  } catch (error) {
+    console.warn('Failed to save code draft:', error);
+  }
+};
+
+/**
+ * Remove a draft
+ * @param {string} key - Draft key from getDraftKey
+ */
+export const deleteDraft = async (key) => {
+  if (!isIndexedDBAvailable()) return;
+
+  try {
+    await withStore('readwrite', store => store.delete(key));
+  } catch (error) {
+    console.warn('Failed to delete code draft:', error);
+  }
+};
+
+export default {
+  getDraftKey,
+  getDraft,
+  saveDraft,
+  deleteDraft
+};
@@ -0,0 +1,214 @@
+/**
+ * Interview Scorecard
+ *
+ * Scores a finished mock interview from what happened during it: runs and
+ * submissions, the conversation with the interviewer, hint usage, focus losses
+ * and the behavior metrics recorded for the session. Every category is 0-100 and
+ * comes with short notes explaining the score.
+ */
+
+import { SCORECARD_CATEGORIES, HINT_POLICIES, HINT_PENALTY_POINTS } from '../constants/mockInterview';
+
+const VERDICTS = [
+  { min: 85, label: 'Strong hire' },
+  { min: 70, label: 'Hire' },
+  { min: 50, label: 'Lean no hire' },
+  { min: 0, label: 'No hire' }
+];
+
+const COMPLEXITY_PATTERN = /\bO\(|complexity|big[- ]?o\b|\blinear\b|logarithmic|quadratic|\bn log n\b/i;
+const EDGE_CASE_PATTERN = /edge case|corner case|\bempty\b|\bnull\b|\bnone\b|negative|duplicate|overflow|single element|boundary|\bzero\b/i;
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const formatMinutes = (seconds) => `${Math.max(1, Math.round(seconds / 60))} min`;
+
+const passRatio = (attempt) => (attempt.total > 0 ? attempt.passed / attempt.total : 0);
+
+const scoreCorrectness = ({ submissions, runs, accepted }) => {
+  if (accepted) {
+    return { score: 100, notes: ['Accepted solution'] };
+  }
+
+  const attempts = [...submissions, ...runs];
+  if (attempts.length === 0) {
+    return { score: 0, notes: ['No code was run or submitted'] };
+  }
+
+  const best = Math.max(...attempts.map(passRatio));
+  return {
+    score: clamp(best * 70),
+    notes: [`Best attempt passed ${Math.round(best * 100)}% of the tests`, 'No accepted submission']
+  };
+};
+
+const scoreTesting = ({ submissions, runs, accepted }) => {
+  if (submissions.length === 0) {
+    return runs.length > 0
+      ? { score: 50, notes: [`Ran the code ${runs.length}× but never submitted`] }
+      : { score: 0, notes: ['Code was never run'] };
+  }
+
+  const notes = [];
+  let score = 100;
+
+  const firstSubmitAt = submissions[0].at;
+  if (!runs.some(run => run.at <= firstSubmitAt)) {
+    score -= 30;
+    notes.push('Submitted without running the tests first');
+  } else {
+    notes.push('Ran the tests before submitting');
+  }
+
+  const acceptedIndex = submissions.findIndex(submission => submission.success);
+  const failed = accepted ? acceptedIndex : submissions.length;
+  if (failed > 0) {
+    score -= failed * 15;
+    notes.push(`${failed} failed submission${failed === 1 ? '' : 's'}`);
+  }
+
+  return { score: clamp(score), notes };
+};
+
+const scoreCommunication = ({ messages }) => {
+  const candidate = messages.filter(msg => msg.role === 'user').map(msg => msg.content || '');
+  if (candidate.length === 0) {
+    return { score: 0, notes: ['Did not talk to the interviewer'] };
+  }
+
+  const notes = [`${candidate.length} message${candidate.length === 1 ? '' : 's'} to the interviewer`];
+  let score = 20 + Math.min(30, candidate.length * 10);
+
+  if (candidate.some(text => text.includes('?'))) {
+    score += 15;
+    notes.push('Asked clarifying questions');
+  }
+  if (candidate.some(text => COMPLEXITY_PATTERN.test(text))) {
+    score += 20;
+    notes.push('Discussed time/space complexity');
+  } else {
+    notes.push('Complexity was not discussed');
+  }
+  if (candidate.some(text => EDGE_CASE_PATTERN.test(text))) {
+    score += 15;
+    notes.push('Talked through edge cases');
+  } else {
+    notes.push('Edge cases were not discussed');
+  }
+
+  return { score: clamp(score), notes };
+};
+
+const scoreTime = ({ submissions, accepted, durationSeconds, endReason }) => {
+  if (!accepted) {
+    return endReason === 'time_up'
+      ? { score: 20, notes: ['Ran out of time before an accepted solution'] }
+      : { score: 10, notes: ['Ended the interview without an accepted solution'] };
+  }
+
+  const acceptedAt = submissions.find(submission => submission.success).at;
+  const used = acceptedAt / durationSeconds;
+  // Full marks up to 60% of the time, then down to 60 at the buzzer
+  const score = used <= 0.6 ? 100 : 100 - ((used - 0.6) / 0.4) * 40;
+  return { score: clamp(score), notes: [`Solved in ${formatMinutes(acceptedAt)} of ${formatMinutes(durationSeconds)}`] };
+};
+
+const scoreFocus = ({ focusLosses, fullscreenExits, behaviorMetrics }) => {
+  const notes = [];
+  let score = 100 - focusLosses * 10 - fullscreenExits * 15;
+
+  notes.push(focusLosses === 0
+    ? 'Stayed on the interview tab'
+    : `Left the interview tab ${focusLosses}×`);
+  if (fullscreenExits > 0) {
+    notes.push(`Exited fullscreen ${fullscreenExits}×`);
+  }
+
+  const productivity = behaviorMetrics?.productivity?.score;
+  if (typeof productivity === 'number') {
+    score = score * 0.7 + productivity * 0.3;
+    notes.push(`Typing productivity ${Math.round(productivity)}/100${behaviorMetrics.productivity.flowState ? ' (flow state)' : ''}`);
+  }
+
+  return { score: clamp(score), notes };
+};
+
+const SCORERS = {
+  correctness: scoreCorrectness,
+  testing: scoreTesting,
+  communication: scoreCommunication,
+  time: scoreTime,
+  focus: scoreFocus
+};
+
+/**
+ * Build the end-of-interview scorecard
+ * @param {Object} interview
+ * @param {number} interview.durationSeconds - Interview length
+ * @param {number} interview.elapsedSeconds - Time used
+ * @param {string} interview.endReason - 'time_up' | 'ended'
+ * @param {Array} interview.runs - [{ passed, total, at }] with `at` in elapsed seconds
+ * @param {Array} interview.submissions - [{ success, passed, total, at }]
+ * @param {Array} interview.messages - Chat messages ({ role, content })
+ * @param {number} interview.hintsUsed - Hints requested during the interview
+ * @param {string} interview.hintPolicy - One of HINT_POLICIES
+ * @param {number} interview.focusLosses - Times the tab/window lost focus
+ * @param {number} interview.fullscreenExits - Times fullscreen was left
+ * @param {Object} interview.behaviorMetrics - Live behavior metrics, if recorded
+ * @returns {Object} { overall, verdict, hintPenalty, categories: [{ id, label, weight, score, notes }], stats }
+ */
+export const buildInterviewScorecard = ({
+  durationSeconds,
+  elapsedSeconds,
+  endReason = 'ended',
+  runs = [],
+  submissions = [],
+  messages = [],
+  hintsUsed = 0,
+  hintPolicy = HINT_POLICIES.DISABLED,
+  focusLosses = 0,
+  fullscreenExits = 0,
+  behaviorMetrics = null
+}) => {
+  const input = {
+    durationSeconds,
+    endReason,
+    runs,
+    submissions,
+    messages,
+    focusLosses,
+    fullscreenExits,
+    behaviorMetrics,
+    accepted: submissions.some(submission => submission.success)
+  };
+
+  const categories = SCORECARD_CATEGORIES.map(category => ({
+    ...category,
+    ...SCORERS[category.id](input)
+  }));
+
+  const weighted = categories.reduce((total, category) => total + category.score * category.weight, 0);
+  const hintPenalty = hintPolicy === HINT_POLICIES.PENALIZED ? hintsUsed * HINT_PENALTY_POINTS : 0;
+  const overall = clamp(weighted - hintPenalty);
+
+  return {
+    overall,
+    verdict: VERDICTS.find(verdict => overall >= verdict.min).label,
+    hintPenalty,
+    categories,
+    stats: {
+      elapsedSeconds,
+      durationSeconds,
+      endReason,
+      runs: runs.length,
+      submissions: submissions.length,
+      accepted: input.accepted,
+      hintsUsed,
+      candidateMessages: messages.filter(msg => msg.role === 'user').length
+    }
+  };
+};
+
+export default {
+  buildInterviewScorecard
+};
@@ -0,0 +1,120 @@
+/**
+ * Leaderboard Utilities
+ *
+ * Normalizes GET /dashboard/rankings responses. Privacy is enforced by the backend,
+ * which is asked for `apply_privacy` rows for the viewer behind the auth token
+ * (AccountSettings -> privacy.profileVisibility / privacy.showProgress):
+ * - showProgress off: the row is left out of other people's boards
+ * - profileVisibility 'private': sent as an anonymous row (rank kept, no name or username)
+ * - profileVisibility 'friends': named only for friends
+ * The client-side checks below only decide how rows are displayed - they are a
+ * fallback for rows the backend already filtered, not a privacy control.
+ */
+
+import { DEFAULT_PRIVACY_PREFERENCES } from '../constants/preferences';
+import { LEADERBOARD_SCOPES } from '../constants/leaderboards';
+
+export const ANONYMOUS_NAME = 'Anonymous coder';
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize one leaderboard row
+ * @returns {Object} { userKey, rank, name, username, country, score, problemsSolved, rating,
+ *   profileVisibility, showProgress, isFriend, isCurrentUser, anonymous }
+ */
+export const normalizeEntry = (raw = {}) => {
+  const privacy = raw.privacy || {};
+
+  return {
+    userKey: raw.user_key ?? raw.userKey ?? raw._key ?? raw.id ?? null,
+    rank: toNumber(raw.rank ?? raw.position),
+    name: raw.name || raw.display_name || raw.username || ANONYMOUS_NAME,
+    username: raw.username || null,
+    country: raw.country || raw.country_code || null,
+    score: toNumber(raw.score ?? raw.points),
+    problemsSolved: toNumber(raw.problems_solved ?? raw.problemsSolved),
+    rating: toNumber(raw.rating),
+    profileVisibility: privacy.profileVisibility ?? raw.profile_visibility ?? DEFAULT_PRIVACY_PREFERENCES.profileVisibility,
+    showProgress: privacy.showProgress ?? raw.show_progress ?? DEFAULT_PRIVACY_PREFERENCES.showProgress,
+    isFriend: Boolean(raw.is_friend ?? raw.isFriend),
+    isCurrentUser: Boolean(raw.is_current_user ?? raw.isCurrentUser),
+    anonymous: Boolean(raw.anonymous)
+  };
+};
+
+/**
+ * Display an entry according to its owner's privacy preferences (display only - see module docs)
+ * @param {Object} entry - Normalized entry
+ * @param {string} scope - LEADERBOARD_SCOPES value
+ * @returns {Object|null} The entry, an anonymized copy, or null if it must be hidden
+ */
+export const applyEntryPrivacy = (entry, scope) => {
+  if (entry.isCurrentUser) return entry;
+  if (!entry.showProgress) return null;
+  if (entry.anonymous) return { ...entry, name: ANONYMOUS_NAME, username: null, country: null };
+
+  const isFriend = entry.isFriend || scope === LEADERBOARD_SCOPES.FRIENDS;
+  const isHidden = entry.profileVisibility === 'private' ||
+    (entry.profileVisibility === 'friends' && !isFriend);
+
+  return isHidden
+    ? { ...entry, name: ANONYMOUS_NAME, username: null, country: null, anonymous: true }
+    : entry;
+};
+
+/**
+ * Normalize a rankings response - `{ entries | rankings, current_user, total }` or a bare array
+ * @param {Object|Array} response
+ * @param {Object} options - { scope, currentUserKey }
+ * @returns {Object} { entries, currentUserEntry, total }
+ */
+export const normalizeLeaderboard = (response, { scope, currentUserKey = null } = {}) => {
+  const rows = Array.isArray(response) ? response : response?.entries || response?.rankings || [];
+
+  const entries = rows
+    .map(normalizeEntry)
+    .map(entry => ({
+      ...entry,
+      isCurrentUser: entry.isCurrentUser || (currentUserKey !== null && String(entry.userKey) === String(currentUserKey))
+    }))
+    .map(entry => applyEntryPrivacy(entry, scope))
+    .filter(Boolean)
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+
+  const ownRow = response?.current_user ? { ...normalizeEntry(response.current_user), isCurrentUser: true } : null;
+
+  return {
+    entries,
+    currentUserEntry: entries.find(entry => entry.isCurrentUser) || ownRow,
+    total: response?.total ?? rows.length
+  };
+};
+
+/**
+ * Explain how the current user's privacy settings affect what others see
+ * @param {Object} privacy - privacy preferences of the current user
+ * @returns {string|null}
+ */
+export const getOwnVisibilityNotice = (privacy = DEFAULT_PRIVACY_PREFERENCES) => {
+  if (privacy.showProgress === false) {
+    return "Show Progress is off, so you don't appear on other people's leaderboards.";
+  }
+  if (privacy.profileVisibility === 'private') {
+    return 'Your profile is private, so others see you as an anonymous coder.';
+  }
+  if (privacy.profileVisibility === 'friends') {
+    return 'Your profile is friends-only, so only friends see your name.';
+  }
+  return null;
+};
+
+export default {
+  normalizeEntry,
+  applyEntryPrivacy,
+  normalizeLeaderboard,
+  getOwnVisibilityNotice
+};
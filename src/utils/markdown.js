@@ -0,0 +1,284 @@
+/**
+ * Markdown Utilities
+ *
+ * A small Markdown parser for assistant replies. It produces a plain AST that
+ * MarkdownContent renders as React elements, so raw HTML in the source is never
+ * injected into the page - it simply shows up as text.
+ *
+ * Blocks:  heading, paragraph, code (fenced), list, blockquote, table, hr
+ * Inlines: text, code, strong, em, del, image, link, math ($...$), complexity (O(n log n))
+ */
+
+import { resolveLanguageId } from '../constants/languages';
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+// Only these link targets are rendered as anchors
+const SAFE_URL = /^(https?:|mailto:)/i;
+const SAFE_IMAGE_URL = /^(https?:|data:image\/(png|jpe?g|gif|webp);base64,)/i;
+
+const LATEX_SYMBOLS = {
+  log: 'log',
+  ln: 'ln',
+  cdot: '·',
+  times: '×',
+  le: '≤',
+  leq: '≤',
+  ge: '≥',
+  geq: '≥',
+  neq: '≠',
+  approx: '≈',
+  infty: '∞',
+  sum: '∑',
+  lfloor: '⌊',
+  rfloor: '⌋',
+  lceil: '⌈',
+  rceil: '⌉',
+  Theta: 'Θ',
+  Omega: 'Ω',
+  alpha: 'α',
+  beta: 'β',
+  to: '→',
+  rightarrow: '→',
+  left: '',
+  right: ''
+};
+
+/**
+ * Format LaTeX-style math (e.g. "n \log n", "n^{2}", "\sqrt{n}") into text segments
+ * @param {string} expression - Math source without delimiters
+ * @returns {Array} [{ text, script: 'sup' | 'sub' | null }]
+ */
+export const formatMath = (expression = '') => {
+  const text = expression
+    .replace(/\\sqrt\{([^}]*)\}/g, (_, inner) => (inner.length > 1 ? `√(${inner})` : `√${inner}`))
+    .replace(/\\([a-zA-Z]+)/g, (match, name) => LATEX_SYMBOLS[name] ?? name)
+    .replace(/\\([{}])/g, '$1');
+
+  const segments = [];
+  const pattern = /([\^_])(\{([^}]*)\}|([^\s{}]))/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), script: null });
+    }
+    segments.push({ text: match[3] ?? match[4], script: match[1] === '^' ? 'sup' : 'sub' });
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), script: null });
+  }
+
+  return segments;
+};
+
+// code | $math$ | **strong** | __strong__ | ~~del~~ | *em* | _em_ | ![image](url) | [link](url) | O(...) complexity
+const INLINE_PATTERN = new RegExp([
+  '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',
+  '\\$([^$\\n]+?)\\$',
+  '\\*\\*([\\s\\S]+?)\\*\\*',
+  '__([\\s\\S]+?)__',
+  '~~([\\s\\S]+?)~~',
+  '\\*([^*\\s](?:[^*]*[^*\\s])?)\\*',
+  '(?<![\\w])_([^_\\s](?:[^_]*[^_\\s])?)_(?![\\w])',
+  '!\\[([^\\]]*)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)',
+  '\\[([^\\]]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)',
+  '(?<![\\w])([OΘΩ])\\(((?:[^()]|\\([^()]*\\))+)\\)'
+].join('|'), 'g');
+
+/**
+ * Parse inline Markdown into nodes
+ * @param {string} text - Inline source
+ * @returns {Array} Inline nodes
+ */
+export const parseInline = (text = '') => {
+  const nodes = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+
+    const [, , code, math, strong, strongAlt, del, em, emAlt, imageAlt, imageUrl, linkText, linkUrl, bigO, bigOArg] = match;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code.trim() });
+    } else if (math !== undefined) {
+      nodes.push({ type: 'math', segments: formatMath(math) });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (del !== undefined) {
+      nodes.push({ type: 'del', children: parseInline(del) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+    } else if (imageAlt !== undefined) {
+      nodes.push(SAFE_IMAGE_URL.test(imageUrl)
+        ? { type: 'image', src: imageUrl, alt: imageAlt }
+        : { type: 'text', text: imageAlt });
+    } else if (linkText !== undefined) {
+      nodes.push(SAFE_URL.test(linkUrl)
+        ? { type: 'link', href: linkUrl, children: parseInline(linkText) }
+        : { type: 'text', text: linkText });
+    } else if (bigO !== undefined) {
+      nodes.push({ type: 'complexity', symbol: bigO, segments: formatMath(bigOArg) });
+    }
+
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+
+  return nodes;
+};
+
+const splitTableRow = (line) =>
+  line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const getAlignment = (cell) => {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  return left ? 'left' : null;
+};
+
+const isBlockStart = (line, nextLine) =>
+  FENCE.test(line) || HEADING.test(line) || HR.test(line) || BLOCKQUOTE.test(line) ||
+  LIST_ITEM.test(line) || (line.includes('|') && TABLE_SEPARATOR.test(nextLine || ''));
+
+/**
+ * Parse Markdown source into block nodes
+ * Unclosed code fences (e.g. while a reply is still streaming) run to the end of the text.
+ * @param {string} source - Markdown text
+ * @returns {Array} Block nodes
+ */
+export const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      blocks.push({ type: 'code', language: resolveLanguageId(fence[2]), code: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(getAlignment);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]).map(cell => parseInline(cell)));
+        i++;
+      }
+      blocks.push({ type: 'table', header: header.map(cell => parseInline(cell)), align, rows });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const baseIndent = listItem[1].length;
+      const ordered = /\d/.test(listItem[2]);
+      const items = [];
+
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM);
+        if (!itemMatch || itemMatch[1].length !== baseIndent || /\d/.test(itemMatch[2]) !== ordered) break;
+
+        const itemLines = [itemMatch[3]];
+        i++;
+
+        // Continuation lines and nested lists belong to this item
+        while (i < lines.length && lines[i].trim()) {
+          const nested = lines[i].match(LIST_ITEM);
+          const indent = lines[i].match(/^\s*/)[0].length;
+          if (nested && indent <= baseIndent) break;
+          if (!nested && indent <= baseIndent && isBlockStart(lines[i], lines[i + 1])) break;
+          itemLines.push(lines[i].slice(Math.min(indent, baseIndent + 2)));
+          i++;
+        }
+
+        const [first, ...rest] = itemLines;
+        items.push({
+          children: parseInline(first),
+          blocks: rest.length > 0 ? parseMarkdown(rest.join('\n')) : []
+        });
+
+        // A single blank line between items keeps the list going
+        if (!lines[i]?.trim() && lines[i + 1]?.match(LIST_ITEM)?.[1].length === baseIndent) {
+          i++;
+        }
+      }
+
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listItem[2], 10) : null, items });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+export default {
+  parseMarkdown,
+  parseInline,
+  formatMath
+};
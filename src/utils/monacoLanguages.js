@@ -0,0 +1,163 @@
+/**
+ * Monaco language setup for the coding workspace
+ * Language configuration (brackets, comments, indentation) and snippet completions
+ * for every language in PROGRAMMING_LANGUAGES.
+ */
+
+// Providers are global to the Monaco instance - register each language once
+const configuredLanguages = new Set();
+
+const C_STYLE_CONFIGURATION = {
+  comments: {
+    lineComment: '//',
+    blockComment: ['/*', '*/']
+  },
+  brackets: [
+    ['{', '}'],
+    ['[', ']'],
+    ['(', ')']
+  ],
+  autoClosingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"', notIn: ['string'] },
+    { open: "'", close: "'", notIn: ['string', 'comment'] }
+  ],
+  surroundingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"' },
+    { open: "'", close: "'" }
+  ]
+};
+
+// Build a snippet completion provider from [label, insertText, documentation] tuples
+const registerSnippets = (monaco, lang, snippets) => {
+  monaco.languages.registerCompletionItemProvider(lang, {
+    provideCompletionItems: () => ({
+      suggestions: snippets.map(([label, insertText, documentation]) => ({
+        label,
+        kind: monaco.languages.CompletionItemKind.Snippet,
+        insertText,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        documentation
+      }))
+    })
+  });
+};
+
+const setupPython = (monaco) => {
+  monaco.languages.setLanguageConfiguration('python', {
+    ...C_STYLE_CONFIGURATION,
+    comments: {
+      lineComment: '#',
+      blockComment: ['"""', '"""']
+    },
+    indentationRules: {
+      increaseIndentPattern: /^.*:\s*$/,
+      decreaseIndentPattern: /^(return|break|continue|pass|raise)\b.*$/
+    }
+  });
+
+  registerSnippets(monaco, 'python', [
+    ['def', 'def ${1:function_name}(${2:parameters}):\n    ${3:pass}', 'Function definition'],
+    ['class', 'class ${1:ClassName}:\n    def __init__(self${2:, parameters}):\n        ${3:pass}', 'Class definition'],
+    ['if', 'if ${1:condition}:\n    ${2:pass}', 'If statement'],
+    ['for', 'for ${1:item} in ${2:iterable}:\n    ${3:pass}', 'For loop'],
+    ['while', 'while ${1:condition}:\n    ${2:pass}', 'While loop'],
+    ['try', 'try:\n    ${1:pass}\nexcept ${2:Exception} as ${3:e}:\n    ${4:pass}', 'Try-except block']
+  ]);
+};
+
+const setupJava = (monaco) => {
+  monaco.languages.setLanguageConfiguration('java', C_STYLE_CONFIGURATION);
+
+  registerSnippets(monaco, 'java', [
+    ['public method', 'public ${1:void} ${2:methodName}(${3:parameters}) {\n    ${4:// TODO}\n}', 'Public method'],
+    ['private method', 'private ${1:void} ${2:methodName}(${3:parameters}) {\n    ${4:// TODO}\n}', 'Private method'],
+    ['for loop', 'for (${1:int i = 0}; ${2:i < length}; ${3:i++}) {\n    ${4:// TODO}\n}', 'For loop'],
+    ['enhanced for', 'for (${1:Type} ${2:item} : ${3:collection}) {\n    ${4:// TODO}\n}', 'Enhanced for loop'],
+    ['if statement', 'if (${1:condition}) {\n    ${2:// TODO}\n}', 'If statement'],
+    ['try-catch', 'try {\n    ${1:// TODO}\n} catch (${2:Exception} ${3:e}) {\n    ${4:// Handle exception}\n}', 'Try-catch block']
+  ]);
+};
+
+const setupJavaScript = (monaco) => {
+  monaco.languages.setLanguageConfiguration('javascript', {
+    ...C_STYLE_CONFIGURATION,
+    autoClosingPairs: [
+      ...C_STYLE_CONFIGURATION.autoClosingPairs,
+      { open: '`', close: '`', notIn: ['string', 'comment'] }
+    ]
+  });
+
+  registerSnippets(monaco, 'javascript', [
+    ['function', 'function ${1:name}(${2:params}) {\n    ${3:// TODO}\n}', 'Function declaration'],
+    ['arrow', 'const ${1:name} = (${2:params}) => {\n    ${3:// TODO}\n};', 'Arrow function'],
+    ['for', 'for (let ${1:i} = 0; ${1:i} < ${2:array}.length; ${1:i}++) {\n    ${3:// TODO}\n}', 'For loop'],
+    ['for of', 'for (const ${1:item} of ${2:iterable}) {\n    ${3:// TODO}\n}', 'For...of loop'],
+    ['if', 'if (${1:condition}) {\n    ${2:// TODO}\n}', 'If statement'],
+    ['map', 'const ${1:map} = new Map();', 'Map declaration'],
+    ['set', 'const ${1:set} = new Set();', 'Set declaration']
+  ]);
+};
+
+const setupCpp = (monaco) => {
+  monaco.languages.setLanguageConfiguration('cpp', C_STYLE_CONFIGURATION);
+
+  registerSnippets(monaco, 'cpp', [
+    ['for', 'for (int ${1:i} = 0; ${1:i} < ${2:n}; ${1:i}++) {\n    ${3:// TODO}\n}', 'For loop'],
+    ['for range', 'for (auto& ${1:item} : ${2:container}) {\n    ${3:// TODO}\n}', 'Range-based for loop'],
+    ['if', 'if (${1:condition}) {\n    ${2:// TODO}\n}', 'If statement'],
+    ['while', 'while (${1:condition}) {\n    ${2:// TODO}\n}', 'While loop'],
+    ['vector', 'vector<${1:int}> ${2:v};', 'Vector declaration'],
+    ['unordered_map', 'unordered_map<${1:int}, ${2:int}> ${3:m};', 'Hash map declaration'],
+    ['include', '#include <${1:bits/stdc++.h}>', 'Include directive']
+  ]);
+};
+
+const setupGo = (monaco) => {
+  monaco.languages.setLanguageConfiguration('go', {
+    ...C_STYLE_CONFIGURATION,
+    autoClosingPairs: [
+      ...C_STYLE_CONFIGURATION.autoClosingPairs,
+      { open: '`', close: '`', notIn: ['string', 'comment'] }
+    ]
+  });
+
+  registerSnippets(monaco, 'go', [
+    ['func', 'func ${1:name}(${2:params}) ${3:returnType} {\n    ${4:// TODO}\n}', 'Function declaration'],
+    ['for', 'for ${1:i} := 0; ${1:i} < ${2:n}; ${1:i}++ {\n    ${3:// TODO}\n}', 'For loop'],
+    ['for range', 'for ${1:i}, ${2:v} := range ${3:slice} {\n    ${4:// TODO}\n}', 'Range loop'],
+    ['if', 'if ${1:condition} {\n    ${2:// TODO}\n}', 'If statement'],
+    ['if err', 'if err != nil {\n    ${1:return err}\n}', 'Error check'],
+    ['make map', '${1:m} := make(map[${2:int}]${3:int})', 'Map declaration'],
+    ['make slice', '${1:s} := make([]${2:int}, ${3:0})', 'Slice declaration']
+  ]);
+};
+
+const LANGUAGE_SETUP = {
+  python: setupPython,
+  java: setupJava,
+  javascript: setupJavaScript,
+  cpp: setupCpp,
+  go: setupGo
+};
+
+/**
+ * Configure language-specific editing features and IntelliSense snippets
+ * @param {Object} monaco - Monaco namespace from the editor's onMount
+ * @param {string} lang - Language id
+ */
+export const setupLanguageFeatures = (monaco, lang) => {
+  if (!monaco || configuredLanguages.has(lang) || !LANGUAGE_SETUP[lang]) {
+    return;
+  }
+
+  LANGUAGE_SETUP[lang](monaco);
+  configuredLanguages.add(lang);
+};
+
+export default setupLanguageFeatures;
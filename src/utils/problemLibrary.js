@@ -0,0 +1,91 @@
+/**
+ * Problem Library Utilities
+ *
+ * Builds the GET /problems query from the library filters and normalizes the
+ * paginated response: either `{ problems | items, total, page, page_size, acceptance_rate_unit }`
+ * or a bare array (treated as a single page).
+ */
+
+import {
+  PROBLEM_STATUSES,
+  PROBLEMS_PAGE_SIZE,
+  ACCEPTANCE_RATE_UNITS,
+  DEFAULT_ACCEPTANCE_RATE_UNIT
+} from '../constants/problemLibrary';
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? item : item?.name || item?.label)).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Query parameters for GET /problems - empty filters are left out
+ * @param {Object} filters - { search, difficulty, tag, status, sort, page }
+ */
+export const buildProblemQuery = ({ search = '', difficulty = 'all', tag = 'all', status = 'all', sort = 'recent', page = 1 }) => {
+  const query = { page, page_size: PROBLEMS_PAGE_SIZE, sort };
+  if (search.trim()) query.search = search.trim();
+  if (difficulty !== 'all') query.difficulty = difficulty;
+  if (tag !== 'all') query.tags = tag;
+  if (status !== 'all') query.status = status;
+  return query;
+};
+
+/**
+ * Normalize a problem row
+ * @param {Object} raw - Problem row
+ * @param {Object} options - { acceptanceUnit } - one of ACCEPTANCE_RATE_UNITS
+ * @returns {Object} { id, title, difficulty, tags, acceptanceRate (percent), status }
+ */
+export const normalizeProblem = (raw = {}, { acceptanceUnit = DEFAULT_ACCEPTANCE_RATE_UNIT } = {}) => {
+  const acceptance = Number(raw.acceptance_rate ?? raw.acceptanceRate ?? raw.ac_rate);
+  const scale = acceptanceUnit === ACCEPTANCE_RATE_UNITS.FRACTION ? 100 : 1;
+  const status = String(raw.status ?? raw.user_status ?? raw.userStatus ?? PROBLEM_STATUSES.UNSOLVED).toLowerCase();
+
+  return {
+    id: raw.id ?? raw.key ?? raw._key ?? raw.question_id,
+    title: raw.title || raw.leetcode_title || raw.original_title || 'Untitled',
+    difficulty: String(raw.difficulty || raw.leetcode_difficulty || 'medium').toLowerCase(),
+    tags: toList(raw.tags ?? raw.topics),
+    acceptanceRate: Number.isFinite(acceptance) ? acceptance * scale : null,
+    status: Object.values(PROBLEM_STATUSES).includes(status) ? status : PROBLEM_STATUSES.UNSOLVED
+  };
+};
+
+/**
+ * Normalize a GET /problems response
+ * @param {Object|Array} response
+ * @param {number} requestedPage - Page that was requested, used when the response omits it
+ * @returns {Object} { problems, page, totalPages, total }
+ */
+export const normalizeProblemPage = (response, requestedPage = 1) => {
+  if (Array.isArray(response)) {
+    return { problems: response.map(row => normalizeProblem(row)), page: 1, totalPages: 1, total: response.length };
+  }
+
+  const acceptanceUnit = response?.acceptance_rate_unit || DEFAULT_ACCEPTANCE_RATE_UNIT;
+
+  const rows = response?.problems || response?.items || [];
+  const pageSize = response?.page_size || response?.pageSize || PROBLEMS_PAGE_SIZE;
+  const total = response?.total ?? response?.total_count ?? rows.length;
+
+  return {
+    problems: rows.map(row => normalizeProblem(row, { acceptanceUnit })),
+    page: response?.page || requestedPage,
+    totalPages: response?.total_pages || response?.totalPages || Math.max(1, Math.ceil(total / pageSize)),
+    total
+  };
+};
+
+/**
+ * Tag names from GET /problems/tags - strings or { name, count } objects
+ */
+export const normalizeTags = (response) => toList(Array.isArray(response) ? response : response?.tags);
+
+export default {
+  buildProblemQuery,
+  normalizeProblem,
+  normalizeProblemPage,
+  normalizeTags
+};
@@ -0,0 +1,91 @@
+/**
+ * Open Graph metadata for public profiles (/u/:username)
+ *
+ * Kept free of imports so the Netlify edge function that fills in link previews
+ * (netlify/edge-functions/profile-meta.js) can share it with the app.
+ */
+
+export const SITE_NAME = 'IntelliCode';
+export const SITE_URL = 'https://intellicode.redomic.in';
+export const DEFAULT_IMAGE = `${SITE_URL}/logo.png`;
+
+// Tags from index.html that get per-profile values
+export const META_FIELDS = [
+  { attribute: 'name', key: 'description', field: 'description' },
+  { attribute: 'property', key: 'og:url', field: 'url' },
+  { attribute: 'property', key: 'og:title', field: 'title' },
+  { attribute: 'property', key: 'og:description', field: 'description' },
+  { attribute: 'property', key: 'og:image', field: 'image' },
+  { attribute: 'property', key: 'twitter:url', field: 'url' },
+  { attribute: 'property', key: 'twitter:title', field: 'title' },
+  { attribute: 'property', key: 'twitter:description', field: 'description' },
+  { attribute: 'property', key: 'twitter:image', field: 'image' }
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * @param {Object} profile - Public profile response, or null if it couldn't be loaded
+ * @param {string} username - Username from the URL
+ * @returns {Object} { title, description, url, image }
+ */
+export const buildProfileMeta = (profile, username) => {
+  const url = `${SITE_URL}/u/${encodeURIComponent(username)}`;
+  const name = profile?.name || profile?.display_name || username;
+  const visibility = profile?.privacy?.profileVisibility ?? profile?.profile_visibility ?? 'public';
+
+  // Private and friends-only profiles only reveal the username
+  if (!profile || visibility !== 'public') {
+    return {
+      title: `@${username} · ${SITE_NAME}`,
+      description: `@${username} is learning data structures and algorithms on ${SITE_NAME}.`,
+      url,
+      image: DEFAULT_IMAGE
+    };
+  }
+
+  const showProgress = profile.privacy?.showProgress ?? profile.show_progress ?? true;
+  const showActivity = profile.privacy?.showActivity ?? profile.show_activity ?? true;
+  const facts = [];
+  if (showProgress && profile.problems_solved != null) facts.push(`${profile.problems_solved} problems solved`);
+  if (showActivity && profile.streak?.current_streak) facts.push(`${profile.streak.current_streak}-day streak`);
+  if (showProgress && profile.rating != null) facts.push(`rating ${profile.rating}`);
+
+  return {
+    title: `${name} (@${username}) · ${SITE_NAME}`,
+    description: facts.length
+      ? `${name} on ${SITE_NAME}: ${facts.join(' · ')}.`
+      : `${name} is learning data structures and algorithms on ${SITE_NAME}.`,
+    url,
+    image: profile.avatar_url || DEFAULT_IMAGE
+  };
+};
+
+/**
+ * Swap the default title, canonical URL and META_FIELDS in the index.html markup
+ * @param {string} html - index.html as served
+ * @param {Object} meta - buildProfileMeta result
+ * @returns {string}
+ */
+export const applyMetaToHtml = (html, meta) => {
+  let result = html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(meta.title)}</title>`)
+    .replace(/(<link\s+rel="canonical"\s+href=")[^"]*(")/, (_, start, end) => `${start}${escapeHtml(meta.url)}${end}`);
+
+  META_FIELDS.forEach(({ attribute, key, field }) => {
+    const tag = new RegExp(`(<meta\\s+${attribute}="${key}"\\s+content=")[^"]*(")`);
+    // Replacer function so `$` in names isn't read as a substitution pattern
+    result = result.replace(tag, (_, start, end) => `${start}${escapeHtml(meta[field])}${end}`);
+  });
+
+  return result;
+};
+
+export default {
+  buildProfileMeta,
+  applyMetaToHtml
+};
@@ -0,0 +1,160 @@
+/**
+ * Public Profile Utilities
+ *
+ * Normalizes GET /users/:username/public and decides which sections a visitor
+ * may see, based on the owner's privacy preferences (AccountSettings):
+ * - profileVisibility 'private': nothing but the username
+ * - profileVisibility 'friends': full profile for friends only
+ * - showProgress off: no rating, solved counts, roadmaps or badges
+ * - showActivity off: no heatmap or streak
+ * The owner always sees everything.
+ */
+
+import { DEFAULT_PRIVACY_PREFERENCES } from '../constants/preferences';
+import { getAchievement } from '../constants/achievements';
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Username used in /u/:username links for a logged-in user
+ * @param {Object} user - currentUser from the store
+ * @returns {string|null}
+ */
+export const getProfileUsername = (user) => user?.username || user?.email?.split('@')[0] || null;
+
+const normalizeRoadmap = (raw = {}) => ({
+  courseId: raw.course_id ?? raw.course ?? null,
+  courseName: raw.course_name || raw.title || raw.course_id || raw.course || 'Roadmap',
+  progress: toNumber(raw.progress_percentage) ?? 0,
+  completed: toNumber(raw.completed_questions) ?? 0,
+  total: toNumber(raw.total_questions) ?? 0
+});
+
+// Badges may come back as bare ids - fill in names and icons from the definitions
+const normalizeBadge = (raw = {}) => {
+  const id = typeof raw === 'string' ? raw : raw.id ?? raw.badge_id ?? raw.key ?? raw.name;
+  const definition = getAchievement(id) || {};
+
+  return {
+    id,
+    name: raw.name || raw.title || definition.name || 'Badge',
+    description: raw.description || definition.description || '',
+    icon: raw.icon || definition.icon || null,
+    earnedAt: raw.earned_at ?? raw.unlocked_at ?? raw.earnedAt ?? null
+  };
+};
+
+/**
+ * Normalize a public profile response
+ * @param {Object} raw
+ * @param {string} username - Username from the URL, used when the response omits it
+ * @returns {Object|null}
+ */
+export const normalizePublicProfile = (raw, username) => {
+  if (!raw) return null;
+
+  const privacy = raw.privacy || {};
+  const solved = raw.solved_by_difficulty || raw.solvedByDifficulty || {};
+
+  return {
+    userKey: raw.user_key ?? raw._key ?? raw.key ?? null,
+    username: raw.username || username,
+    name: raw.name || raw.display_name || raw.username || username,
+    bio: raw.bio || '',
+    country: raw.country || null,
+    avatarUrl: raw.avatar_url || null,
+    joinedAt: raw.joined_at ?? raw.created_at ?? null,
+    isOwner: Boolean(raw.is_owner ?? raw.isOwner),
+    isFriend: Boolean(raw.is_friend ?? raw.isFriend),
+    privacy: {
+      profileVisibility: privacy.profileVisibility ?? raw.profile_visibility ?? DEFAULT_PRIVACY_PREFERENCES.profileVisibility,
+      showProgress: privacy.showProgress ?? raw.show_progress ?? DEFAULT_PRIVACY_PREFERENCES.showProgress,
+      showActivity: privacy.showActivity ?? raw.show_activity ?? DEFAULT_PRIVACY_PREFERENCES.showActivity
+    },
+    stats: {
+      rating: toNumber(raw.rating),
+      rank: raw.rank || null,
+      maxRating: toNumber(raw.max_rating),
+      globalRank: toNumber(raw.global_rank),
+      problemsSolved: toNumber(raw.problems_solved),
+      acceptanceRate: toNumber(raw.acceptance_rate)
+    },
+    solvedByDifficulty: {
+      easy: toNumber(solved.easy) ?? 0,
+      medium: toNumber(solved.medium) ?? 0,
+      hard: toNumber(solved.hard) ?? 0
+    },
+    heatmap: raw.heatmap || raw.contribution_heatmap || null,
+    streak: raw.streak || null,
+    roadmaps: (raw.roadmaps || []).map(normalizeRoadmap),
+    badges: (raw.badges || []).map(normalizeBadge)
+  };
+};
+
+/**
+ * Whether the logged-in user owns a profile
+ * Trusts the backend's is_owner, otherwise compares the user key or a real username -
+ * never the email prefix, which another account's username may share
+ * @param {Object} profile - Normalized profile
+ * @param {Object} user - currentUser from the store
+ * @returns {boolean}
+ */
+export const isProfileOwner = (profile, user) => {
+  if (!profile || !user) return false;
+  if (profile.isOwner) return true;
+
+  const userKey = user._key || user.key || null;
+  if (userKey && profile.userKey) return String(userKey) === String(profile.userKey);
+  return Boolean(user.username) && user.username === profile.username;
+};
+
+/**
+ * Decide what the current visitor may see
+ * @param {Object} profile - Normalized profile
+ * @param {boolean} isOwner - Whether the visitor is the profile owner
+ * @returns {Object} { canView, message, showProgress, showActivity }
+ */
+export const getProfileAccess = (profile, isOwner = false) => {
+  if (isOwner) {
+    return { canView: true, message: null, showProgress: true, showActivity: true };
+  }
+
+  const { profileVisibility, showProgress, showActivity } = profile.privacy;
+
+  if (profileVisibility === 'private') {
+    return { canView: false, message: 'This profile is private.', showProgress: false, showActivity: false };
+  }
+  if (profileVisibility === 'friends' && !profile.isFriend) {
+    return { canView: false, message: 'Only friends can see this profile.', showProgress: false, showActivity: false };
+  }
+
+  return { canView: true, message: null, showProgress: Boolean(showProgress), showActivity: Boolean(showActivity) };
+};
+
+/**
+ * Sections the owner's privacy settings hide from visitors, for the owner's own view
+ * @param {Object} privacy - Normalized profile privacy
+ * @returns {string|null}
+ */
+export const getOwnerVisibilityNotice = (privacy) => {
+  if (privacy.profileVisibility === 'private') return 'Your profile is private. Visitors only see your username.';
+  if (privacy.profileVisibility === 'friends') return 'Your profile is friends-only. Other visitors only see your username.';
+
+  const hidden = [
+    !privacy.showProgress && 'progress',
+    !privacy.showActivity && 'activity'
+  ].filter(Boolean);
+
+  return hidden.length ? `Your ${hidden.join(' and ')} is hidden from visitors.` : null;
+};
+
+export default {
+  getProfileUsername,
+  normalizePublicProfile,
+  isProfileOwner,
+  getProfileAccess,
+  getOwnerVisibilityNotice
+};
@@ -0,0 +1,149 @@
+/**
+ * Spaced Repetition Review Scheduler (SM-2)
+ *
+ * Each solved problem gets a review item:
+ *   { question_key, question_title, course, difficulty,
+ *     ease_factor, interval_days, repetitions, due_at, last_reviewed_at, last_quality }
+ *
+ * Every accepted submission is graded 0-5 from solve time, hints used and
+ * failed runs, then the item's next due date is rescheduled with SM-2.
+ */
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+
+// Grades below this reset the interval (SM-2 "failed recall")
+export const PASSING_QUALITY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roadmap steps completed before the queue existed are seeded with this grade,
+// spread over the coming days so they don't all come due at once
+export const SEED_QUALITY = 4;
+export const SEED_REVIEWS_PER_DAY = 3;
+
+// Solve time considered "on pace" for each difficulty
+export const EXPECTED_SOLVE_SECONDS = {
+  easy: 15 * 60,
+  medium: 30 * 60,
+  hard: 45 * 60
+};
+
+/**
+ * Grade an attempt on the SM-2 0-5 quality scale
+ * @param {Object} attempt - { solveTimeSeconds, hintsUsed, failedRuns, difficulty }
+ * @returns {number} Quality 0-5
+ */
+export const gradeAttempt = ({ solveTimeSeconds = 0, hintsUsed = 0, failedRuns = 0, difficulty = 'medium' } = {}) => {
+  const expected = EXPECTED_SOLVE_SECONDS[difficulty?.toLowerCase()] || EXPECTED_SOLVE_SECONDS.medium;
+
+  let quality = 5;
+
+  // Each hint means less was recalled unaided
+  quality -= Math.min(hintsUsed, 3);
+
+  if (failedRuns >= 3) quality -= 2;
+  else if (failedRuns > 0) quality -= 1;
+
+  if (solveTimeSeconds > expected * 2) quality -= 2;
+  else if (solveTimeSeconds > expected) quality -= 1;
+
+  return Math.max(0, Math.min(5, quality));
+};
+
+/**
+ * Reschedule a review item after an attempt
+ * @param {Object|null} item - Existing review item (null for a first solve)
+ * @param {number} quality - Attempt quality 0-5
+ * @param {Date} now - Review time
+ * @returns {Object} Updated scheduling fields
+ */
+export const scheduleReview = (item, quality, now = new Date()) => {
+  const previousEase = item?.ease_factor ?? DEFAULT_EASE_FACTOR;
+  const previousInterval = item?.interval_days ?? 0;
+  const previousRepetitions = item?.repetitions ?? 0;
+
+  let repetitions;
+  let intervalDays;
+
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions = previousRepetitions + 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(previousInterval * previousEase);
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previousEase + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+
+  return {
+    ease_factor: Number(easeFactor.toFixed(2)),
+    interval_days: intervalDays,
+    repetitions,
+    last_quality: quality,
+    last_reviewed_at: now.toISOString(),
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Review items that are due, most overdue first
+ * @param {Array} items - Review items
+ * @param {Date} now - Current time
+ * @returns {Array} Due items with `days_overdue`
+ */
+export const getDueReviews = (items = [], now = new Date()) => {
+  return items
+    .filter(item => item.due_at && new Date(item.due_at) <= now)
+    .map(item => ({
+      ...item,
+      days_overdue: Math.floor((now - new Date(item.due_at)) / DAY_MS)
+    }))
+    .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+};
+
+/**
+ * Review items for completed roadmap questions that aren't in the queue yet
+ * @param {Array} roadmaps - [{ course, questions, completedSteps }]
+ * @param {Object} options - { existingKeys, now }
+ * @returns {Array} New review items
+ */
+export const buildSeedReviewItems = (roadmaps = [], { existingKeys = [], now = new Date() } = {}) => {
+  const seen = new Set(existingKeys.map(String));
+  const schedule = scheduleReview(null, SEED_QUALITY, now);
+
+  return roadmaps
+    .flatMap(({ course, questions = [], completedSteps = [] }) => {
+      const completed = new Set(completedSteps);
+      return questions
+        .filter(question => completed.has(question.step_number))
+        .map(question => ({
+          question_key: String(question.key || question._key || question.question_id || ''),
+          question_title: question.leetcode_title || question.original_title || question.title || null,
+          course,
+          difficulty: question.leetcode_difficulty || question.difficulty || 'medium'
+        }));
+    })
+    .filter(item => {
+      if (!item.question_key || seen.has(item.question_key)) return false;
+      seen.add(item.question_key);
+      return true;
+    })
+    .map((item, index) => ({
+      ...item,
+      ...schedule,
+      due_at: new Date(now.getTime() + (1 + Math.floor(index / SEED_REVIEWS_PER_DAY)) * DAY_MS).toISOString()
+    }));
+};
+
+export default {
+  gradeAttempt,
+  scheduleReview,
+  getDueReviews,
+  buildSeedReviewItems
+};
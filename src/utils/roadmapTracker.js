@@ -1,170 +1,243 @@
 /**
- * Utility functions for tracking user's active roadmap and progress
- * Now integrates with backend API for course activation
+ * Utility functions for tracking user's enrolled roadmaps and progress
+ * Users can be enrolled in several courses concurrently; one of them is primary
+ * Enrollment is stored on the backend with localStorage as a backup
  * Progress tracking is done via backend only - no localStorage for user progress
  */
 
 import courseActivationAPI from '../services/courseActivationAPI';
+import { evaluateUnlockRules } from './unlockRules';
 
 const STORAGE_KEYS = {
-  ACTIVE_ROADMAP: 'intellicode_active_roadmap',
-  ACTIVE_COURSE: 'intellicode_active_course', // Single course storage
+  ACTIVE_ROADMAP: 'intellicode_active_roadmap', // Roadmap the user last opened
+  ENROLLED_COURSES: 'intellicode_enrolled_courses', // courseId -> enrollment
+  LEGACY_ACTIVE_COURSE: 'intellicode_active_course' // Pre multi-course storage
 };
 
+/**
+ * Build a display name from a course slug (e.g. 'graph-series' -> 'Graph Series')
+ * Used when the backend does not send a course name
+ * @param {string} courseId - The course identifier
+ * @returns {string} - Display name
+ */
+export const formatCourseName = (courseId = '') =>
+  courseId.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
 export class RoadmapTracker {
   /**
-   * Activate a roadmap for the user (backend integration) - Only one course can be active
+   * Enroll the user in a roadmap (backend integration) - existing enrollments are kept
+   * The first enrolled course becomes the primary course
    * @param {string} courseId - The course identifier (e.g., 'strivers-a2z')
    * @param {string} courseName - The display name of the course
    */
   static async activateRoadmap(courseId, courseName) {
+    const enrolled = this.getEnrolledCoursesSync();
+    const isPrimary = !Object.values(enrolled).some(course => course.isPrimary);
+
     try {
-      // Call backend API - this will replace any previously active course
-      await courseActivationAPI.activateCourse(courseId);
-      
-      // Update local storage as backup - store single active course
-      const activeCourse = {
-        courseId,
-        courseName,
-        activatedAt: new Date().toISOString()
-      };
-      localStorage.setItem(STORAGE_KEYS.ACTIVE_COURSE, JSON.stringify(activeCourse));
-      
-      // Also set as current active roadmap
-      this.setActiveRoadmap(courseId, courseName);
+      await courseActivationAPI.enrollCourse(courseId, isPrimary);
     } catch (error) {
-      console.error('Failed to activate roadmap on backend:', error);
-      // Fallback to localStorage only
-      const activeCourse = {
-        courseId,
-        courseName,
-        activatedAt: new Date().toISOString()
-      };
-      localStorage.setItem(STORAGE_KEYS.ACTIVE_COURSE, JSON.stringify(activeCourse));
-      this.setActiveRoadmap(courseId, courseName);
+      console.error('Failed to enroll in roadmap on backend:', error);
+      // Fall through and keep the enrollment in localStorage only
     }
+
+    enrolled[courseId] = {
+      courseId,
+      courseName: courseName || formatCourseName(courseId),
+      enrolledAt: new Date().toISOString(),
+      isPrimary
+    };
+    this.saveEnrolledCourses(enrolled);
+    this.setActiveRoadmap(courseId, enrolled[courseId].courseName);
   }
 
   /**
-   * Deactivate the currently active roadmap (backend integration)
-   * @param {string} courseId - The course identifier to deactivate
+   * Remove the user's enrollment in a roadmap (backend integration)
+   * If the primary course is removed, the earliest remaining enrollment becomes primary
+   * @param {string} courseId - The course identifier to unenroll from
    */
   static async deactivateRoadmap(courseId) {
     try {
-      // Call backend API - will only deactivate if this course is currently active
-      await courseActivationAPI.deactivateCourse(courseId);
-      
-      // Clear local storage
-      localStorage.removeItem(STORAGE_KEYS.ACTIVE_COURSE);
-      localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
+      await courseActivationAPI.unenrollCourse(courseId);
     } catch (error) {
-      console.error('Failed to deactivate roadmap on backend:', error);
-      // Fallback to localStorage only - check if this course is currently active
-      const activeCourse = this.getActiveCourseSync();
-      if (activeCourse && activeCourse.courseId === courseId) {
-        localStorage.removeItem(STORAGE_KEYS.ACTIVE_COURSE);
-        localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
+      console.error('Failed to unenroll from roadmap on backend:', error);
+    }
+
+    const enrolled = this.getEnrolledCoursesSync();
+    const wasPrimary = enrolled[courseId]?.isPrimary;
+    delete enrolled[courseId];
+
+    if (wasPrimary) {
+      const [nextPrimary] = Object.values(enrolled)
+        .sort((a, b) => new Date(a.enrolledAt) - new Date(b.enrolledAt));
+      if (nextPrimary) {
+        nextPrimary.isPrimary = true;
       }
     }
+    this.saveEnrolledCourses(enrolled);
+
+    const activeRoadmap = this.getStoredActiveRoadmap();
+    if (activeRoadmap?.courseId === courseId) {
+      localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
+    }
   }
 
   /**
-   * Check if a roadmap is the currently active course (synchronous check)
+   * Mark an enrolled roadmap as the user's primary course (backend integration)
    * @param {string} courseId - The course identifier
-   * @returns {boolean} - Whether this roadmap is the active course
+   */
+  static async setPrimaryRoadmap(courseId) {
+    try {
+      await courseActivationAPI.setPrimaryCourse(courseId);
+    } catch (error) {
+      console.error('Failed to set primary roadmap on backend:', error);
+    }
+
+    const enrolled = this.getEnrolledCoursesSync();
+    if (!enrolled[courseId]) return;
+
+    Object.values(enrolled).forEach(course => {
+      course.isPrimary = course.courseId === courseId;
+    });
+    this.saveEnrolledCourses(enrolled);
+  }
+
+  /**
+   * Check if the user is enrolled in a roadmap (synchronous check)
+   * @param {string} courseId - The course identifier
+   * @returns {boolean} - Whether the user is enrolled
    */
   static isRoadmapActivated(courseId) {
-    const activeCourse = this.getActiveCourseSync();
-    return activeCourse ? activeCourse.courseId === courseId : false;
+    return Boolean(this.getEnrolledCoursesSync()[courseId]);
   }
 
   /**
-   * Check if a roadmap is the currently active course (async with backend sync)
+   * Check if the user is enrolled in a roadmap (async with backend sync)
    * @param {string} courseId - The course identifier
-   * @returns {Promise<boolean>} - Whether this roadmap is the active course
+   * @returns {Promise<boolean>} - Whether the user is enrolled
    */
   static async isRoadmapActivatedAsync(courseId) {
-    const activeCourse = await this.getActiveCourse();
-    return activeCourse ? activeCourse.courseId === courseId : false;
+    const enrolled = await this.getActivatedRoadmaps();
+    return Boolean(enrolled[courseId]);
   }
 
   /**
-   * Get the currently active course (with backend sync)
-   * @returns {Promise<Object|null>} - Active course data or null
+   * Get the user's primary course (with backend sync)
+   * @returns {Promise<Object|null>} - Primary course data or null
    */
   static async getActiveCourse() {
+    const enrolled = await this.getActivatedRoadmaps();
+    return this.findPrimary(enrolled);
+  }
+
+  /**
+   * Get the user's primary course synchronously (localStorage only)
+   * @returns {Object|null} - Primary course data or null
+   */
+  static getActiveCourseSync() {
+    return this.findPrimary(this.getEnrolledCoursesSync());
+  }
+
+  /**
+   * Alias of getActiveCourseSync for callers that think in roadmaps
+   * @returns {Object|null} - Primary roadmap data or null
+   */
+  static getPrimaryRoadmap() {
+    return this.getActiveCourseSync();
+  }
+
+  /**
+   * Get all enrolled roadmaps (with backend sync)
+   * @returns {Promise<Object>} - Object mapping courseId to enrollment data
+   */
+  static async getActivatedRoadmaps() {
     try {
-      // Try to get from backend first
-      const backendCourse = await courseActivationAPI.getActiveCourse();
-      
-      if (backendCourse) {
-        const activeCourse = {
-          courseId: backendCourse,
-          courseName: backendCourse === 'strivers-a2z' ? "Striver's A2Z DSA Course" : 
-                     backendCourse.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
-          activatedAt: new Date().toISOString()
+      const courses = await courseActivationAPI.getEnrolledCourses();
+      const enrolled = {};
+
+      courses.forEach(course => {
+        enrolled[course.course_id] = {
+          courseId: course.course_id,
+          courseName: course.course_name || formatCourseName(course.course_id),
+          enrolledAt: course.enrolled_at || new Date().toISOString(),
+          isPrimary: Boolean(course.is_primary)
         };
-        
-        // Update localStorage as backup
-        localStorage.setItem(STORAGE_KEYS.ACTIVE_COURSE, JSON.stringify(activeCourse));
-        return activeCourse;
-      } else {
-        // No active course, clear localStorage
-        localStorage.removeItem(STORAGE_KEYS.ACTIVE_COURSE);
-        return null;
-      }
+      });
+
+      this.saveEnrolledCourses(enrolled);
+      return enrolled;
     } catch (error) {
-      console.error('Failed to fetch active course from backend, using localStorage:', error);
-      // Fallback to localStorage
-      return this.getActiveCourseSync();
+      console.error('Failed to fetch enrolled courses from backend, using localStorage:', error);
+      return this.getEnrolledCoursesSync();
     }
   }
 
   /**
-   * Get the currently active course synchronously (localStorage only)
-   * @returns {Object|null} - Active course data or null
+   * Get all enrolled roadmaps synchronously (localStorage only)
+   * @returns {Object} - Object mapping courseId to enrollment data
    */
-  static getActiveCourseSync() {
-    const stored = localStorage.getItem(STORAGE_KEYS.ACTIVE_COURSE);
-    if (!stored) return null;
-    
+  static getActivatedRoadmapsSync() {
+    return this.getEnrolledCoursesSync();
+  }
+
+  /**
+   * Read enrollments from localStorage, migrating the old single-course entry
+   * @returns {Object} - Object mapping courseId to enrollment data
+   */
+  static getEnrolledCoursesSync() {
+    const stored = localStorage.getItem(STORAGE_KEYS.ENROLLED_COURSES);
+    if (stored) {
+      try {
+        return JSON.parse(stored) || {};
+      } catch {
+        return {};
+      }
+    }
+
+    const legacy = localStorage.getItem(STORAGE_KEYS.LEGACY_ACTIVE_COURSE);
+    if (!legacy) return {};
+
     try {
-      return JSON.parse(stored);
+      const course = JSON.parse(legacy);
+      const enrolled = {
+        [course.courseId]: {
+          courseId: course.courseId,
+          courseName: course.courseName || formatCourseName(course.courseId),
+          enrolledAt: course.activatedAt || new Date().toISOString(),
+          isPrimary: true
+        }
+      };
+      this.saveEnrolledCourses(enrolled);
+      return enrolled;
     } catch {
-      return null;
+      return {};
     }
   }
 
   /**
-   * Get activated roadmaps in the old format for backward compatibility
-   * @returns {Promise<Object>} - Object mapping courseId to roadmap data
+   * Persist enrollments to localStorage
+   * @param {Object} enrolled - Object mapping courseId to enrollment data
    */
-  static async getActivatedRoadmaps() {
-    const activeCourse = await this.getActiveCourse();
-    if (!activeCourse) return {};
-    
-    // Convert single active course to old format
-    return {
-      [activeCourse.courseId]: activeCourse
-    };
+  static saveEnrolledCourses(enrolled) {
+    localStorage.setItem(STORAGE_KEYS.ENROLLED_COURSES, JSON.stringify(enrolled));
+    localStorage.removeItem(STORAGE_KEYS.LEGACY_ACTIVE_COURSE);
   }
 
   /**
-   * Get activated roadmaps synchronously in the old format for backward compatibility
-   * @returns {Object} - Object mapping courseId to roadmap data
+   * Pick the primary course from enrollments, falling back to the earliest one
+   * @param {Object} enrolled - Object mapping courseId to enrollment data
+   * @returns {Object|null} - Primary course data or null
    */
-  static getActivatedRoadmapsSync() {
-    const activeCourse = this.getActiveCourseSync();
-    if (!activeCourse) return {};
-    
-    // Convert single active course to old format
-    return {
-      [activeCourse.courseId]: activeCourse
-    };
+  static findPrimary(enrolled) {
+    const courses = Object.values(enrolled);
+    if (courses.length === 0) return null;
+
+    return courses.find(course => course.isPrimary) ||
+      [...courses].sort((a, b) => new Date(a.enrolledAt) - new Date(b.enrolledAt))[0];
   }
 
   /**
-   * Set the user's currently active roadmap (same as active course)
+   * Set the roadmap the user is currently working on
    * @param {string} courseId - The course identifier (e.g., 'strivers-a2z')
    * @param {string} courseName - The display name of the course
    */
@@ -179,92 +252,101 @@ export class RoadmapTracker {
   }
 
   /**
-   * Get the user's currently active roadmap
-   * @returns {Object|null} - The active roadmap data or null if none set
+   * Read the last opened roadmap without validating the enrollment
+   * @returns {Object|null} - Stored roadmap data or null
    */
-  static getActiveRoadmap() {
+  static getStoredActiveRoadmap() {
     const stored = localStorage.getItem(STORAGE_KEYS.ACTIVE_ROADMAP);
     if (!stored) return null;
-    
+
     try {
-      const roadmap = JSON.parse(stored);
-      // Verify it's still activated
-      if (this.isRoadmapActivated(roadmap.courseId)) {
-        return roadmap;
-      } else {
-        // Clear invalid active roadmap
-        localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
-        return null;
-      }
+      return JSON.parse(stored);
     } catch {
       return null;
     }
   }
 
   /**
-   * Get the active roadmap (same as getActiveCourse for single-course system)
-   * @returns {Object|null} - The active roadmap or null
+   * Get the roadmap the user is currently working on
+   * @returns {Object|null} - The active roadmap data or null if none set
    */
-  static getAnyActivatedRoadmap() {
-    const activeRoadmap = this.getActiveRoadmap();
-    if (activeRoadmap) return activeRoadmap;
+  static getActiveRoadmap() {
+    const roadmap = this.getStoredActiveRoadmap();
+    if (!roadmap) return null;
 
-    // Fallback to active course
-    return this.getActiveCourseSync();
+    // Verify it's still enrolled
+    if (this.isRoadmapActivated(roadmap.courseId)) {
+      return roadmap;
+    }
+
+    // Clear invalid active roadmap
+    localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
+    return null;
+  }
+
+  /**
+   * Get the roadmap to continue with: the primary course, else the last opened one
+   * @returns {Object|null} - The roadmap or null
+   */
+  static getAnyActivatedRoadmap() {
+    return this.getPrimaryRoadmap() || this.getActiveRoadmap();
   }
 
   /**
-   * Sync active course from backend
+   * Sync enrolled courses from backend
    * @returns {Promise<void>}
    */
   static async syncActivatedRoadmaps() {
     try {
-      await this.getActiveCourse(); // This will sync and update localStorage
+      await this.getActivatedRoadmaps(); // This will sync and update localStorage
     } catch (error) {
-      console.error('Failed to sync active course:', error);
+      console.error('Failed to sync enrolled courses:', error);
     }
   }
 
   /**
-   * Calculate unlocked levels based on completed levels
+   * Calculate unlocked levels based on completed levels and the roadmap's unlock rules
    * @param {Array|Set} completedStepNumbers - Array or Set of completed step numbers
    * @param {Array} allQuestions - All questions in the course for unlocking logic
+   * @param {Object|null} rules - Roadmap unlock rules (strict step order when omitted)
    * @returns {Set} - Set of unlocked level numbers
    */
-  static calculateUnlockedLevels(completedStepNumbers, allQuestions = []) {
-    const completed = new Set(completedStepNumbers);
-    const unlocked = new Set([1]); // First level is always unlocked
-    
-    if (allQuestions.length === 0) return unlocked;
+  static calculateUnlockedLevels(completedStepNumbers, allQuestions = [], rules = null) {
+    if (allQuestions.length === 0) return new Set([1]); // First level is always unlocked
 
-    // Sort questions by step number
-    const sortedQuestions = [...allQuestions].sort((a, b) => a.step_number - b.step_number);
-    
-    // For each completed question, unlock the next one
-    for (const stepNumber of completed) {
-      const currentIndex = sortedQuestions.findIndex(q => q.step_number === stepNumber);
-      if (currentIndex !== -1 && currentIndex < sortedQuestions.length - 1) {
-        const nextQuestion = sortedQuestions[currentIndex + 1];
-        unlocked.add(nextQuestion.step_number);
-      }
-    }
+    const unlocked = new Set();
+    this.getLockStatus(completedStepNumbers, allQuestions, rules).forEach((status, stepNumber) => {
+      if (status.unlocked) unlocked.add(stepNumber);
+    });
 
     return unlocked;
   }
 
+  /**
+   * Get the lock state of every level, including why locked levels are locked
+   * @param {Array|Set} completedStepNumbers - Array or Set of completed step numbers
+   * @param {Array} allQuestions - All questions in the course
+   * @param {Object|null} rules - Roadmap unlock rules
+   * @returns {Map} - step_number -> { unlocked, reason, missing, ... }
+   */
+  static getLockStatus(completedStepNumbers, allQuestions = [], rules = null) {
+    return evaluateUnlockRules(completedStepNumbers, allQuestions, rules);
+  }
+
   /**
    * Find the next level the user should attempt
    * @param {Array|Set} completedStepNumbers - Array or Set of completed step numbers
    * @param {Array} questions - Array of questions from the roadmap
+   * @param {Object|null} rules - Roadmap unlock rules
    * @returns {Object|null} - The next question to attempt or null if none
    */
-  static getNextLevel(completedStepNumbers, questions) {
+  static getNextLevel(completedStepNumbers, questions, rules = null) {
     if (!questions || questions.length === 0) {
       return null;
     }
 
     const completed = new Set(completedStepNumbers);
-    const unlocked = this.calculateUnlockedLevels(completedStepNumbers, questions);
+    const unlocked = this.calculateUnlockedLevels(completedStepNumbers, questions, rules);
 
     // Sort questions by step_number
     const sortedQuestions = [...questions].sort((a, b) => a.step_number - b.step_number);
@@ -291,15 +373,16 @@ export class RoadmapTracker {
    * Get progress statistics
    * @param {Array|Set} completedStepNumbers - Array or Set of completed step numbers
    * @param {Array} questions - All questions in the roadmap
+   * @param {Object|null} rules - Roadmap unlock rules
    * @returns {Object} - Progress statistics
    */
-  static getProgressStats(completedStepNumbers, questions) {
+  static getProgressStats(completedStepNumbers, questions, rules = null) {
     if (!questions || questions.length === 0) {
       return { totalLevels: 0, completedLevels: 0, unlockedLevels: 0, progressPercentage: 0 };
     }
 
     const completed = new Set(completedStepNumbers);
-    const unlocked = this.calculateUnlockedLevels(completedStepNumbers, questions);
+    const unlocked = this.calculateUnlockedLevels(completedStepNumbers, questions, rules);
 
     return {
       totalLevels: questions.length,
@@ -314,7 +397,8 @@ export class RoadmapTracker {
    */
   static clearAllData() {
     localStorage.removeItem(STORAGE_KEYS.ACTIVE_ROADMAP);
-    localStorage.removeItem(STORAGE_KEYS.ACTIVE_COURSE);
+    localStorage.removeItem(STORAGE_KEYS.ENROLLED_COURSES);
+    localStorage.removeItem(STORAGE_KEYS.LEGACY_ACTIVE_COURSE);
   }
 }
 
@@ -0,0 +1,124 @@
+/**
+ * HTML Sanitizer
+ *
+ * Allowlist-based cleanup for backend-supplied problem content (including
+ * scraped roadmap problems) before it is rendered with dangerouslySetInnerHTML.
+ * Markup is parsed with DOMParser, which never runs scripts or loads images,
+ * and rebuilt keeping only allowed tags, attributes and URL schemes.
+ */
+
+export const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'samp', 'small', 'span', 'strong', 'sub',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+
+// Attributes allowed per tag ('*' applies to every tag)
+// No `class` - untrusted content could use Tailwind utilities to overlay the page
+export const ALLOWED_ATTRIBUTES = {
+  '*': ['title'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align', 'scope']
+};
+
+// Removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base',
+  'svg', 'math', 'template', 'noscript', 'title', 'head'
+]);
+
+const SAFE_LINK_URL = /^(https?:|mailto:|#|\/(?!\/))/i;
+const SAFE_IMAGE_URL = /^(https?:|\/(?!\/)|data:image\/(png|jpe?g|gif|webp);base64,)/i;
+
+// Whitespace and control characters (U+0000-U+0020) browsers ignore inside schemes
+const stripIgnoredChars = (value) =>
+  Array.from(value).filter(char => char.charCodeAt(0) > 0x20).join('');
+
+const isSafeUrl = (tag, value) => {
+  const url = stripIgnoredChars(value);
+  return tag === 'img' ? SAFE_IMAGE_URL.test(url) : SAFE_LINK_URL.test(url);
+};
+
+const sanitizeNode = (node, targetDocument) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return targetDocument.createTextNode(node.textContent);
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+
+  const tag = node.tagName.toLowerCase();
+  if (DROPPED_TAGS.has(tag)) {
+    return null;
+  }
+
+  const children = Array.from(node.childNodes)
+    .map(child => sanitizeNode(child, targetDocument))
+    .filter(Boolean);
+
+  // Unknown tags are unwrapped so their text is kept
+  if (!ALLOWED_TAGS.has(tag)) {
+    const fragment = targetDocument.createDocumentFragment();
+    children.forEach(child => fragment.appendChild(child));
+    return fragment;
+  }
+
+  const element = targetDocument.createElement(tag);
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+  allowed.forEach(name => {
+    const value = node.getAttribute(name);
+    if (value === null) return;
+    if ((name === 'href' || name === 'src') && !isSafeUrl(tag, value)) return;
+    element.setAttribute(name, value);
+  });
+
+  if (tag === 'a' && element.hasAttribute('href') && !element.getAttribute('href').startsWith('#')) {
+    element.setAttribute('target', '_blank');
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+  if (tag === 'img') {
+    element.setAttribute('loading', 'lazy');
+  }
+
+  children.forEach(child => element.appendChild(child));
+  return element;
+};
+
+/**
+ * Sanitize an HTML string against the tag/attribute allowlist
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export const sanitizeHtml = (html) => {
+  if (!html) return '';
+
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  const output = document.implementation.createHTMLDocument('');
+  const container = output.createElement('div');
+
+  Array.from(parsed.body.childNodes).forEach(child => {
+    const clean = sanitizeNode(child, output);
+    if (clean) container.appendChild(clean);
+  });
+
+  return container.innerHTML;
+};
+
+/**
+ * Whether content looks like HTML rather than Markdown/plain text
+ * @param {string} content - Problem content
+ * @returns {boolean}
+ */
+export const isHtmlContent = (content = '') =>
+  /<\/?(p|div|span|pre|code|strong|em|ul|ol|li|br|img|table|h[1-6]|a|sup|sub)\b[^>]*>/i.test(content);
+
+export default {
+  sanitizeHtml,
+  isHtmlContent
+};
@@ -0,0 +1,192 @@
+/**
+ * Session Replay Utilities
+ *
+ * Rebuilds editor contents over time from the edit events recorded by
+ * BehaviorTrackingService.recordContentChange / recordReplayMarker:
+ *   { event_type: 'edit', timestamp, changes: [{ offset, length, text }], full_text }
+ *   { event_type: 'run' | 'submit' | 'hint', timestamp, metadata }
+ */
+
+import { parseUTCTimestamp } from './dateUtils';
+
+// Gaps this long between edits are shown as pauses on the scrubber
+export const PAUSE_THRESHOLD_MS = 5000;
+
+// Consecutive edits closer than BURST_GAP_MS, at least BURST_MIN_EDITS long, form a burst
+export const BURST_GAP_MS = 400;
+export const BURST_MIN_EDITS = 15;
+
+export const MARKER_TYPES = ['run', 'submit', 'hint'];
+
+/**
+ * Apply Monaco content changes (offsets relative to the pre-edit text)
+ * @param {string} text - Text before the edit
+ * @param {Array} changes - [{ offset, length, text }]
+ * @returns {string} Text after the edit
+ */
+export const applyContentChanges = (text, changes = []) => {
+  // Apply from the end so earlier offsets stay valid
+  return [...changes]
+    .sort((a, b) => b.offset - a.offset)
+    .reduce((result, change) =>
+      result.slice(0, change.offset) + change.text + result.slice(change.offset + change.length),
+    text);
+};
+
+/**
+ * Question keys recorded in a session's events, in first-seen order
+ * @param {Array} events - Replay events
+ * @returns {Array<string>}
+ */
+export const getReplayQuestionKeys = (events = []) =>
+  [...new Set(events.map(event => event.question_key).filter(Boolean).map(String))];
+
+/**
+ * Keep the newest `limit` events without losing the text they start from: the first
+ * kept edit of each question becomes a keyframe rebuilt from the dropped edits
+ * @param {Array} events - Edit and marker events in recording order
+ * @param {number} limit - Maximum events to keep
+ * @returns {Array} Trimmed events
+ */
+export const trimEditEvents = (events, limit) => {
+  if (events.length <= limit) return events;
+
+  const textByQuestion = new Map();
+  events.slice(0, events.length - limit).forEach(event => {
+    if (event.event_type !== 'edit') return;
+    const previous = textByQuestion.get(event.question_key);
+    const text = event.full_text ?? (previous != null ? applyContentChanges(previous, event.changes) : null);
+    if (text !== null) textByQuestion.set(event.question_key, text);
+  });
+
+  return events.slice(-limit).map(event => {
+    if (event.event_type !== 'edit' || !textByQuestion.has(event.question_key)) return event;
+
+    const previous = textByQuestion.get(event.question_key);
+    textByQuestion.delete(event.question_key);
+    return event.full_text != null ? event : { ...event, full_text: applyContentChanges(previous, event.changes) };
+  });
+};
+
+/**
+ * Build a replay timeline from recorded edit events
+ * @param {Array} events - Edit and marker events in any order
+ * @param {Object} [options] - { questionKey } replays only that question's events
+ *   (events recorded without a question key are always kept)
+ * @returns {Object} { startTime, duration, frames: [{ time, text }], markers: [{ time, type, metadata }] }
+ */
+export const buildReplayTimeline = (events = [], { questionKey = null } = {}) => {
+  const sorted = events
+    .filter(event => questionKey === null || event.question_key == null || String(event.question_key) === String(questionKey))
+    .map(event => ({ ...event, at: parseUTCTimestamp(event.timestamp) }))
+    .filter(event => event.at > 0)
+    .sort((a, b) => a.at - b.at);
+
+  if (sorted.length === 0) {
+    return { startTime: 0, duration: 0, frames: [], markers: [] };
+  }
+
+  const startTime = sorted[0].at;
+  const frames = [];
+  const markers = [];
+  let text = null; // unknown until the first keyframe
+
+  sorted.forEach(event => {
+    const time = event.at - startTime;
+
+    if (MARKER_TYPES.includes(event.event_type)) {
+      markers.push({ time, type: event.event_type, metadata: event.metadata || {} });
+      return;
+    }
+
+    if (event.full_text != null) {
+      text = event.full_text;
+    } else if (text !== null) {
+      text = applyContentChanges(text, event.changes);
+    } else {
+      return;
+    }
+
+    frames.push({ time, text });
+  });
+
+  const lastEvent = sorted[sorted.length - 1];
+  return {
+    startTime,
+    duration: lastEvent.at - startTime,
+    frames,
+    markers
+  };
+};
+
+/**
+ * Index of the last frame at or before `time` (-1 if none)
+ */
+export const getFrameIndexAt = (frames, time) => {
+  let low = 0;
+  let high = frames.length - 1;
+  let result = -1;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (frames[mid].time <= time) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Find idle gaps between edits
+ * @returns {Array} [{ time, duration }]
+ */
+export const detectPauses = (frames, threshold = PAUSE_THRESHOLD_MS) => {
+  const pauses = [];
+  for (let i = 1; i < frames.length; i++) {
+    const gap = frames[i].time - frames[i - 1].time;
+    if (gap >= threshold) {
+      pauses.push({ time: frames[i - 1].time, duration: gap });
+    }
+  }
+  return pauses;
+};
+
+/**
+ * Find runs of rapid consecutive edits
+ * @returns {Array} [{ time, duration, edits }]
+ */
+export const detectBursts = (frames, { gap = BURST_GAP_MS, minEdits = BURST_MIN_EDITS } = {}) => {
+  const bursts = [];
+  let start = 0;
+
+  for (let i = 1; i <= frames.length; i++) {
+    const continues = i < frames.length && frames[i].time - frames[i - 1].time <= gap;
+    if (continues) continue;
+
+    const edits = i - start;
+    if (edits >= minEdits) {
+      bursts.push({
+        time: frames[start].time,
+        duration: frames[i - 1].time - frames[start].time,
+        edits
+      });
+    }
+    start = i;
+  }
+
+  return bursts;
+};
+
+export default {
+  applyContentChanges,
+  getReplayQuestionKeys,
+  trimEditEvents,
+  buildReplayTimeline,
+  getFrameIndexAt,
+  detectPauses,
+  detectBursts
+};
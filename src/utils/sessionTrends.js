@@ -0,0 +1,234 @@
+/**
+ * Session Trend Utilities
+ *
+ * Joins coding sessions (/dashboard/sessions) with the keystroke metrics of their
+ * behavior tracking sessions (/behavior/sessions/recent) and buckets them by week
+ * for the analytics page. Both endpoints are read leniently - snake_case or
+ * camelCase fields, flat or nested under `metrics` / `analytics`.
+ */
+
+import { parseUTCTimestamp } from './dateUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// First value that is not null/undefined
+const pick = (...values) => values.find(value => value !== undefined && value !== null);
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const average = (values) => {
+  const numbers = values.filter(value => value !== null);
+  if (!numbers.length) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+};
+
+const median = (values) => {
+  const numbers = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (!numbers.length) return null;
+  const middle = Math.floor(numbers.length / 2);
+  return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+};
+
+// Timestamp in UTC milliseconds, or null when missing/invalid
+const toTime = (value) => (value ? parseUTCTimestamp(value) || null : null);
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Unwrap a list response - either a bare array or `{ sessions: [...] }` / `{ items: [...] }`
+ */
+export const extractList = (response) => {
+  if (Array.isArray(response)) return response;
+  return response?.sessions || response?.items || response?.data || [];
+};
+
+/**
+ * Normalize a behavior tracking session into the KeystrokeAnalyzer metric names
+ * @returns {Object} { behaviorSessionId, questionKey, startTime, wpm, pauseCount, burstCount, correctionRatio }
+ */
+export const normalizeBehaviorSession = (raw = {}) => {
+  const metrics = raw.metrics || raw.analytics || raw;
+
+  return {
+    behaviorSessionId: pick(raw.session_id, raw.sessionId, raw.id),
+    questionKey: pick(raw.question_key, raw.questionKey, null),
+    startTime: toTime(pick(raw.start_time, raw.startTime, raw.created_at)),
+    wpm: toNumber(pick(metrics.typingSpeed?.wpm, metrics.typing?.wpm, metrics.wpm, metrics.avg_wpm)),
+    pauseCount: toNumber(pick(metrics.pauses?.count, metrics.behavior?.pauses?.count, metrics.pause_count)),
+    burstCount: toNumber(pick(metrics.bursts?.count, metrics.behavior?.bursts?.count, metrics.burst_count)),
+    correctionRatio: toNumber(pick(
+      metrics.errors?.correctionRatio,
+      metrics.behavior?.errors?.correctionRatio,
+      metrics.correction_ratio
+    ))
+  };
+};
+
+const getTimeToFirstRunSeconds = (raw, startTime) => {
+  const seconds = toNumber(pick(
+    raw.time_to_first_run_seconds,
+    raw.timeToFirstRunSeconds,
+    raw.analytics?.time_to_first_run_seconds
+  ));
+  if (seconds !== null) return seconds;
+
+  const firstRunAt = toTime(pick(raw.first_run_at, raw.firstRunAt, raw.analytics?.first_run_at));
+  if (!firstRunAt || !startTime) return null;
+  return Math.max(0, (firstRunAt - startTime) / 1000);
+};
+
+const isAccepted = (raw) => {
+  const status = String(pick(raw.submission_status, raw.result, raw.status, '')).toLowerCase();
+  return Boolean(pick(raw.accepted, raw.is_accepted, raw.analytics?.is_completed, raw.isCompleted)) ||
+    status === 'accepted' || status === 'completed';
+};
+
+/**
+ * Normalize a coding session from /dashboard/sessions
+ * @returns {Object} { sessionId, behaviorSessionId, questionKey, questionTitle, startTime,
+ *   difficulty, tags, hintsUsed, submissions, accepted, timeToFirstRunSeconds }
+ */
+export const normalizeCodingSession = (raw = {}) => {
+  const startTime = toTime(pick(raw.start_time, raw.startTime, raw.created_at));
+  const difficulty = pick(raw.difficulty, raw.question_difficulty, raw.questionDifficulty, null);
+
+  return {
+    sessionId: pick(raw.session_id, raw.sessionId, raw.id),
+    behaviorSessionId: pick(raw.behavior_session_id, raw.behaviorSessionId, null),
+    questionKey: String(pick(raw.question_id, raw.questionId, raw.question_key, '')),
+    questionTitle: pick(raw.question_title, raw.questionTitle, 'Untitled'),
+    startTime,
+    difficulty: difficulty ? String(difficulty).toLowerCase() : null,
+    tags: toList(pick(raw.tags, raw.topics, raw.skill_categories, raw.skillCategories)),
+    hintsUsed: toNumber(pick(raw.hints_used, raw.hintsUsed, raw.analytics?.hints_used, raw.analytics?.hintsUsed)) || 0,
+    submissions: toNumber(pick(raw.submissions, raw.submission_count, raw.analytics?.submissions)) || 0,
+    accepted: isAccepted(raw),
+    timeToFirstRunSeconds: getTimeToFirstRunSeconds(raw, startTime)
+  };
+};
+
+/**
+ * Attach behavior metrics to coding sessions. Matched by behavior_session_id, else by
+ * the closest behavior session for the same question started within an hour.
+ * @param {Array} codingSessions - Normalized coding sessions
+ * @param {Array} behaviorSessions - Normalized behavior sessions
+ * @returns {Array} Coding sessions with a `behavior` field (or null)
+ */
+export const joinSessions = (codingSessions, behaviorSessions) => {
+  const byId = new Map(behaviorSessions.map(session => [session.behaviorSessionId, session]));
+
+  return codingSessions.map(session => {
+    let behavior = session.behaviorSessionId ? byId.get(session.behaviorSessionId) : null;
+
+    if (!behavior && session.startTime) {
+      const candidates = behaviorSessions.filter(candidate =>
+        candidate.startTime &&
+        candidate.questionKey === session.questionKey &&
+        Math.abs(candidate.startTime - session.startTime) < 60 * 60 * 1000
+      );
+      behavior = candidates.sort((a, b) =>
+        Math.abs(a.startTime - session.startTime) - Math.abs(b.startTime - session.startTime)
+      )[0] || null;
+    }
+
+    return { ...session, behavior: behavior || null };
+  });
+};
+
+/**
+ * Topic tags and difficulties present in the sessions, for the filter dropdowns
+ */
+export const getFilterOptions = (sessions) => ({
+  tags: [...new Set(sessions.flatMap(session => session.tags))].sort(),
+  difficulties: [...new Set(sessions.map(session => session.difficulty).filter(Boolean))]
+});
+
+/**
+ * @param {Object} filters - { tag, difficulty }, 'all' or empty matches everything
+ */
+export const filterSessions = (sessions, { tag = 'all', difficulty = 'all' } = {}) =>
+  sessions.filter(session =>
+    (!tag || tag === 'all' || session.tags.includes(tag)) &&
+    (!difficulty || difficulty === 'all' || session.difficulty === difficulty)
+  );
+
+/**
+ * Monday 00:00 (local time) of the week containing `date`
+ */
+export const getWeekStart = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+  return weekStart;
+};
+
+const summarizeWeek = (sessions) => {
+  const withBehavior = sessions.filter(session => session.behavior);
+  const problems = new Set(sessions.map(session => session.questionKey));
+  const accepted = new Set(sessions.filter(session => session.accepted).map(session => session.questionKey));
+  const timeToFirstRun = median(sessions.map(session => session.timeToFirstRunSeconds));
+
+  return {
+    sessions: sessions.length,
+    problems: problems.size,
+    wpm: average(withBehavior.map(session => session.behavior.wpm)),
+    pauses: average(withBehavior.map(session => session.behavior.pauseCount)),
+    bursts: average(withBehavior.map(session => session.behavior.burstCount)),
+    correctionRatio: average(withBehavior.map(session => session.behavior.correctionRatio)),
+    timeToFirstRunMinutes: timeToFirstRun === null ? null : timeToFirstRun / 60,
+    hintsPerProblem: problems.size ? sessions.reduce((sum, session) => sum + session.hintsUsed, 0) / problems.size : null,
+    acceptanceRate: problems.size ? (accepted.size / problems.size) * 100 : null
+  };
+};
+
+/**
+ * Bucket sessions into the last `weeks` calendar weeks. Weeks without sessions are
+ * kept (with null metrics) so the charts show the gaps.
+ * @param {Array} sessions - Joined sessions
+ * @param {number} weeks - Number of weeks ending with the current one
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Array} [{ weekStart, label, sessions, problems, wpm, pauses, bursts,
+ *   correctionRatio, timeToFirstRunMinutes, hintsPerProblem, acceptanceRate }]
+ */
+export const buildWeeklyTrends = (sessions, weeks = 12, now = new Date()) => {
+  const currentWeek = getWeekStart(now);
+
+  return Array.from({ length: weeks }, (_, index) => {
+    const weekStart = new Date(currentWeek.getTime() - (weeks - 1 - index) * WEEK_MS);
+    // Re-anchor to Monday in case a DST change shifted the subtraction by an hour
+    const start = getWeekStart(new Date(weekStart.getTime() + DAY_MS / 2));
+    const end = getWeekStart(new Date(start.getTime() + WEEK_MS + DAY_MS / 2));
+    const inWeek = sessions.filter(session => session.startTime && session.startTime >= start.getTime() && session.startTime < end.getTime());
+
+    return {
+      weekStart: start,
+      label: start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      ...summarizeWeek(inWeek)
+    };
+  });
+};
+
+/**
+ * Totals over the whole filtered range, for the summary cards
+ */
+export const summarizeSessions = (sessions) => summarizeWeek(sessions);
+
+export default {
+  extractList,
+  normalizeBehaviorSession,
+  normalizeCodingSession,
+  joinSessions,
+  getFilterOptions,
+  filterSessions,
+  getWeekStart,
+  buildWeeklyTrends,
+  summarizeSessions
+};
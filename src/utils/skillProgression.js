@@ -0,0 +1,191 @@
+/**
+ * Skill Progression Utilities
+ *
+ * Turns a completed re-assessment into a per-topic proficiency breakdown and a
+ * SKILL_LEVELS promotion/demotion, and decides when the next re-assessment is due
+ * (see constants/reassessment). Assessment history entries come from the user slice.
+ */
+
+import { SKILL_LEVEL_CONFIG, SKILL_LEVEL_ORDER } from '../constants/skillLevels';
+import {
+  REASSESSMENT_INTERVAL_DAYS,
+  REASSESSMENT_PROBLEM_INTERVAL,
+  LEVEL_RANK_THRESHOLDS,
+  LEVEL_CHANGE_MARGIN,
+  TOPIC_STRONG_ACCURACY,
+  TOPIC_WEAK_ACCURACY
+} from '../constants/reassessment';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOPIC = 'General';
+
+export const LEVEL_CHANGE = {
+  PROMOTED: 'promoted',
+  DEMOTED: 'demoted',
+  UNCHANGED: 'unchanged'
+};
+
+const getLabel = (level) => SKILL_LEVEL_CONFIG[level]?.label || level;
+
+/**
+ * Skill level whose rank band contains a rank
+ * @param {number} rank - Expertise rank
+ * @returns {string} SKILL_LEVELS value
+ */
+export const getLevelForRank = (rank) =>
+  [...SKILL_LEVEL_ORDER].reverse().find(level => rank >= LEVEL_RANK_THRESHOLDS[level]) || SKILL_LEVEL_ORDER[0];
+
+const getTopicStrength = (accuracy) => {
+  if (accuracy >= TOPIC_STRONG_ACCURACY) return 'strong';
+  if (accuracy < TOPIC_WEAK_ACCURACY) return 'weak';
+  return 'developing';
+};
+
+const toTopicEntry = (topic, correct, total) => {
+  const accuracy = total > 0 ? Math.round((correct / total) * 100) : 0;
+  return { topic, correct, total, accuracy, strength: getTopicStrength(accuracy) };
+};
+
+const getQuestionTopics = (question) => {
+  const topics = question?.topics?.length ? question.topics
+    : question?.tags?.length ? question.tags
+    : [question?.category];
+  const named = topics.filter(Boolean);
+  return named.length ? named : [DEFAULT_TOPIC];
+};
+
+/**
+ * Per-topic accuracy for a completed assessment
+ * Uses the backend's `topic_breakdown` when present, otherwise tallies the answers
+ * against each question's topics (a question counts towards every topic it has)
+ * @param {Object} result - Completed assessment response
+ * @param {Object} answers - AssessmentStep answers keyed by question index
+ * @param {Array<Object>} questions - Question objects in assessment order
+ * @returns {Array<Object>} { topic, correct, total, accuracy, strength }, strongest first
+ */
+export const buildTopicBreakdown = (result, answers = {}, questions = []) => {
+  let entries;
+
+  if (result?.topic_breakdown) {
+    const rows = Array.isArray(result.topic_breakdown)
+      ? result.topic_breakdown
+      : Object.entries(result.topic_breakdown).map(([topic, row]) => ({ topic, ...row }));
+    entries = rows.map(row => toTopicEntry(
+      row.topic || row.name || DEFAULT_TOPIC,
+      Number(row.correct ?? row.correct_answers) || 0,
+      Number(row.total ?? row.total_questions) || 0
+    ));
+  } else {
+    const tally = new Map();
+    Object.entries(answers).forEach(([index, answer]) => {
+      getQuestionTopics(questions[index]).forEach(topic => {
+        const { correct, total } = tally.get(topic) || { correct: 0, total: 0 };
+        tally.set(topic, { correct: correct + (answer.isCorrect ? 1 : 0), total: total + 1 });
+      });
+    });
+    entries = [...tally.entries()].map(([topic, { correct, total }]) => toTopicEntry(topic, correct, total));
+  }
+
+  return entries
+    .filter(entry => entry.total > 0)
+    .sort((a, b) => b.accuracy - a.accuracy || b.total - a.total);
+};
+
+const describeTopics = (topics, direction) => {
+  const strong = topics.filter(topic => topic.strength === 'strong').map(topic => topic.topic);
+  const weak = topics.filter(topic => topic.strength === 'weak').map(topic => topic.topic);
+
+  if (direction === LEVEL_CHANGE.DEMOTED && weak.length) return ` Focus on ${weak.slice(0, 3).join(', ')} to move back up.`;
+  if (direction === LEVEL_CHANGE.PROMOTED && strong.length) return ` Strongest topics: ${strong.slice(0, 3).join(', ')}.`;
+  if (weak.length) return ` Work on ${weak.slice(0, 3).join(', ')} to progress.`;
+  return '';
+};
+
+/**
+ * Decide whether a re-assessment moves the user up or down a level
+ * The rank has to clear a band edge by LEVEL_CHANGE_MARGIN before the level changes
+ * @param {Object} params - { currentLevel, newRank, topics }
+ * @returns {Object} { nextLevel, direction, explanation }
+ */
+export const decideLevelChange = ({ currentLevel, newRank, topics = [] }) => {
+  const currentIndex = Math.max(SKILL_LEVEL_ORDER.indexOf(currentLevel), 0);
+  const current = SKILL_LEVEL_ORDER[currentIndex];
+  const promoteTo = getLevelForRank(newRank - LEVEL_CHANGE_MARGIN);
+  const demoteTo = getLevelForRank(newRank + LEVEL_CHANGE_MARGIN);
+
+  if (SKILL_LEVEL_ORDER.indexOf(promoteTo) > currentIndex) {
+    return {
+      nextLevel: promoteTo,
+      direction: LEVEL_CHANGE.PROMOTED,
+      explanation: `Your rank of ${newRank} clears the ${getLabel(promoteTo)} band ` +
+        `(${LEVEL_RANK_THRESHOLDS[promoteTo]}+), so you move up from ${getLabel(current)} to ${getLabel(promoteTo)}.` +
+        describeTopics(topics, LEVEL_CHANGE.PROMOTED)
+    };
+  }
+
+  if (SKILL_LEVEL_ORDER.indexOf(demoteTo) < currentIndex) {
+    return {
+      nextLevel: demoteTo,
+      direction: LEVEL_CHANGE.DEMOTED,
+      explanation: `Your rank of ${newRank} is below the ${getLabel(current)} band ` +
+        `(${LEVEL_RANK_THRESHOLDS[current]}+), so you move to ${getLabel(demoteTo)} problems for now.` +
+        describeTopics(topics, LEVEL_CHANGE.DEMOTED)
+    };
+  }
+
+  const next = SKILL_LEVEL_ORDER[currentIndex + 1];
+  const pointsToNext = next ? LEVEL_RANK_THRESHOLDS[next] + LEVEL_CHANGE_MARGIN - newRank : null;
+
+  return {
+    nextLevel: current,
+    direction: LEVEL_CHANGE.UNCHANGED,
+    explanation: `Your rank of ${newRank} keeps you at ${getLabel(current)}.` +
+      (pointsToNext > 0 ? ` You're ${pointsToNext} points away from ${getLabel(next)}.` : '') +
+      describeTopics(topics, LEVEL_CHANGE.UNCHANGED)
+  };
+};
+
+/**
+ * Whether a re-assessment is due, based on the last assessment in the history
+ * The history only lives in the persisted store, so `lastAssessedAt` from the backend
+ * covers other devices - without a solved count there, only the time rule applies
+ * @param {Object} params - { assessmentHistory, lastAssessedAt, problemsSolved, now }
+ * @returns {Object} { due, reason, daysSinceLast, problemsSinceLast, daysUntilDue, problemsUntilDue }
+ *   reason is 'no_history', 'time', 'problems' or null
+ */
+export const getReassessmentStatus = ({ assessmentHistory = [], lastAssessedAt = null, problemsSolved = null, now = Date.now() }) => {
+  const backendEntry = lastAssessedAt ? { completedAt: lastAssessedAt, problemsSolvedAtCompletion: null } : null;
+  const last = [...(assessmentHistory || []), backendEntry]
+    .filter(entry => entry?.completedAt)
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .pop();
+
+  if (!last) {
+    return { due: true, reason: 'no_history', daysSinceLast: null, problemsSinceLast: null, daysUntilDue: 0, problemsUntilDue: null };
+  }
+
+  const daysSinceLast = Math.max(Math.floor((now - new Date(last.completedAt).getTime()) / DAY_MS), 0);
+  const problemsSinceLast = problemsSolved === null || !Number.isFinite(last.problemsSolvedAtCompletion)
+    ? null
+    : Math.max(problemsSolved - last.problemsSolvedAtCompletion, 0);
+
+  const reason = daysSinceLast >= REASSESSMENT_INTERVAL_DAYS ? 'time'
+    : (problemsSinceLast ?? 0) >= REASSESSMENT_PROBLEM_INTERVAL ? 'problems'
+    : null;
+
+  return {
+    due: reason !== null,
+    reason,
+    daysSinceLast,
+    problemsSinceLast,
+    daysUntilDue: Math.max(REASSESSMENT_INTERVAL_DAYS - daysSinceLast, 0),
+    problemsUntilDue: problemsSinceLast === null ? null : Math.max(REASSESSMENT_PROBLEM_INTERVAL - problemsSinceLast, 0)
+  };
+};
+
+export default {
+  getLevelForRank,
+  buildTopicBreakdown,
+  decideLevelChange,
+  getReassessmentStatus
+};
@@ -0,0 +1,295 @@
+/**
+ * Stress Test Utilities
+ *
+ * Random input generation from a constraint spec (utils/constraints.js), shrinking
+ * of counterexamples and output comparison for the stress test mode.
+ *
+ * Inputs are generated from a seeded RNG so a run can be repeated, and grow from
+ * tiny to `maxLength` over the run - the first mismatch is usually already small,
+ * and shrinkCandidates makes it smaller still.
+ */
+
+import { evaluateBound } from './constraints';
+
+export const DEFAULT_STRESS_OPTIONS = {
+  count: 50,          // random inputs per run
+  batchSize: 10,      // inputs sent per /submissions/run request
+  maxLength: 8,       // cap on generated array/string lengths
+  valueLimit: 20,     // cap on generated number magnitudes (when constraints allow)
+  unorderedOutput: false
+};
+
+const DEFAULT_CHARSET = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => float in [0, 1)
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const createSeed = () => Math.floor(Math.random() * 1000000);
+
+const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+const resolveRange = (range, env, aliases, fallback) => {
+  const min = evaluateBound(range?.min, env, aliases);
+  const max = evaluateBound(range?.max, env, aliases);
+  return {
+    min: min ?? fallback.min,
+    max: Math.max(max ?? fallback.max, min ?? fallback.min)
+  };
+};
+
+// Keep numbers small enough to collide and be readable, but inside the constraints
+const limitRange = ({ min, max }, limit) => {
+  const low = Math.max(min, -limit);
+  const high = Math.min(max, limit);
+  if (low <= high) return { min: low, max: high };
+  return min > limit ? { min, max: Math.min(max, min + 2 * limit) } : { min: Math.max(min, max - 2 * limit), max };
+};
+
+// Defaults for parameters without constraints follow the sample's sign
+const sampleIsNonNegative = (sample) => {
+  const numbers = [sample].flat(Infinity).filter(item => typeof item === 'number');
+  return numbers.length > 0 && numbers.every(number => number >= 0);
+};
+
+const pickLength = (level, { rng, options, env, aliases, sizeCap }) => {
+  const { min, max } = resolveRange(level.length, env, aliases, { min: 1, max: options.maxLength });
+  return randomInt(rng, min, Math.max(min, Math.min(max, sizeCap)));
+};
+
+const generateValue = (type, param, depth, context) => {
+  const { rng, options, env, aliases } = context;
+  const level = param.levels[depth] || {};
+
+  if (level.choices?.length) {
+    return level.choices[randomInt(rng, 0, level.choices.length - 1)];
+  }
+
+  switch (type.kind) {
+    case 'bool':
+      return rng() < 0.5;
+
+    case 'int':
+    case 'float': {
+      const fallback = sampleIsNonNegative(param.sample)
+        ? { min: 0, max: options.valueLimit }
+        : { min: -options.valueLimit, max: options.valueLimit };
+      const { min, max } = limitRange(resolveRange(level.values, env, aliases, fallback), options.valueLimit);
+      if (type.kind === 'int') return randomInt(rng, Math.ceil(min), Math.floor(max));
+      return Math.round((min + rng() * (max - min)) * 100) / 100;
+    }
+
+    case 'string': {
+      const length = pickLength(level, context);
+      const charset = level.charset || DEFAULT_CHARSET;
+      return Array.from({ length }, () => charset[randomInt(rng, 0, charset.length - 1)]).join('');
+    }
+
+    case 'array': {
+      // Nested arrays are matrices - every row gets the same length
+      const length = depth > 0
+        ? (context.rowLengths[depth] ??= pickLength(level, context))
+        : pickLength(level, context);
+      const items = [];
+      const seen = new Set();
+      // Unique arrays may run out of distinct values - give up after a few attempts per item
+      for (let attempt = 0; items.length < length && attempt < length * 20; attempt++) {
+        const item = generateValue(type.element, param, depth + 1, context);
+        const key = JSON.stringify(item);
+        if (level.unique && seen.has(key)) continue;
+        seen.add(key);
+        items.push(item);
+      }
+      if (level.sorted) {
+        items.sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+        if (level.sorted === 'desc') items.reverse();
+      }
+      return items;
+    }
+
+    default:
+      return param.sample;
+  }
+};
+
+// Generate parameters with constant bounds before those that refer to other parameters
+const orderParams = (params) => {
+  const names = params.map(param => param.name);
+  const refersToOthers = (param) => JSON.stringify(param.levels)
+    .match(/[A-Za-z_]\w*/g)
+    ?.some(word => word !== param.name && names.includes(word));
+  return [...params].sort((a, b) => Number(refersToOthers(a)) - Number(refersToOthers(b)));
+};
+
+const recordEnv = (env, name, value) => {
+  if (typeof value === 'number') env[name] = value;
+  if (typeof value === 'string' || Array.isArray(value)) {
+    env[`${name}.length`] = value.length;
+    if (Array.isArray(value[0]) || typeof value[0] === 'string') env[`${name}[i].length`] = value[0].length;
+  }
+};
+
+const formatValue = (value) => JSON.stringify(value);
+
+/**
+ * Format generated values as a test case input ("nums = [1,2], target = 3")
+ * @param {Object} spec - Constraint spec
+ * @param {Object} values - { name: value }
+ * @returns {string}
+ */
+export const formatInput = (spec, values) =>
+  spec.params.map(param => `${param.name} = ${formatValue(values[param.name])}`).join(', ');
+
+/**
+ * Total size of an input (sum of lengths and magnitudes), used to prefer smaller counterexamples
+ * @param {Object} values - { name: value }
+ * @returns {number}
+ */
+export const inputSize = (values) => Object.values(values).reduce((total, value) => {
+  if (typeof value === 'number') return total + Math.abs(value) / 1000;
+  if (typeof value === 'string') return total + value.length;
+  if (Array.isArray(value)) return total + value.length + inputSize({ ...value });
+  return total;
+}, 0);
+
+/**
+ * Generate one random input
+ * @param {Object} spec - Constraint spec from parseConstraints
+ * @param {Function} rng - Seeded RNG
+ * @param {Object} options - Stress options
+ * @param {number} progress - 0..1 position in the run; lengths grow with it
+ * @returns {Object} { values, input }
+ */
+export const generateInput = (spec, rng, options, progress = 1) => {
+  const env = {};
+  const values = {};
+  const sizeCap = Math.max(1, Math.ceil(options.maxLength * progress));
+
+  orderParams(spec.params).forEach(param => {
+    const context = { rng, options, env, aliases: spec.aliases, sizeCap, rowLengths: {} };
+    const value = generateValue(param.type, param, 0, context);
+    values[param.name] = value;
+    recordEnv(env, param.name, value);
+  });
+
+  return { values, input: formatInput(spec, values) };
+};
+
+/**
+ * Generate a batch of inputs for positions [start, start + size) of a run
+ * @param {Object} spec - Constraint spec
+ * @param {Function} rng - Seeded RNG (shared across the run)
+ * @param {Object} options - Stress options
+ * @param {number} start - Index of the first input in the run
+ * @param {number} size - Batch size
+ * @returns {Array} [{ values, input }]
+ */
+export const generateBatch = (spec, rng, options, start, size) =>
+  Array.from({ length: size }, (_, offset) =>
+    generateInput(spec, rng, options, (start + offset + 1) / options.count));
+
+// Check a shrunk candidate still satisfies the length constraints
+const satisfiesLengths = (spec, values) => {
+  const env = {};
+  spec.params.forEach(param => recordEnv(env, param.name, values[param.name]));
+
+  return spec.params.every(param => {
+    const value = values[param.name];
+    const range = param.levels[0]?.length;
+    if (!range || (typeof value !== 'string' && !Array.isArray(value))) return true;
+    const min = evaluateBound(range.min, env, spec.aliases);
+    const max = evaluateBound(range.max, env, spec.aliases);
+    return (min === null || value.length >= min) && (max === null || value.length <= max);
+  });
+};
+
+/**
+ * Smaller variants of a counterexample: one element/character removed, or a number
+ * moved halfway towards zero. Candidates that break length constraints are dropped.
+ * @param {Object} spec - Constraint spec
+ * @param {Object} values - Counterexample values
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array} [{ values, input }] smallest first
+ */
+export const shrinkCandidates = (spec, values, limit = 10) => {
+  const candidates = [];
+
+  spec.params.forEach(param => {
+    const value = values[param.name];
+
+    if (Array.isArray(value) || typeof value === 'string') {
+      for (let index = 0; index < value.length; index++) {
+        const shrunk = Array.isArray(value)
+          ? value.filter((_, i) => i !== index)
+          : value.slice(0, index) + value.slice(index + 1);
+        candidates.push({ ...values, [param.name]: shrunk });
+      }
+    } else if (typeof value === 'number' && Number.isInteger(value) && value !== 0) {
+      const range = param.levels[0]?.values;
+      const min = evaluateBound(range?.min, {}, spec.aliases);
+      const max = evaluateBound(range?.max, {}, spec.aliases);
+      const shrunk = Math.trunc(value / 2);
+      if ((min === null || shrunk >= min) && (max === null || shrunk <= max)) {
+        candidates.push({ ...values, [param.name]: shrunk });
+      }
+    }
+  });
+
+  const unique = new Map();
+  candidates
+    .filter(candidate => satisfiesLengths(spec, candidate))
+    .forEach(candidate => unique.set(formatInput(spec, candidate), candidate));
+
+  return [...unique].map(([input, candidate]) => ({ values: candidate, input }))
+    .sort((a, b) => inputSize(a.values) - inputSize(b.values))
+    .slice(0, limit);
+};
+
+const PYTHON_LITERALS = { True: 'true', False: 'false', None: 'null' };
+
+const canonicalize = (output, unordered) => {
+  const text = String(output ?? '').trim();
+  try {
+    let value = JSON.parse(text.replace(/\b(True|False|None)\b/g, match => PYTHON_LITERALS[match]).replace(/'/g, '"'));
+    if (unordered && Array.isArray(value)) {
+      value = value
+        .map(item => JSON.stringify(Array.isArray(item) ? [...item].sort() : item))
+        .sort();
+    }
+    return JSON.stringify(value);
+  } catch {
+    return text.replace(/\s+/g, ' ');
+  }
+};
+
+/**
+ * Compare two program outputs, ignoring formatting differences ("[1, 2]" vs "[1,2]")
+ * @param {string} expected - Reference output
+ * @param {string} actual - User output
+ * @param {boolean} unordered - Treat list outputs as unordered
+ * @returns {boolean}
+ */
+export const outputsMatch = (expected, actual, unordered = false) =>
+  canonicalize(expected, unordered) === canonicalize(actual, unordered);
+
+export default {
+  createRng,
+  createSeed,
+  generateInput,
+  generateBatch,
+  shrinkCandidates,
+  formatInput,
+  outputsMatch
+};
@@ -0,0 +1,103 @@
+/**
+ * Text Diff Utilities
+ *
+ * LCS-based diff for comparing expected and actual test output: line level,
+ * with a character-level diff inside lines that changed.
+ * Segments: { type: 'equal' | 'removed' | 'added', text }
+ */
+
+// LCS tables grow with a.length * b.length - fall back to a plain replace beyond this
+const MAX_DIFF_CELLS = 250000;
+
+const diffSequences = (a, b) => {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(item => ({ type: 'removed', value: item })),
+      ...b.map(item => ({ type: 'added', value: item }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', value: a[i++] });
+    } else {
+      result.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) result.push({ type: 'added', value: b[j++] });
+
+  return result;
+};
+
+// Merge neighbouring segments of the same type
+const mergeSegments = (parts) => parts.reduce((segments, part) => {
+  const last = segments[segments.length - 1];
+  if (last && last.type === part.type) {
+    last.text += part.value;
+  } else {
+    segments.push({ type: part.type, text: part.value });
+  }
+  return segments;
+}, []);
+
+/**
+ * Character-level diff
+ * @param {string} expected - Expected text
+ * @param {string} actual - Actual text
+ * @returns {Array} Segments
+ */
+export const diffChars = (expected = '', actual = '') =>
+  mergeSegments(diffSequences(Array.from(expected), Array.from(actual)));
+
+/**
+ * Line-level diff; a removed line directly followed by an added one is paired
+ * as a change and gets a character-level diff
+ * @param {string} expected - Expected text
+ * @param {string} actual - Actual text
+ * @returns {Array} [{ type: 'equal' | 'removed' | 'added' | 'changed', expected, actual, chars }]
+ */
+export const diffLines = (expected = '', actual = '') => {
+  const parts = diffSequences(String(expected).split('\n'), String(actual).split('\n'));
+  const lines = [];
+
+  for (let k = 0; k < parts.length; k++) {
+    const part = parts[k];
+    const next = parts[k + 1];
+
+    if (part.type === 'removed' && next?.type === 'added') {
+      lines.push({ type: 'changed', expected: part.value, actual: next.value, chars: diffChars(part.value, next.value) });
+      k++;
+    } else if (part.type === 'equal') {
+      lines.push({ type: 'equal', expected: part.value, actual: part.value });
+    } else if (part.type === 'removed') {
+      lines.push({ type: 'removed', expected: part.value });
+    } else {
+      lines.push({ type: 'added', actual: part.value });
+    }
+  }
+
+  return lines;
+};
+
+export default {
+  diffChars,
+  diffLines
+};
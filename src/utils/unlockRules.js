@@ -0,0 +1,143 @@
+/**
+ * Roadmap Unlock Rules
+ *
+ * Rules are defined per roadmap (GET /roadmaps/:course/unlock-rules):
+ *   {
+ *     sections: [{ id, title, steps: [1, 2, 3], requires: ['basics'], skip_test_step: 12 }],
+ *     prerequisites: { 14: [10, 12] }
+ *   }
+ *
+ * - Steps in a section unlock together once every required section is complete,
+ *   or as soon as the section's skip test challenge is passed.
+ * - A step with prerequisites (from the rules or the question's own
+ *   `prerequisites` array) needs all of those steps completed.
+ * - Steps not covered by any rule keep the strict step_number order.
+ */
+
+export const LOCK_REASONS = {
+  PREVIOUS_STEP: 'previous_step',
+  SECTION_LOCKED: 'section_locked',
+  PREREQUISITES: 'prerequisites'
+};
+
+const UNLOCKED = { unlocked: true, reason: null, missing: [] };
+
+const getStepPrerequisites = (question, rules) =>
+  rules?.prerequisites?.[question.step_number] || question.prerequisites || [];
+
+/**
+ * Evaluate unlock rules for every question in a roadmap
+ * @param {Array|Set} completedStepNumbers - Completed step numbers
+ * @param {Array} questions - Roadmap questions
+ * @param {Object|null} rules - Roadmap unlock rules
+ * @returns {Map} step_number -> { unlocked, reason, missing, sectionTitle, requiredSections, skipTestStep, isSkipTest }
+ */
+export const evaluateUnlockRules = (completedStepNumbers, questions = [], rules = null) => {
+  const completed = new Set(completedStepNumbers);
+  const sortedQuestions = [...questions].sort((a, b) => a.step_number - b.step_number);
+
+  const sections = rules?.sections || [];
+  const sectionById = new Map(sections.map(section => [section.id, section]));
+  const sectionByStep = new Map();
+  sections.forEach(section => {
+    (section.steps || []).forEach(step => sectionByStep.set(step, section));
+  });
+  const skipTests = new Map(
+    sections
+      .filter(section => section.skip_test_step != null)
+      .map(section => [section.skip_test_step, section])
+  );
+
+  const isSectionComplete = (section) =>
+    (section.steps || []).every(step => completed.has(step));
+
+  const getBlockingSections = (section) =>
+    (section.requires || [])
+      .map(id => sectionById.get(id))
+      .filter(required => required && !isSectionComplete(required));
+
+  const statuses = new Map();
+
+  sortedQuestions.forEach((question, index) => {
+    const step = question.step_number;
+    const section = sectionByStep.get(step);
+    const skipTestFor = skipTests.get(step);
+    const base = {
+      sectionTitle: section?.title || null,
+      isSkipTest: Boolean(skipTestFor),
+      skipTestFor: skipTestFor?.title || null
+    };
+
+    // Completed steps and skip tests are always open
+    if (completed.has(step) || skipTestFor) {
+      statuses.set(step, { ...UNLOCKED, ...base });
+      return;
+    }
+
+    if (section) {
+      const blocking = getBlockingSections(section);
+      const skipped = section.skip_test_step != null && completed.has(section.skip_test_step);
+
+      if (blocking.length > 0 && !skipped) {
+        statuses.set(step, {
+          ...base,
+          unlocked: false,
+          reason: LOCK_REASONS.SECTION_LOCKED,
+          missing: blocking.flatMap(required => (required.steps || []).filter(s => !completed.has(s))),
+          requiredSections: blocking.map(required => required.title || required.id),
+          skipTestStep: section.skip_test_step ?? null
+        });
+        return;
+      }
+    }
+
+    const prerequisites = getStepPrerequisites(question, rules);
+    if (prerequisites.length > 0) {
+      const missing = prerequisites.filter(s => !completed.has(s));
+      statuses.set(step, missing.length > 0
+        ? { ...base, unlocked: false, reason: LOCK_REASONS.PREREQUISITES, missing }
+        : { ...UNLOCKED, ...base });
+      return;
+    }
+
+    // Sections unlock all their steps at once; everything else stays sequential
+    if (section || index === 0) {
+      statuses.set(step, { ...UNLOCKED, ...base });
+      return;
+    }
+
+    const previousStep = sortedQuestions[index - 1].step_number;
+    statuses.set(step, completed.has(previousStep)
+      ? { ...UNLOCKED, ...base }
+      : { ...base, unlocked: false, reason: LOCK_REASONS.PREVIOUS_STEP, missing: [previousStep] });
+  });
+
+  return statuses;
+};
+
+/**
+ * Human readable explanation for a locked step
+ * @param {Object} status - Entry from evaluateUnlockRules
+ * @returns {string|null}
+ */
+export const describeLock = (status) => {
+  if (!status || status.unlocked) return null;
+
+  switch (status.reason) {
+    case LOCK_REASONS.SECTION_LOCKED: {
+      const target = status.sectionTitle ? ` to unlock ${status.sectionTitle}` : '';
+      const skip = status.skipTestStep != null ? `, or pass the skip test (step ${status.skipTestStep})` : '';
+      return `Complete ${status.requiredSections.join(', ')}${target}${skip}`;
+    }
+    case LOCK_REASONS.PREREQUISITES:
+      return 'Complete the prerequisite steps to unlock';
+    case LOCK_REASONS.PREVIOUS_STEP:
+    default:
+      return 'Complete the previous step to unlock';
+  }
+};
+
+export default {
+  evaluateUnlockRules,
+  describeLock
+};